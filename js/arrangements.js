@@ -0,0 +1,152 @@
+// Song arrangements - beats and fills chained into one chart (e.g. Beat ×3, Fill, Beat ×3, Fill)
+
+const MAX_REPEATS = 16;
+
+// Judgments that count as a hit (same rule as ScoreManager.getAccuracy)
+const HIT_JUDGMENTS = ['PERFECT', 'GOOD', 'OK'];
+
+/**
+ * Make an arrangement usable: a name, whole repeats in range, no unknown patterns
+ * @param {Object} arrangement - { id, name, bpm, sections: [{ patternId, repeats }] }
+ * @param {Function} isKnownPattern - patternId => boolean
+ * @returns {Object} Normalized arrangement
+ */
+export function normalizeArrangement(arrangement, isKnownPattern = () => true) {
+  const sections = (arrangement.sections || [])
+    .filter(section => section && isKnownPattern(section.patternId))
+    .map(section => ({
+      patternId: section.patternId,
+      repeats: Math.min(Math.max(Math.round(Number(section.repeats)) || 1, 1), MAX_REPEATS)
+    }));
+
+  return {
+    id: arrangement.id || null,
+    name: (arrangement.name || '').trim() || 'Untitled Song',
+    bpm: Number(arrangement.bpm) > 0 ? Math.round(arrangement.bpm) : null,
+    sections
+  };
+}
+
+/**
+ * Stats key for an arrangement
+ * Built from the sections, so editing a saved song starts a new history.
+ * @param {Object} arrangement - Normalized arrangement
+ * @returns {string}
+ */
+export function getArrangementStatsKey(arrangement) {
+  return 'song_' + arrangement.sections.map(s => `${s.patternId}x${s.repeats}`).join('+');
+}
+
+/**
+ * Accuracy of each section of a song
+ * Notes from repeated passes of the song are counted in the section they fall in.
+ * @param {Array} notes - Judged notes (GameState.getAllNotesWithAccuracy)
+ * @param {Array} sections - Song sections with startTime and endTime (from createSongPattern)
+ * @param {number} songDuration - Length of one pass through the song (ms)
+ * @returns {Array<{name: string, repeats: number, isFill: boolean, startTime: number, endTime: number, total: number, hit: number, accuracy: number|null}>}
+ */
+export function getSectionResults(notes, sections, songDuration) {
+  const results = sections.map(section => ({ ...section, total: 0, hit: 0, accuracy: null }));
+
+  notes.forEach(note => {
+    const time = note.time % songDuration;
+    const section = results.find(s => time >= s.startTime && time < s.endTime);
+    if (!section) return;
+
+    section.total++;
+    if (note.accuracy && HIT_JUDGMENTS.includes(note.accuracy.judgment)) {
+      section.hit++;
+    }
+  });
+
+  results.forEach(section => {
+    if (section.total > 0) {
+      section.accuracy = Math.round((section.hit / section.total) * 1000) / 10;
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Saved arrangements, kept in localStorage
+ */
+export class ArrangementStore {
+  constructor(storageKey = 'groovelab_arrangements') {
+    this.storageKey = storageKey;
+    this.arrangements = this.loadArrangements();
+  }
+
+  /**
+   * Load arrangements from localStorage
+   */
+  loadArrangements() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      if (stored) {
+        const data = JSON.parse(stored);
+        return Array.isArray(data.arrangements) ? data.arrangements : [];
+      }
+    } catch (e) {
+      console.error('Failed to load arrangements:', e);
+    }
+    return [];
+  }
+
+  /**
+   * Save arrangements to localStorage
+   */
+  saveArrangements() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({ arrangements: this.arrangements }));
+    } catch (e) {
+      console.error('Failed to save arrangements:', e);
+    }
+  }
+
+  /**
+   * @returns {Array<{id: string, name: string}>} Saved arrangements by name
+   */
+  list() {
+    return this.arrangements
+      .map(({ id, name }) => ({ id, name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * @param {string} id - Arrangement ID
+   * @returns {Object|null} A copy of the arrangement
+   */
+  get(id) {
+    const arrangement = this.arrangements.find(a => a.id === id);
+    return arrangement ? JSON.parse(JSON.stringify(arrangement)) : null;
+  }
+
+  /**
+   * Add or update an arrangement (saving under an existing name replaces it)
+   * @param {Object} arrangement - Normalized arrangement
+   * @returns {string} Its ID
+   */
+  save(arrangement) {
+    const existing = this.arrangements.find(a => a.id === arrangement.id) ||
+      this.arrangements.find(a => a.name === arrangement.name);
+    let id = existing ? existing.id : `song_${Date.now().toString(36)}`;
+    // Another song saved in the same millisecond
+    while (!existing && this.arrangements.some(a => a.id === id)) {
+      id += '_';
+    }
+    const record = { ...arrangement, id };
+
+    this.arrangements = this.arrangements.filter(a => a.id !== id).concat(record);
+    this.saveArrangements();
+    return id;
+  }
+
+  /**
+   * @param {string} id - Arrangement ID
+   */
+  delete(id) {
+    this.arrangements = this.arrangements.filter(a => a.id !== id);
+    this.saveArrangements();
+  }
+}
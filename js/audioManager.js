@@ -1,6 +1,9 @@
 // Audio playback manager using Web Audio API
 
 import { MIDI_NOTE_MAP } from './constants.js';
+import { ChokeGroups, getSynthChokeGroup } from './sampleKits.js';
+import { laneLayout } from './laneLayout.js';
+import { getChannelDefaults } from './mixer.js';
 
 // Drum kit presets with synthesis parameters
 const DRUM_KITS = {
@@ -9,38 +12,81 @@ const DRUM_KITS = {
     kick: { startFreq: 150, endFreq: 40, decay: 0.3 },
     snare: { toneFreq: 200, toneDecay: 0.15, noiseDecay: 0.15, noiseFilter: 1000 },
     hihat: { filterFreq: 7000, closedDecay: 0.05, openDecay: 0.3 },
-    tom: { startFreq: 200, endFreq: 80, decay: 0.3 }
+    tom: { startFreq: 200, endFreq: 80, decay: 0.3 },
+    cymbal: { filterFreq: 5000, decay: 1.2 },
+    cowbell: { freq: 560, decay: 0.25 }
   },
   funk: {
     name: 'Soul/Funk',
     kick: { startFreq: 120, endFreq: 45, decay: 0.2 },
     snare: { toneFreq: 180, toneDecay: 0.1, noiseDecay: 0.12, noiseFilter: 1200 },
     hihat: { filterFreq: 8000, closedDecay: 0.03, openDecay: 0.2 },
-    tom: { startFreq: 180, endFreq: 90, decay: 0.25 }
+    tom: { startFreq: 180, endFreq: 90, decay: 0.25 },
+    cymbal: { filterFreq: 6000, decay: 0.9 },
+    cowbell: { freq: 600, decay: 0.2 }
   },
   tr808: {
     name: 'TR-808',
     kick: { startFreq: 60, endFreq: 30, decay: 0.8 },
     snare: { toneFreq: 150, toneDecay: 0.2, noiseDecay: 0.25, noiseFilter: 800 },
     hihat: { filterFreq: 9000, closedDecay: 0.04, openDecay: 0.4 },
-    tom: { startFreq: 120, endFreq: 50, decay: 0.5 }
+    tom: { startFreq: 120, endFreq: 50, decay: 0.5 },
+    cymbal: { filterFreq: 7000, decay: 1.4 },
+    cowbell: { freq: 540, decay: 0.3 }
   },
   tr909: {
     name: 'TR-909',
     kick: { startFreq: 180, endFreq: 35, decay: 0.25 },
     snare: { toneFreq: 220, toneDecay: 0.12, noiseDecay: 0.18, noiseFilter: 1500 },
     hihat: { filterFreq: 10000, closedDecay: 0.035, openDecay: 0.25 },
-    tom: { startFreq: 250, endFreq: 70, decay: 0.35 }
+    tom: { startFreq: 250, endFreq: 70, decay: 0.35 },
+    cymbal: { filterFreq: 8000, decay: 1.0 },
+    cowbell: { freq: 580, decay: 0.22 }
   }
 };
 
+// Per-piece variations on the shared kit voices
+// tune scales pitch/filter frequency, decay scales the kit's decay time
+const PIECE_VOICING = {
+  48: { tune: 1.15, decay: 1.0 },   // Tom 1
+  50: { tune: 1.0, decay: 1.0 },    // Tom 2
+  43: { tune: 0.7, decay: 1.3 },    // Floor Tom
+  49: { tune: 1.0, decay: 1.0 },    // Crash
+  52: { tune: 0.6, decay: 0.8 },    // China
+  55: { tune: 1.4, decay: 0.35 },   // Splash
+  51: { tune: 1.5, decay: 0.6 }     // Ride
+};
+
+// Time constant of the fade when a sound is choked (seconds)
+const CHOKE_RELEASE = 0.015;
+
+// Metronome click sounds: pitch per accent level (normal, group start, downbeat), partials as
+// multiples of it, and decay (seconds). A bandpass (multiple of the pitch) gives the cowbell its clank.
+const CLICK_VOICES = {
+  beep: { wave: 'sine', frequencies: [800, 1000, 1200], partials: [1], decay: 0.05 },
+  woodblock: { wave: 'triangle', frequencies: [1500, 1800, 2100], partials: [1, 2.7], decay: 0.035 },
+  cowbell: { wave: 'square', frequencies: [540, 600, 680], partials: [1, 1.48], decay: 0.15, bandpass: 2.5 }
+};
+const CLICK_VOLUMES = [0.4, 0.7, 1.0];
+
+// Subdivision clicks are quieter and a little lower than the beats
+const SUBDIVISION_VOLUME = 0.25;
+const SUBDIVISION_PITCH = 0.8;
+
+// What the voice says between the beats, by clicks per beat
+const COUNT_WORDS = { 2: ['and'], 3: ['trip', 'let'], 4: ['e', 'and', 'a'] };
+
 export class AudioManager {
   constructor() {
     this.audioContext = null;
     this.metronomeGain = null;
     this.drumsGain = null;
-    this.trackPanner = null;  // Panner for MIDI track playback (left)
-    this.userPanner = null;   // Panner for user input (right)
+
+    // Mixer: a channel per side ('track' or 'user') and lane, created when first played
+    this.mixer = null;        // MixerSettings
+    this.channels = new Map();  // 'side:lane' -> { gain, panner, send }
+    this.channelBus = null;   // All channels, dry
+    this.reverbSend = null;   // All channels' reverb sends
 
     // Audio effects
     this.reverbGain = null;
@@ -50,24 +96,96 @@ export class AudioManager {
     this.wetGain = null;
 
     this.metronomeVolume = 0.5;
+    this.clickSound = 'beep';  // beep, woodblock, cowbell or voice
     this.drumsVolume = 0.7;
     this.toneValue = 0.5;    // 0-1 for tone control
     this.reverbValue = 0;    // 0-1 for reverb mix
 
     this.currentKit = 'rock';
     this.initialized = false;
+
+    // Sample kits by ID (from the kit manifest and the kit builder), selectable alongside the synth kits
+    this.sampleKits = new Map();
+    this.chokeGroups = new ChokeGroups();
   }
 
   /**
-   * Get available drum kits
+   * Get the synthesized drum kits
    */
-  static getKits() {
+  static getSynthKits() {
     return Object.entries(DRUM_KITS).map(([id, kit]) => ({
       id,
       name: kit.name
     }));
   }
 
+  /**
+   * Synth, sample and user kits that can be selected
+   * @returns {Array<{id: string, name: string, sampled: boolean, isUser: boolean}>}
+   */
+  getKits() {
+    return [
+      ...AudioManager.getSynthKits().map(kit => ({ ...kit, sampled: false, isUser: false })),
+      ...[...this.sampleKits.values()].map(kit => ({ id: kit.id, name: kit.name, sampled: true, isUser: kit.isUser }))
+    ];
+  }
+
+  /**
+   * Make sample kits selectable (a kit with the ID of a synth kit is ignored)
+   * A kit with the ID of one already added replaces it, e.g. a user kit saved again.
+   * @param {SampleKit[]} kits - From loadKitManifest or the kit builder
+   */
+  addSampleKits(kits) {
+    kits.forEach(kit => {
+      if (DRUM_KITS[kit.id]) {
+        console.warn(`[AudioManager] Sample kit ${kit.id} has the ID of a synth kit`);
+        return;
+      }
+      this.sampleKits.set(kit.id, kit);
+    });
+    // A sample kit picked before the manifest arrived
+    this.loadCurrentSampleKit();
+  }
+
+  /**
+   * Remove a sample kit (a deleted user kit); the synth takes over if it was selected
+   * @param {string} kitId - Kit ID
+   */
+  removeSampleKit(kitId) {
+    if (!this.sampleKits.delete(kitId)) return;
+    if (this.currentKit === kitId) {
+      this.setKit('rock');
+    }
+  }
+
+  /**
+   * @returns {SampleKit|null} The selected kit if it is sample-based
+   */
+  getSampleKit() {
+    return this.sampleKits.get(this.currentKit) || null;
+  }
+
+  /**
+   * Start decoding the selected sample kit (needs the audio context)
+   * Until its samples are ready, hits are synthesized.
+   */
+  loadCurrentSampleKit() {
+    const kit = this.getSampleKit();
+    if (kit && this.audioContext) {
+      kit.load(this.audioContext).then(count => {
+        console.log(`[AudioManager] ${kit.name}: ${count} samples loaded`);
+      });
+    }
+  }
+
+  /**
+   * Synth parameters in use: the selected synth kit, or Classic Rock for pieces a sample kit lacks
+   * @returns {Object}
+   */
+  getSynthKit() {
+    return DRUM_KITS[this.currentKit] || DRUM_KITS.rock;
+  }
+
   /**
    * Initialize Web Audio API
    * Note: Must be called after user interaction due to browser autoplay policies
@@ -75,57 +193,94 @@ export class AudioManager {
   async initialize() {
     try {
       this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      await this.createGraph();
 
-      // Create gain nodes for volume control
-      this.metronomeGain = this.audioContext.createGain();
-      this.metronomeGain.gain.value = this.metronomeVolume;
-      this.metronomeGain.connect(this.audioContext.destination);
-
-      this.drumsGain = this.audioContext.createGain();
-      this.drumsGain.gain.value = this.drumsVolume;
-
-      // Create tone filter (lowpass for darker tone, bypass for brighter)
-      this.toneFilter = this.audioContext.createBiquadFilter();
-      this.toneFilter.type = 'lowpass';
-      this.updateToneFilter();
+      this.initialized = true;
+      console.log('AudioManager initialized');
+      this.loadCurrentSampleKit();
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize Web Audio API:', error);
+      return false;
+    }
+  }
 
-      // Create reverb using convolver with generated impulse response
-      await this.createReverb();
+  /**
+   * Create the volume, mixer and effect nodes in the audio context
+   */
+  async createGraph() {
+    // Create gain nodes for volume control
+    this.metronomeGain = this.audioContext.createGain();
+    this.metronomeGain.gain.value = this.metronomeVolume;
+    this.metronomeGain.connect(this.audioContext.destination);
+
+    this.drumsGain = this.audioContext.createGain();
+    this.drumsGain.gain.value = this.drumsVolume;
+
+    // Create tone filter (lowpass for darker tone, bypass for brighter)
+    this.toneFilter = this.audioContext.createBiquadFilter();
+    this.toneFilter.type = 'lowpass';
+    this.updateToneFilter();
 
-      // Create dry/wet mix for reverb
-      this.dryGain = this.audioContext.createGain();
-      this.wetGain = this.audioContext.createGain();
-      this.updateReverbMix();
+    // Create reverb using convolver with generated impulse response
+    await this.createReverb();
 
-      // Create stereo panners for track (left) and user input (right)
-      this.trackPanner = this.audioContext.createStereoPanner();
-      this.trackPanner.pan.value = -1;  // Hard left
-      // Route: trackPanner -> toneFilter -> dryGain/wetGain -> drumsGain
-      this.trackPanner.connect(this.toneFilter);
+    // Create dry/wet mix for reverb
+    this.dryGain = this.audioContext.createGain();
+    this.wetGain = this.audioContext.createGain();
+    this.updateReverbMix();
 
-      this.userPanner = this.audioContext.createStereoPanner();
-      this.userPanner.pan.value = 1;   // Hard right
-      this.userPanner.connect(this.toneFilter);
+    // Route: channels -> channelBus -> dryGain -> toneFilter -> drumsGain
+    //        channel sends -> reverbSend -> reverbConvolver -> wetGain -> toneFilter
+    this.channelBus = this.audioContext.createGain();
+    this.channelBus.connect(this.dryGain);
 
-      // Tone filter splits to dry and wet paths
-      this.toneFilter.connect(this.dryGain);
-      this.toneFilter.connect(this.reverbConvolver);
-      this.reverbConvolver.connect(this.wetGain);
+    this.reverbSend = this.audioContext.createGain();
+    this.reverbSend.connect(this.reverbConvolver);
+    this.reverbConvolver.connect(this.wetGain);
 
-      // Both dry and wet connect to drums gain
-      this.dryGain.connect(this.drumsGain);
-      this.wetGain.connect(this.drumsGain);
+    // Both dry and wet go through the tone filter to the drums gain
+    this.dryGain.connect(this.toneFilter);
+    this.wetGain.connect(this.toneFilter);
+    this.toneFilter.connect(this.drumsGain);
 
-      // Connect drums gain to destination
-      this.drumsGain.connect(this.audioContext.destination);
+    // Connect drums gain to destination
+    this.drumsGain.connect(this.audioContext.destination);
+  }
 
-      this.initialized = true;
-      console.log('AudioManager initialized');
-      return true;
-    } catch (error) {
-      console.error('Failed to initialize Web Audio API:', error);
-      return false;
+  /**
+   * Render sounds to a buffer instead of the speakers, with this manager's kit, mixer, effects and volumes
+   * @param {number} duration - Length to render (ms)
+   * @param {Function} schedule - (renderer: AudioManager) => void; plays sounds on the renderer at
+   *   audio times in ms from the start of the render
+   * @param {number} sampleRate - Output sample rate
+   * @returns {Promise<AudioBuffer>} Stereo render
+   */
+  async renderOffline(duration, schedule, sampleRate = 44100) {
+    const renderer = new AudioManager();
+    Object.assign(renderer, {
+      metronomeVolume: this.metronomeVolume,
+      // Speech can't be recorded, so a bounce counts with beeps
+      clickSound: this.clickSound === 'voice' ? 'beep' : this.clickSound,
+      drumsVolume: this.drumsVolume,
+      toneValue: this.toneValue,
+      reverbValue: this.reverbValue,
+      currentKit: this.currentKit,
+      sampleKits: this.sampleKits,
+      mixer: this.mixer
+    });
+    renderer.audioContext = new OfflineAudioContext(2, Math.ceil((duration / 1000) * sampleRate), sampleRate);
+    await renderer.createGraph();
+    renderer.initialized = true;
+
+    // Decoded samples can be played in any context; wait for them so the render isn't synthesized
+    const sampleKit = renderer.getSampleKit();
+    if (sampleKit) {
+      await sampleKit.load(this.audioContext || renderer.audioContext);
     }
+
+    schedule(renderer);
+    return renderer.audioContext.startRendering();
   }
 
   /**
@@ -178,104 +333,346 @@ export class AudioManager {
     }
   }
 
+  /**
+   * Current time on the audio clock in ms - the clock sounds are scheduled against
+   * @returns {number} Audio time (performance.now() before audio is initialized)
+   */
+  getTime() {
+    return this.audioContext ? this.audioContext.currentTime * 1000 : performance.now();
+  }
+
+  /**
+   * Convert an event timestamp to the audio clock
+   * MIDI and keyboard events are stamped on the performance.now() clock.
+   * @param {number} timestamp - Event timestamp (ms)
+   * @returns {number} Audio time of the event (ms)
+   */
+  toAudioTime(timestamp) {
+    let age = performance.now() - timestamp;
+    // Some MIDI drivers stamp events on another clock; treat those as just arrived
+    if (!(age >= 0 && age < 1000)) age = 0;
+    return this.getTime() - age;
+  }
+
+  /**
+   * Get the context time to start a sound at
+   * @param {number|null} time - Audio time in ms, or null for now
+   * @returns {number} Context time in seconds (never in the past)
+   */
+  getStartTime(time) {
+    const now = this.audioContext.currentTime;
+    return time === null ? now : Math.max(now, time / 1000);
+  }
+
+  /**
+   * Get an ID for the audio output in use (latency is stored per output)
+   * @returns {string} Output device ID, or 'default' for the system output
+   */
+  getOutputId() {
+    const sinkId = this.audioContext && this.audioContext.sinkId;
+    return typeof sinkId === 'string' && sinkId !== '' ? sinkId : 'default';
+  }
+
   /**
    * Play metronome click
-   * @param {number} beat - Beat number (1-4), where 1 is accented
+   * @param {number} beat - Beat number within the bar, where 1 is the downbeat
+   * @param {number} accent - 2 = downbeat, 1 = pulse group start (e.g. beat 4 of 6/8), 0 = plain beat
+   * @param {number|null} time - Audio time to play at (ms), or null for now
+   * @param {Object} [subdivision] - Where the click falls within the beat
+   * @param {number} [subdivision.tick=0] - Click within the beat (0 on the beat)
+   * @param {number} [subdivision.ticks=1] - Clicks per beat
+   * @param {string} [subdivision.sound] - Sound to use instead of the chosen one
    */
-  playMetronomeClick(beat) {
+  playMetronomeClick(beat, accent = beat === 1 ? 2 : 0, time = null, { tick = 0, ticks = 1, sound = this.clickSound } = {}) {
     if (!this.initialized || !this.audioContext) return;
 
-    const now = this.audioContext.currentTime;
+    const now = this.getStartTime(time);
+    const isSubdivision = tick > 0;
 
-    // Create oscillator for click sound
-    const oscillator = this.audioContext.createOscillator();
-    const clickGain = this.audioContext.createGain();
+    // Downbeat is louder, group starts sit in between
+    const volume = isSubdivision ? SUBDIVISION_VOLUME : CLICK_VOLUMES[accent] || CLICK_VOLUMES[0];
 
-    // Beat 1 is higher pitch and louder (accent)
-    // Increased accent ratio for more noticeable downbeat
-    const frequency = beat === 1 ? 1200 : 800;
-    const volume = beat === 1 ? 1.0 : 0.4;
+    if (sound === 'voice') {
+      const words = COUNT_WORDS[ticks] || [];
+      this.speakCount(isSubdivision ? words[tick - 1] : String(beat), now, volume);
+      return;
+    }
 
-    oscillator.frequency.value = frequency;
-    oscillator.type = 'sine';
+    // Downbeat is also higher pitched
+    const voice = CLICK_VOICES[sound] || CLICK_VOICES.beep;
+    const frequency = isSubdivision
+      ? voice.frequencies[0] * SUBDIVISION_PITCH
+      : voice.frequencies[accent] || voice.frequencies[0];
 
     // Quick attack and decay for "click" sound
-    clickGain.gain.setValueAtTime(volume, now);
-    clickGain.gain.exponentialRampToValueAtTime(0.01, now + 0.05);
-
-    oscillator.connect(clickGain);
+    const clickGain = this.audioContext.createGain();
+    clickGain.gain.setValueAtTime(volume / voice.partials.length, now);
+    clickGain.gain.exponentialRampToValueAtTime(0.01, now + voice.decay);
     clickGain.connect(this.metronomeGain);
 
-    oscillator.start(now);
-    oscillator.stop(now + 0.05);
+    let input = clickGain;
+    if (voice.bandpass) {
+      input = this.audioContext.createBiquadFilter();
+      input.type = 'bandpass';
+      input.frequency.value = frequency * voice.bandpass;
+      input.connect(clickGain);
+    }
+
+    voice.partials.forEach(ratio => {
+      const oscillator = this.audioContext.createOscillator();
+      oscillator.type = voice.wave;
+      oscillator.frequency.value = frequency * ratio;
+      oscillator.connect(input);
+      oscillator.start(now);
+      oscillator.stop(now + voice.decay);
+    });
+  }
+
+  /**
+   * Say a count with the browser's speech synthesis
+   * Speech can't be scheduled on the audio clock, so it's started by a timer and can lag a little.
+   * @param {string} text - What to say
+   * @param {number} time - Audio time to say it at (seconds)
+   * @param {number} volume - 0-1, before the metronome volume
+   */
+  speakCount(text, time, volume) {
+    if (!text || typeof speechSynthesis === 'undefined') return;
+
+    const delay = Math.max(0, (time - this.audioContext.currentTime) * 1000);
+    setTimeout(() => {
+      // Drop a count that hasn't finished so the voice stays on the beat
+      speechSynthesis.cancel();
+      const utterance = new SpeechSynthesisUtterance(text);
+      utterance.rate = 2;
+      utterance.volume = volume * this.metronomeVolume;
+      speechSynthesis.speak(utterance);
+    }, delay);
   }
 
   /**
-   * Play drum sound (for track playback - panned left)
+   * Play drum sound for track playback (through the track's mixer channel for its lane)
    * @param {number} midiNote - MIDI note number
    * @param {number} velocity - Velocity (0-127)
+   * @param {number|null} time - Audio time to play at (ms), or null for now
    */
-  playDrumSound(midiNote, velocity = 100) {
-    this.playDrumSoundPanned(midiNote, velocity, 'left');
+  playDrumSound(midiNote, velocity = 100, time = null) {
+    this.playChannelDrumSound(midiNote, velocity, 'track', time);
   }
 
   /**
-   * Play drum sound for user input (panned right)
+   * Play drum sound for user input (through the player's mixer channel for its lane)
    * @param {number} midiNote - MIDI note number
    * @param {number} velocity - Velocity (0-127)
    */
   playUserDrumSound(midiNote, velocity = 100) {
-    this.playDrumSoundPanned(midiNote, velocity, 'right');
+    this.playChannelDrumSound(midiNote, velocity, 'user');
   }
 
   /**
-   * Play drum sound with panning
+   * Play drum sound through a mixer channel
    * @param {number} midiNote - MIDI note number
    * @param {number} velocity - Velocity (0-127)
-   * @param {string} pan - 'left', 'right', or 'center'
+   * @param {string|null} side - 'track' or 'user', or null to skip the mixer and effects
+   * @param {number|null} time - Audio time to play at (ms), or null for now
    */
-  playDrumSoundPanned(midiNote, velocity = 100, pan = 'center') {
+  playChannelDrumSound(midiNote, velocity = 100, side = null, time = null) {
     if (!this.initialized || !this.audioContext) return;
 
-    const now = this.audioContext.currentTime;
+    const now = this.getStartTime(time);
     const normalizedVelocity = velocity / 127;
-
-    // Select destination based on pan
-    let destination;
-    switch (pan) {
-      case 'left':
-        destination = this.trackPanner;
-        break;
-      case 'right':
-        destination = this.userPanner;
-        break;
-      default:
-        destination = this.drumsGain;
+    const lane = laneLayout.resolveNote(midiNote) ?? midiNote;
+    const destination = side ? this.getChannel(side, lane) : this.drumsGain;
+
+    // Sample kits play their own recording when it's loaded; anything else is synthesized
+    const sampleKit = this.getSampleKit();
+    const sample = sampleKit ? sampleKit.pickSample(midiNote, velocity) : null;
+    if (sample && sample.buffer) {
+      const voice = this.playSample(sample.buffer, now, destination, sample);
+      if (sample.chokeGroup) this.chokeGroups.hit(`${side}:${sample.chokeGroup}`, now, voice);
+      return;
     }
 
     // Different synthesis for different drums
-    switch (midiNote) {
-      case 36: // Kick
+    const piece = MIDI_NOTE_MAP[midiNote];
+    const voicing = PIECE_VOICING[midiNote] || { tune: 1.0, decay: 1.0 };
+
+    switch (piece ? piece.voice : 'tom') {
+      case 'kick':
         this.playKick(now, normalizedVelocity, destination);
         break;
-      case 38: // Snare
+      case 'snare':
         this.playSnare(now, normalizedVelocity, destination);
         break;
-      case 42: // Hi-hat closed
-      case 46: // Hi-hat open
-        this.playHiHat(now, normalizedVelocity, midiNote === 46, destination);
+      case 'rim':
+        this.playRimshot(now, normalizedVelocity, destination);
+        break;
+      case 'hihat': {
+        const voice = this.playHiHat(now, normalizedVelocity, midiNote === 46, destination, midiNote === 44);
+        const chokeGroup = getSynthChokeGroup(midiNote);
+        if (chokeGroup) this.chokeGroups.hit(`${side}:${chokeGroup}`, now, voice);
+        break;
+      }
+      case 'cymbal':
+        this.playCymbal(now, normalizedVelocity, destination, voicing);
+        break;
+      case 'cowbell':
+        this.playCowbell(now, normalizedVelocity, destination);
         break;
       default:
         // Generic tom sound for other notes
-        this.playTom(now, normalizedVelocity, destination);
+        this.playTom(now, normalizedVelocity, destination, voicing);
+    }
+  }
+
+  /**
+   * Input of a mixer channel, created the first time it's played
+   * @param {string} side - 'track' or 'user'
+   * @param {number} lane - Lane note
+   * @returns {AudioNode}
+   */
+  getChannel(side, lane) {
+    const key = `${side}:${lane}`;
+    let channel = this.channels.get(key);
+    if (!channel) {
+      channel = {
+        gain: this.audioContext.createGain(),
+        panner: this.audioContext.createStereoPanner(),
+        send: this.audioContext.createGain()
+      };
+      channel.gain.connect(channel.panner);
+      channel.panner.connect(this.channelBus);
+      channel.panner.connect(channel.send);
+      channel.send.connect(this.reverbSend);
+      this.channels.set(key, channel);
+      this.updateChannel(side, lane);
+    }
+    return channel.gain;
+  }
+
+  /**
+   * Apply a channel's mixer settings
+   * @param {string} side - 'track' or 'user'
+   * @param {number} lane - Lane note
+   */
+  updateChannel(side, lane) {
+    const channel = this.channels.get(`${side}:${lane}`);
+    if (!channel) return;
+
+    const settings = this.mixer ? this.mixer.getChannel(side, lane) : getChannelDefaults(side);
+    channel.gain.gain.value = this.mixer ? this.mixer.getLevel(side, lane) : settings.volume;
+    channel.panner.pan.value = settings.pan;
+    channel.send.gain.value = settings.send;
+  }
+
+  /**
+   * Use mixer settings for the channels
+   * @param {MixerSettings} mixer - Channel settings
+   */
+  setMixer(mixer) {
+    this.mixer = mixer;
+    this.updateMixer();
+  }
+
+  /**
+   * Apply changed mixer settings to every channel (a solo affects them all)
+   */
+  updateMixer() {
+    this.channels.forEach((channel, key) => {
+      const [side, lane] = key.split(':');
+      this.updateChannel(side, Number(lane));
+    });
+  }
+
+  /**
+   * Play a recorded hit
+   * @param {AudioBuffer} buffer - Sample
+   * @param {number} time - Context time (seconds)
+   * @param {AudioNode} destination - Where to play it
+   * @param {Object} settings - { gain, tune (semitones), pan (-1 to 1), decay (seconds or null) }
+   * @returns {Object} Voice that can be choked
+   */
+  playSample(buffer, time, destination, { gain: level = 1, tune = 0, pan = 0, decay = null } = {}) {
+    const source = this.audioContext.createBufferSource();
+    const gain = this.audioContext.createGain();
+
+    source.buffer = buffer;
+    source.playbackRate.setValueAtTime(Math.pow(2, tune / 12), time);
+    gain.gain.setValueAtTime(level, time);
+
+    source.connect(gain);
+    if (pan !== 0 && this.audioContext.createStereoPanner) {
+      const panner = this.audioContext.createStereoPanner();
+      panner.pan.value = pan;
+      gain.connect(panner);
+      panner.connect(destination);
+    } else {
+      gain.connect(destination);
+    }
+    source.start(time);
+
+    // A shortened piece fades over the last part of its decay instead of clicking off
+    if (decay !== null) {
+      gain.gain.setValueAtTime(level, time + decay * 0.7);
+      gain.gain.linearRampToValueAtTime(0, time + decay);
+      source.stop(time + decay);
+    }
+
+    return this.createVoice(source, gain, time);
+  }
+
+  /**
+   * Play a sample on its own (the kit builder's preview)
+   * @param {AudioBuffer} buffer - Sample
+   * @param {Object} settings - Piece settings, see playSample
+   */
+  previewSample(buffer, settings) {
+    if (!this.initialized || !this.audioContext) return;
+    this.playSample(buffer, this.audioContext.currentTime, this.drumsGain, settings);
+  }
+
+  /**
+   * Check that a file is audio the browser can play
+   * @param {ArrayBuffer} data - File data (not detached; a copy is decoded)
+   * @returns {Promise<AudioBuffer>}
+   */
+  decodeSample(data) {
+    if (!this.audioContext) {
+      return Promise.reject(new Error('Audio is not started yet'));
     }
+    return this.audioContext.decodeAudioData(data.slice(0));
+  }
+
+  /**
+   * Wrap a playing sound so a choke group can cut it off
+   * @param {AudioScheduledSourceNode} source - Sound source
+   * @param {GainNode} gain - Its envelope
+   * @param {number} startTime - Context time it starts (seconds)
+   * @returns {{startTime: number, stop: Function}} stop(time) fades it out quickly from that time
+   */
+  createVoice(source, gain, startTime) {
+    return {
+      startTime,
+      stop: (time) => {
+        if (gain.gain.cancelAndHoldAtTime) {
+          gain.gain.cancelAndHoldAtTime(time);
+        } else {
+          gain.gain.cancelScheduledValues(time);
+        }
+        gain.gain.setTargetAtTime(0, time, CHOKE_RELEASE);
+        try {
+          source.stop(time + CHOKE_RELEASE * 5);
+        } catch (e) {
+          // Already stopped
+        }
+      }
+    };
   }
 
   /**
    * Synthesize kick drum sound
    */
   playKick(time, velocity, destination) {
-    const kit = DRUM_KITS[this.currentKit];
+    const kit = this.getSynthKit();
     const params = kit.kick;
 
     const osc = this.audioContext.createOscillator();
@@ -300,7 +697,7 @@ export class AudioManager {
    * Synthesize snare drum sound
    */
   playSnare(time, velocity, destination) {
-    const kit = DRUM_KITS[this.currentKit];
+    const kit = this.getSynthKit();
     const params = kit.snare;
 
     // Tone component
@@ -347,12 +744,15 @@ export class AudioManager {
 
   /**
    * Synthesize hi-hat sound
+   * @returns {Object} Voice that can be choked
    */
-  playHiHat(time, velocity, isOpen, destination) {
-    const kit = DRUM_KITS[this.currentKit];
+  playHiHat(time, velocity, isOpen, destination, isPedal = false) {
+    const kit = this.getSynthKit();
     const params = kit.hihat;
 
     const duration = isOpen ? params.openDecay : params.closedDecay;
+    // Pedal "chick" is a softer, darker closed hat
+    if (isPedal) velocity *= 0.6;
     const bufferSize = this.audioContext.sampleRate * duration;
     const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
     const data = buffer.getChannelData(0);
@@ -367,7 +767,7 @@ export class AudioManager {
 
     noise.buffer = buffer;
     filter.type = 'highpass';
-    filter.frequency.value = params.filterFreq;
+    filter.frequency.value = isPedal ? params.filterFreq * 0.7 : params.filterFreq;
 
     gain.gain.setValueAtTime(velocity * 0.5, time);
     gain.gain.exponentialRampToValueAtTime(0.01, time + duration);
@@ -377,39 +777,138 @@ export class AudioManager {
     gain.connect(destination);
 
     noise.start(time);
+    return this.createVoice(noise, gain, time);
   }
 
   /**
    * Synthesize tom sound
    */
-  playTom(time, velocity, destination) {
-    const kit = DRUM_KITS[this.currentKit];
+  playTom(time, velocity, destination, voicing = { tune: 1.0, decay: 1.0 }) {
+    const kit = this.getSynthKit();
     const params = kit.tom;
 
     const osc = this.audioContext.createOscillator();
     const gain = this.audioContext.createGain();
 
-    osc.frequency.setValueAtTime(params.startFreq, time);
-    osc.frequency.exponentialRampToValueAtTime(params.endFreq, time + 0.2);
+    osc.frequency.setValueAtTime(params.startFreq * voicing.tune, time);
+    osc.frequency.exponentialRampToValueAtTime(params.endFreq * voicing.tune, time + 0.2);
 
+    const decay = params.decay * voicing.decay;
     gain.gain.setValueAtTime(velocity, time);
-    gain.gain.exponentialRampToValueAtTime(0.01, time + params.decay);
+    gain.gain.exponentialRampToValueAtTime(0.01, time + decay);
 
     osc.connect(gain);
     gain.connect(destination);
 
     osc.start(time);
-    osc.stop(time + params.decay);
+    osc.stop(time + decay);
+  }
+
+  /**
+   * Synthesize rimshot sound (short, bright snare crack)
+   */
+  playRimshot(time, velocity, destination) {
+    const kit = this.getSynthKit();
+    const params = kit.snare;
+
+    const osc = this.audioContext.createOscillator();
+    const gain = this.audioContext.createGain();
+    const filter = this.audioContext.createBiquadFilter();
+
+    osc.type = 'triangle';
+    osc.frequency.setValueAtTime(params.toneFreq * 4, time);
+    osc.frequency.exponentialRampToValueAtTime(params.toneFreq * 2, time + 0.02);
+
+    filter.type = 'bandpass';
+    filter.frequency.value = params.toneFreq * 8;
+
+    gain.gain.setValueAtTime(velocity * 0.8, time);
+    gain.gain.exponentialRampToValueAtTime(0.01, time + 0.06);
+
+    osc.connect(filter);
+    filter.connect(gain);
+    gain.connect(destination);
+
+    osc.start(time);
+    osc.stop(time + 0.06);
+  }
+
+  /**
+   * Synthesize cymbal sound (crash, china, splash, ride)
+   * @param {Object} voicing - { tune, decay } multipliers for the piece
+   */
+  playCymbal(time, velocity, destination, voicing) {
+    const kit = this.getSynthKit();
+    const params = kit.cymbal;
+
+    const duration = params.decay * voicing.decay;
+    const bufferSize = this.audioContext.sampleRate * duration;
+    const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
+    const data = buffer.getChannelData(0);
+
+    for (let i = 0; i < bufferSize; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+
+    const noise = this.audioContext.createBufferSource();
+    const gain = this.audioContext.createGain();
+    const filter = this.audioContext.createBiquadFilter();
+
+    noise.buffer = buffer;
+    filter.type = 'bandpass';
+    filter.frequency.value = params.filterFreq * voicing.tune;
+    filter.Q.value = 0.8;
+
+    gain.gain.setValueAtTime(velocity * 0.4, time);
+    gain.gain.exponentialRampToValueAtTime(0.01, time + duration);
+
+    noise.connect(filter);
+    filter.connect(gain);
+    gain.connect(destination);
+
+    noise.start(time);
+  }
+
+  /**
+   * Synthesize cowbell sound (two detuned square waves)
+   */
+  playCowbell(time, velocity, destination) {
+    const kit = this.getSynthKit();
+    const params = kit.cowbell;
+
+    const gain = this.audioContext.createGain();
+    const filter = this.audioContext.createBiquadFilter();
+
+    filter.type = 'bandpass';
+    filter.frequency.value = params.freq * 1.5;
+
+    gain.gain.setValueAtTime(velocity * 0.4, time);
+    gain.gain.exponentialRampToValueAtTime(0.01, time + params.decay);
+
+    filter.connect(gain);
+    gain.connect(destination);
+
+    [params.freq, params.freq * 1.48].forEach(freq => {
+      const osc = this.audioContext.createOscillator();
+      osc.type = 'square';
+      osc.frequency.value = freq;
+      osc.connect(filter);
+      osc.start(time);
+      osc.stop(time + params.decay);
+    });
   }
 
   /**
    * Set current drum kit
-   * @param {string} kitId - Kit identifier (rock, funk, tr808, tr909)
+   * @param {string} kitId - Synth kit (rock, funk, tr808, tr909) or sample kit ID
    */
   setKit(kitId) {
-    console.log(`[AudioManager] setKit called with: ${kitId}, exists: ${!!DRUM_KITS[kitId]}`);
-    if (DRUM_KITS[kitId]) {
+    const exists = Boolean(DRUM_KITS[kitId] || this.sampleKits.has(kitId));
+    console.log(`[AudioManager] setKit called with: ${kitId}, exists: ${exists}`);
+    if (exists) {
       this.currentKit = kitId;
+      this.chokeGroups.clear();
+      this.loadCurrentSampleKit();
       console.log(`[AudioManager] currentKit set to: ${this.currentKit}`);
     } else {
       console.warn(`[AudioManager] Unknown kit: ${kitId}`);
@@ -469,6 +968,14 @@ export class AudioManager {
     }
   }
 
+  /**
+   * Set the metronome's click sound
+   * @param {string} sound - beep, woodblock, cowbell or voice
+   */
+  setClickSound(sound) {
+    this.clickSound = sound;
+  }
+
   /**
    * Set drums volume
    * @param {number} volume - Volume 0-1
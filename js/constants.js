@@ -1,16 +1,52 @@
 // Configuration and constants for the drum game
 
-// MIDI note mappings for standard drum kit
-// Lane order: Tom 1 at top (0), Kick at bottom (5)
+// Full General MIDI drum kit, one entry per playable piece
+// Lane order is the top-to-bottom display order when every piece is visible:
+// toms and cymbals at the top, Kick at the bottom.
+// voice: which synthesizer voice plays the piece
+// fallback: piece to fold onto when this lane is hidden (null = dropped)
 export const MIDI_NOTE_MAP = {
-  36: { name: 'Kick', lane: 5, color: '#FF4444' },
-  38: { name: 'Snare', lane: 4, color: '#44FF44' },
-  42: { name: 'HH Closed', lane: 3, color: '#4444FF' },
-  46: { name: 'HH Open', lane: 2, color: '#FFFF44' },
-  48: { name: 'Tom 1', lane: 0, color: '#FF44FF' },
-  50: { name: 'Tom 2', lane: 1, color: '#44FFFF' }
+  48: { name: 'Tom 1', lane: 0, color: '#FF44FF', voice: 'tom', fallback: 50 },
+  50: { name: 'Tom 2', lane: 1, color: '#44FFFF', voice: 'tom', fallback: 48 },
+  43: { name: 'Floor Tom', lane: 2, color: '#AA66FF', voice: 'tom', fallback: 50 },
+  49: { name: 'Crash', lane: 3, color: '#FFAA44', voice: 'cymbal', fallback: 46 },
+  52: { name: 'China', lane: 4, color: '#FF7744', voice: 'cymbal', fallback: 49 },
+  55: { name: 'Splash', lane: 5, color: '#FFDD99', voice: 'cymbal', fallback: 49 },
+  51: { name: 'Ride', lane: 6, color: '#44AAFF', voice: 'cymbal', fallback: 42 },
+  56: { name: 'Cowbell', lane: 7, color: '#CCCC66', voice: 'cowbell', fallback: 51 },
+  46: { name: 'HH Open', lane: 8, color: '#FFFF44', voice: 'hihat', fallback: 42 },
+  42: { name: 'HH Closed', lane: 9, color: '#4444FF', voice: 'hihat', fallback: 46 },
+  44: { name: 'HH Pedal', lane: 10, color: '#8888FF', voice: 'hihat', fallback: null },
+  40: { name: 'Rimshot', lane: 11, color: '#AAFFAA', voice: 'rim', fallback: 38 },
+  38: { name: 'Snare', lane: 12, color: '#44FF44', voice: 'snare', fallback: null },
+  36: { name: 'Kick', lane: 13, color: '#FF4444', voice: 'kick', fallback: null }
 };
 
+// General MIDI notes that are played on one of the pieces above
+// Notes that are pieces themselves map to themselves and are not listed
+export const GM_DRUM_MAP = {
+  35: 36,  // Acoustic Bass Drum -> Kick
+  37: 40,  // Side Stick -> Rimshot
+  39: 38,  // Hand Clap -> Snare
+  41: 43,  // Low Floor Tom -> Floor Tom
+  45: 48,  // Low Tom -> Tom 1
+  47: 50,  // Low-Mid Tom -> Tom 2
+  53: 51,  // Ride Bell -> Ride
+  57: 49,  // Crash Cymbal 2 -> Crash
+  59: 51   // Ride Cymbal 2 -> Ride
+};
+
+// Hi-hat pedal (foot controller) position from CC4
+// Values rise as the pedal is pressed: 0 = fully open, 127 = fully closed
+export const HIHAT_PEDAL = {
+  CONTROLLER: 4,        // MIDI CC number for foot controller
+  CLOSED_MIN: 90,       // At or above: closed
+  HALF_OPEN_MIN: 40     // At or above (and below CLOSED_MIN): half-open; below: open
+};
+
+// Lanes shown until the user picks their own (the classic six-piece layout)
+export const DEFAULT_VISIBLE_LANES = [48, 50, 46, 42, 38, 36];
+
 // Keyboard to MIDI note mapping
 export const KEYBOARD_MAP = {
   'KeyA': 36,  // Kick
@@ -18,7 +54,15 @@ export const KEYBOARD_MAP = {
   'KeyK': 42,  // HH Closed
   'KeyL': 46,  // HH Open
   'KeyD': 48,  // Tom 1
-  'KeyJ': 50   // Tom 2
+  'KeyJ': 50,  // Tom 2
+  'KeyF': 43,  // Floor Tom
+  'KeyW': 40,  // Rimshot
+  'KeyZ': 44,  // HH Pedal
+  'KeyU': 49,  // Crash
+  'KeyI': 51,  // Ride
+  'KeyO': 52,  // China
+  'KeyP': 55,  // Splash
+  'KeyY': 56   // Cowbell
 };
 
 // Reverse map for display (MIDI note -> key name)
@@ -45,6 +89,54 @@ export const TIMING_SCORES = {
   WRONG_NOTE: -20
 };
 
+// Difficulty presets - timing windows (±ms) and scores; 'standard' matches the defaults above
+export const DIFFICULTY_PRESETS = {
+  beginner: {
+    name: 'Beginner',
+    windows: { PERFECT: 75, GOOD: 130, OK: 180, MISS: 250 },
+    scores: { ...TIMING_SCORES, EARLY: 0, LATE: 0, WRONG_NOTE: -10 },
+    comboMultiplier: 0.05
+  },
+  standard: {
+    name: 'Standard',
+    windows: { ...TIMING_WINDOWS },
+    scores: { ...TIMING_SCORES },
+    comboMultiplier: 0.1
+  },
+  pro: {
+    name: 'Pro',
+    windows: { PERFECT: 30, GOOD: 60, OK: 100, MISS: 150 },
+    scores: { ...TIMING_SCORES },
+    comboMultiplier: 0.15
+  },
+  studio: {
+    name: 'Studio',
+    windows: { PERFECT: 15, GOOD: 35, OK: 60, MISS: 100 },
+    scores: { ...TIMING_SCORES, EARLY: -20, LATE: -20, WRONG_NOTE: -30 },
+    comboMultiplier: 0.2
+  }
+};
+
+// Dynamics bands - pattern/hit velocities are classified as ghost, normal or accent
+export const DYNAMICS_BANDS = {
+  GHOST_MAX: 55,    // Velocity 1-55 is a ghost note
+  ACCENT_MIN: 105   // Velocity 105-127 is an accent
+};
+
+// Velocity tolerance presets (±velocity from the written note)
+export const DYNAMICS_TOLERANCES = {
+  loose: { MATCH: 25, CLOSE: 45 },
+  normal: { MATCH: 15, CLOSE: 30 },
+  strict: { MATCH: 8, CLOSE: 18 }
+};
+
+// Bonus points for dynamics judgments (added on top of timing score)
+export const DYNAMICS_SCORES = {
+  MATCH: 20,
+  CLOSE: 10,
+  OFF: 0
+};
+
 // Game configuration (horizontal layout - notes flow right to left)
 export const GAME_CONFIG = {
   BPM: 120,
@@ -54,12 +146,13 @@ export const GAME_CONFIG = {
   HIT_LINE_X: 400,           // X position of the hit line - dynamically set to canvas center
   LOOKAHEAD_TIME: 3000,      // Show notes 3 seconds ahead
   CANVAS_WIDTH: 800,         // Default width - will be dynamic
-  CANVAS_HEIGHT: 360,        // 6 lanes × 60px
+  CANVAS_HEIGHT: 360,        // Default 6 lanes × 60px - grows with visible lanes
   CANVAS_MIN_WIDTH: 400,     // Minimum canvas width
   CANVAS_MAX_WIDTH: 1600,    // Maximum canvas width
   COMBO_MULTIPLIER: 0.1,     // 10% bonus per combo
-  COUNTDOWN_BEATS: 4         // Number of beats to count down (lead-in time calculated from BPM)
+  SCHEDULE_AHEAD: 100,       // Schedule metronome and backing-track sounds this far ahead (ms)
+  COUNTDOWN_BARS: 1          // Default bars to count in - the metronome settings pick 0-2 (beats per bar follow the time signature)
 };
 
-// Get lane count from MIDI_NOTE_MAP
+// Number of pieces in the full kit (see LaneLayout for the visible count)
 export const LANE_COUNT = Object.keys(MIDI_NOTE_MAP).length;
@@ -0,0 +1,151 @@
+// Difficulty levels - timing windows and scoring for a practice session
+
+import { DIFFICULTY_PRESETS } from './constants.js';
+
+export const DEFAULT_DIFFICULTY = 'standard';
+
+// Limits for custom timing windows (ms)
+const MIN_WINDOW = 5;
+const MAX_WINDOW = 500;
+
+/**
+ * List the preset levels in order of strictness, plus the custom level
+ * @returns {Array<{id: string, name: string}>}
+ */
+export function getDifficultyLevels() {
+  return [
+    ...Object.entries(DIFFICULTY_PRESETS).map(([id, preset]) => ({ id, name: preset.name })),
+    { id: 'custom', name: 'Custom' }
+  ];
+}
+
+/**
+ * Make custom windows usable: whole ms, in range, and each wider than the last
+ * @param {Object} windows - { PERFECT, GOOD, OK, MISS } in ms
+ * @returns {Object} Normalized windows
+ */
+export function normalizeWindows(windows) {
+  const defaults = DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY].windows;
+  const normalized = {};
+  let previous = MIN_WINDOW - 1;
+
+  ['PERFECT', 'GOOD', 'OK', 'MISS'].forEach(key => {
+    const value = Math.round(Number(windows && windows[key]));
+    const ms = Number.isFinite(value) ? value : defaults[key];
+    normalized[key] = Math.min(Math.max(ms, previous + 1), MAX_WINDOW);
+    previous = normalized[key];
+  });
+
+  return normalized;
+}
+
+/**
+ * Build the difficulty for a level
+ * Custom uses the Standard scores with the player's own windows.
+ * @param {string} level - Preset ID or 'custom'
+ * @param {Object} customWindows - Windows for the custom level
+ * @returns {{level: string, name: string, windows: Object, scores: Object, comboMultiplier: number}}
+ */
+export function getDifficulty(level, customWindows = null) {
+  if (level === 'custom') {
+    const standard = DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY];
+    return {
+      level,
+      name: 'Custom',
+      windows: normalizeWindows(customWindows || standard.windows),
+      scores: { ...standard.scores },
+      comboMultiplier: standard.comboMultiplier
+    };
+  }
+
+  const id = DIFFICULTY_PRESETS[level] ? level : DEFAULT_DIFFICULTY;
+  const preset = DIFFICULTY_PRESETS[id];
+  return {
+    level: id,
+    name: preset.name,
+    windows: { ...preset.windows },
+    scores: { ...preset.scores },
+    comboMultiplier: preset.comboMultiplier
+  };
+}
+
+/**
+ * Stats key for a difficulty, so history only compares sessions judged the same way
+ * Custom windows are part of the key since any change makes scores incomparable.
+ * @param {Object} difficulty - From getDifficulty
+ * @returns {string} Empty for Standard
+ */
+export function getDifficultyStatsKey(difficulty) {
+  if (difficulty.level === DEFAULT_DIFFICULTY) return '';
+  if (difficulty.level !== 'custom') return difficulty.level;
+  const { PERFECT, GOOD, OK, MISS } = difficulty.windows;
+  return `custom${PERFECT}-${GOOD}-${OK}-${MISS}`;
+}
+
+/**
+ * Chosen difficulty level and custom windows, kept in localStorage
+ */
+export class DifficultySettings {
+  constructor(storageKey = 'groovelab_difficulty') {
+    this.storageKey = storageKey;
+    const stored = this.loadSettings();
+    this.level = stored.level;
+    this.customWindows = stored.customWindows;
+  }
+
+  /**
+   * Load settings from localStorage
+   */
+  loadSettings() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      if (stored) {
+        const data = JSON.parse(stored);
+        return {
+          level: data.level || DEFAULT_DIFFICULTY,
+          customWindows: normalizeWindows(data.customWindows)
+        };
+      }
+    } catch (e) {
+      console.error('Failed to load difficulty settings:', e);
+    }
+    return {
+      level: DEFAULT_DIFFICULTY,
+      customWindows: normalizeWindows(DIFFICULTY_PRESETS[DEFAULT_DIFFICULTY].windows)
+    };
+  }
+
+  /**
+   * Save settings to localStorage
+   */
+  saveSettings() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({
+        level: this.level,
+        customWindows: this.customWindows
+      }));
+    } catch (e) {
+      console.error('Failed to save difficulty settings:', e);
+    }
+  }
+
+  /**
+   * @returns {Object} The chosen difficulty (see getDifficulty)
+   */
+  getDifficulty() {
+    return getDifficulty(this.level, this.customWindows);
+  }
+
+  setLevel(level) {
+    this.level = level === 'custom' || DIFFICULTY_PRESETS[level] ? level : DEFAULT_DIFFICULTY;
+    this.saveSettings();
+  }
+
+  /**
+   * @param {Object} windows - { PERFECT, GOOD, OK, MISS } in ms (missing keys keep their value)
+   */
+  setCustomWindows(windows) {
+    this.customWindows = normalizeWindows({ ...this.customWindows, ...windows });
+    this.saveSettings();
+  }
+}
@@ -0,0 +1,97 @@
+// Fill drill - a random fill for the beat is swapped in every few bars, so getting in and out
+// of fills is practiced without learning their order
+
+export const FILL_DRILL_DEFAULTS = {
+  enabled: false,
+  everyBars: 4      // Phrase length; the fill takes its last bar(s)
+};
+
+export const FILL_DRILL_INTERVALS = [4, 8];
+
+/**
+ * Make fill drill settings usable
+ * @param {Object} options - Partial settings
+ * @returns {Object} Complete settings
+ */
+export function normalizeFillDrill(options = {}) {
+  const merged = { ...FILL_DRILL_DEFAULTS, ...options };
+  const everyBars = Number(merged.everyBars);
+
+  return {
+    enabled: Boolean(merged.enabled),
+    everyBars: FILL_DRILL_INTERVALS.includes(everyBars) ? everyBars : FILL_DRILL_DEFAULTS.everyBars
+  };
+}
+
+/**
+ * Pick a fill at random, avoiding the one just played when there is a choice
+ * @param {Array<{id: string}>} fills - Fills to choose from
+ * @param {string|null} previousId - Fill played last
+ * @param {Function} random - Returns a number in [0, 1)
+ * @returns {Object} The chosen fill
+ */
+export function pickFill(fills, previousId = null, random = Math.random) {
+  const choices = fills.length > 1 ? fills.filter(fill => fill.id !== previousId) : fills;
+  return choices[Math.min(Math.floor(random() * choices.length), choices.length - 1)];
+}
+
+/**
+ * Song sections for a run of drill phrases: the beat up to the fill, then a random fill
+ * A beat longer than the space before the fill is cut short, so fills always land at the end of a phrase.
+ * @param {{id: string, bars: number}} beat - Beat being practiced
+ * @param {Array<{id: string, bars: number}>} fills - Its fills
+ * @param {number} everyBars - Phrase length in bars
+ * @param {number} phrases - Phrases to build
+ * @param {Object} options - { previousFillId, random }
+ * @returns {Array<{patternId: string, repeats: number, range: Object|null, isFill: boolean}>} For createSongPattern
+ */
+export function buildDrillSections(beat, fills, everyBars, phrases, { previousFillId = null, random = Math.random } = {}) {
+  const beatBars = Math.max(beat.bars || 1, 1);
+  const sections = [];
+  let previous = previousFillId;
+
+  for (let phrase = 0; phrase < phrases; phrase++) {
+    const fill = pickFill(fills, previous, random);
+    previous = fill.id;
+
+    const grooveBars = Math.max(everyBars - (fill.bars || 1), 1);
+    const repeats = Math.floor(grooveBars / beatBars);
+    const remainder = grooveBars % beatBars;
+
+    if (repeats > 0) {
+      sections.push({ patternId: beat.id, repeats, range: null, isFill: false });
+    }
+    if (remainder > 0) {
+      sections.push({ patternId: beat.id, repeats: 1, range: { start: 1, end: remainder }, isFill: false });
+    }
+    sections.push({ patternId: fill.id, repeats: 1, range: null, isFill: true });
+  }
+
+  return sections;
+}
+
+/**
+ * Accuracy on the groove and on the fills, kept apart
+ * @param {Array} sectionResults - From getSectionResults
+ * @returns {{groove: Object, fill: Object}} Each { total, hit, accuracy } (accuracy null if nothing was played)
+ */
+export function summarizeFillDrill(sectionResults) {
+  const totals = {
+    groove: { total: 0, hit: 0, accuracy: null },
+    fill: { total: 0, hit: 0, accuracy: null }
+  };
+
+  sectionResults.forEach(section => {
+    const part = section.isFill ? totals.fill : totals.groove;
+    part.total += section.total;
+    part.hit += section.hit;
+  });
+
+  Object.values(totals).forEach(part => {
+    if (part.total > 0) {
+      part.accuracy = Math.round((part.hit / part.total) * 1000) / 10;
+    }
+  });
+
+  return totals;
+}
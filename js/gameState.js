@@ -1,6 +1,7 @@
 // Game state management and game loop
 
 import { GAME_CONFIG, TIMING_WINDOWS } from './constants.js';
+import { getOpeningPulse } from './meter.js';
 
 export class GameState {
   constructor(pattern) {
@@ -13,6 +14,7 @@ export class GameState {
     // Lead-in countdown
     this.isCountingDown = false;
     this.countdownValue = 0;
+    this.countInBars = GAME_CONFIG.COUNTDOWN_BARS;
 
     // Note management
     this.upcomingNotes = [...pattern.notes]; // Notes not yet visible
@@ -21,6 +23,18 @@ export class GameState {
     this.missedNotes = [];                   // Notes that passed without hit
     this.wrongPadHits = [];                  // Wrong pad hits for visual feedback
 
+    // Every pad hit of the run as played (for exporting the take)
+    this.performance = [];
+
+    // Input + output latency (ms): hits arrive this much after they were played
+    this.latencyOffset = 0;
+
+    // How late a note can be hit before it counts as missed (set by the difficulty)
+    this.missWindow = TIMING_WINDOWS.MISS;
+
+    // Clock the game runs on (ms) - the engine points this at the audio clock
+    this.clock = () => performance.now();
+
     // Frame timing
     this.lastFrameTime = 0;
     this.animationFrameId = null;
@@ -38,20 +52,22 @@ export class GameState {
     if (this.isPlaying) return;
 
     // Start with negative time for lead-in countdown
-    // Calculate lead-in time based on BPM to ensure beat alignment
+    // Count in whole bars of the opening meter so the pattern starts on a downbeat
     if (this.currentTime === 0) {
-      const beatDuration = (60 / this.pattern.bpm) * 1000;
-      this.leadInTime = GAME_CONFIG.COUNTDOWN_BEATS * beatDuration;
+      const { beatsPerBar, beatDuration } = getOpeningPulse(this.pattern);
+      this.countInBeatDuration = beatDuration;
+      this.countInBeats = beatsPerBar * this.countInBars;
+      this.leadInTime = this.countInBeats * beatDuration;
       this.currentTime = -this.leadInTime;
       this.isCountingDown = true;
     }
 
-    this.startTime = performance.now() - this.currentTime;
+    this.startTime = this.clock() - this.currentTime;
     this.lastFrameTime = performance.now();
     this.isPlaying = true;
     this.isPaused = false;
 
-    console.log(`Game started with ${GAME_CONFIG.COUNTDOWN_BEATS} beat countdown (${Math.round(this.leadInTime)}ms at ${this.pattern.bpm} BPM)`);
+    console.log(`Game started with ${this.countInBeats} beat countdown (${Math.round(this.leadInTime)}ms at ${this.pattern.bpm} BPM)`);
     this.gameLoop();
   }
 
@@ -77,14 +93,13 @@ export class GameState {
    */
   update(deltaTime) {
     // Update current time
-    this.currentTime = performance.now() - this.startTime;
+    this.currentTime = this.clock() - this.startTime;
 
     // Handle countdown
     if (this.isCountingDown) {
       if (this.currentTime < 0) {
-        // Calculate countdown value (4, 3, 2, 1)
-        const beatDuration = (60 / this.pattern.bpm) * 1000;
-        const beatsRemaining = Math.ceil(-this.currentTime / beatDuration);
+        // Calculate countdown value (e.g. 6, 5, ... 1 in 6/8)
+        const beatsRemaining = Math.ceil(-this.currentTime / this.countInBeatDuration);
 
         if (beatsRemaining !== this.countdownValue) {
           this.countdownValue = beatsRemaining;
@@ -122,6 +137,25 @@ export class GameState {
     }
   }
 
+  /**
+   * Convert a time on the game clock to game time
+   * Used to judge hits at the moment they happened rather than the frame they're handled in.
+   * @param {number} clockTime - Time on this.clock (ms)
+   * @returns {number} Game time in ms (0 = pattern start)
+   */
+  getTimeAt(clockTime) {
+    return clockTime - this.startTime;
+  }
+
+  /**
+   * Convert game time to a time on the game clock (for scheduling sounds)
+   * @param {number} time - Game time in ms
+   * @returns {number} Clock time in ms
+   */
+  getClockTime(time) {
+    return time + this.startTime;
+  }
+
   /**
    * Move notes from upcoming to active when within lookahead window
    */
@@ -142,7 +176,7 @@ export class GameState {
    * Check for notes that passed the hit window without being hit
    */
   checkMissedNotes() {
-    const missThreshold = this.currentTime - TIMING_WINDOWS.MISS;
+    const missThreshold = this.currentTime - this.latencyOffset - this.missWindow;
 
     this.activeNotes = this.activeNotes.filter(note => {
       if (note.time < missThreshold && !note.judged) {
@@ -189,7 +223,9 @@ export class GameState {
       dragging: judgment.isLate || false,
       wrongPad: !judgment.isCorrect,
       missed: false,
-      judgment: judgment.judgment
+      judgment: judgment.judgment,
+      dynamics: judgment.dynamics ? judgment.dynamics.dynamics : null,
+      velocityDiff: judgment.dynamics ? judgment.dynamics.velocityDiff : null
     };
 
     // Move from active to hit
@@ -201,6 +237,22 @@ export class GameState {
     this.hitNotes.push(note);
   }
 
+  /**
+   * Record a pad hit exactly as played, whether or not it matched a note
+   * @param {number} midiNote - Kit piece that was hit
+   * @param {number} velocity - Hit velocity
+   * @param {number} timestamp - Input event timestamp
+   * @param {string|null} hiHatState - Pedal state for hi-hat hits
+   * @param {number} time - Game time of the hit (defaults to the current frame)
+   */
+  recordInput(midiNote, velocity, timestamp, hiHatState = null, time = this.currentTime) {
+    const hit = { time: time - this.latencyOffset, timestamp, midiNote, velocity };
+    if (hiHatState) {
+      hit.hiHatState = hiHatState;
+    }
+    this.performance.push(hit);
+  }
+
   /**
    * Record a wrong pad hit for visual feedback
    * @param {number} midiNote - The MIDI note that was hit
@@ -279,9 +331,12 @@ export class GameState {
       let wrongPadCount = 0;
       let totalTimeDiff = 0;
       let timeDiffCount = 0;
+      const dynamicsCounts = { MATCH: 0, CLOSE: 0, OFF: 0 };
 
       notes.forEach(n => {
         if (n.accuracy) {
+          if (n.accuracy.dynamics) dynamicsCounts[n.accuracy.dynamics]++;
+
           if (n.accuracy.missed) missCount++;
           else if (n.accuracy.wrongPad) wrongPadCount++;
           else {
@@ -336,6 +391,7 @@ export class GameState {
           wrongPad: wrongPadCount >= total / 2,
           missed: missCount >= total / 2,
           judgment: avgJudgment,
+          dynamics: this.getMostCommonDynamics(dynamicsCounts),
           // Extra info for debugging
           loopResults: notes.map(n => n.accuracy?.judgment || 'MISS')
         }
@@ -345,6 +401,23 @@ export class GameState {
     return averagedNotes.sort((a, b) => a.time - b.time);
   }
 
+  /**
+   * Pick the most common dynamics judgment across loops (ties go to the worse one)
+   * @param {Object} counts - MATCH/CLOSE/OFF counts
+   * @returns {string|null} Null if no loop was judged on dynamics
+   */
+  getMostCommonDynamics(counts) {
+    let result = null;
+    let best = 0;
+    ['OFF', 'CLOSE', 'MATCH'].forEach(key => {
+      if (counts[key] > best) {
+        best = counts[key];
+        result = key;
+      }
+    });
+    return result;
+  }
+
   /**
    * Check if the pattern is complete
    */
@@ -414,7 +487,7 @@ export class GameState {
   continueLoop() {
     if (this.isPlaying) return;
 
-    this.startTime = performance.now() - this.currentTime;
+    this.startTime = this.clock() - this.currentTime;
     this.lastFrameTime = performance.now();
     this.isPlaying = true;
     this.isPaused = false;
@@ -447,6 +520,7 @@ export class GameState {
     this.hitNotes = [];
     this.missedNotes = [];
     this.wrongPadHits = [];
+    this.performance = [];
 
     console.log('Game reset');
   }
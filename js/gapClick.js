@@ -0,0 +1,130 @@
+// Gap click - the metronome plays for some bars then drops out, to practice keeping time alone
+
+export const GAP_CLICK_DEFAULTS = {
+  enabled: false,
+  playBars: 2,    // Bars with the click
+  muteBars: 2     // Silent bars that follow
+};
+
+// Average offsets within this many ms of each other count as holding the tempo
+const DRIFT_TOLERANCE = 5;
+
+/**
+ * Make gap click settings usable (whole numbers of bars, at least one of each)
+ * @param {Object} options - Partial settings
+ * @returns {Object} Complete settings
+ */
+export function normalizeGapClick(options = {}) {
+  const merged = { ...GAP_CLICK_DEFAULTS, ...options };
+  const bars = (value, fallback) => {
+    const n = Math.round(Number(value));
+    return Number.isFinite(n) ? Math.min(Math.max(n, 1), 16) : fallback;
+  };
+
+  return {
+    enabled: Boolean(merged.enabled),
+    playBars: bars(merged.playBars, GAP_CLICK_DEFAULTS.playBars),
+    muteBars: bars(merged.muteBars, GAP_CLICK_DEFAULTS.muteBars)
+  };
+}
+
+/**
+ * Which bar of the run a time falls in, counting on through repeated loops
+ * Patterns without bar data are taken as 4/4.
+ * @param {number} time - Game time (ms)
+ * @param {Object} pattern - Pattern from createPattern
+ * @returns {number} Bar number from 0 (negative during the count-in)
+ */
+export function getBarNumber(time, pattern) {
+  const loopDuration = pattern.singlePatternDuration || pattern.duration;
+  const bars = pattern.bars;
+
+  if (time < 0 || !bars || bars.length === 0 || !loopDuration) {
+    const barDuration = (60 / pattern.bpm) * 1000 * 4;
+    return Math.floor(time / barDuration + 1e-9);
+  }
+
+  const loop = Math.floor(time / loopDuration + 1e-9);
+  const withinLoop = time - loop * loopDuration;
+  let barIndex = 0;
+  bars.forEach((bar, i) => {
+    // Small tolerance so a time exactly on a bar line belongs to the new bar
+    if (bar.time <= withinLoop + 1e-6) barIndex = i;
+  });
+  return loop * bars.length + barIndex;
+}
+
+/**
+ * Position of a bar within the gap click cycle
+ * @param {number} bar - Bar number from getBarNumber
+ * @param {Object} settings - Gap click settings
+ * @returns {number} 0 for clicked bars, otherwise 1 for the first silent bar, 2 for the second...
+ */
+export function getSilentBarPosition(bar, settings) {
+  // The count-in always clicks
+  if (!settings.enabled || bar < 0) return 0;
+  const position = bar % (settings.playBars + settings.muteBars);
+  return position < settings.playBars ? 0 : position - settings.playBars + 1;
+}
+
+/**
+ * Whether the click is silent at a time
+ * @param {number} time - Game time (ms)
+ * @param {Object} pattern - Pattern from createPattern
+ * @param {Object} settings - Gap click settings
+ * @returns {boolean}
+ */
+export function isClickSilent(time, pattern, settings) {
+  return getSilentBarPosition(getBarNumber(time, pattern), settings) > 0;
+}
+
+function averageOffset(notes) {
+  if (notes.length === 0) return null;
+  const total = notes.reduce((sum, note) => sum + note.accuracy.timeDiff, 0);
+  return Math.round(total / notes.length * 10) / 10;
+}
+
+/**
+ * Compare timing with and without the click
+ * Offsets are hit minus note time (after latency), so negative is early.
+ * @param {Array} notes - Judged notes (GameState.getAllNotesWithAccuracy)
+ * @param {Object} pattern - Pattern from createPattern
+ * @param {Object} settings - Gap click settings
+ * @returns {Object|null} { clicked, silent, bySilentBar, drift, tendency }, or null without silent-bar hits
+ */
+export function analyzeDrift(notes, pattern, settings) {
+  if (!settings.enabled) return null;
+
+  const hits = notes.filter(note => note.accuracy && !note.accuracy.missed && note.accuracy.timeDiff !== null);
+  const clicked = [];
+  const silentByPosition = Array.from({ length: settings.muteBars }, () => []);
+
+  hits.forEach(note => {
+    const position = getSilentBarPosition(getBarNumber(note.time, pattern), settings);
+    if (position === 0) {
+      clicked.push(note);
+    } else {
+      silentByPosition[position - 1].push(note);
+    }
+  });
+
+  const silent = silentByPosition.flat();
+  if (silent.length === 0) return null;
+
+  const clickedOffset = averageOffset(clicked) ?? 0;
+  const silentOffset = averageOffset(silent);
+  const drift = Math.round((silentOffset - clickedOffset) * 10) / 10;
+
+  let tendency = 'steady';
+  if (drift < -DRIFT_TOLERANCE) tendency = 'rushing';
+  else if (drift > DRIFT_TOLERANCE) tendency = 'dragging';
+
+  return {
+    clicked: { hits: clicked.length, offset: averageOffset(clicked) },
+    silent: { hits: silent.length, offset: silentOffset },
+    // How timing moves through each silent bar (null where nothing was hit)
+    bySilentBar: silentByPosition.map(averageOffset),
+    drift,
+    tendency
+  };
+}
@@ -0,0 +1,193 @@
+// Groove transforms - swing, lane shifts and humanize applied to a pattern's notes
+// (the reverse of quantizing: moving notes off the straight grid on purpose)
+
+import { Quantizer } from './quantizer.js';
+
+export const SWING_GRIDS = ['EIGHTH', 'SIXTEENTH'];
+export const MIN_SWING = 50;               // Straight
+export const MAX_SWING = 75;
+export const MAX_LANE_SHIFT = 60;          // ms either way
+export const MAX_HUMANIZE_TIMING = 30;     // ms either way
+export const MAX_HUMANIZE_VELOCITY = 50;   // Percent either way
+
+export const GROOVE_DEFAULTS = {
+  // Where the second step of each pair falls, as a percentage of the pair
+  swing: { enabled: false, amount: 58, grid: 'SIXTEENTH' },
+  // ms per lane note, positive = later (laid back)
+  laneShift: { enabled: false, shifts: {} },
+  // Random timing (ms) and velocity (%) changes, the same each time for a seed
+  humanize: { enabled: false, timing: 10, velocity: 10, seed: 1 }
+};
+
+// Notes further than this fraction of a step from the swung step are left alone
+const GRID_TOLERANCE = 0.1;
+
+function clamp(value, min, max, fallback) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.min(Math.max(n, min), max) : fallback;
+}
+
+/**
+ * Make groove transform settings usable
+ * @param {Object} options - Partial settings: { swing, laneShift, humanize }, each partial
+ * @returns {Object} Complete settings
+ */
+export function normalizeGrooveTransforms(options = {}) {
+  const swing = { ...GROOVE_DEFAULTS.swing, ...options.swing };
+  const laneShift = { ...GROOVE_DEFAULTS.laneShift, ...options.laneShift };
+  const humanize = { ...GROOVE_DEFAULTS.humanize, ...options.humanize };
+
+  const shifts = {};
+  Object.entries(laneShift.shifts || {}).forEach(([note, ms]) => {
+    const value = clamp(ms, -MAX_LANE_SHIFT, MAX_LANE_SHIFT, 0);
+    if (value !== 0) shifts[note] = value;
+  });
+
+  return {
+    swing: {
+      enabled: Boolean(swing.enabled),
+      amount: clamp(swing.amount, MIN_SWING, MAX_SWING, GROOVE_DEFAULTS.swing.amount),
+      grid: SWING_GRIDS.includes(swing.grid) ? swing.grid : GROOVE_DEFAULTS.swing.grid
+    },
+    laneShift: {
+      enabled: Boolean(laneShift.enabled),
+      shifts
+    },
+    humanize: {
+      enabled: Boolean(humanize.enabled),
+      timing: clamp(humanize.timing, 0, MAX_HUMANIZE_TIMING, GROOVE_DEFAULTS.humanize.timing),
+      velocity: clamp(humanize.velocity, 0, MAX_HUMANIZE_VELOCITY, GROOVE_DEFAULTS.humanize.velocity),
+      seed: clamp(humanize.seed, 1, 9999, GROOVE_DEFAULTS.humanize.seed)
+    }
+  };
+}
+
+/**
+ * Random numbers that come out the same for the same seed (mulberry32)
+ * @param {number} seed - Whole number
+ * @returns {Function} Returns a number in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Delay the second step of each pair of 8ths or 16ths (or of the step sequencer's grid)
+ * @param {Array} notes - Notes with time (ms)
+ * @param {number} bpm - Tempo the notes are at
+ * @param {number} amount - Swing percentage (50 = straight)
+ * @param {string} grid - Key of Quantizer.SUBDIVISIONS with an even number of steps per beat, e.g. 'EIGHTH'
+ * @returns {Array} New notes
+ */
+export function swingNotes(notes, bpm, amount, grid) {
+  const stepDuration = 60000 / bpm / Quantizer.SUBDIVISIONS[grid].notesPerBeat;
+  const offset = ((amount - MIN_SWING) / MIN_SWING) * stepDuration;
+
+  return notes.map(note => {
+    const steps = note.time / stepDuration;
+    const nearest = Math.round(steps);
+    if (nearest % 2 === 0 || Math.abs(steps - nearest) > GRID_TOLERANCE) return note;
+    return { ...note, time: note.time + offset };
+  });
+}
+
+/**
+ * Move whole lanes earlier or later (e.g. a laid-back snare)
+ * @param {Array} notes - Notes with time (ms) and midiNote
+ * @param {Object} shifts - ms per lane note
+ * @returns {Array} New notes
+ */
+export function shiftLanes(notes, shifts) {
+  return notes.map(note => {
+    const shift = shifts[note.midiNote] || 0;
+    return shift ? { ...note, time: Math.max(0, note.time + shift) } : note;
+  });
+}
+
+/**
+ * Nudge each note's timing and velocity by a random amount
+ * @param {Array} notes - Notes with time (ms) and velocity
+ * @param {Object} amounts - { timing (ms), velocity (%) }, the most a note moves either way
+ * @param {Function} random - Returns a number in [0, 1)
+ * @returns {Array} New notes
+ */
+export function humanizeNotes(notes, { timing, velocity }, random) {
+  return notes.map(note => {
+    const timeJitter = (random() * 2 - 1) * timing;
+    const velocityScale = 1 + ((random() * 2 - 1) * velocity) / 100;
+    return {
+      ...note,
+      time: Math.max(0, note.time + timeJitter),
+      velocity: Math.min(Math.max(Math.round(note.velocity * velocityScale), 1), 127)
+    };
+  });
+}
+
+/**
+ * Apply the transforms that are on: swing, then lane shifts, then humanize
+ * Moved notes keep their straight time in originalTime (as Quantizer.quantizeNotes does).
+ * @param {Array} notes - Pattern notes, sorted by time
+ * @param {number} bpm - Tempo the notes are at
+ * @param {Object} transforms - From normalizeGrooveTransforms
+ * @param {number} seedOffset - Added to the humanize seed, so blocks of loops added to a run
+ *   one after another don't all get the same jitter
+ * @returns {Array} New notes sorted by time (the same array if no transform is on)
+ */
+export function applyGrooveTransforms(notes, bpm, transforms, seedOffset = 0) {
+  const { swing, laneShift, humanize } = transforms;
+  if (!isGrooveTransformed(transforms)) return notes;
+
+  let result = notes.map(note => ({ ...note, originalTime: note.originalTime ?? note.time }));
+  if (swing.enabled) {
+    result = swingNotes(result, bpm, swing.amount, swing.grid);
+  }
+  if (laneShift.enabled) {
+    result = shiftLanes(result, laneShift.shifts);
+  }
+  if (humanize.enabled) {
+    result = humanizeNotes(result, humanize, createSeededRandom(humanize.seed + seedOffset));
+  }
+  return result.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * @param {Object} transforms - From normalizeGrooveTransforms
+ * @returns {boolean} True if any transform that moves notes is on
+ */
+export function isGrooveTransformed(transforms) {
+  return getGrooveStatsKey(transforms) !== '';
+}
+
+/**
+ * Stats key for the transforms, so a swung or humanized chart keeps its own history
+ * @param {Object} transforms - From normalizeGrooveTransforms
+ * @returns {string} Empty when the chart is left as it is, e.g. 'sw62s-ls38:20-hu10-10-1'
+ */
+export function getGrooveStatsKey(transforms) {
+  const { swing, laneShift, humanize } = transforms;
+  const parts = [];
+
+  if (swing.enabled && swing.amount > MIN_SWING) {
+    parts.push(`sw${swing.amount}${swing.grid === 'EIGHTH' ? 'e' : 's'}`);
+  }
+
+  const shifts = Object.entries(laneShift.shifts)
+    .sort((a, b) => a[0] - b[0])
+    .map(([note, ms]) => `${note}:${ms}`);
+  if (laneShift.enabled && shifts.length > 0) {
+    parts.push(`ls${shifts.join(',')}`);
+  }
+
+  if (humanize.enabled && (humanize.timing > 0 || humanize.velocity > 0)) {
+    parts.push(`hu${humanize.timing}-${humanize.velocity}-${humanize.seed}`);
+  }
+
+  return parts.join('-');
+}
@@ -0,0 +1,88 @@
+// Hi-hat pedal tracking - classifies hi-hat hits by live CC4 pedal position
+
+import { HIHAT_PEDAL } from './constants.js';
+
+// Hi-hat hand-played pieces (closed and open)
+export const HIHAT_CLOSED = 42;
+export const HIHAT_OPEN = 46;
+
+/**
+ * Classify a CC4 pedal value
+ * @param {number} value - Pedal position 0-127 (0 = open, 127 = closed)
+ * @returns {string} 'closed', 'half' or 'open'
+ */
+export function classifyHiHat(value) {
+  if (value >= HIHAT_PEDAL.CLOSED_MIN) return 'closed';
+  if (value >= HIHAT_PEDAL.HALF_OPEN_MIN) return 'half';
+  return 'open';
+}
+
+/**
+ * Check whether a note is one of the hand-played hi-hat pieces
+ * @param {number} midiNote - Kit piece note
+ */
+export function isHiHatNote(midiNote) {
+  return midiNote === HIHAT_CLOSED || midiNote === HIHAT_OPEN;
+}
+
+export class HiHatPedal {
+  constructor() {
+    // Last CC4 value per device - kits without a pedal controller never appear here
+    this.positions = new Map();
+  }
+
+  /**
+   * Record a pedal position change
+   * @param {string} deviceId - Device that sent the CC
+   * @param {number} value - CC4 value 0-127
+   */
+  update(deviceId, value) {
+    this.positions.set(deviceId, value);
+  }
+
+  /**
+   * Get the last pedal position for a device
+   * @param {string} deviceId - Device ID
+   * @returns {number|null} CC4 value, or null if the device has not sent one
+   */
+  getPosition(deviceId) {
+    return this.positions.has(deviceId) ? this.positions.get(deviceId) : null;
+  }
+
+  /**
+   * Get the pedal state for a device
+   * @param {string} deviceId - Device ID
+   * @returns {string|null} 'closed', 'half', 'open', or null if unknown
+   */
+  getState(deviceId) {
+    const position = this.getPosition(deviceId);
+    return position === null ? null : classifyHiHat(position);
+  }
+
+  /**
+   * Classify a hi-hat pad hit using the pedal position
+   * Kits that report the pedal send one note for the bow regardless of pedal,
+   * so the pedal decides whether the hit was closed or open.
+   * @param {string} deviceId - Device that sent the hit
+   * @param {number} pieceNote - Kit piece note (after mapping)
+   * @returns {{midiNote: number, hiHatState: string|null}} Piece to play/judge and pedal state
+   */
+  classifyHit(deviceId, pieceNote) {
+    const state = isHiHatNote(pieceNote) ? this.getState(deviceId) : null;
+    if (state === null) {
+      return { midiNote: pieceNote, hiHatState: null };
+    }
+
+    return {
+      midiNote: state === 'closed' ? HIHAT_CLOSED : HIHAT_OPEN,
+      hiHatState: state
+    };
+  }
+
+  /**
+   * Forget all pedal positions (e.g. after a device is disconnected)
+   */
+  reset() {
+    this.positions.clear();
+  }
+}
@@ -0,0 +1,228 @@
+// Lane layout - which drum pieces get their own lane on the note highway
+
+import { MIDI_NOTE_MAP, GM_DRUM_MAP, DEFAULT_VISIBLE_LANES } from './constants.js';
+
+/**
+ * Map any General MIDI drum note to the kit piece that plays it
+ * @param {number} midiNote - Incoming MIDI note number
+ * @returns {number|null} Kit piece note, or null if the note is not a drum we know
+ */
+export function toKitPiece(midiNote) {
+  if (MIDI_NOTE_MAP[midiNote]) return midiNote;
+  return GM_DRUM_MAP[midiNote] ?? null;
+}
+
+export class LaneLayout {
+  /**
+   * @param {string} storageKey - localStorage key for the saved layout
+   */
+  constructor(storageKey = 'groovelab_lanes') {
+    this.storageKey = storageKey;
+    this.visibleLanes = this.loadLanes();
+    this.laneInfo = this.buildLaneInfo();
+  }
+
+  /**
+   * Load visible lanes from localStorage
+   * @returns {Set<number>} Visible kit piece notes
+   */
+  loadLanes() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      if (stored) {
+        const notes = JSON.parse(stored).filter(note => MIDI_NOTE_MAP[note]);
+        if (notes.length > 0) {
+          return new Set(notes);
+        }
+      }
+    } catch (e) {
+      console.error('Failed to load lane layout:', e);
+    }
+    return new Set(DEFAULT_VISIBLE_LANES);
+  }
+
+  /**
+   * Save visible lanes to localStorage
+   */
+  saveLanes() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.getVisibleLanes()));
+    } catch (e) {
+      console.error('Failed to save lane layout:', e);
+    }
+  }
+
+  /**
+   * Rebuild the note -> display lane lookup after visibility changes
+   * Display lanes are packed so hidden pieces leave no gaps
+   */
+  buildLaneInfo() {
+    const laneInfo = {};
+    this.getVisiblePieces().forEach((piece, index) => {
+      laneInfo[piece.midiNote] = { name: piece.name, color: piece.color, lane: index };
+    });
+    return laneInfo;
+  }
+
+  /**
+   * Get visible pieces in display order
+   * @returns {Array<{midiNote: number, name: string, color: string}>}
+   */
+  getVisiblePieces() {
+    return Object.entries(MIDI_NOTE_MAP)
+      .filter(([note]) => this.visibleLanes.has(parseInt(note)))
+      .sort(([, a], [, b]) => a.lane - b.lane)
+      .map(([note, info]) => ({ midiNote: parseInt(note), name: info.name, color: info.color }));
+  }
+
+  /**
+   * Get every kit piece with its visibility, in display order (for settings UI)
+   * @returns {Array<{midiNote: number, name: string, visible: boolean}>}
+   */
+  getAllPieces() {
+    return Object.entries(MIDI_NOTE_MAP)
+      .sort(([, a], [, b]) => a.lane - b.lane)
+      .map(([note, info]) => ({
+        midiNote: parseInt(note),
+        name: info.name,
+        visible: this.visibleLanes.has(parseInt(note))
+      }));
+  }
+
+  /**
+   * Get visible kit piece notes in display order
+   * @returns {number[]}
+   */
+  getVisibleLanes() {
+    return this.getVisiblePieces().map(piece => piece.midiNote);
+  }
+
+  /**
+   * Get the number of visible lanes
+   */
+  getLaneCount() {
+    return this.visibleLanes.size;
+  }
+
+  /**
+   * Get display info for a lane note
+   * @param {number} midiNote - Visible kit piece note
+   * @returns {{name: string, color: string, lane: number}|null} Null if the lane is hidden
+   */
+  getLaneInfo(midiNote) {
+    return this.laneInfo[midiNote] || null;
+  }
+
+  /**
+   * Get the kit piece note shown at a display lane index
+   * @param {number} lane - Display lane index
+   * @returns {number|null}
+   */
+  getNoteForLane(lane) {
+    const piece = this.getVisiblePieces()[lane];
+    return piece ? piece.midiNote : null;
+  }
+
+  /**
+   * Check whether a kit piece has its own lane
+   */
+  isVisible(midiNote) {
+    return this.visibleLanes.has(midiNote);
+  }
+
+  /**
+   * Show or hide a kit piece lane
+   * At least one lane always stays visible.
+   * @param {number} midiNote - Kit piece note
+   * @param {boolean} visible - Whether the lane is shown
+   * @returns {boolean} True if the layout changed
+   */
+  setLaneVisible(midiNote, visible) {
+    if (!MIDI_NOTE_MAP[midiNote]) return false;
+    if (visible === this.visibleLanes.has(midiNote)) return false;
+    if (!visible && this.visibleLanes.size <= 1) return false;
+
+    if (visible) {
+      this.visibleLanes.add(midiNote);
+    } else {
+      this.visibleLanes.delete(midiNote);
+    }
+
+    this.laneInfo = this.buildLaneInfo();
+    this.saveLanes();
+    console.log(`Lanes: ${MIDI_NOTE_MAP[midiNote].name} ${visible ? 'shown' : 'hidden'}`);
+    return true;
+  }
+
+  /**
+   * Restore the classic six-lane layout
+   */
+  resetToDefault() {
+    this.visibleLanes = new Set(DEFAULT_VISIBLE_LANES);
+    this.laneInfo = this.buildLaneInfo();
+    this.saveLanes();
+  }
+
+  /**
+   * Resolve an incoming note to the visible lane it is judged and drawn on
+   * Hidden pieces fold onto their fallback piece (e.g. Ride -> HH Closed). When the fallbacks
+   * run in a circle (both toms or both hi-hats hidden) the piece goes to the nearest visible lane.
+   * @param {number} midiNote - Any GM drum note
+   * @returns {number|null} Visible lane note, or null if the note has nowhere to go
+   */
+  resolveNote(midiNote) {
+    const piece = toKitPiece(midiNote);
+    let note = piece;
+    const seen = new Set();
+
+    while (note !== null && !this.visibleLanes.has(note)) {
+      if (seen.has(note)) return this.getNearestVisibleLane(piece);
+      seen.add(note);
+      note = MIDI_NOTE_MAP[note].fallback;
+    }
+
+    return note;
+  }
+
+  /**
+   * Find the visible lane closest to a piece in the full lane order (the upper one on a tie)
+   * @param {number} midiNote - Kit piece note
+   * @returns {number} Visible lane note
+   */
+  getNearestVisibleLane(midiNote) {
+    const lane = MIDI_NOTE_MAP[midiNote].lane;
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    this.getVisibleLanes().forEach(note => {
+      const distance = Math.abs(MIDI_NOTE_MAP[note].lane - lane);
+      if (distance < nearestDistance) {
+        nearest = note;
+        nearestDistance = distance;
+      }
+    });
+
+    return nearest;
+  }
+
+  /**
+   * Check whether the classic six-lane layout is in use
+   */
+  isDefault() {
+    return this.visibleLanes.size === DEFAULT_VISIBLE_LANES.length &&
+      DEFAULT_VISIBLE_LANES.every(note => this.visibleLanes.has(note));
+  }
+
+  /**
+   * Get a stats key suffix for the current layout
+   * Charts differ when pieces fold together, so custom layouts get their own history.
+   * @returns {string} Empty for the default layout
+   */
+  getStatsKey() {
+    if (this.isDefault()) return '';
+    return `lanes${[...this.visibleLanes].sort((a, b) => a - b).join('-')}`;
+  }
+}
+
+// Export singleton instance
+export const laneLayout = new LaneLayout();
@@ -0,0 +1,217 @@
+// Latency calibration - measures and stores input and output delays
+//
+// Input offset: time from striking a pad (or key) to the hit reaching the game,
+// stored per MIDI device. Output offset: time from the game playing a sound to
+// the player hearing it, stored per audio output. Hits are judged, and notes
+// drawn, as if both delays were zero.
+
+// Settings for the calibration taps
+export const CALIBRATION = {
+  INTERVAL: 600,     // ms between clicks (100 BPM)
+  LEAD_IN: 4,        // Clicks to settle into the pulse before taps count
+  CLICKS: 12,        // Clicks whose taps are measured
+  MIN_TAPS: 6,       // Fewest usable taps for a result
+  MAX_OFFSET: 250    // Largest offset accepted (ms)
+};
+
+/**
+ * Work out how late taps were against the clicks they followed
+ * Each tap is paired with its nearest click; taps more than half an interval
+ * away are ignored, and the result is the mean of taps near the median so one
+ * stray tap doesn't skew it.
+ * @param {number[]} clickTimes - When each click was played (ms)
+ * @param {number[]} tapTimes - When each tap arrived (ms)
+ * @param {number} interval - ms between clicks
+ * @returns {{offset: number, spread: number, taps: number}|null} Result, or null with too few taps
+ */
+export function computeTapOffset(clickTimes, tapTimes, interval = CALIBRATION.INTERVAL) {
+  if (clickTimes.length === 0) return null;
+
+  const diffs = [];
+  const used = new Set();
+  tapTimes.forEach(tap => {
+    let nearest = 0;
+    clickTimes.forEach((click, i) => {
+      if (Math.abs(tap - click) < Math.abs(tap - clickTimes[nearest])) nearest = i;
+    });
+    const diff = tap - clickTimes[nearest];
+    // One tap per click - a double tap shouldn't count twice
+    if (Math.abs(diff) < interval / 2 && !used.has(nearest)) {
+      used.add(nearest);
+      diffs.push(diff);
+    }
+  });
+
+  if (diffs.length < CALIBRATION.MIN_TAPS) return null;
+
+  const sorted = [...diffs].sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+  const close = diffs.filter(diff => Math.abs(diff - median) <= 40);
+  if (close.length < CALIBRATION.MIN_TAPS) return null;
+
+  const offset = close.reduce((sum, diff) => sum + diff, 0) / close.length;
+  const variance = close.reduce((sum, diff) => sum + (diff - offset) ** 2, 0) / close.length;
+
+  return {
+    offset: Math.round(offset),
+    spread: Math.round(Math.sqrt(variance)),
+    taps: close.length
+  };
+}
+
+/**
+ * Combine the two calibration passes into input and output offsets
+ * Tapping to flashes measures the input delay alone; tapping to clicks
+ * measures input plus output.
+ * @param {Object} visualResult - computeTapOffset result for the flash pass
+ * @param {Object} audioResult - computeTapOffset result for the click pass
+ * @returns {{input: number, output: number}}
+ */
+export function resolveOffsets(visualResult, audioResult) {
+  const clamp = value => Math.min(Math.max(value, 0), CALIBRATION.MAX_OFFSET);
+  const input = clamp(visualResult.offset);
+  const output = clamp(audioResult.offset - input);
+  return { input, output };
+}
+
+/**
+ * One pass of calibration clicks (heard or seen) with the taps made against them
+ */
+export class CalibrationSession {
+  /**
+   * @param {string} mode - 'audio' (tap to clicks) or 'visual' (tap to flashes)
+   */
+  constructor(mode) {
+    this.mode = mode;
+    this.clickTimes = [];
+    this.tapTimes = [];
+    this.clickCount = 0;
+    this.nextClickTime = 0;
+    this.isRunning = false;
+    this.timer = null;
+
+    // Callbacks
+    this.onClick = null;     // (clickNumber, isLeadIn) - play or show the click
+    this.onComplete = null;  // (result) - computeTapOffset result or null
+  }
+
+  get totalClicks() {
+    return CALIBRATION.LEAD_IN + CALIBRATION.CLICKS;
+  }
+
+  start(now = performance.now()) {
+    this.clickTimes = [];
+    this.tapTimes = [];
+    this.clickCount = 0;
+    this.nextClickTime = now + CALIBRATION.INTERVAL;
+    this.isRunning = true;
+
+    // A short timer keeps clicks within a few ms; the actual time is what gets recorded
+    this.timer = setInterval(() => this.tick(performance.now()), 4);
+  }
+
+  /**
+   * Fire the next click when it's due, and finish after the last one
+   * @param {number} now - Current time (ms)
+   */
+  tick(now) {
+    if (!this.isRunning) return;
+
+    if (this.clickCount < this.totalClicks && now >= this.nextClickTime) {
+      const isLeadIn = this.clickCount < CALIBRATION.LEAD_IN;
+      if (this.onClick) this.onClick(this.clickCount + 1, isLeadIn);
+      if (!isLeadIn) this.clickTimes.push(now);
+
+      this.clickCount++;
+      this.nextClickTime += CALIBRATION.INTERVAL;
+    } else if (this.clickCount >= this.totalClicks && now >= this.nextClickTime - CALIBRATION.INTERVAL / 2) {
+      // Half an interval after the last click, so a late final tap still counts
+      this.stop();
+      if (this.onComplete) this.onComplete(this.getResult());
+    }
+  }
+
+  /**
+   * Record a tap (ignored during the lead-in)
+   * @param {number} time - Tap timestamp (ms)
+   */
+  recordTap(time) {
+    if (!this.isRunning || this.clickTimes.length === 0) return;
+    this.tapTimes.push(time);
+  }
+
+  getResult() {
+    return computeTapOffset(this.clickTimes, this.tapTimes);
+  }
+
+  stop() {
+    this.isRunning = false;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+/**
+ * Stored offsets, per MIDI input device and per audio output
+ */
+export class LatencySettings {
+  constructor() {
+    this.storageKey = 'groovelab_latency';
+    this.data = this.loadSettings();
+  }
+
+  /**
+   * Load offsets from localStorage
+   */
+  loadSettings() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      if (stored) {
+        const data = JSON.parse(stored);
+        return { inputs: data.inputs || {}, outputs: data.outputs || {} };
+      }
+    } catch (e) {
+      console.error('Failed to load latency settings:', e);
+    }
+    return { inputs: {}, outputs: {} };
+  }
+
+  /**
+   * Save offsets to localStorage
+   */
+  saveSettings() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+    } catch (e) {
+      console.error('Failed to save latency settings:', e);
+    }
+  }
+
+  /**
+   * @param {string} deviceId - MIDI device ID, 'all' or 'keyboard'
+   * @returns {number} Input offset in ms
+   */
+  getInputOffset(deviceId) {
+    return this.data.inputs[deviceId] || 0;
+  }
+
+  /**
+   * @param {string} outputId - Audio output ID ('default' for the system output)
+   * @returns {number} Output offset in ms
+   */
+  getOutputOffset(outputId) {
+    return this.data.outputs[outputId] || 0;
+  }
+
+  setInputOffset(deviceId, ms) {
+    this.data.inputs[deviceId] = Math.round(ms);
+    this.saveSettings();
+  }
+
+  setOutputOffset(outputId, ms) {
+    this.data.outputs[outputId] = Math.round(ms);
+    this.saveSettings();
+  }
+}
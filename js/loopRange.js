@@ -0,0 +1,72 @@
+// Loop range - practice a run of bars from a pattern, set with A/B markers on the preview
+
+/**
+ * Keep a bar range inside the pattern
+ * @param {{start: number, end: number}|null} range - Bars to keep (1-based, inclusive)
+ * @param {number} barCount - Bars in the pattern
+ * @returns {{start: number, end: number}|null} Range, or null when it covers the whole pattern
+ */
+export function normalizeLoopRange(range, barCount) {
+  if (!range || !(barCount > 0)) return null;
+
+  const start = Math.min(Math.max(1, Math.round(range.start) || 1), barCount);
+  const end = Math.min(Math.max(start, Math.round(range.end) || barCount), barCount);
+  if (start === 1 && end === barCount) return null;
+  return { start, end };
+}
+
+/**
+ * Where a range starts and ends within one loop
+ * @param {Array<{time: number}>} bars - Pattern bars
+ * @param {number} loopDuration - Length of one loop (ms)
+ * @param {{start: number, end: number}} range - From normalizeLoopRange
+ * @returns {{startTime: number, endTime: number}}
+ */
+export function getRangeTimes(bars, loopDuration, range) {
+  return {
+    startTime: bars[range.start - 1].time,
+    endTime: range.end < bars.length ? bars[range.end].time : loopDuration
+  };
+}
+
+/**
+ * Bar line nearest to a time
+ * @param {number} time - Time within one loop (ms)
+ * @param {Array<{time: number}>} bars - Pattern bars
+ * @param {number} loopDuration - Length of one loop (ms)
+ * @returns {number} 0 for the start of bar 1 up to bars.length for the end of the last bar
+ */
+export function getNearestBarLine(time, bars, loopDuration) {
+  const lines = [...bars.map(bar => bar.time), loopDuration];
+  let nearest = 0;
+  lines.forEach((lineTime, i) => {
+    if (Math.abs(lineTime - time) < Math.abs(lines[nearest] - time)) nearest = i;
+  });
+  return nearest;
+}
+
+/**
+ * Move the A (start) or B (end) marker to a bar line
+ * The range always keeps at least one bar.
+ * @param {{start: number, end: number}|null} range - Current range (null = whole pattern)
+ * @param {string} marker - 'start' or 'end'
+ * @param {number} barLine - From getNearestBarLine
+ * @param {number} barCount - Bars in the pattern
+ * @returns {{start: number, end: number}} The moved range (whole pattern included)
+ */
+export function moveRangeMarker(range, marker, barLine, barCount) {
+  const current = range || { start: 1, end: barCount };
+  if (marker === 'start') {
+    return { start: Math.min(Math.max(barLine + 1, 1), current.end), end: current.end };
+  }
+  return { start: current.start, end: Math.max(Math.min(barLine, barCount), current.start) };
+}
+
+/**
+ * Stats key for a range, so each section keeps its own history
+ * @param {{start: number, end: number}|null} range - From normalizeLoopRange
+ * @returns {string} Empty for the whole pattern
+ */
+export function getLoopRangeStatsKey(range) {
+  return range ? `bars${range.start}-${range.end}` : '';
+}
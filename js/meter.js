@@ -0,0 +1,82 @@
+// Meter helpers - time signatures, beat grouping and metronome accents
+
+/**
+ * Parse a time signature from the manifest ("7/8") or an array ([7, 8])
+ * @param {string|number[]} value - Time signature
+ * @returns {number[]|null} [numerator, denominator], or null if invalid
+ */
+export function parseTimeSignature(value) {
+  const parts = Array.isArray(value) ? value : String(value || '').split('/');
+  if (parts.length !== 2) return null;
+
+  const numerator = parseInt(parts[0]);
+  const denominator = parseInt(parts[1]);
+  const isPowerOfTwo = denominator > 0 && (denominator & (denominator - 1)) === 0;
+  if (!(numerator > 0) || !isPowerOfTwo) return null;
+
+  return [numerator, denominator];
+}
+
+/**
+ * Split a bar into pulse groups (in beats)
+ * Simple meters pulse on every beat. Compound meters (6/8, 9/8, 12/8) group
+ * eighths in threes; other eighth-note meters use twos with a three at the
+ * end (5/8 = 2+3, 7/8 = 2+2+3).
+ * @param {number} numerator - Beats per bar
+ * @param {number} denominator - Beat unit
+ * @returns {number[]} Group sizes summing to the numerator
+ */
+export function getBeatGroups(numerator, denominator) {
+  if (denominator < 8 || numerator <= 3) {
+    return Array(numerator).fill(1);
+  }
+  if (numerator % 3 === 0) {
+    return Array(numerator / 3).fill(3);
+  }
+  if (numerator % 2 === 0) {
+    return Array(numerator / 2).fill(2);
+  }
+  return [...Array((numerator - 3) / 2).fill(2), 3];
+}
+
+/**
+ * Get accent level for each beat of a bar
+ * @param {number} numerator - Beats per bar
+ * @param {number} denominator - Beat unit
+ * @param {number[]|null} groups - Custom grouping (e.g. [3, 2, 2] for 7/8); ignored if it doesn't fit the bar
+ * @returns {number[]} 2 = downbeat, 1 = start of a pulse group, 0 = other beats
+ */
+export function getAccentLevels(numerator, denominator, groups = null) {
+  const fits = Array.isArray(groups) && groups.reduce((sum, size) => sum + size, 0) === numerator;
+  const grouping = fits ? groups : getBeatGroups(numerator, denominator);
+
+  const levels = Array(numerator).fill(0);
+  let position = 0;
+  grouping.forEach(size => {
+    if (size > 1) levels[position] = 1;
+    position += size;
+  });
+  levels[0] = 2;
+
+  return levels;
+}
+
+/**
+ * Get the opening bar's pulse of a pattern (used for the count-in)
+ * @param {Object} pattern - Pattern from createPattern
+ * @returns {{beatsPerBar: number, beatDuration: number}}
+ */
+export function getOpeningPulse(pattern) {
+  const bars = pattern.bars;
+  if (!bars || bars.length === 0) {
+    return { beatsPerBar: 4, beatDuration: (60 / pattern.bpm) * 1000 };
+  }
+
+  const firstBar = bars[0];
+  if (firstBar.beats.length > 1) {
+    return { beatsPerBar: firstBar.beats.length, beatDuration: firstBar.beats[1] - firstBar.beats[0] };
+  }
+
+  const nextStart = bars[1] ? bars[1].time : pattern.singlePatternDuration;
+  return { beatsPerBar: 1, beatDuration: nextStart - firstBar.beats[0] };
+}
@@ -1,5 +1,14 @@
 // Visual metronome for beat indication
 
+import { getAccentLevels, getOpeningPulse } from './meter.js';
+import { ACCENT_OFF } from './metronomeSettings.js';
+
+// Times this close together are the same click (ms)
+const TIME_EPSILON = 1e-6;
+
+// Visual pulse colors by accent level (normal, group start, downbeat)
+const PULSE_COLORS = ['#00d4aa', '#ffcc00', '#ff4466'];
+
 export class Metronome {
   constructor(bpm, canvasElement) {
     this.bpm = bpm;
@@ -8,41 +17,240 @@ export class Metronome {
     this.ctx = canvasElement.getContext('2d');
 
     this.currentBeat = 0;
+    this.currentBar = 0;
+
+    // Bar layout of one pattern loop (from createPattern); null = steady 4/4
+    this.bars = null;
+    this.barAccents = null;
+    this.loopDuration = 0;
+    this.openingPulse = null;
+
+    // Click settings (see setClick)
+    this.clicksPerBeat = 1;
+    this.accents = null;
+    this.visualPulse = false;
+  }
+
+  /**
+   * Choose how the click plays
+   * @param {Object} options
+   * @param {number} [options.clicksPerBeat] - 1 for beats only, 2 for 8ths, 3 for triplets, 4 for 16ths
+   * @param {number[]|null} [options.accents] - Accent level per beat, cycled through each bar (null follows the meter)
+   * @param {boolean} [options.visualPulse] - Draw the beats on the canvas
+   */
+  setClick({ clicksPerBeat = this.clicksPerBeat, accents = this.accents, visualPulse = this.visualPulse } = {}) {
+    this.clicksPerBeat = clicksPerBeat;
+    this.accents = accents;
+    this.visualPulse = visualPulse;
+  }
+
+  /**
+   * Accent of a beat: the player's pattern if there is one, otherwise the meter's
+   * @param {number} beatIndex - Beat within the bar (from 0)
+   * @param {number[]} meterAccents - The bar's accents from its time signature
+   * @returns {number} Accent level (ACCENT_OFF for a silent beat)
+   */
+  getAccent(beatIndex, meterAccents) {
+    if (this.accents) {
+      return this.accents[beatIndex % this.accents.length];
+    }
+    return meterAccents[beatIndex] ?? 0;
+  }
+
+  /**
+   * @returns {number[]} Accents of the opening bar's beats from its time signature
+   */
+  getMeterAccents() {
+    return this.bars ? this.barAccents[0] : [2, 0, 0, 0];
+  }
+
+  /**
+   * Follow a pattern's bars and beats (time signature and tempo changes)
+   * @param {Object} pattern - Pattern from createPattern
+   */
+  setPattern(pattern) {
+    const hasBars = pattern && pattern.bars && pattern.bars.length > 0 && pattern.singlePatternDuration > 0;
+    this.bars = hasBars ? pattern.bars : null;
+    this.loopDuration = hasBars ? pattern.singlePatternDuration : 0;
+    this.barAccents = hasBars
+      ? pattern.bars.map(bar => getAccentLevels(bar.numerator, bar.denominator, pattern.beatGroups))
+      : null;
+    this.openingPulse = hasBars ? getOpeningPulse(pattern) : null;
+    this.currentBar = 0;
+    if (pattern && pattern.bpm) {
+      this.setBPM(pattern.bpm);
+    }
+  }
+
+  /**
+   * @returns {number[]} Accents in use for the opening bar's beats
+   */
+  getBarAccents() {
+    const meterAccents = this.getMeterAccents();
+    return meterAccents.map((_, i) => this.getAccent(i, meterAccents));
   }
 
   /**
    * Update metronome state based on current time
    * @param {number} currentTime - Current game time in ms
-   * @returns {Object} Beat info { beatNumber, phase }
+   * @returns {Object} Beat info { beatNumber, phase, beatsInBar, accent }
    */
   update(currentTime) {
+    if (this.bars && currentTime >= 0) {
+      return this.updateFromBars(currentTime);
+    }
+
+    // Before the pattern starts (countdown) beats continue at the opening bar's pulse
+    const beatsPerBar = this.bars ? this.openingPulse.beatsPerBar : 4;
+    const beatDuration = this.bars ? this.openingPulse.beatDuration : this.beatDuration;
+
     // Calculate which beat we're on, handling negative times (countdown)
-    const beatNumber = Math.floor(currentTime / this.beatDuration);
+    const beatNumber = Math.floor(currentTime / beatDuration);
 
     // Proper modulo that handles negative numbers correctly
     // JavaScript's % operator doesn't work correctly with negatives for cycling
-    let beatInBar = ((beatNumber % 4) + 4) % 4;  // Always 0-3
-    this.currentBeat = beatInBar + 1; // 1-4 for 4/4 time
+    let beatInBar = ((beatNumber % beatsPerBar) + beatsPerBar) % beatsPerBar;
+    this.currentBeat = beatInBar + 1; // 1-based beat within the bar
+    this.currentBar = 0;
 
     // Calculate beat phase (0-1), handling negative times
-    let beatPhase = (currentTime % this.beatDuration) / this.beatDuration;
+    let beatPhase = (currentTime % beatDuration) / beatDuration;
     if (beatPhase < 0) beatPhase += 1;  // Normalize negative phase
 
     return {
       beatNumber: this.currentBeat,
-      phase: beatPhase
+      phase: beatPhase,
+      beatsInBar: beatsPerBar,
+      accent: this.getAccent(beatInBar, this.getMeterAccents())
+    };
+  }
+
+  /**
+   * Find the beat at a time inside the pattern's bar layout
+   * Beats can be unevenly spaced when the pattern changes tempo.
+   * @param {number} currentTime - Game time in ms (>= 0)
+   */
+  updateFromBars(currentTime) {
+    const position = currentTime % this.loopDuration;
+
+    let barIndex = 0;
+    while (barIndex + 1 < this.bars.length && this.bars[barIndex + 1].time <= position) {
+      barIndex++;
+    }
+    const bar = this.bars[barIndex];
+
+    let beatIndex = 0;
+    while (beatIndex + 1 < bar.beats.length && bar.beats[beatIndex + 1] <= position) {
+      beatIndex++;
+    }
+
+    const beatStart = bar.beats[beatIndex];
+    const nextBar = this.bars[barIndex + 1];
+    const beatEnd = beatIndex + 1 < bar.beats.length
+      ? bar.beats[beatIndex + 1]
+      : (nextBar ? nextBar.time : this.loopDuration);
+
+    this.currentBeat = beatIndex + 1;
+    this.currentBar = barIndex;
+
+    return {
+      beatNumber: this.currentBeat,
+      phase: beatEnd > beatStart ? (position - beatStart) / (beatEnd - beatStart) : 0,
+      beatsInBar: bar.beats.length,
+      accent: this.getAccent(beatIndex, this.barAccents[barIndex])
     };
   }
 
+  /**
+   * List the clicks in a stretch of game time (for scheduling clicks ahead)
+   * Each beat is split into clicksPerBeat evenly spaced clicks; silenced beats keep their subdivisions.
+   * @param {number} startTime - From this game time (inclusive, ms)
+   * @param {number} endTime - To this game time (exclusive, ms)
+   * @returns {Array<{time: number, beatNumber: number, accent: number, tick: number, ticks: number}>}
+   *   Clicks in time order; tick is the click within its beat (0 on the beat) out of ticks
+   */
+  getBeatsBetween(startTime, endTime) {
+    const beats = [];
+
+    // Add a beat's clicks that fall in [from, until)
+    const addBeat = (time, duration, beatIndex, accent, from, until) => {
+      for (let tick = 0; tick < this.clicksPerBeat; tick++) {
+        if (tick === 0 && accent === ACCENT_OFF) continue;
+        const clickTime = time + (duration * tick) / this.clicksPerBeat;
+        if (clickTime >= from - TIME_EPSILON && clickTime < until - TIME_EPSILON) {
+          beats.push({
+            time: clickTime,
+            beatNumber: beatIndex + 1,
+            accent: tick === 0 ? accent : 0,
+            tick,
+            ticks: this.clicksPerBeat
+          });
+        }
+      }
+    };
+
+    // The countdown (and patterns without bars) run on a steady pulse
+    const pulseEnd = this.bars ? Math.min(endTime, 0) : endTime;
+    if (startTime < pulseEnd) {
+      const beatsPerBar = this.bars ? this.openingPulse.beatsPerBar : 4;
+      const beatDuration = this.bars ? this.openingPulse.beatDuration : this.beatDuration;
+      const meterAccents = this.getMeterAccents();
+
+      // Start from the beat that contains startTime, so its later subdivisions are included
+      for (let n = Math.floor(startTime / beatDuration + TIME_EPSILON); n * beatDuration < pulseEnd; n++) {
+        const beatInBar = ((n % beatsPerBar) + beatsPerBar) % beatsPerBar;
+        addBeat(n * beatDuration, beatDuration, beatInBar, this.getAccent(beatInBar, meterAccents), startTime, pulseEnd);
+      }
+    }
+
+    if (this.bars && endTime > 0) {
+      const from = Math.max(startTime, 0);
+      for (let loop = Math.floor(from / this.loopDuration); loop * this.loopDuration < endTime; loop++) {
+        const offset = loop * this.loopDuration;
+        this.bars.forEach((bar, barIndex) => {
+          const nextBar = this.bars[barIndex + 1];
+          const barEnd = nextBar ? nextBar.time : this.loopDuration;
+          bar.beats.forEach((beat, beatIndex) => {
+            const beatEnd = beatIndex + 1 < bar.beats.length ? bar.beats[beatIndex + 1] : barEnd;
+            if (offset + beatEnd <= from || offset + beat >= endTime) return;
+            const accent = this.getAccent(beatIndex, this.barAccents[barIndex]);
+            addBeat(offset + beat, beatEnd - beat, beatIndex, accent, from, endTime);
+          });
+        });
+      }
+    }
+
+    return beats;
+  }
+
   /**
    * Render metronome visualization
-   * Visual beat indicator has been removed - metronome is audio-only now
+   * With the visual pulse on, a dot per beat of the bar lights up on the beat and fades.
    * @param {Object} beatInfo - Beat information from update()
    */
   render(beatInfo) {
-    // Visual metronome removed - audio-only mode
-    // Canvas is hidden via CSS, but clear it just in case
-    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    const { width, height } = this.canvas;
+    this.ctx.clearRect(0, 0, width, height);
+    if (!this.visualPulse) return;
+
+    const meterAccents = this.bars ? this.barAccents[this.currentBar] : this.getMeterAccents();
+    const beatsInBar = beatInfo.beatsInBar || meterAccents.length;
+    const spacing = width / beatsInBar;
+    const radius = Math.min(spacing, height) * 0.3;
+
+    for (let i = 0; i < beatsInBar; i++) {
+      const accent = this.getAccent(i, meterAccents);
+      const isCurrent = i + 1 === beatInfo.beatNumber;
+      // The current beat flashes and fades over its length
+      const glow = isCurrent ? 1 - (beatInfo.phase || 0) : 0;
+
+      this.ctx.beginPath();
+      this.ctx.arc(spacing * (i + 0.5), height / 2, radius * (1 + glow * 0.3), 0, Math.PI * 2);
+      this.ctx.fillStyle = accent === ACCENT_OFF ? '#333' : PULSE_COLORS[accent] || PULSE_COLORS[0];
+      this.ctx.globalAlpha = 0.25 + glow * 0.75;
+      this.ctx.fill();
+    }
+    this.ctx.globalAlpha = 1;
   }
 
   /**
@@ -59,5 +267,6 @@ export class Metronome {
    */
   reset() {
     this.currentBeat = 0;
+    this.currentBar = 0;
   }
 }
@@ -0,0 +1,136 @@
+// Metronome settings - subdivisions, accents, click sound, count-in and the visual pulse
+
+import { GAME_CONFIG } from './constants.js';
+
+// Clicks per beat for each subdivision
+export const CLICK_SUBDIVISIONS = {
+  quarter: 1,
+  eighth: 2,
+  sixteenth: 4,
+  triplet: 3
+};
+
+export const CLICK_SOUNDS = ['beep', 'woodblock', 'cowbell', 'voice'];
+
+export const COUNT_IN_OPTIONS = [0, 1, 2];
+
+// Accent levels, from a silent beat to the downbeat (the meter's levels are 0-2)
+export const ACCENT_OFF = -1;
+export const ACCENT_STRONG = 2;
+
+// Longest accent pattern (beats)
+export const MAX_ACCENT_BEATS = 16;
+
+export const METRONOME_DEFAULTS = {
+  subdivision: 'quarter',
+  sound: 'beep',
+  accents: null,          // Accent level per beat, cycled through each bar; null follows the meter
+  countInBars: GAME_CONFIG.COUNTDOWN_BARS,
+  visualPulse: false
+};
+
+/**
+ * Keep an accent pattern usable
+ * @param {Array} accents - Accent level per beat
+ * @returns {number[]|null} Levels from ACCENT_OFF to ACCENT_STRONG, or null to follow the meter
+ */
+export function normalizeAccents(accents) {
+  if (!Array.isArray(accents) || accents.length === 0) return null;
+  return accents.slice(0, MAX_ACCENT_BEATS).map(level => {
+    const n = Math.round(Number(level));
+    return Number.isFinite(n) ? Math.min(Math.max(n, ACCENT_OFF), ACCENT_STRONG) : 0;
+  });
+}
+
+/**
+ * Make metronome settings usable (unknown choices fall back to the defaults)
+ * @param {Object} options - Partial settings
+ * @returns {Object} Complete settings
+ */
+export function normalizeMetronomeSettings(options = {}) {
+  const merged = { ...METRONOME_DEFAULTS, ...options };
+  const countInBars = Number(merged.countInBars);
+
+  return {
+    subdivision: merged.subdivision in CLICK_SUBDIVISIONS ? merged.subdivision : METRONOME_DEFAULTS.subdivision,
+    sound: CLICK_SOUNDS.includes(merged.sound) ? merged.sound : METRONOME_DEFAULTS.sound,
+    accents: normalizeAccents(merged.accents),
+    countInBars: COUNT_IN_OPTIONS.includes(countInBars) ? countInBars : METRONOME_DEFAULTS.countInBars,
+    visualPulse: Boolean(merged.visualPulse)
+  };
+}
+
+/**
+ * The next level when a beat's accent is clicked: strong, medium, normal, off, then strong again
+ * @param {number} level - Current accent level
+ * @returns {number}
+ */
+export function nextAccentLevel(level) {
+  return level <= ACCENT_OFF ? ACCENT_STRONG : level - 1;
+}
+
+/**
+ * Metronome settings kept in localStorage
+ */
+export class MetronomeSettings {
+  constructor(storageKey = 'groovelab_metronome') {
+    this.storageKey = storageKey;
+    this.settings = this.loadSettings();
+  }
+
+  /**
+   * Load settings from localStorage
+   * @returns {Object} Settings (see METRONOME_DEFAULTS)
+   */
+  loadSettings() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      if (stored) {
+        return normalizeMetronomeSettings(JSON.parse(stored));
+      }
+    } catch (e) {
+      console.error('Failed to load metronome settings:', e);
+    }
+    return normalizeMetronomeSettings();
+  }
+
+  /**
+   * Save settings to localStorage
+   */
+  saveSettings() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+    } catch (e) {
+      console.error('Failed to save metronome settings:', e);
+    }
+  }
+
+  /**
+   * @returns {Object} Settings (see METRONOME_DEFAULTS)
+   */
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * @param {Object} options - Any of the METRONOME_DEFAULTS keys
+   */
+  setSettings(options) {
+    this.settings = normalizeMetronomeSettings({ ...this.settings, ...options });
+    this.saveSettings();
+  }
+
+  /**
+   * @returns {number} Clicks per beat
+   */
+  get clicksPerBeat() {
+    return CLICK_SUBDIVISIONS[this.settings.subdivision];
+  }
+
+  /**
+   * @returns {number} Bars counted in before the pattern starts
+   */
+  get countInBars() {
+    return this.settings.countInBars;
+  }
+}
@@ -9,6 +9,7 @@ export class MidiHandler {
     this.selectedDeviceId = null; // Currently selected device ID (null = all)
     this.selectedOutputId = null; // Selected output device for pad lights
     this.onNoteCallback = null;
+    this.onControlChangeCallback = null;
     this.onDeviceChangeCallback = null;
 
     // Pad light state tracking
@@ -141,6 +142,15 @@ export class MidiHandler {
     const command = status >> 4;
     const channel = status & 0xf;
 
+    // Control change (command = 11) - e.g. hi-hat pedal position on CC4
+    if (command === 11) {
+      if (this.onControlChangeCallback) {
+        // For CC messages the data bytes are controller number and value
+        this.onControlChangeCallback(note, velocity, event.timeStamp || performance.now(), deviceId);
+      }
+      return;
+    }
+
     // We only care about note on events (command = 9)
     // Note: Some devices send note on with velocity 0 instead of note off
     if (command === 9 && velocity > 0) {
@@ -148,21 +158,29 @@ export class MidiHandler {
 
       console.log(`MIDI Note: ${note}, Velocity: ${velocity}, Device: ${deviceId}`);
 
-      // Call registered callback
+      // Call registered callback (device ID lets the app apply per-device mappings)
       if (this.onNoteCallback) {
-        this.onNoteCallback(note, velocity, timestamp);
+        this.onNoteCallback(note, velocity, timestamp, deviceId);
       }
     }
   }
 
   /**
    * Register a callback for note events
-   * @param {Function} callback - Function(midiNote, velocity, timestamp)
+   * @param {Function} callback - Function(midiNote, velocity, timestamp, deviceId)
    */
   registerNoteCallback(callback) {
     this.onNoteCallback = callback;
   }
 
+  /**
+   * Register a callback for control change events
+   * @param {Function} callback - Function(controller, value, timestamp, deviceId)
+   */
+  registerControlChangeCallback(callback) {
+    this.onControlChangeCallback = callback;
+  }
+
   /**
    * Register a callback for device connection changes
    * @param {Function} callback - Function(devices)
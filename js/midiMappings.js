@@ -0,0 +1,319 @@
+// MIDI input mapping profiles - per-device note remapping for electronic kits
+
+import { MIDI_NOTE_MAP } from './constants.js';
+
+// Built-in profiles for common kits and pad controllers
+// map: incoming note -> kit piece note (see MIDI_NOTE_MAP). Notes not listed
+// fall through to the General MIDI drum map.
+// match: substrings of the Web MIDI port name used to pick a profile on connect
+export const BUILTIN_PROFILES = {
+  'general-midi': {
+    name: 'General MIDI',
+    match: [],
+    map: {}
+  },
+  'roland-td17': {
+    name: 'Roland TD-17',
+    match: ['TD-17', 'TD-07', 'TD-27'],
+    map: {
+      40: 40,  // Snare rim
+      37: 40,  // Cross stick
+      48: 48,  // Tom 1 head
+      50: 48,  // Tom 1 rim
+      45: 50,  // Tom 2 head
+      47: 50,  // Tom 2 rim
+      43: 43,  // Tom 3 head
+      58: 43,  // Tom 3 rim
+      26: 46,  // Hi-hat open edge
+      22: 42,  // Hi-hat closed edge
+      55: 49,  // Crash 1 edge
+      52: 49,  // Crash 2 edge
+      57: 49,  // Crash 2 bow
+      59: 51,  // Ride edge
+      53: 51   // Ride bell
+    }
+  },
+  'alesis-nitro': {
+    name: 'Alesis Nitro',
+    match: ['Nitro', 'Alesis'],
+    map: {
+      40: 40,  // Snare rim
+      48: 48,  // Tom 1
+      45: 50,  // Tom 2
+      43: 43,  // Tom 3
+      26: 46,  // Hi-hat open edge (Nitro Max)
+      22: 42,  // Hi-hat closed edge (Nitro Max)
+      55: 49,  // Crash edge
+      53: 51   // Ride bell
+    }
+  },
+  'akai-mpd218': {
+    name: 'Akai MPD-218',
+    match: ['MPD218', 'MPD-218'],
+    map: {
+      82: 42,  // Shaker pad -> HH Closed
+      39: 38   // Clap pad -> Snare
+    }
+  }
+};
+
+export class MidiMappingManager {
+  constructor() {
+    this.storageKey = 'groovelab_midi_mappings';
+    this.data = this.loadMappings();
+
+    // Learn mode: the next pad hit from a device is assigned to this kit piece
+    this.learnTarget = null;
+
+    // Callback for UI updates
+    this.onMappingUpdate = null;
+  }
+
+  /**
+   * Load user profiles and device assignments from localStorage
+   */
+  loadMappings() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      if (stored) {
+        const data = JSON.parse(stored);
+        return { profiles: data.profiles || {}, devices: data.devices || {} };
+      }
+    } catch (e) {
+      console.error('Failed to load MIDI mappings:', e);
+    }
+    return { profiles: {}, devices: {} };
+  }
+
+  /**
+   * Save user profiles and device assignments to localStorage
+   */
+  saveMappings() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+    } catch (e) {
+      console.error('Failed to save MIDI mappings:', e);
+    }
+  }
+
+  /**
+   * Get all profiles (built-in first, then user profiles)
+   * @returns {Array<{id: string, name: string, builtin: boolean}>}
+   */
+  getProfiles() {
+    const builtin = Object.entries(BUILTIN_PROFILES).map(([id, profile]) => ({
+      id,
+      name: profile.name,
+      builtin: true
+    }));
+    const user = Object.entries(this.data.profiles).map(([id, profile]) => ({
+      id,
+      name: profile.name,
+      builtin: false
+    }));
+    return [...builtin, ...user];
+  }
+
+  /**
+   * Get a profile by ID
+   * @param {string} profileId - Profile ID
+   * @returns {Object|null} Profile with name and map
+   */
+  getProfile(profileId) {
+    return BUILTIN_PROFILES[profileId] || this.data.profiles[profileId] || null;
+  }
+
+  /**
+   * Get the profile ID assigned to a device
+   * @param {string} deviceId - Device ID from MidiHandler.getAvailableDevices
+   * @returns {string} Profile ID (General MIDI if none assigned)
+   */
+  getDeviceProfileId(deviceId) {
+    const profileId = this.data.devices[deviceId];
+    return this.getProfile(profileId) ? profileId : 'general-midi';
+  }
+
+  /**
+   * Assign a profile to a device
+   * @param {string} deviceId - Device ID
+   * @param {string} profileId - Profile ID
+   */
+  setDeviceProfile(deviceId, profileId) {
+    if (!deviceId || !this.getProfile(profileId)) return;
+    this.data.devices[deviceId] = profileId;
+    this.saveMappings();
+    console.log(`MIDI mapping: ${deviceId} -> ${this.getProfile(profileId).name}`);
+    this.notifyUpdate();
+  }
+
+  /**
+   * Pick a profile for newly connected devices based on their port name
+   * Devices that already have an assignment are left alone.
+   * @param {Array} devices - Devices from MidiHandler.getAllDevices
+   */
+  autoAssignDevices(devices) {
+    let changed = false;
+
+    devices.forEach(device => {
+      if (this.data.devices[device.id]) return;
+
+      const name = `${device.manufacturer || ''} ${device.name || ''}`;
+      const match = Object.entries(BUILTIN_PROFILES).find(([, profile]) =>
+        profile.match.some(pattern => name.toLowerCase().includes(pattern.toLowerCase()))
+      );
+
+      if (match) {
+        this.data.devices[device.id] = match[0];
+        changed = true;
+        console.log(`MIDI mapping: auto-selected ${match[1].name} for ${device.name}`);
+      }
+    });
+
+    if (changed) {
+      this.saveMappings();
+      this.notifyUpdate();
+    }
+  }
+
+  /**
+   * Translate an incoming note using the device's profile
+   * @param {string} deviceId - Device that sent the note
+   * @param {number} midiNote - Incoming MIDI note
+   * @returns {number} Kit piece note, or the original note for GM fall-through
+   */
+  mapNote(deviceId, midiNote) {
+    if (!deviceId) return midiNote;
+    const profile = this.getProfile(this.getDeviceProfileId(deviceId));
+    return profile.map[midiNote] ?? midiNote;
+  }
+
+  /**
+   * Start learn mode - the next pad hit is assigned to the given kit piece
+   * @param {number} pieceNote - Kit piece note from MIDI_NOTE_MAP
+   */
+  startLearn(pieceNote) {
+    if (!MIDI_NOTE_MAP[pieceNote]) return;
+    this.learnTarget = pieceNote;
+    this.notifyUpdate();
+  }
+
+  /**
+   * Cancel learn mode
+   */
+  cancelLearn() {
+    this.learnTarget = null;
+    this.notifyUpdate();
+  }
+
+  /**
+   * Check whether learn mode is waiting for a pad hit
+   */
+  isLearning() {
+    return this.learnTarget !== null;
+  }
+
+  /**
+   * Assign an incoming note to the learn target in the device's profile
+   * Built-in profiles are copied to a user profile before being edited.
+   * @param {string} deviceId - Device that sent the note
+   * @param {number} midiNote - Incoming MIDI note
+   * @returns {boolean} True if the note was consumed by learn mode
+   */
+  learnNote(deviceId, midiNote) {
+    if (!this.isLearning() || !deviceId) return false;
+
+    const profileId = this.getEditableProfileId(deviceId);
+    this.data.profiles[profileId].map[midiNote] = this.learnTarget;
+    console.log(`MIDI mapping: note ${midiNote} -> ${MIDI_NOTE_MAP[this.learnTarget].name}`);
+
+    this.learnTarget = null;
+    this.saveMappings();
+    this.notifyUpdate();
+    return true;
+  }
+
+  /**
+   * Get a user profile for the device, copying its built-in profile if needed
+   * @param {string} deviceId - Device ID
+   * @returns {string} User profile ID
+   */
+  getEditableProfileId(deviceId) {
+    const currentId = this.getDeviceProfileId(deviceId);
+    if (this.data.profiles[currentId]) return currentId;
+
+    const source = BUILTIN_PROFILES[currentId];
+    const profileId = `user-${Date.now()}`;
+    this.data.profiles[profileId] = {
+      name: `${source.name} (custom)`,
+      map: { ...source.map }
+    };
+    this.data.devices[deviceId] = profileId;
+    return profileId;
+  }
+
+  /**
+   * Remove a note assignment from a user profile
+   * @param {string} profileId - User profile ID
+   * @param {number} midiNote - Incoming MIDI note
+   */
+  clearAssignment(profileId, midiNote) {
+    const profile = this.data.profiles[profileId];
+    if (!profile) return;
+    delete profile.map[midiNote];
+    this.saveMappings();
+    this.notifyUpdate();
+  }
+
+  /**
+   * Rename a user profile
+   * @param {string} profileId - User profile ID
+   * @param {string} name - New name
+   */
+  renameProfile(profileId, name) {
+    const profile = this.data.profiles[profileId];
+    if (!profile || !name) return;
+    profile.name = name;
+    this.saveMappings();
+    this.notifyUpdate();
+  }
+
+  /**
+   * Delete a user profile; devices using it fall back to General MIDI
+   * @param {string} profileId - User profile ID
+   */
+  deleteProfile(profileId) {
+    if (!this.data.profiles[profileId]) return;
+    delete this.data.profiles[profileId];
+    for (const [deviceId, assigned] of Object.entries(this.data.devices)) {
+      if (assigned === profileId) delete this.data.devices[deviceId];
+    }
+    this.saveMappings();
+    this.notifyUpdate();
+  }
+
+  /**
+   * Get the note assignments of a profile for display
+   * @param {string} profileId - Profile ID
+   * @returns {Array<{midiNote: number, pieceNote: number, pieceName: string}>}
+   */
+  getAssignments(profileId) {
+    const profile = this.getProfile(profileId);
+    if (!profile) return [];
+    return Object.entries(profile.map)
+      .map(([note, piece]) => ({
+        midiNote: parseInt(note),
+        pieceNote: piece,
+        pieceName: MIDI_NOTE_MAP[piece] ? MIDI_NOTE_MAP[piece].name : `MIDI ${piece}`
+      }))
+      .sort((a, b) => a.midiNote - b.midiNote);
+  }
+
+  /**
+   * Notify listeners that mappings changed
+   */
+  notifyUpdate() {
+    if (this.onMappingUpdate) {
+      this.onMappingUpdate();
+    }
+  }
+}
@@ -1,17 +1,70 @@
 // MIDI file parser for drum patterns
 
+import { toKitPiece } from './laneLayout.js';
+import { HIHAT_PEDAL } from './constants.js';
+import { classifyHiHat, isHiHatNote, HIHAT_CLOSED, HIHAT_OPEN } from './hiHatPedal.js';
+
+// MIDI default tempo when a file has no tempo event (120 BPM)
+const DEFAULT_TEMPO = 500000;
+
+// General MIDI percussion channel (1-based, as shown on devices and in DAWs)
+export const GM_DRUM_CHANNEL = 10;
+
+/**
+ * Pick the track and channel most likely to hold the drums
+ * Channel 10 wins if any of its notes map onto kit pieces; otherwise the
+ * channel with the most notes that do.
+ * @param {Array} tracks - Track report from MidiParser.parse
+ * @returns {{track: number, channel: number}|null} Source, or null if nothing maps to the kit
+ */
+export function findDrumSource(tracks) {
+  let best = null;
+  for (const track of tracks) {
+    for (const ch of track.channels) {
+      if (ch.drumNoteCount === 0) continue;
+      const isDrumChannel = ch.channel === GM_DRUM_CHANNEL;
+      const better = !best ||
+        (isDrumChannel && !best.isDrumChannel) ||
+        (isDrumChannel === best.isDrumChannel && ch.drumNoteCount > best.drumNoteCount);
+      if (better) {
+        best = { track: track.index, channel: ch.channel, isDrumChannel, drumNoteCount: ch.drumNoteCount };
+      }
+    }
+  }
+  return best ? { track: best.track, channel: best.channel } : null;
+}
+
 export class MidiParser {
   constructor() {
     this.ticksPerQuarter = 480;
-    this.tempo = 500000; // microseconds per quarter (default 120 BPM)
+    this.tempo = DEFAULT_TEMPO; // microseconds per quarter at the start of the file
+    this.resetTimeline();
+  }
+
+  /**
+   * Clear tempo and time signature state before parsing a new file
+   */
+  resetTimeline() {
+    this.tempoEvents = [];          // { tick, tempo } from every track
+    this.timeSignatureEvents = [];  // { tick, numerator, denominator } from every track
+    this.tracks = [];               // { index, name, noteCount, channels } per track
+    this.tempoMap = [{ tick: 0, time: 0, tempo: DEFAULT_TEMPO, bpm: 60000000 / DEFAULT_TEMPO }];
   }
 
   /**
    * Parse a MIDI file ArrayBuffer
    * @param {ArrayBuffer} buffer - MIDI file data
+   * @param {Object} options - Parse options
+   * @param {number[]} options.timeSignature - [numerator, denominator] to use instead of the file's (e.g. from the manifest)
+   * @param {number} options.track - Only keep notes from this track index
+   * @param {number} options.channel - Only keep notes on this channel (1-16)
+   * @param {{start: number, end: number}} options.barRange - Only keep these bars (1-based, inclusive);
+   *   the result starts at bar `start` as if it were the start of the file
+   * @param {number} options.barCount - Lay out at least this many bars, for files that end in empty bars
+   *   (e.g. from the step editor)
    * @returns {Object} Parsed pattern data with notes array
    */
-  async parse(buffer) {
+  async parse(buffer, options = {}) {
     const data = new DataView(buffer);
     let offset = 0;
 
@@ -31,6 +84,8 @@ export class MidiParser {
     this.ticksPerQuarter = data.getUint16(offset + 4);
     offset += headerLength;
 
+    this.resetTimeline();
+
     console.log(`MIDI format: ${format}, tracks: ${numTracks}, PPQ: ${this.ticksPerQuarter}`);
 
     // Parse all tracks and collect notes
@@ -49,26 +104,97 @@ export class MidiParser {
       offset += 4;
 
       // Parse track events
-      const trackNotes = this.parseTrack(data, offset, trackLength);
+      const trackNotes = this.parseTrack(data, offset, trackLength, track);
       allNotes = allNotes.concat(trackNotes);
 
       // Move to next track
       offset += trackLength;
     }
 
-    // Sort all notes by time
-    allNotes.sort((a, b) => a.time - b.time);
+    if (options.timeSignature) {
+      const [numerator, denominator] = options.timeSignature;
+      this.timeSignatureEvents = [{ tick: 0, numerator, denominator }];
+    }
+
+    // Full-song files carry melodic parts whose notes overlap the kit range
+    if (options.track !== undefined && options.track !== null) {
+      allNotes = allNotes.filter(note => note.track === options.track);
+    }
+    if (options.channel !== undefined && options.channel !== null) {
+      allNotes = allNotes.filter(note => note.channel === options.channel);
+    }
+    allNotes.sort((a, b) => a.tick - b.tick);
+
+    // Tempo events can live on any track (format 1 files keep them on track 0),
+    // so note times are only known once every track has been read
+    this.buildTempoMap();
+
+    let lastTick = allNotes.length > 0 ? allNotes[allNotes.length - 1].tick : 0;
+    let { bars, endTick } = this.buildBars(lastTick);
+    const sourceBars = bars.length;
+
+    if (options.barRange) {
+      const start = Math.min(Math.max(1, options.barRange.start), sourceBars);
+      const end = Math.min(Math.max(start, options.barRange.end), sourceBars);
+      const startTick = bars[start - 1].tick;
+      const rangeEndTick = end < sourceBars ? bars[end].tick : endTick;
+
+      allNotes = allNotes
+        .filter(note => note.tick >= startTick && note.tick < rangeEndTick)
+        .map(note => ({ ...note, tick: note.tick - startTick }));
+      this.rebaseTimeline(startTick);
+      this.buildTempoMap();
+
+      // Keep trailing empty bars - the range is the loop, not just its notes
+      lastTick = rangeEndTick - startTick - 1;
+      ({ bars, endTick } = this.buildBars(lastTick));
+    }
 
+    while (options.barCount && bars.length < options.barCount) {
+      lastTick = endTick;
+      ({ bars, endTick } = this.buildBars(lastTick));
+    }
+
+    allNotes.forEach(note => {
+      note.time = this.ticksToMs(note.tick);
+    });
+
+    this.tempo = this.tempoMap[0].tempo;
     const bpm = Math.round(60000000 / this.tempo);
 
     return {
       ticksPerQuarter: this.ticksPerQuarter,
       tempo: this.tempo,
       bpm: bpm,
+      tempoMap: this.tempoMap.map(segment => ({ ...segment })),
+      timeSignature: [bars[0].numerator, bars[0].denominator],
+      timeSignatures: this.getTimeSignatures().map(sig => ({ ...sig, time: this.ticksToMs(sig.tick) })),
+      bars: bars,
+      duration: this.ticksToMs(endTick),
+      sourceBars: sourceBars,
+      tracks: this.tracks,
       notes: allNotes
     };
   }
 
+  /**
+   * Move the start of the tempo and time signature timeline to a tick
+   * The tempo and meter in effect there carry over to the new tick 0.
+   * @param {number} startTick - Tick that becomes 0
+   */
+  rebaseTimeline(startTick) {
+    const rebase = (events) => {
+      const sorted = [...events].sort((a, b) => a.tick - b.tick);
+      const before = sorted.filter(event => event.tick <= startTick);
+      const after = sorted.filter(event => event.tick > startTick);
+      const current = before.length > 0 ? [{ ...before[before.length - 1], tick: 0 }] : [];
+      return current.concat(after.map(event => ({ ...event, tick: event.tick - startTick })));
+    };
+
+    this.tempoEvents = rebase(this.tempoEvents);
+    this.timeSignatureEvents = rebase(this.timeSignatureEvents);
+  }
+
   /**
    * Read a string from the buffer
    */
@@ -102,12 +228,17 @@ export class MidiParser {
 
   /**
    * Parse a MIDI track and extract note events
+   * Also records the track's name and per-channel note counts in this.tracks.
+   * @param {number} trackIndex - Position of the track in the file
    */
-  parseTrack(data, offset, length) {
+  parseTrack(data, offset, length, trackIndex = 0) {
     const notes = [];
+    const trackInfo = { index: trackIndex, name: '', noteCount: 0, channels: [] };
+    const channelCounts = new Map(); // channel (1-16) -> { channel, noteCount, drumNoteCount }
     const endOffset = offset + length;
     let currentTick = 0;
     let runningStatus = 0;
+    const pedalPositions = {}; // Last hi-hat pedal CC per channel
 
     while (offset < endOffset) {
       // Read delta time
@@ -141,27 +272,51 @@ export class MidiParser {
 
         // Only record note-on events with velocity > 0 (note-on with vel=0 is note-off)
         if (command === 0x9 && velocity > 0) {
-          // Convert tick time to milliseconds
-          const timeMs = this.ticksToMs(currentTick);
-
           // Remap MIDI notes to match our game's expected notes
-          const mappedNote = this.remapNote(note);
+          let mappedNote = this.remapNote(note);
+
+          if (!channelCounts.has(channel + 1)) {
+            channelCounts.set(channel + 1, { channel: channel + 1, noteCount: 0, drumNoteCount: 0 });
+          }
+          const counts = channelCounts.get(channel + 1);
+          counts.noteCount++;
+          if (mappedNote !== null) counts.drumNoteCount++;
+          let hiHatState = null;
+
+          // Files recorded from e-kits carry the pedal position as CC4
+          if (isHiHatNote(mappedNote) && pedalPositions[channel] !== undefined) {
+            hiHatState = classifyHiHat(pedalPositions[channel]);
+            mappedNote = hiHatState === 'closed' ? HIHAT_CLOSED : HIHAT_OPEN;
+          }
 
           if (mappedNote !== null) {
-            notes.push({
-              time: timeMs,
+            const parsedNote = {
+              tick: currentTick,
+              time: 0,  // Filled in from the tempo map once all tracks are read
               midiNote: mappedNote,
               velocity: velocity,
-              originalNote: note
-            });
+              originalNote: note,
+              track: trackIndex,
+              channel: channel + 1
+            };
+            if (hiHatState) {
+              parsedNote.hiHatState = hiHatState;
+            }
+            notes.push(parsedNote);
           }
         }
       } else if (command === 0xA) {
         // Polyphonic aftertouch
         offset += 2;
       } else if (command === 0xB) {
-        // Control change
+        // Control change - only the hi-hat pedal position is used
+        const controller = data.getUint8(offset);
+        const value = data.getUint8(offset + 1);
         offset += 2;
+
+        if (controller === HIHAT_PEDAL.CONTROLLER) {
+          pedalPositions[channel] = value;
+        }
       } else if (command === 0xC) {
         // Program change
         offset += 1;
@@ -179,12 +334,24 @@ export class MidiParser {
         const { value: metaLength, bytesRead: metaLenBytes } = this.readVariableLength(data, offset);
         offset += metaLenBytes;
 
-        if (metaType === 0x51 && metaLength === 3) {
+        if (metaType === 0x03 && !trackInfo.name) {
+          // Track name
+          trackInfo.name = this.readString(data, offset, metaLength).trim();
+        } else if (metaType === 0x51 && metaLength === 3) {
           // Tempo change - 3 bytes of microseconds per quarter note
-          this.tempo = (data.getUint8(offset) << 16) |
-                       (data.getUint8(offset + 1) << 8) |
-                       data.getUint8(offset + 2);
-          console.log(`Tempo: ${this.tempo} us/quarter = ${Math.round(60000000 / this.tempo)} BPM`);
+          const tempo = (data.getUint8(offset) << 16) |
+                        (data.getUint8(offset + 1) << 8) |
+                        data.getUint8(offset + 2);
+          this.tempoEvents.push({ tick: currentTick, tempo });
+          console.log(`Tempo at tick ${currentTick}: ${tempo} us/quarter = ${Math.round(60000000 / tempo)} BPM`);
+        } else if (metaType === 0x58 && metaLength >= 2) {
+          // Time signature - numerator, denominator as a power of two (then clocks/32nds, ignored)
+          const numerator = data.getUint8(offset);
+          const denominator = Math.pow(2, data.getUint8(offset + 1));
+          if (numerator > 0) {
+            this.timeSignatureEvents.push({ tick: currentTick, numerator, denominator });
+            console.log(`Time signature at tick ${currentTick}: ${numerator}/${denominator}`);
+          }
         }
 
         offset += metaLength;
@@ -195,8 +362,12 @@ export class MidiParser {
       }
     }
 
-    // Sort notes by time
-    notes.sort((a, b) => a.time - b.time);
+    // Sort notes by position
+    notes.sort((a, b) => a.tick - b.tick);
+
+    trackInfo.channels = Array.from(channelCounts.values()).sort((a, b) => a.channel - b.channel);
+    trackInfo.noteCount = trackInfo.channels.reduce((sum, ch) => sum + ch.noteCount, 0);
+    this.tracks.push(trackInfo);
 
     console.log(`Parsed ${notes.length} drum notes from MIDI file`);
 
@@ -204,38 +375,154 @@ export class MidiParser {
   }
 
   /**
-   * Convert MIDI ticks to milliseconds
+   * Build the tempo map from collected tempo events
+   * Each segment records where it starts in ticks and ms, so any tick can be
+   * converted by walking from the start of its segment.
    */
-  ticksToMs(ticks) {
+  buildTempoMap() {
+    const events = [...this.tempoEvents].sort((a, b) => a.tick - b.tick);
+    const map = [{ tick: 0, time: 0, tempo: DEFAULT_TEMPO }];
+
+    events.forEach(event => {
+      const last = map[map.length - 1];
+      if (event.tick === last.tick) {
+        // Later event at the same position wins
+        last.tempo = event.tempo;
+        return;
+      }
+      map.push({
+        tick: event.tick,
+        time: last.time + this.ticksToMsAtTempo(event.tick - last.tick, last.tempo),
+        tempo: event.tempo
+      });
+    });
+
+    map.forEach(segment => {
+      segment.bpm = 60000000 / segment.tempo;
+    });
+
+    this.tempoMap = map;
+  }
+
+  /**
+   * Get the tempo segment containing a tick
+   * @param {number} ticks - Position in ticks
+   * @returns {Object} Tempo map segment
+   */
+  getTempoSegment(ticks) {
+    let segment = this.tempoMap[0];
+    for (const candidate of this.tempoMap) {
+      if (candidate.tick > ticks) break;
+      segment = candidate;
+    }
+    return segment;
+  }
+
+  /**
+   * Convert a tick span to milliseconds at a fixed tempo
+   */
+  ticksToMsAtTempo(ticks, tempo) {
     // microseconds per quarter / 1000 = ms per quarter
     // ms per tick = (ms per quarter) / ticksPerQuarter
-    const msPerQuarter = this.tempo / 1000;
-    return (ticks / this.ticksPerQuarter) * msPerQuarter;
+    return (ticks / this.ticksPerQuarter) * (tempo / 1000);
   }
 
   /**
-   * Remap MIDI drum notes to game's expected notes
-   * The Funky Drummer MIDI file uses different note numbers
+   * Convert MIDI ticks to milliseconds using the tempo map
    */
-  remapNote(midiNote) {
-    const noteMap = {
-      // Standard GM drum mappings
-      35: 36,  // Acoustic Bass Drum -> Kick
-      36: 36,  // Bass Drum 1 -> Kick
-      37: 38,  // Side Stick -> Snare
-      38: 38,  // Acoustic Snare -> Snare
-      40: 38,  // Electric Snare -> Snare
-      42: 42,  // Closed Hi-Hat -> HH Closed
-      44: 42,  // Pedal Hi-Hat -> HH Closed
-      46: 46,  // Open Hi-Hat -> HH Open
-      41: 48,  // Low Floor Tom -> Tom 1
-      43: 48,  // High Floor Tom -> Tom 1
-      45: 48,  // Low Tom -> Tom 1
-      47: 50,  // Low-Mid Tom -> Tom 2
-      48: 50,  // Hi-Mid Tom -> Tom 2
-      50: 50,  // High Tom -> Tom 2
-    };
+  ticksToMs(ticks) {
+    const segment = this.getTempoSegment(ticks);
+    return segment.time + this.ticksToMsAtTempo(ticks - segment.tick, segment.tempo);
+  }
+
+  /**
+   * Convert milliseconds to MIDI ticks using the tempo map
+   */
+  msToTicks(ms) {
+    let segment = this.tempoMap[0];
+    for (const candidate of this.tempoMap) {
+      if (candidate.time > ms) break;
+      segment = candidate;
+    }
+    return segment.tick + ((ms - segment.time) * 1000 / segment.tempo) * this.ticksPerQuarter;
+  }
+
+  /**
+   * Get time signature changes in order, starting with one at tick 0
+   * Files without a 0x58 event are 4/4.
+   * @returns {Array<{tick: number, numerator: number, denominator: number}>}
+   */
+  getTimeSignatures() {
+    const events = [...this.timeSignatureEvents].sort((a, b) => a.tick - b.tick);
+    const signatures = [];
+
+    events.forEach(event => {
+      const last = signatures[signatures.length - 1];
+      if (last && last.tick === event.tick) {
+        signatures[signatures.length - 1] = event;
+      } else {
+        signatures.push(event);
+      }
+    });
 
-    return noteMap[midiNote] || null;
+    if (signatures.length === 0 || signatures[0].tick > 0) {
+      signatures.unshift({ tick: 0, numerator: 4, denominator: 4 });
+    }
+
+    return signatures;
+  }
+
+  /**
+   * Lay out bars and beats from the time signatures and tempo map
+   * Bars run from tick 0 through the bar containing the last note. A beat is
+   * one denominator note (a quarter in 4/4, an eighth in 6/8).
+   * @param {number} lastTick - Tick of the last note
+   * @returns {{bars: Array<{tick: number, time: number, numerator: number, denominator: number, beats: number[]}>, endTick: number}}
+   */
+  buildBars(lastTick) {
+    const signatures = this.getTimeSignatures();
+    const bars = [];
+    let tick = 0;
+    let sigIndex = 0;
+
+    do {
+      while (sigIndex + 1 < signatures.length && signatures[sigIndex + 1].tick <= tick) {
+        sigIndex++;
+      }
+      const sig = signatures[sigIndex];
+      const beatTicks = this.ticksPerQuarter * 4 / sig.denominator;
+      let barTicks = beatTicks * sig.numerator;
+
+      // A time signature change in the middle of a bar starts a new bar there
+      const next = signatures[sigIndex + 1];
+      if (next && next.tick < tick + barTicks) {
+        barTicks = next.tick - tick;
+      }
+
+      const beats = [];
+      for (let beat = tick; beat < tick + barTicks; beat += beatTicks) {
+        beats.push(this.ticksToMs(beat));
+      }
+
+      bars.push({
+        tick,
+        time: this.ticksToMs(tick),
+        numerator: sig.numerator,
+        denominator: sig.denominator,
+        beats
+      });
+
+      tick += barTicks;
+    } while (tick <= lastTick);
+
+    return { bars, endTick: tick };
+  }
+
+  /**
+   * Remap MIDI drum notes to the game's kit pieces
+   * Uses the full General MIDI drum map (see GM_DRUM_MAP in constants.js)
+   */
+  remapNote(midiNote) {
+    return toKitPiece(midiNote);
   }
 }
@@ -0,0 +1,277 @@
+// MIDI file writer - exports patterns and recorded performances as Standard MIDI Files
+
+// GM percussion channel (channel 10, 0-based)
+const DRUM_CHANNEL = 9;
+
+/**
+ * Encode a number as a MIDI variable-length quantity
+ * @param {number} value - Non-negative integer
+ * @returns {number[]} Bytes
+ */
+function encodeVariableLength(value) {
+  const bytes = [value & 0x7F];
+  value = Math.floor(value / 128);
+  while (value > 0) {
+    bytes.unshift((value & 0x7F) | 0x80);
+    value = Math.floor(value / 128);
+  }
+  return bytes;
+}
+
+/**
+ * Encode text as bytes (non-ASCII characters become '?')
+ */
+function encodeText(text) {
+  return Array.from(text, c => (c.charCodeAt(0) < 128 ? c.charCodeAt(0) : 0x3F));
+}
+
+export class MidiWriter {
+  constructor(ticksPerQuarter = 480) {
+    this.ticksPerQuarter = ticksPerQuarter;
+    this.noteLength = ticksPerQuarter / 8; // 32nd note - drums ignore note-off timing
+  }
+
+  /**
+   * Write a format 1 Standard MIDI File
+   * Track 0 holds tempo and time signatures; each entry in `tracks` becomes
+   * a drum track on channel 10.
+   * @param {Object} song - Song to write
+   * @param {string} song.name - Sequence name
+   * @param {Array<{tick: number, time: number, tempo: number}>} song.tempoMap - Tempo segments (tempo in microseconds per quarter)
+   * @param {Array<{tick: number, numerator: number, denominator: number}>} song.timeSignatures - Meter changes
+   * @param {Array<{name: string, notes: Array<{time: number, midiNote: number, velocity: number}>}>} song.tracks - Note tracks (times in ms)
+   * @returns {ArrayBuffer} MIDI file data
+   */
+  write(song) {
+    const conductor = [
+      { tick: 0, bytes: this.textEvent(0x03, song.name) },
+      ...song.timeSignatures.map(sig => ({ tick: sig.tick, bytes: this.timeSignatureEvent(sig) })),
+      ...song.tempoMap.map(segment => ({ tick: segment.tick, bytes: this.tempoEvent(segment.tempo) }))
+    ];
+
+    const tracks = [conductor, ...song.tracks.map(track => this.noteTrack(track, song.tempoMap))];
+
+    const bytes = [
+      0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6,
+      0, 1,
+      (tracks.length >> 8) & 0xFF, tracks.length & 0xFF,
+      (this.ticksPerQuarter >> 8) & 0xFF, this.ticksPerQuarter & 0xFF
+    ];
+
+    tracks.forEach(events => {
+      const track = this.encodeTrack(events);
+      bytes.push(
+        0x4D, 0x54, 0x72, 0x6B,
+        (track.length >> 24) & 0xFF, (track.length >> 16) & 0xFF, (track.length >> 8) & 0xFF, track.length & 0xFF
+      );
+      // push(...track) can overflow the stack on long performances
+      track.forEach(byte => bytes.push(byte));
+    });
+
+    return new Uint8Array(bytes).buffer;
+  }
+
+  /**
+   * Build note-on/off events for a drum track
+   */
+  noteTrack(track, tempoMap) {
+    const events = [{ tick: 0, bytes: this.textEvent(0x03, track.name) }];
+
+    track.notes.forEach(note => {
+      if (note.time < 0) return;
+      const tick = Math.round(this.msToTicks(note.time, tempoMap));
+      const velocity = Math.min(127, Math.max(1, Math.round(note.velocity ?? 100)));
+      events.push(
+        { tick, bytes: [0x90 | DRUM_CHANNEL, note.midiNote, velocity] },
+        { tick: tick + this.noteLength, bytes: [0x80 | DRUM_CHANNEL, note.midiNote, 0], isOff: true }
+      );
+    });
+
+    return events;
+  }
+
+  /**
+   * Encode events as track data with delta times and an end-of-track event
+   * @param {Array<{tick: number, bytes: number[], isOff?: boolean}>} events
+   * @returns {number[]} Track bytes
+   */
+  encodeTrack(events) {
+    // Note-offs first at equal ticks so a repeated note isn't cut short
+    const sorted = events
+      .map((event, index) => ({ ...event, index }))
+      .sort((a, b) => a.tick - b.tick || (b.isOff ? 1 : 0) - (a.isOff ? 1 : 0) || a.index - b.index);
+
+    const bytes = [];
+    let lastTick = 0;
+    sorted.forEach(event => {
+      encodeVariableLength(event.tick - lastTick).forEach(byte => bytes.push(byte));
+      event.bytes.forEach(byte => bytes.push(byte));
+      lastTick = event.tick;
+    });
+    bytes.push(0x00, 0xFF, 0x2F, 0x00);
+
+    return bytes;
+  }
+
+  textEvent(type, text) {
+    const data = encodeText(text || '');
+    return [0xFF, type, ...encodeVariableLength(data.length), ...data];
+  }
+
+  tempoEvent(tempo) {
+    const value = Math.round(tempo);
+    return [0xFF, 0x51, 0x03, (value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+  }
+
+  timeSignatureEvent(sig) {
+    // 24 MIDI clocks per metronome click, 8 32nds per quarter
+    return [0xFF, 0x58, 0x04, sig.numerator, Math.log2(sig.denominator), 24, 8];
+  }
+
+  /**
+   * Convert milliseconds to ticks through a tempo map
+   */
+  msToTicks(ms, tempoMap) {
+    let segment = tempoMap[0];
+    for (const candidate of tempoMap) {
+      if (candidate.time > ms) break;
+      segment = candidate;
+    }
+    return segment.tick + ((ms - segment.time) * 1000 / segment.tempo) * this.ticksPerQuarter;
+  }
+
+  /**
+   * Lay out a tempo map and time signatures from a pattern's bars
+   * Each beat gets the tempo that makes it last as long as it does in the
+   * pattern, so tempo changes inside a file survive the round trip.
+   * @param {Object} pattern - Pattern from createPattern
+   * @param {number} loops - Number of times to repeat the pattern's bars
+   * @param {number} leadInBars - Copies of the first bar to put before the pattern (for a count-in)
+   * @returns {{tempoMap: Array, timeSignatures: Array, leadInTime: number}}
+   */
+  buildTimeline(pattern, loops = 1, leadInBars = 0) {
+    const loopDuration = pattern.singlePatternDuration;
+    const bars = pattern.bars;
+
+    // Beats of one loop with their length in ms and in beat units
+    const loopBeats = [];
+    bars.forEach((bar, barIndex) => {
+      bar.beats.forEach((time, beatIndex) => {
+        const nextBar = bars[barIndex + 1];
+        const end = beatIndex + 1 < bar.beats.length
+          ? bar.beats[beatIndex + 1]
+          : (nextBar ? nextBar.time : loopDuration);
+        loopBeats.push({ bar, isDownbeat: beatIndex === 0, duration: end - time });
+      });
+    });
+
+    const firstBarBeats = loopBeats.filter(beat => beat.bar === bars[0]);
+    const allBeats = [];
+    for (let i = 0; i < leadInBars; i++) allBeats.push(...firstBarBeats);
+    for (let i = 0; i < loops; i++) allBeats.push(...loopBeats);
+
+    const tempoMap = [];
+    const timeSignatures = [];
+    let tick = 0;
+    let time = 0;
+    let lastSig = null;
+
+    allBeats.forEach(beat => {
+      const beatTicks = this.ticksPerQuarter * 4 / beat.bar.denominator;
+      const tempo = Math.round(beat.duration * 1000 * this.ticksPerQuarter / beatTicks);
+
+      const lastTempo = tempoMap[tempoMap.length - 1];
+      if (!lastTempo || lastTempo.tempo !== tempo) {
+        tempoMap.push({ tick, time, tempo });
+      }
+
+      if (beat.isDownbeat) {
+        const sig = `${beat.bar.numerator}/${beat.bar.denominator}`;
+        if (sig !== lastSig) {
+          timeSignatures.push({ tick, numerator: beat.bar.numerator, denominator: beat.bar.denominator });
+          lastSig = sig;
+        }
+      }
+
+      tick += beatTicks;
+      time += beat.duration;
+    });
+
+    const leadInTime = firstBarBeats.reduce((sum, beat) => sum + beat.duration, 0) * leadInBars;
+    return { tempoMap, timeSignatures, leadInTime };
+  }
+}
+
+/**
+ * Get the notes of a pattern's first loop as written (not folded onto visible lanes)
+ * Pieces left off the chart (a hidden HH Pedal, or a ride on the same beat as the closed hat it
+ * folds onto) are in unchartedNotes, so the file is the same whichever lanes are shown.
+ */
+function getLoopNotes(pattern) {
+  const charted = pattern.notes.map(note => ({
+    time: note.time,
+    midiNote: note.sourceNote ?? note.midiNote,
+    velocity: note.velocity
+  }));
+  const uncharted = (pattern.unchartedNotes || []).map(note => ({
+    time: note.time,
+    midiNote: note.midiNote,
+    velocity: note.velocity
+  }));
+
+  return [...charted, ...uncharted]
+    .filter(note => note.time < pattern.singlePatternDuration)
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Export one loop of a pattern (in its current state, e.g. quantized) as a MIDI file
+ * @param {Object} pattern - Pattern from createPattern
+ * @returns {ArrayBuffer} MIDI file data
+ */
+export function exportPatternMidi(pattern) {
+  const writer = new MidiWriter();
+  const { tempoMap, timeSignatures } = writer.buildTimeline(pattern);
+
+  return writer.write({
+    name: pattern.name,
+    tempoMap,
+    timeSignatures,
+    tracks: [{ name: pattern.name, notes: getLoopNotes(pattern) }]
+  });
+}
+
+/**
+ * Export a recorded performance next to the pattern it was played against
+ * The file starts with the count-in so early hits on the first note are kept.
+ * @param {Object} pattern - Pattern from createPattern
+ * @param {Array<{time: number, midiNote: number, velocity: number}>} hits - Recorded hits (time 0 = pattern start)
+ * @param {Object} options - Export options
+ * @param {number} options.loops - Loops played (defaults to the pattern's loop count)
+ * @param {number} options.countInBars - Bars of count-in before the pattern
+ * @returns {ArrayBuffer} MIDI file data
+ */
+export function exportPerformanceMidi(pattern, hits, options = {}) {
+  const loops = options.loops || pattern.loopCount || 1;
+  const countInBars = options.countInBars ?? 1;
+
+  const writer = new MidiWriter();
+  const { tempoMap, timeSignatures, leadInTime } = writer.buildTimeline(pattern, loops, countInBars);
+
+  const loopNotes = getLoopNotes(pattern);
+  const referenceNotes = [];
+  for (let loop = 0; loop < loops; loop++) {
+    const offset = leadInTime + loop * pattern.singlePatternDuration;
+    loopNotes.forEach(note => referenceNotes.push({ ...note, time: note.time + offset }));
+  }
+
+  return writer.write({
+    name: pattern.name,
+    tempoMap,
+    timeSignatures,
+    tracks: [
+      { name: pattern.name, notes: referenceNotes },
+      { name: 'Performance', notes: hits.map(hit => ({ ...hit, time: hit.time + leadInTime })) }
+    ]
+  });
+}
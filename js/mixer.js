@@ -0,0 +1,171 @@
+// Mixer - a channel strip per lane for the backing track and for the player's own hits
+
+export const MIXER_SIDES = ['track', 'user'];
+export const MAX_CHANNEL_VOLUME = 1.5;
+
+// The track on the left and the player on the right, so the two can be told apart
+const SIDE_PAN = { track: -1, user: 1 };
+
+/**
+ * Settings of a channel nobody has touched
+ * @param {string} side - 'track' or 'user'
+ * @returns {{volume: number, pan: number, mute: boolean, solo: boolean, send: number}}
+ *   send is the share of the channel sent to the reverb
+ */
+export function getChannelDefaults(side) {
+  return { volume: 1, pan: SIDE_PAN[side] ?? 0, mute: false, solo: false, send: 1 };
+}
+
+function clamp(value, min, max, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(Math.max(n, min), max) : fallback;
+}
+
+/**
+ * Keep a channel's settings in range
+ * @param {string} side - 'track' or 'user'
+ * @param {Object} channel - Partial settings
+ * @returns {Object} Complete settings
+ */
+export function normalizeChannel(side, channel = {}) {
+  const defaults = getChannelDefaults(side);
+  return {
+    volume: clamp(channel.volume, 0, MAX_CHANNEL_VOLUME, defaults.volume),
+    pan: clamp(channel.pan, -1, 1, defaults.pan),
+    mute: Boolean(channel.mute),
+    solo: Boolean(channel.solo),
+    send: clamp(channel.send, 0, 1, defaults.send)
+  };
+}
+
+/**
+ * Channel settings per side and lane, kept in localStorage
+ * Only channels that were changed are stored; the rest use getChannelDefaults.
+ */
+export class MixerSettings {
+  constructor(storageKey = 'groovelab_mixer') {
+    this.storageKey = storageKey;
+    this.channels = this.loadSettings();
+  }
+
+  /**
+   * Load channels from localStorage
+   * @returns {Object} { track: { [lane]: settings }, user: { [lane]: settings } }
+   */
+  loadSettings() {
+    const channels = { track: {}, user: {} };
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      if (stored) {
+        const data = JSON.parse(stored);
+        MIXER_SIDES.forEach(side => {
+          Object.entries((data.channels && data.channels[side]) || {}).forEach(([lane, channel]) => {
+            channels[side][lane] = normalizeChannel(side, channel);
+          });
+        });
+      }
+    } catch (e) {
+      console.error('Failed to load mixer settings:', e);
+    }
+    return channels;
+  }
+
+  /**
+   * Save channels to localStorage
+   */
+  saveSettings() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({ channels: this.channels }));
+    } catch (e) {
+      console.error('Failed to save mixer settings:', e);
+    }
+  }
+
+  /**
+   * @param {string} side - 'track' or 'user'
+   * @param {number} lane - Lane note
+   * @returns {Object} Channel settings
+   */
+  getChannel(side, lane) {
+    return this.channels[side][lane] || getChannelDefaults(side);
+  }
+
+  /**
+   * @param {string} side - 'track' or 'user'
+   * @param {number} lane - Lane note
+   * @param {Object} settings - Any of { volume, pan, mute, solo, send }
+   */
+  setChannel(side, lane, settings) {
+    this.channels[side][lane] = normalizeChannel(side, { ...this.getChannel(side, lane), ...settings });
+    this.saveSettings();
+  }
+
+  /**
+   * Mute or unmute both channels of a lane (the mute icons on the lanes)
+   * @param {number} lane - Lane note
+   * @param {boolean} muted - True to mute
+   */
+  setLaneMuted(lane, muted) {
+    MIXER_SIDES.forEach(side => {
+      this.channels[side][lane] = { ...this.getChannel(side, lane), mute: muted };
+    });
+    this.saveSettings();
+  }
+
+  /**
+   * A lane is muted when neither the track nor the player is heard on it
+   * Muted lanes are not judged.
+   * @param {number} lane - Lane note
+   * @returns {boolean}
+   */
+  isLaneMuted(lane) {
+    return MIXER_SIDES.every(side => this.getChannel(side, lane).mute);
+  }
+
+  /**
+   * @param {string} side - 'track' or 'user'
+   * @returns {number[]} Lanes whose channel on that side is muted
+   */
+  getMutedLanes(side) {
+    return Object.entries(this.channels[side])
+      .filter(([, channel]) => channel.mute)
+      .map(([lane]) => Number(lane));
+  }
+
+  /**
+   * @returns {boolean} True if any channel is soloed
+   */
+  hasSolo() {
+    return MIXER_SIDES.some(side => Object.values(this.channels[side]).some(channel => channel.solo));
+  }
+
+  /**
+   * Whether a channel is heard: not muted, and soloed if any channel is
+   * @param {string} side - 'track' or 'user'
+   * @param {number} lane - Lane note
+   * @returns {boolean}
+   */
+  isAudible(side, lane) {
+    const channel = this.getChannel(side, lane);
+    if (channel.mute) return false;
+    return channel.solo || !this.hasSolo();
+  }
+
+  /**
+   * Gain for a channel, taking mute and solo into account
+   * @param {string} side - 'track' or 'user'
+   * @param {number} lane - Lane note
+   * @returns {number}
+   */
+  getLevel(side, lane) {
+    return this.isAudible(side, lane) ? this.getChannel(side, lane).volume : 0;
+  }
+
+  /**
+   * Put every channel back to its defaults
+   */
+  reset() {
+    this.channels = { track: {}, user: {} };
+    this.saveSettings();
+  }
+}
@@ -1,6 +1,15 @@
 // Canvas-based note renderer (horizontal layout - notes flow right to left)
 
-import { GAME_CONFIG, MIDI_NOTE_MAP, MIDI_TO_KEY } from './constants.js';
+import { GAME_CONFIG, MIDI_TO_KEY } from './constants.js';
+import { laneLayout } from './laneLayout.js';
+import { getNearestBarLine, moveRangeMarker, normalizeLoopRange } from './loopRange.js';
+
+// Space around the pattern preview (for lane labels on the left)
+const PREVIEW_LEFT_PADDING = 80;
+const PREVIEW_RIGHT_PADDING = 20;
+
+// How close (px) the pointer must be to grab an A/B marker
+const MARKER_GRAB_DISTANCE = 10;
 
 export class NoteRenderer {
   constructor(canvasElement) {
@@ -26,9 +35,22 @@ export class NoteRenderer {
     // Muted instruments tracking
     this.mutedInstruments = new Set();
 
+    // Audio output delay (ms) - notes reach the hit line when their sound is heard
+    this.visualOffset = 0;
+
     // Callback for mute toggle
     this.onMuteToggle = null;
 
+    // Pattern preview on screen ({ notes, duration, bars, range }), for moving the A/B markers
+    this.preview = null;
+    this.draggingMarker = null;  // 'start' or 'end' while a marker is dragged
+    this.onLoopRangeChange = null;
+
+    // Step editor on screen ({ sequence, selectedBar }), edited by clicking and dragging over the grid
+    this.stepEditor = null;
+    this.stepPaint = null;  // { erase, last } while a stroke is being painted
+    this.onStepEdit = null;
+
     // Store last game state for re-render on mute toggle
     this.lastGameState = null;
 
@@ -38,6 +60,8 @@ export class NoteRenderer {
 
     this.setupCanvas();
     this.setupMouseEvents();
+    this.setupLoopRangeEvents();
+    this.setupStepEditorEvents();
   }
 
   /**
@@ -105,7 +129,7 @@ export class NoteRenderer {
       const { y } = this.getCanvasCoordinates(e);
       const lane = Math.floor(y / this.config.LANE_HEIGHT);
 
-      if (lane >= 0 && lane < Object.keys(MIDI_NOTE_MAP).length) {
+      if (lane >= 0 && lane < laneLayout.getLaneCount()) {
         this.hoveredLane = lane;
       } else {
         this.hoveredLane = null;
@@ -123,17 +147,180 @@ export class NoteRenderer {
       // Check if click is in the mute icon area (left 70px of canvas)
       if (x < 70) {
         const lane = Math.floor(y / this.config.LANE_HEIGHT);
-        if (lane >= 0 && lane < Object.keys(MIDI_NOTE_MAP).length) {
+        if (lane >= 0 && lane < laneLayout.getLaneCount()) {
           // Find the MIDI note for this lane
-          const midiNote = Object.entries(MIDI_NOTE_MAP).find(([_, info]) => info.lane === lane)?.[0];
-          if (midiNote) {
-            this.toggleMute(parseInt(midiNote));
+          const midiNote = laneLayout.getNoteForLane(lane);
+          if (midiNote !== null) {
+            this.toggleMute(midiNote);
           }
         }
       }
     });
   }
 
+  /**
+   * Set up dragging of the A/B loop markers on the pattern preview
+   */
+  setupLoopRangeEvents() {
+    this.canvas.addEventListener('pointerdown', (e) => {
+      const marker = this.getMarkerAt(this.getCanvasCoordinates(e).x);
+      if (!marker) return;
+
+      this.draggingMarker = marker;
+      this.canvas.setPointerCapture(e.pointerId);
+      e.preventDefault();
+    });
+
+    this.canvas.addEventListener('pointermove', (e) => {
+      const { x } = this.getCanvasCoordinates(e);
+
+      if (!this.draggingMarker) {
+        this.canvas.style.cursor = this.getMarkerAt(x) ? 'ew-resize' : '';
+        return;
+      }
+
+      const { bars, duration, range } = this.preview;
+      const barLine = getNearestBarLine(this.previewXToTime(x), bars, duration);
+      const moved = moveRangeMarker(range, this.draggingMarker, barLine, bars.length);
+      this.renderPreview(this.preview.notes, duration, { bars, range: normalizeLoopRange(moved, bars.length) });
+    });
+
+    const endDrag = () => {
+      if (!this.draggingMarker) return;
+      this.draggingMarker = null;
+      if (this.onLoopRangeChange && this.preview) {
+        this.onLoopRangeChange(this.preview.range);
+      }
+    };
+    this.canvas.addEventListener('pointerup', endDrag);
+    this.canvas.addEventListener('pointercancel', endDrag);
+  }
+
+  /**
+   * Which A/B marker is under a canvas x position
+   * @param {number} x - Canvas x coordinate
+   * @returns {string|null} 'start', 'end' or null
+   */
+  getMarkerAt(x) {
+    if (!this.preview || !this.preview.bars || this.preview.bars.length < 2) return null;
+
+    const { start, end } = this.getMarkerTimes();
+    if (Math.abs(x - this.previewTimeToX(start)) <= MARKER_GRAB_DISTANCE) return 'start';
+    if (Math.abs(x - this.previewTimeToX(end)) <= MARKER_GRAB_DISTANCE) return 'end';
+    return null;
+  }
+
+  /**
+   * Times of the A and B markers in the preview (pattern start and end without a range)
+   */
+  getMarkerTimes() {
+    const { bars, duration, range } = this.preview;
+    if (!range) return { start: 0, end: duration };
+    return {
+      start: bars[range.start - 1].time,
+      end: range.end < bars.length ? bars[range.end].time : duration
+    };
+  }
+
+  previewTimeToX(time) {
+    const availableWidth = this.canvas.width - PREVIEW_LEFT_PADDING - PREVIEW_RIGHT_PADDING;
+    return PREVIEW_LEFT_PADDING + time * (availableWidth / this.preview.duration);
+  }
+
+  previewXToTime(x) {
+    const availableWidth = this.canvas.width - PREVIEW_LEFT_PADDING - PREVIEW_RIGHT_PADDING;
+    return (x - PREVIEW_LEFT_PADDING) * (this.preview.duration / availableWidth);
+  }
+
+  /**
+   * Set up painting steps on the step editor grid
+   * Dragging from an empty step turns steps on, dragging from a step that is on turns them off.
+   * The mouse wheel over a step changes its velocity.
+   */
+  setupStepEditorEvents() {
+    const edit = (event) => {
+      if (this.onStepEdit) this.onStepEdit(event);
+    };
+
+    this.canvas.addEventListener('pointerdown', (e) => {
+      const { x, y } = this.getCanvasCoordinates(e);
+      const cell = this.getStepAt(x, y);
+      if (!cell) return;
+
+      const erase = this.stepEditor.sequence.getVelocity(cell.midiNote, cell.step) > 0;
+      this.stepPaint = { erase, last: `${cell.midiNote}:${cell.step}` };
+      this.canvas.setPointerCapture(e.pointerId);
+      e.preventDefault();
+
+      edit({ type: 'start' });
+      edit({ type: 'paint', ...cell, erase });
+    });
+
+    this.canvas.addEventListener('pointermove', (e) => {
+      if (!this.stepPaint) return;
+
+      const { x, y } = this.getCanvasCoordinates(e);
+      const cell = this.getStepAt(x, y);
+      if (!cell || `${cell.midiNote}:${cell.step}` === this.stepPaint.last) return;
+
+      this.stepPaint.last = `${cell.midiNote}:${cell.step}`;
+      edit({ type: 'paint', ...cell, erase: this.stepPaint.erase });
+    });
+
+    const endStroke = () => {
+      if (!this.stepPaint) return;
+      this.stepPaint = null;
+      edit({ type: 'end' });
+    };
+    this.canvas.addEventListener('pointerup', endStroke);
+    this.canvas.addEventListener('pointercancel', endStroke);
+
+    this.canvas.addEventListener('wheel', (e) => {
+      const { x, y } = this.getCanvasCoordinates(e);
+      const cell = this.getStepAt(x, y);
+      if (!cell || this.stepEditor.sequence.getVelocity(cell.midiNote, cell.step) === 0) return;
+
+      e.preventDefault();
+      edit({ type: 'velocity', ...cell, delta: e.deltaY < 0 ? 8 : -8 });
+    }, { passive: false });
+  }
+
+  /**
+   * Which step editor cell is at a canvas position
+   * @returns {{midiNote: number, step: number}|null} Null outside the grid or with the editor closed
+   */
+  getStepAt(x, y) {
+    if (!this.stepEditor) return null;
+
+    const midiNote = laneLayout.getNoteForLane(Math.floor(y / this.config.LANE_HEIGHT));
+    const step = Math.floor((x - PREVIEW_LEFT_PADDING) / this.getStepWidth());
+    if (midiNote === null || step < 0 || step >= this.stepEditor.sequence.stepCount) return null;
+    return { midiNote, step };
+  }
+
+  getStepWidth() {
+    const availableWidth = this.canvas.width - PREVIEW_LEFT_PADDING - PREVIEW_RIGHT_PADDING;
+    return availableWidth / this.stepEditor.sequence.stepCount;
+  }
+
+  /**
+   * Set step editor callback
+   * @param {Function} callback - Callback(event): { type: 'start' | 'end' } around a stroke,
+   *   { type: 'paint', midiNote, step, erase } for each step it crosses,
+   *   { type: 'velocity', midiNote, step, delta } for the mouse wheel
+   */
+  setStepEditCallback(callback) {
+    this.onStepEdit = callback;
+  }
+
+  /**
+   * Set loop range callback
+   * @param {Function} callback - Callback(range) when a marker is dropped (null range = whole pattern)
+   */
+  setLoopRangeCallback(callback) {
+    this.onLoopRangeChange = callback;
+  }
+
   /**
    * Toggle mute state for an instrument
    * @param {number} midiNote - MIDI note number
@@ -157,6 +344,17 @@ export class NoteRenderer {
     }
   }
 
+  /**
+   * Set which instruments are muted (e.g. from the mixer), without calling the mute callback
+   * @param {number[]} midiNotes - Muted MIDI note numbers
+   */
+  setMutedInstruments(midiNotes) {
+    this.mutedInstruments = new Set(midiNotes);
+    if (this.lastGameState) {
+      this.render(this.lastGameState);
+    }
+  }
+
   /**
    * Check if an instrument is muted
    * @param {number} midiNote - MIDI note number
@@ -209,7 +407,8 @@ export class NoteRenderer {
 
     // Update canvas dimensions
     this.canvas.width = newWidth;
-    this.canvas.height = this.baseConfig.CANVAS_HEIGHT;
+    // Height follows the number of visible lanes
+    this.canvas.height = laneLayout.getLaneCount() * this.baseConfig.LANE_HEIGHT;
 
     // Update dynamic config
     this.config.CANVAS_WIDTH = newWidth;
@@ -227,8 +426,14 @@ export class NoteRenderer {
     // Don't render over completion view
     if (this.showingCompletionView) return;
 
+    if (this.stepEditor) {
+      this.drawStepEditor();
+      return;
+    }
+
     // Store for re-render on mute toggle
     this.lastGameState = gameState;
+    this.preview = null;
 
     // Clear canvas
     this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
@@ -263,13 +468,99 @@ export class NoteRenderer {
     this.drawHitEffects(gameState.currentTime);
   }
 
+  /**
+   * Render one frame of a replay
+   * Pattern notes sit where they were written, colored by how they were
+   * played; the recorded hits are drawn where they actually landed.
+   * @param {ReplayPlayer} replay - Replay to draw
+   */
+  renderReplay(replay) {
+    this.preview = null;
+    const currentTime = replay.currentTime;
+
+    this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.drawBackground();
+    this.drawLanes();
+    this.drawPatternBoundaries({ pattern: replay.pattern, currentTime });
+    this.drawHitLine();
+
+    replay.notes.forEach(note => this.drawReplayNote(note, currentTime));
+    replay.performance.forEach(hit => this.drawReplayHit(hit, currentTime));
+  }
+
+  /**
+   * Draw a pattern note in a replay (translucent, accuracy colored)
+   * @param {Object} note - Pattern note with accuracy
+   * @param {number} currentTime - Replay time
+   */
+  drawReplayNote(note, currentTime) {
+    const noteInfo = laneLayout.getLaneInfo(note.midiNote);
+    if (!noteInfo) return;
+
+    const xPosition = this.calculateXPosition(note.time, currentTime);
+    if (xPosition < -this.config.NOTE_WIDTH || xPosition > this.canvas.width) return;
+
+    const yPosition = noteInfo.lane * this.config.LANE_HEIGHT;
+    const padding = 4;
+
+    this.ctx.globalAlpha = 0.45;
+    this.ctx.fillStyle = this.getAccuracyColor(note.accuracy);
+    this.ctx.fillRect(xPosition, yPosition + padding, this.config.NOTE_WIDTH, this.config.LANE_HEIGHT - padding * 2);
+    this.ctx.globalAlpha = 1.0;
+  }
+
+  /**
+   * Draw a recorded hit in a replay
+   * Dot size follows velocity; hits flash as they cross the hit line.
+   * @param {Object} hit - Recorded hit { time, midiNote, velocity }
+   * @param {number} currentTime - Replay time
+   */
+  drawReplayHit(hit, currentTime) {
+    const laneNote = laneLayout.resolveNote(hit.midiNote);
+    const noteInfo = laneNote !== null ? laneLayout.getLaneInfo(laneNote) : null;
+    if (!noteInfo) return;
+
+    // Center of the note-width slot the hit would fill
+    const xPosition = this.calculateXPosition(hit.time, currentTime) + this.config.NOTE_WIDTH / 2;
+    if (xPosition < -20 || xPosition > this.canvas.width + 20) return;
+
+    const yPosition = noteInfo.lane * this.config.LANE_HEIGHT + this.config.LANE_HEIGHT / 2;
+    const radius = 4 + (hit.velocity / 127) * 8;
+    const sinceHit = currentTime - hit.time;
+    const isSounding = sinceHit >= 0 && sinceHit < 150;
+
+    this.ctx.fillStyle = noteInfo.color;
+    this.ctx.shadowBlur = isSounding ? 15 : 0;
+    this.ctx.shadowColor = noteInfo.color;
+    this.ctx.beginPath();
+    this.ctx.arc(xPosition, yPosition, isSounding ? radius + 2 : radius, 0, Math.PI * 2);
+    this.ctx.fill();
+
+    this.ctx.strokeStyle = '#FFFFFF';
+    this.ctx.lineWidth = 2;
+    this.ctx.stroke();
+    this.ctx.shadowBlur = 0;
+  }
+
   /**
    * Render pattern preview - shows all notes without hit line
    * Used to display pattern before user starts playing
    * @param {Array} notes - Array of note objects from one loop of the pattern
    * @param {number} patternDuration - Duration of single pattern loop in ms
+   * @param {Object} options - { bars, range } to show bar lines and the A/B loop markers,
+   *   { sections } to label the sections of a song
    */
-  renderPreview(notes, patternDuration) {
+  renderPreview(notes, patternDuration, options = {}) {
+    this.preview = patternDuration > 0
+      ? {
+        notes,
+        duration: patternDuration,
+        bars: options.bars || null,
+        range: options.range || null,
+        sections: options.sections || null
+      }
+      : null;
+
     // Clear canvas
     this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
@@ -286,23 +577,20 @@ export class NoteRenderer {
     }
 
     // Calculate scaling to fit pattern in viewport
-    const leftPadding = 80;
-    const rightPadding = 20;
-    const availableWidth = this.canvas.width - leftPadding - rightPadding;
-
-    // Scale pattern to fit available width
-    const scaledScrollSpeed = availableWidth / patternDuration;
+    const availableWidth = this.canvas.width - PREVIEW_LEFT_PADDING - PREVIEW_RIGHT_PADDING;
 
     // Note width scaled for visibility
     const scaledNoteWidth = Math.max(8, Math.min(this.baseConfig.NOTE_WIDTH, availableWidth / (notes.length || 1) * 0.8));
 
+    this.drawPreviewNoteShifts(notes);
+
     // Draw each note with neutral instrument colors
     notes.forEach(note => {
-      const noteInfo = MIDI_NOTE_MAP[note.midiNote];
+      const noteInfo = laneLayout.getLaneInfo(note.midiNote);
       if (!noteInfo) return;
 
       // Calculate X position based on note time
-      const xPosition = leftPadding + (note.time * scaledScrollSpeed);
+      const xPosition = this.previewTimeToX(note.time);
 
       // Calculate Y position based on lane
       const yPosition = noteInfo.lane * this.config.LANE_HEIGHT;
@@ -340,6 +628,237 @@ export class NoteRenderer {
       this.ctx.shadowBlur = 0;
       this.ctx.globalAlpha = 1.0;
     });
+
+    this.drawLoopRangeMarkers();
+
+    (this.preview.sections || []).forEach(section => {
+      this.drawSectionMarker(
+        this.previewTimeToX(section.startTime),
+        this.previewTimeToX(section.endTime),
+        this.getSectionLabel(section),
+        section.isFill,
+        PREVIEW_LEFT_PADDING
+      );
+    });
+  }
+
+  /**
+   * @param {Object} section - Song section (from createSongPattern or getSectionResults)
+   * @returns {string} e.g. "Chilled Beat 1 ×3", with the accuracy once it has been played
+   */
+  getSectionLabel(section) {
+    let label = section.repeats > 1 ? `${section.name} ×${section.repeats}` : section.name;
+    if (section.accuracy !== undefined) {
+      label += section.accuracy === null ? ' -' : ` ${section.accuracy}%`;
+    }
+    return label;
+  }
+
+  /**
+   * Draw the start line and label of a song section along the bottom of the lanes
+   * The label is held at minX while the rest of its section is still on screen.
+   * @param {number} x - Where the section starts
+   * @param {number} endX - Where the section ends
+   * @param {string} label - Section label
+   * @param {boolean} isFill - Fills get the second accent color
+   * @param {number} minX - Leftmost position for the label
+   */
+  drawSectionMarker(x, endX, label, isFill, minX) {
+    if (endX < minX || x > this.canvas.width) return;
+
+    const ctx = this.ctx;
+    const height = laneLayout.getLaneCount() * this.config.LANE_HEIGHT;
+    const color = isFill ? this.themeColors.accentSecondary : this.themeColors.accentPrimary;
+
+    if (x >= minX) {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+    }
+
+    ctx.font = 'bold 11px sans-serif';
+    const boxWidth = ctx.measureText(label).width + 8;
+    // Slide the label along with the section, without running into the next one
+    const labelX = Math.max(Math.min(Math.max(x, minX), endX - boxWidth), x);
+
+    ctx.globalAlpha = 0.85;
+    ctx.fillStyle = this.themeColors.background2;
+    ctx.fillRect(labelX, height - 18, boxWidth, 16);
+    ctx.globalAlpha = 1.0;
+
+    ctx.fillStyle = color;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, labelX + 4, height - 10);
+    ctx.textBaseline = 'alphabetic';
+  }
+
+  /**
+   * Draw bar lines and the A/B loop markers over the preview
+   * Bars outside the loop range are dimmed.
+   */
+  drawLoopRangeMarkers() {
+    const { bars } = this.preview;
+    if (!bars || bars.length < 2) return;
+
+    const ctx = this.ctx;
+    const height = laneLayout.getLaneCount() * this.config.LANE_HEIGHT;
+
+    // Bar lines and numbers
+    ctx.strokeStyle = this.themeColors.laneStroke;
+    ctx.fillStyle = this.themeColors.textMuted;
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.lineWidth = 1;
+    bars.forEach((bar, i) => {
+      const x = this.previewTimeToX(bar.time);
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+      ctx.fillText(String(i + 1), x + 3, 2);
+    });
+
+    const { start, end } = this.getMarkerTimes();
+    const startX = this.previewTimeToX(start);
+    const endX = this.previewTimeToX(end);
+
+    if (this.preview.range) {
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+      ctx.fillRect(PREVIEW_LEFT_PADDING, 0, startX - PREVIEW_LEFT_PADDING, height);
+      ctx.fillRect(endX, 0, this.previewTimeToX(this.preview.duration) - endX, height);
+    }
+
+    // Markers with grab handles at the top
+    ctx.strokeStyle = this.themeColors.accentSecondary;
+    ctx.fillStyle = this.themeColors.accentSecondary;
+    ctx.lineWidth = 2;
+    ctx.font = 'bold 11px sans-serif';
+    ctx.textAlign = 'center';
+    [[startX, 'A'], [endX, 'B']].forEach(([x, label]) => {
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+      ctx.fillRect(x - 7, 0, 14, 14);
+      ctx.fillStyle = this.themeColors.background1;
+      ctx.fillText(label, x, 2);
+      ctx.fillStyle = this.themeColors.accentSecondary;
+    });
+    ctx.textBaseline = 'alphabetic';
+  }
+
+  /**
+   * Mark where moved notes (swung, shifted, humanized or quantized) were on the straight chart
+   * A short line runs from the original position to the note.
+   * @param {Array} notes - Preview notes; moved ones carry originalTime
+   */
+  drawPreviewNoteShifts(notes) {
+    const ctx = this.ctx;
+    const markHeight = this.config.LANE_HEIGHT * 0.4;
+
+    notes.forEach(note => {
+      if (note.originalTime === undefined || Math.abs(note.time - note.originalTime) < 1) return;
+      const noteInfo = laneLayout.getLaneInfo(note.midiNote);
+      if (!noteInfo) return;
+
+      const fromX = this.previewTimeToX(note.originalTime);
+      const toX = this.previewTimeToX(note.time);
+      const centerY = noteInfo.lane * this.config.LANE_HEIGHT + this.config.LANE_HEIGHT / 2;
+
+      ctx.strokeStyle = noteInfo.color;
+      ctx.globalAlpha = 0.45;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(fromX, centerY - markHeight / 2);
+      ctx.lineTo(fromX, centerY + markHeight / 2);
+      ctx.moveTo(fromX, centerY);
+      ctx.lineTo(toX, centerY);
+      ctx.stroke();
+    });
+    ctx.globalAlpha = 1.0;
+  }
+
+  /**
+   * Show the step editor grid on the lanes
+   * @param {Object|null} editor - { sequence: StepSequence, selectedBar } or null to close it
+   */
+  renderStepEditor(editor) {
+    this.stepEditor = editor;
+    this.stepPaint = null;
+    this.preview = null;
+    if (editor) this.drawStepEditor();
+  }
+
+  /**
+   * Draw the step grid: bar and beat lines, the selected bar, and the steps that are on
+   * Louder steps are drawn taller and brighter.
+   */
+  drawStepEditor() {
+    const { sequence, selectedBar } = this.stepEditor;
+    const ctx = this.ctx;
+    const height = laneLayout.getLaneCount() * this.config.LANE_HEIGHT;
+    const stepWidth = this.getStepWidth();
+    const stepToX = step => PREVIEW_LEFT_PADDING + step * stepWidth;
+
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    this.drawBackground();
+    this.drawLanes();
+
+    // Bar that copy and paste work on
+    if (selectedBar !== null && selectedBar !== undefined) {
+      ctx.fillStyle = this.themeColors.accentSecondary;
+      ctx.globalAlpha = 0.08;
+      ctx.fillRect(stepToX(selectedBar * sequence.stepsPerBar), 0, sequence.stepsPerBar * stepWidth, height);
+      ctx.globalAlpha = 1.0;
+    }
+
+    for (let step = 0; step <= sequence.stepCount; step++) {
+      const isBar = step % sequence.stepsPerBar === 0;
+      const isBeat = step % sequence.stepsPerBeat === 0;
+      ctx.strokeStyle = isBar ? this.themeColors.textMuted : this.themeColors.laneStroke;
+      ctx.lineWidth = isBar ? 2 : 1;
+      ctx.globalAlpha = isBar || isBeat ? 1.0 : 0.5;
+      ctx.beginPath();
+      ctx.moveTo(stepToX(step), 0);
+      ctx.lineTo(stepToX(step), height);
+      ctx.stroke();
+    }
+    ctx.globalAlpha = 1.0;
+
+    ctx.fillStyle = this.themeColors.textMuted;
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    for (let bar = 0; bar < sequence.bars; bar++) {
+      ctx.fillText(String(bar + 1), stepToX(bar * sequence.stepsPerBar) + 3, 2);
+    }
+    ctx.textBaseline = 'alphabetic';
+
+    const padding = 4;
+    const fullHeight = this.config.LANE_HEIGHT - padding * 2;
+    laneLayout.getVisiblePieces().forEach(({ midiNote, color }, lane) => {
+      for (let step = 0; step < sequence.stepCount; step++) {
+        const velocity = sequence.getVelocity(midiNote, step);
+        if (velocity === 0) continue;
+
+        const level = velocity / 127;
+        const cellHeight = fullHeight * (0.35 + 0.65 * level);
+        ctx.fillStyle = color;
+        ctx.globalAlpha = 0.5 + 0.5 * level;
+        ctx.fillRect(
+          stepToX(step) + 2,
+          lane * this.config.LANE_HEIGHT + padding + fullHeight - cellHeight,
+          Math.max(stepWidth - 4, 2),
+          cellHeight
+        );
+      }
+    });
+    ctx.globalAlpha = 1.0;
   }
 
   /**
@@ -355,7 +874,7 @@ export class NoteRenderer {
     const animationDuration = 300; // Animation duration in ms
 
     hitNotes.forEach(note => {
-      const noteInfo = MIDI_NOTE_MAP[note.midiNote];
+      const noteInfo = laneLayout.getLaneInfo(note.midiNote);
       if (!noteInfo) return;
 
       const timeSinceHit = currentTime - note.time;
@@ -435,7 +954,7 @@ export class NoteRenderer {
     const maxVisibleTime = 1500; // Keep missed notes visible for 1.5 seconds
 
     missedNotes.forEach(note => {
-      const noteInfo = MIDI_NOTE_MAP[note.midiNote];
+      const noteInfo = laneLayout.getLaneInfo(note.midiNote);
       if (!noteInfo) return;
 
       // Check if this instrument is muted - skip showing missed indicator for muted notes
@@ -566,7 +1085,7 @@ export class NoteRenderer {
    * Shows mute toggle icons on the left edge
    */
   drawLanes() {
-    const laneCount = Object.keys(MIDI_NOTE_MAP).length;
+    const laneCount = laneLayout.getLaneCount();
 
     this.ctx.strokeStyle = this.themeColors.laneStroke;
     this.ctx.lineWidth = 1;
@@ -584,11 +1103,12 @@ export class NoteRenderer {
     this.ctx.textAlign = 'left';
     this.ctx.textBaseline = 'middle';
 
-    Object.entries(MIDI_NOTE_MAP).forEach(([midiNote, info]) => {
+    laneLayout.getVisiblePieces().forEach(({ midiNote }) => {
+      const info = laneLayout.getLaneInfo(midiNote);
       const y = info.lane * this.config.LANE_HEIGHT + this.config.LANE_HEIGHT / 2;
       const x = 8;
       const isHovered = this.hoveredLane === info.lane;
-      const isMuted = this.mutedInstruments.has(parseInt(midiNote));
+      const isMuted = this.mutedInstruments.has(midiNote);
 
       // Draw muted lane background overlay
       if (isMuted) {
@@ -696,6 +1216,11 @@ export class NoteRenderer {
     const loopCount = pattern.loopCount || 1;
     const currentTime = gameState.currentTime;
 
+    this.drawBarLines(pattern, currentTime);
+    if (pattern.sections) {
+      this.drawSections(pattern, currentTime);
+    }
+
     // Set line style for boundary markers
     this.ctx.strokeStyle = '#666666';
     this.ctx.lineWidth = 2;
@@ -725,13 +1250,79 @@ export class NoteRenderer {
     }
   }
 
+  /**
+   * Draw a thin line at each bar start inside the pattern loops
+   * Bars come from the pattern's time signatures and tempo map, so 3/4, 7/8
+   * and tempo changes get correctly spaced lines.
+   * @param {Object} pattern - Current pattern (with bars for one loop)
+   * @param {number} currentTime - Current game time
+   */
+  drawBarLines(pattern, currentTime) {
+    if (!pattern.bars || pattern.bars.length < 2) return;
+
+    const singleDuration = pattern.singlePatternDuration;
+    const loopCount = pattern.loopCount || 1;
+
+    // Time range currently on screen
+    const visibleStart = currentTime - this.config.HIT_LINE_X / this.config.SCROLL_SPEED;
+    const visibleEnd = currentTime + (this.canvas.width - this.config.HIT_LINE_X) / this.config.SCROLL_SPEED;
+    const firstLoop = Math.max(0, Math.floor(visibleStart / singleDuration));
+    const lastLoop = Math.min(loopCount - 1, Math.floor(visibleEnd / singleDuration));
+
+    this.ctx.strokeStyle = '#444444';
+    this.ctx.lineWidth = 1;
+
+    for (let loop = firstLoop; loop <= lastLoop; loop++) {
+      // Bar 0 is the loop boundary, drawn separately
+      for (let i = 1; i < pattern.bars.length; i++) {
+        const barTime = loop * singleDuration + pattern.bars[i].time;
+        if (barTime < visibleStart || barTime > visibleEnd) continue;
+
+        const xPosition = this.calculateXPosition(barTime, currentTime);
+        this.ctx.beginPath();
+        this.ctx.moveTo(xPosition, 0);
+        this.ctx.lineTo(xPosition, this.canvas.height);
+        this.ctx.stroke();
+      }
+    }
+  }
+
+  /**
+   * Label each section of a song as it scrolls past
+   * The label of the section being played stays at the hit line.
+   * @param {Object} pattern - Song pattern (from createSongPattern)
+   * @param {number} currentTime - Current game time
+   */
+  drawSections(pattern, currentTime) {
+    const singleDuration = pattern.singlePatternDuration;
+    const loopCount = pattern.loopCount || 1;
+
+    const visibleStart = currentTime - this.config.HIT_LINE_X / this.config.SCROLL_SPEED;
+    const visibleEnd = currentTime + (this.canvas.width - this.config.HIT_LINE_X) / this.config.SCROLL_SPEED;
+    const firstLoop = Math.max(0, Math.floor(visibleStart / singleDuration));
+    const lastLoop = Math.min(loopCount - 1, Math.floor(visibleEnd / singleDuration));
+
+    for (let loop = firstLoop; loop <= lastLoop; loop++) {
+      pattern.sections.forEach(section => {
+        const loopStart = loop * singleDuration;
+        this.drawSectionMarker(
+          this.calculateXPosition(loopStart + section.startTime, currentTime),
+          this.calculateXPosition(loopStart + section.endTime, currentTime),
+          this.getSectionLabel(section),
+          section.isFill,
+          this.config.HIT_LINE_X
+        );
+      });
+    }
+  }
+
   /**
    * Draw a single note
    * @param {Object} note - Note to draw
    * @param {number} currentTime - Current game time
    */
   drawNote(note, currentTime) {
-    const noteInfo = MIDI_NOTE_MAP[note.midiNote];
+    const noteInfo = laneLayout.getLaneInfo(note.midiNote);
     if (!noteInfo) return; // Unknown note type
 
     // Calculate X position based on time until hit (notes come from right)
@@ -778,6 +1369,14 @@ export class NoteRenderer {
     this.ctx.globalAlpha = 1.0;
   }
 
+  /**
+   * Delay the highway to line up with delayed audio
+   * @param {number} ms - Audio output offset
+   */
+  setVisualOffset(ms) {
+    this.visualOffset = ms;
+  }
+
   /**
    * Calculate X position of note based on time until hit
    * Notes scroll from right to left, hit line is on left
@@ -786,7 +1385,7 @@ export class NoteRenderer {
    * @returns {number} X position on canvas
    */
   calculateXPosition(noteTime, currentTime) {
-    const timeUntilHit = noteTime - currentTime;
+    const timeUntilHit = noteTime - (currentTime - this.visualOffset);
     const hitLineX = this.config.HIT_LINE_X;
 
     // Notes scroll from right to left
@@ -889,10 +1488,12 @@ export class NoteRenderer {
    * Scales the pattern to fit within the viewport
    * @param {Array} notes - All notes with accuracy data
    * @param {number} patternDuration - Total duration of the pattern
+   * @param {Array|null} sections - Song sections with their accuracy (from getSectionResults)
    */
-  renderCompletionView(notes, patternDuration) {
+  renderCompletionView(notes, patternDuration, sections = null) {
     // Set flag to prevent regular render from overwriting
     this.showingCompletionView = true;
+    this.preview = null;
 
     // Clear canvas
     this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
@@ -920,7 +1521,7 @@ export class NoteRenderer {
     // FIRST PASS: Draw "ideal" notes at exact pattern positions (gray outline)
     // This shows where notes SHOULD have been played - visible through the actual notes
     notes.forEach(note => {
-      const noteInfo = MIDI_NOTE_MAP[note.midiNote];
+      const noteInfo = laneLayout.getLaneInfo(note.midiNote);
       if (!noteInfo) return;
 
       // Calculate X position at EXACT pattern position (no timeDiff offset)
@@ -955,7 +1556,7 @@ export class NoteRenderer {
     // SECOND PASS: Draw "actual" notes with offset based on timeDiff
     // This shows where notes WERE actually played (rushing/dragging)
     notes.forEach(note => {
-      const noteInfo = MIDI_NOTE_MAP[note.midiNote];
+      const noteInfo = laneLayout.getLaneInfo(note.midiNote);
       if (!noteInfo) return;
 
       // Calculate X position with accuracy offset (capped for visual clarity)
@@ -1003,7 +1604,51 @@ export class NoteRenderer {
 
       this.ctx.shadowBlur = 0;
       this.ctx.globalAlpha = 1.0;
+
+      // Dynamics marker - strip along the top edge of the note
+      if (!isMuted && note.accuracy && note.accuracy.dynamics) {
+        this.ctx.fillStyle = this.getDynamicsColor(note.accuracy.dynamics);
+        this.ctx.fillRect(
+          actualXPosition - scaledNoteWidth / 2,
+          yPosition + padding,
+          scaledNoteWidth,
+          4
+        );
+      }
     });
+
+    // Song sections, repeated for each pass through the song
+    if (sections && sections.length > 0) {
+      const songDuration = sections[sections.length - 1].endTime;
+      const passes = Math.max(1, Math.round(patternDuration / songDuration));
+      for (let pass = 0; pass < passes; pass++) {
+        sections.forEach(section => {
+          this.drawSectionMarker(
+            leftPadding + (pass * songDuration + section.startTime) * scaledScrollSpeed,
+            leftPadding + (pass * songDuration + section.endTime) * scaledScrollSpeed,
+            this.getSectionLabel(section),
+            section.isFill,
+            leftPadding
+          );
+        });
+      }
+    }
+  }
+
+  /**
+   * Get marker color for a dynamics judgment
+   * @param {string} dynamics - 'MATCH', 'CLOSE' or 'OFF'
+   * @returns {string} Color code
+   */
+  getDynamicsColor(dynamics) {
+    switch (dynamics) {
+      case 'MATCH':
+        return '#44DDFF'; // Cyan
+      case 'CLOSE':
+        return '#AA88FF'; // Violet
+      default:
+        return '#FF44AA'; // Magenta
+    }
   }
 
   /**
@@ -1,11 +1,18 @@
 // Practice patterns for the drum game
 
 import { MidiParser } from './midiParser.js';
+import { laneLayout, toKitPiece } from './laneLayout.js';
+import { parseTimeSignature } from './meter.js';
+import { normalizeLoopRange, getRangeTimes } from './loopRange.js';
+import { userPatternStore } from './userStorage.js';
 
 // MIDI Library - stores all loaded patterns
 const midiPatterns = new Map();
 let libraryInitialized = false;
 
+// Category for imported patterns when the user doesn't pick one
+export const USER_PATTERN_CATEGORY = 'My Patterns';
+
 /**
  * Load the MIDI pattern manifest and all patterns
  */
@@ -33,8 +40,14 @@ export async function initializeMidiLibrary() {
           continue;
         }
 
+        // A manifest time signature overrides the file (many exports leave it at 4/4)
+        const timeSignature = patternDef.timeSignature ? parseTimeSignature(patternDef.timeSignature) : null;
+        if (patternDef.timeSignature && !timeSignature) {
+          console.warn(`Ignoring invalid time signature "${patternDef.timeSignature}" for ${patternDef.file}`);
+        }
+
         const buffer = await response.arrayBuffer();
-        const parsed = await parser.parse(buffer);
+        const parsed = await parser.parse(buffer, { timeSignature });
 
         // Generate pattern ID
         const patternId = patternDef.file
@@ -43,37 +56,14 @@ export async function initializeMidiLibrary() {
           .replace(/\s+/g, '_')
           .replace(/[^a-z0-9_]/g, '');
 
-        // Calculate raw duration and bar info
-        const rawDuration = parsed.notes.length > 0
-          ? Math.max(...parsed.notes.map(n => n.time))
-          : 0;
-        const beatDuration = (60 / (patternDef.defaultBPM || parsed.bpm)) * 1000;
-        const barDuration = beatDuration * 4;
-        const estimatedBars = Math.max(1, Math.round(rawDuration / barDuration));
-
-        const pattern = {
-          id: patternId,
-          name: patternDef.name,
-          filename: patternDef.file,
-          category: patternDef.category,
-          bpm: patternDef.defaultBPM || parsed.bpm,
-          defaultBPM: patternDef.defaultBPM || parsed.bpm,
-          isLoopBased: patternDef.isLoopBased !== false,  // Default to true for MIDI patterns
-          isFill: patternDef.isFill || false,
-          isVariation: patternDef.isVariation || false,
-          featured: patternDef.featured || false,
-          notes: parsed.notes,
-          rawDuration: rawDuration,
-          estimatedBars: estimatedBars
-        };
-
-        midiPatterns.set(patternId, pattern);
-        console.log(`Loaded: ${pattern.name} (${pattern.notes.length} notes at ${pattern.bpm} BPM)`);
+        registerPattern(patternId, patternDef, parsed);
       } catch (error) {
         console.error(`Failed to load pattern ${patternDef.file}:`, error);
       }
     }
 
+    await loadUserPatterns();
+
     libraryInitialized = true;
     console.log(`MIDI Library initialized with ${midiPatterns.size} patterns`);
 
@@ -84,6 +74,149 @@ export async function initializeMidiLibrary() {
   }
 }
 
+/**
+ * Add a parsed MIDI file to the library
+ * @param {string} patternId - Pattern ID
+ * @param {Object} patternDef - Manifest-style definition (file, name, category, defaultBPM, flags)
+ * @param {Object} parsed - Result of MidiParser.parse
+ * @returns {Object} Library pattern
+ */
+function registerPattern(patternId, patternDef, parsed) {
+  // Calculate raw duration and bar info
+  const rawDuration = parsed.notes.length > 0
+    ? Math.max(...parsed.notes.map(n => n.time))
+    : 0;
+  const estimatedBars = parsed.bars.length;
+
+  const pattern = {
+    id: patternId,
+    name: patternDef.name,
+    filename: patternDef.file,
+    category: patternDef.category,
+    bpm: patternDef.defaultBPM || parsed.bpm,
+    defaultBPM: patternDef.defaultBPM || parsed.bpm,
+    isLoopBased: patternDef.isLoopBased !== false,  // Default to true for MIDI patterns
+    isFill: patternDef.isFill || false,
+    isVariation: patternDef.isVariation || false,
+    featured: patternDef.featured || false,
+    isUser: patternDef.isUser || false,
+    notes: parsed.notes,
+    rawDuration: rawDuration,
+    estimatedBars: estimatedBars,
+    // Timeline at the file's own tempo - createPattern scales it to the chosen BPM
+    sourceBpm: parsed.bpm,
+    timeSignature: parsed.timeSignature,
+    beatGroups: patternDef.beatGroups || null,
+    bars: parsed.bars,
+    loopDuration: parsed.duration
+  };
+
+  midiPatterns.set(patternId, pattern);
+  console.log(`Loaded: ${pattern.name} (${pattern.notes.length} notes at ${pattern.bpm} BPM)`);
+  return pattern;
+}
+
+/**
+ * Add a stored user pattern record to the library
+ * @param {Object} record - Record from the user pattern store
+ */
+async function registerUserPattern(record) {
+  const parsed = await new MidiParser().parse(record.data, record.parseOptions || {});
+  return registerPattern(record.id, {
+    file: record.fileName,
+    name: record.name,
+    category: record.category || USER_PATTERN_CATEGORY,
+    defaultBPM: record.bpm,
+    // Named like the library's fills (e.g. "My Beat 1 Fill 2")
+    isFill: /\bfill\b/i.test(record.name),
+    isUser: true
+  }, parsed);
+}
+
+/**
+ * Load patterns the user imported in earlier sessions
+ * @param {UserStore} store - Where user patterns are kept
+ */
+export async function loadUserPatterns(store = userPatternStore) {
+  try {
+    const records = await store.getAll();
+    for (const record of records) {
+      try {
+        await registerUserPattern(record);
+      } catch (error) {
+        console.error(`Failed to load imported pattern ${record.name}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Failed to load imported patterns:', error);
+  }
+}
+
+/**
+ * Parse an imported MIDI file without adding it (for the import dialog)
+ * @param {ArrayBuffer} data - MIDI file data
+ * @param {Object} options - Track, channel and bar range (see MidiParser.parse)
+ * @returns {Promise<Object>} Parse result
+ */
+export async function inspectMidiFile(data, options = {}) {
+  const parsed = await new MidiParser().parse(data, options);
+  if (parsed.notes.length === 0) {
+    const isSelection = options.track !== undefined || options.channel !== undefined || options.barRange;
+    throw new Error(isSelection
+      ? 'No drum notes in the selected track and bars'
+      : 'No drum notes found in this MIDI file');
+  }
+  return parsed;
+}
+
+/**
+ * Import a MIDI file as a user pattern and save it for later sessions
+ * @param {Object} details - Import details
+ * @param {string} details.name - Pattern name
+ * @param {string} details.category - Category for the pattern dropdown
+ * @param {number} details.bpm - Default BPM
+ * @param {string} details.fileName - Original file name
+ * @param {ArrayBuffer} details.data - MIDI file data
+ * @param {Object} details.parseOptions - Track, channel and bar range to keep (see MidiParser.parse)
+ * @param {UserStore} store - Where user patterns are kept
+ * @returns {Promise<string>} New pattern ID
+ */
+export async function addUserPattern(details, store = userPatternStore) {
+  const record = {
+    id: `user_${Date.now()}`,
+    name: details.name.trim() || details.fileName,
+    category: details.category.trim() || USER_PATTERN_CATEGORY,
+    bpm: details.bpm,
+    fileName: details.fileName,
+    data: details.data,
+    parseOptions: details.parseOptions || {},
+    createdAt: Date.now()
+  };
+
+  // Parse before saving so a broken file (or an empty selection) never reaches storage
+  await inspectMidiFile(record.data, record.parseOptions);
+  await store.put(record);
+  await registerUserPattern(record);
+
+  return record.id;
+}
+
+/**
+ * Remove an imported pattern from the library and storage
+ * @param {string} patternId - Pattern ID
+ * @param {UserStore} store - Where user patterns are kept
+ * @returns {Promise<boolean>} True if the pattern was removed
+ */
+export async function removeUserPattern(patternId, store = userPatternStore) {
+  const pattern = midiPatterns.get(patternId);
+  if (!pattern || !pattern.isUser) return false;
+
+  await store.delete(patternId);
+  midiPatterns.delete(patternId);
+  console.log(`Removed imported pattern: ${pattern.name}`);
+  return true;
+}
+
 /**
  * Get all available patterns for UI dropdown
  */
@@ -99,7 +232,9 @@ export function getAvailablePatterns() {
       isLoopBased: pattern.isLoopBased,
       isFill: pattern.isFill,
       isVariation: pattern.isVariation,
-      featured: pattern.featured
+      featured: pattern.featured,
+      isUser: pattern.isUser,
+      timeSignature: pattern.timeSignature
     });
   }
 
@@ -129,9 +264,11 @@ export function getPatternCategories() {
  * @param {string} patternType - Pattern ID
  * @param {number} bpm - Beats per minute
  * @param {number} loops - Number of loops
- * @returns {Object} Complete pattern object
+ * @param {{start: number, end: number}|null} range - Only loop these bars (1-based, inclusive)
+ * @returns {Object} Complete pattern object; unchartedNotes are notes with no lane to go on,
+ *   which the backing track plays but nobody is judged on
  */
-export function createPattern(patternType, bpm, loops = 4) {
+export function createPattern(patternType, bpm, loops = 4, range = null) {
   const pattern = midiPatterns.get(patternType);
 
   if (!pattern) {
@@ -140,27 +277,79 @@ export function createPattern(patternType, bpm, loops = 4) {
     return createDefaultPattern(bpm, loops);
   }
 
-  const targetBpm = bpm || pattern.defaultBPM;
-  const timeScale = pattern.defaultBPM / targetBpm;
+  // A bar range is cut out of the loop and starts at time 0
+  const loopRange = normalizeLoopRange(range, pattern.bars.length);
+  let sourceNotes = pattern.notes;
+  let sourceBars = pattern.bars;
+  let sourceDuration = pattern.loopDuration;
+  if (loopRange) {
+    const { startTime, endTime } = getRangeTimes(pattern.bars, pattern.loopDuration, loopRange);
+    sourceNotes = pattern.notes
+      .filter(note => note.time >= startTime && note.time < endTime)
+      .map(note => ({ ...note, time: note.time - startTime }));
+    sourceBars = pattern.bars.slice(loopRange.start - 1, loopRange.end).map(bar => ({
+      ...bar,
+      time: bar.time - startTime,
+      beats: bar.beats.map(beat => beat - startTime)
+    }));
+    sourceDuration = endTime - startTime;
+  }
 
-  const beatDuration = (60 / targetBpm) * 1000;
-  const barDuration = beatDuration * 4;
-  const scaledBarDuration = barDuration;
+  // BPM is the tempo at the start of the file; tempo changes inside it
+  // (e.g. a ritardando) scale along with it
+  const targetBpm = bpm || pattern.defaultBPM;
+  const timeScale = pattern.sourceBpm / targetBpm;
+  const loopDuration = sourceDuration * timeScale;
+  const bars = scaleBars(sourceBars, timeScale);
 
-  // For fills, don't loop by default
-  const actualLoops = pattern.isFill ? 1 : loops;
+  // For fills, don't loop by default (a section picked from one is meant to be looped)
+  const actualLoops = pattern.isFill && !loopRange ? 1 : loops;
 
   // Generate notes with looping
   const notes = [];
+  const unchartedNotes = [];
   for (let loop = 0; loop < actualLoops; loop++) {
-    const loopOffset = loop * scaledBarDuration * pattern.estimatedBars;
+    const loopOffset = loop * loopDuration;
+    const occupied = new Map();  // Lane slot -> piece charted there
+
+    sourceNotes.forEach((note, i) => {
+      // Fold hidden pieces onto their visible lane; sourceNote keeps the real sound
+      const laneNote = laneLayout.resolveNote(note.midiNote);
+
+      // No lane to judge it in (e.g. a hidden HH Pedal), but the backing track still plays it
+      if (laneNote === null) {
+        if (toKitPiece(note.midiNote) !== null) {
+          unchartedNotes.push({
+            time: (note.time * timeScale) + loopOffset,
+            midiNote: note.midiNote,
+            velocity: note.velocity
+          });
+        }
+        return;
+      }
+
+      // Two pieces folded onto one lane at the same moment are judged as a single hit,
+      // but the second piece is still heard
+      const slot = `${Math.round(note.time)}_${laneNote}`;
+      if (occupied.has(slot)) {
+        if (occupied.get(slot) !== note.midiNote) {
+          unchartedNotes.push({
+            time: (note.time * timeScale) + loopOffset,
+            midiNote: note.midiNote,
+            velocity: note.velocity
+          });
+        }
+        return;
+      }
+      occupied.set(slot, note.midiNote);
 
-    pattern.notes.forEach((note, i) => {
       notes.push({
         time: (note.time * timeScale) + loopOffset,
-        midiNote: note.midiNote,
+        midiNote: laneNote,
+        sourceNote: note.midiNote,
         velocity: note.velocity,
-        id: `${patternType}_${loop}_${i}_${note.midiNote}`,
+        hiHatState: note.hiHatState || null,
+        id: `${patternType}_${loop}_${i}_${laneNote}`,
         hit: false,
         judged: false,
         sounded: false
@@ -170,24 +359,148 @@ export function createPattern(patternType, bpm, loops = 4) {
 
   // Sort by time
   notes.sort((a, b) => a.time - b.time);
+  unchartedNotes.sort((a, b) => a.time - b.time);
 
-  const duration = scaledBarDuration * pattern.estimatedBars * actualLoops;
+  const duration = loopDuration * actualLoops;
 
   return {
     name: pattern.name,
     type: patternType,
     bpm: targetBpm,
     defaultBPM: pattern.defaultBPM,
-    timeSignature: [4, 4],
+    timeSignature: pattern.timeSignature,
+    beatGroups: pattern.beatGroups,
+    bars: bars,
     duration: duration,
-    singlePatternDuration: scaledBarDuration * pattern.estimatedBars,
+    singlePatternDuration: loopDuration,
     loopCount: actualLoops,
+    loopRange: loopRange,
     notes: notes,
+    unchartedNotes,
     category: pattern.category,
     isFill: pattern.isFill
   };
 }
 
+/**
+ * Chain patterns into one continuous chart, e.g. a beat ×3 leading into a fill
+ * Each section is its pattern repeated (fills included) and starts where the last one ended.
+ * @param {Array<{patternId: string, repeats: number, range: Object, isFill: boolean}>} sections - The arrangement;
+ *   range plays only some bars of the pattern, isFill marks a fill the library doesn't know as one
+ * @param {number} bpm - Beats per minute for every section
+ * @param {number} loops - Times through the whole song
+ * @param {string} name - Song name
+ * @returns {Object} Pattern object like createPattern's, plus `sections` (name, startTime, endTime...) for one pass
+ */
+export function createSongPattern(sections, bpm, loops = 1, name = 'Song') {
+  const bars = [];
+  const passNotes = [];
+  const passUncharted = [];
+  const songSections = [];
+  let offset = 0;
+  let first = null;
+
+  sections.forEach((section, index) => {
+    const part = createPattern(section.patternId, bpm, 1, section.range || null);
+    first = first || part;
+    const startTime = offset;
+
+    for (let repeat = 0; repeat < section.repeats; repeat++) {
+      part.bars.forEach(bar => bars.push({
+        ...bar,
+        time: bar.time + offset,
+        beats: bar.beats.map(beat => beat + offset)
+      }));
+      part.notes.forEach(note => passNotes.push({
+        ...note,
+        time: note.time + offset,
+        id: `song_${index}_${repeat}_${note.id}`
+      }));
+      part.unchartedNotes.forEach(note => passUncharted.push({ ...note, time: note.time + offset }));
+      offset += part.singlePatternDuration;
+    }
+
+    songSections.push({
+      name: part.name,
+      patternId: section.patternId,
+      repeats: section.repeats,
+      isFill: Boolean(section.isFill || part.isFill),
+      startTime,
+      endTime: offset
+    });
+  });
+
+  const notes = [];
+  const unchartedNotes = [];
+  for (let loop = 0; loop < loops; loop++) {
+    passNotes.forEach(note => notes.push({
+      ...note,
+      time: note.time + loop * offset,
+      id: `${note.id}_${loop}`
+    }));
+    passUncharted.forEach(note => unchartedNotes.push({ ...note, time: note.time + loop * offset }));
+  }
+
+  return {
+    name,
+    type: 'song',
+    bpm: first ? first.bpm : bpm,
+    defaultBPM: bpm,
+    timeSignature: first ? first.timeSignature : [4, 4],
+    beatGroups: first ? first.beatGroups : null,
+    bars,
+    duration: offset * loops,
+    singlePatternDuration: offset,
+    loopCount: loops,
+    loopRange: null,
+    notes,
+    unchartedNotes,
+    category: 'Songs',
+    isFill: false,
+    sections: songSections
+  };
+}
+
+/**
+ * Fills that belong to a beat (e.g. "Chilled Beat 1 Fill 2" for "Chilled Beat 1", "Chilled Beat 1A"
+ * or "Chilled Beat 1 (Hat Variation)")
+ * Matched by name, so imported fills named the same way are found too.
+ * @param {string} patternId - Beat pattern ID
+ * @returns {Array<{id: string, name: string}>} Matching fills
+ */
+export function getFillsForBeat(patternId) {
+  const beat = midiPatterns.get(patternId);
+  if (!beat) return [];
+
+  // Variations share their base beat's fills
+  const baseName = beat.name
+    .replace(/ Fill.*$/, '')
+    .replace(/\s*\(.*\)$/, '')
+    .replace(/(\d+)[A-Z]$/i, '$1');
+  const fills = [];
+  for (const [id, pattern] of midiPatterns) {
+    if (pattern.isFill && pattern.name.startsWith(`${baseName} Fill`)) {
+      fills.push({ id, name: pattern.name });
+    }
+  }
+  return fills.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+}
+
+/**
+ * Scale a bar layout to a new tempo
+ * @param {Array} bars - Bars from MidiParser (times in ms at the file tempo)
+ * @param {number} timeScale - Multiplier for all times
+ * @returns {Array<{time: number, numerator: number, denominator: number, beats: number[]}>} Bars within one loop
+ */
+function scaleBars(bars, timeScale) {
+  return bars.map(bar => ({
+    time: bar.time * timeScale,
+    numerator: bar.numerator,
+    denominator: bar.denominator,
+    beats: bar.beats.map(beat => beat * timeScale)
+  }));
+}
+
 /**
  * Create a simple default pattern (fallback)
  */
@@ -214,6 +527,12 @@ function createDefaultPattern(bpm = 120, bars = 4) {
     bpm: bpm,
     defaultBPM: bpm,
     timeSignature: [4, 4],
+    bars: Array.from({ length: bars }, (_, bar) => ({
+      time: bar * barDuration,
+      numerator: 4,
+      denominator: 4,
+      beats: [0, 1, 2, 3].map(beat => bar * barDuration + beat * beatDuration)
+    })),
     duration: barDuration * bars,
     singlePatternDuration: barDuration * bars,
     loopCount: 1,
@@ -223,7 +542,8 @@ function createDefaultPattern(bpm = 120, bars = 4) {
       hit: false,
       judged: false,
       sounded: false
-    }))
+    })),
+    unchartedNotes: []
   };
 }
 
@@ -238,7 +558,8 @@ export function getPatternInfo(patternId) {
     name: pattern.name,
     defaultBPM: pattern.defaultBPM,
     bars: pattern.estimatedBars,
-    isLoopBased: pattern.isLoopBased
+    isLoopBased: pattern.isLoopBased,
+    timeSignature: pattern.timeSignature
   };
 }
 
@@ -265,7 +586,9 @@ export const PATTERNS = new Proxy({}, {
         name: pattern.name,
         defaultBPM: pattern.defaultBPM,
         bars: pattern.estimatedBars,
-        isLoopBased: pattern.isLoopBased
+        isLoopBased: pattern.isLoopBased,
+        isUser: pattern.isUser,
+        timeSignature: pattern.timeSignature
       };
     }
     return undefined;
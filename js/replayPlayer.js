@@ -0,0 +1,141 @@
+// Replay of a recorded attempt - plays back the player's hits against the pattern
+
+export class ReplayPlayer {
+  /**
+   * @param {Object} recording - What was played
+   * @param {Object} recording.pattern - Pattern the attempt was played against
+   * @param {Array} recording.notes - Pattern notes with their accuracy (hit and missed)
+   * @param {Array<{time: number, midiNote: number, velocity: number}>} recording.performance - Every pad hit
+   * @param {number} recording.startTime - Where playback begins (negative to include the count-in)
+   * @param {number} recording.endTime - Where playback ends
+   */
+  constructor(recording) {
+    this.pattern = recording.pattern;
+    this.notes = [...recording.notes].sort((a, b) => a.time - b.time);
+    this.performance = [...recording.performance].sort((a, b) => a.time - b.time);
+    this.startTime = recording.startTime;
+    this.endTime = recording.endTime;
+
+    this.currentTime = this.startTime;
+    this.isPlaying = false;
+    this.playPattern = false; // Also sound the reference notes
+
+    // Next hit and note to sound
+    this.hitIndex = 0;
+    this.noteIndex = 0;
+
+    this.clockStart = 0;
+    this.animationFrameId = null;
+
+    // Callbacks
+    this.onUpdate = null;       // (currentTime) every frame
+    this.onHit = null;          // (hit) when a recorded hit is reached
+    this.onPatternNote = null;  // (note) when a pattern note is reached, if playPattern is on
+    this.onEnd = null;
+  }
+
+  /**
+   * Create a replay of the attempt held in a GameState
+   * @param {GameState} gameState - Finished game state
+   * @returns {ReplayPlayer}
+   */
+  static fromGameState(gameState) {
+    const notes = gameState.getAllNotesWithAccuracy();
+    const lastNote = notes.length > 0 ? notes[notes.length - 1].time : 0;
+    const lastHit = gameState.performance.length > 0
+      ? gameState.performance[gameState.performance.length - 1].time
+      : 0;
+
+    return new ReplayPlayer({
+      pattern: gameState.pattern,
+      notes,
+      performance: gameState.performance,
+      startTime: -(gameState.leadInTime || 0),
+      // A little past the end so the last hits scroll past the hit line
+      endTime: Math.max(lastNote, lastHit, gameState.currentTime) + 500
+    });
+  }
+
+  get duration() {
+    return this.endTime - this.startTime;
+  }
+
+  play() {
+    if (this.isPlaying) return;
+    if (this.currentTime >= this.endTime) {
+      this.seek(this.startTime);
+    }
+
+    this.isPlaying = true;
+    this.clockStart = performance.now() - (this.currentTime - this.startTime);
+    this.loop();
+  }
+
+  pause() {
+    this.isPlaying = false;
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+  }
+
+  /**
+   * Jump to a time without sounding anything in between
+   * @param {number} time - Game time in ms
+   */
+  seek(time) {
+    this.currentTime = Math.min(Math.max(time, this.startTime), this.endTime);
+    this.hitIndex = this.findIndex(this.performance, this.currentTime);
+    this.noteIndex = this.findIndex(this.notes, this.currentTime);
+    this.clockStart = performance.now() - (this.currentTime - this.startTime);
+
+    if (this.onUpdate) {
+      this.onUpdate(this.currentTime);
+    }
+  }
+
+  /**
+   * Index of the first event at or after a time
+   */
+  findIndex(events, time) {
+    const index = events.findIndex(event => event.time >= time);
+    return index === -1 ? events.length : index;
+  }
+
+  loop() {
+    if (!this.isPlaying) return;
+
+    this.advanceTo(this.startTime + performance.now() - this.clockStart);
+
+    if (this.isPlaying) {
+      this.animationFrameId = requestAnimationFrame(() => this.loop());
+    }
+  }
+
+  /**
+   * Move playback forward, sounding every event passed on the way
+   * @param {number} time - Game time in ms
+   */
+  advanceTo(time) {
+    this.currentTime = Math.min(time, this.endTime);
+
+    while (this.hitIndex < this.performance.length && this.performance[this.hitIndex].time <= this.currentTime) {
+      if (this.onHit) this.onHit(this.performance[this.hitIndex]);
+      this.hitIndex++;
+    }
+
+    while (this.noteIndex < this.notes.length && this.notes[this.noteIndex].time <= this.currentTime) {
+      if (this.playPattern && this.onPatternNote) this.onPatternNote(this.notes[this.noteIndex]);
+      this.noteIndex++;
+    }
+
+    if (this.onUpdate) {
+      this.onUpdate(this.currentTime);
+    }
+
+    if (this.currentTime >= this.endTime) {
+      this.pause();
+      if (this.onEnd) this.onEnd();
+    }
+  }
+}
@@ -0,0 +1,255 @@
+// Sample-based drum kits - recorded hits with velocity layers and round-robin variations,
+// listed in public/kits/manifest.json
+
+import { MIDI_NOTE_MAP, GM_DRUM_MAP } from './constants.js';
+
+// Pieces that cut each other off unless the manifest says otherwise (a closed hat stops an open one)
+const DEFAULT_CHOKE_GROUPS = { 42: 'hihat', 44: 'hihat', 46: 'hihat' };
+
+// Stand-ins for pieces that have no lane fallback (a pedal hat always gets its own lane)
+const SAMPLE_FALLBACKS = { 44: 42 };
+
+export const MAX_PIECE_TUNE = 24;   // Semitones either way
+export const MAX_PIECE_GAIN = 2;
+
+// How each piece is played: tune (semitones), gain, pan (-1 left to 1 right), decay (seconds, null = the whole sample)
+export const PIECE_DEFAULTS = { tune: 0, gain: 1, pan: 0, decay: null };
+
+function clampNumber(value, min, max, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(Math.max(n, min), max) : fallback;
+}
+
+/**
+ * Keep a piece's playback settings in range
+ * @param {Object} settings - Partial settings: { tune, gain, pan, decay }
+ * @returns {Object} Complete settings
+ */
+export function normalizePieceSettings(settings = {}) {
+  const decay = settings.decay === null || settings.decay === undefined || settings.decay === ''
+    ? null
+    : clampNumber(settings.decay, 0.05, 10, null);
+  return {
+    tune: Math.round(clampNumber(settings.tune, -MAX_PIECE_TUNE, MAX_PIECE_TUNE, PIECE_DEFAULTS.tune)),
+    gain: clampNumber(settings.gain, 0, MAX_PIECE_GAIN, PIECE_DEFAULTS.gain),
+    pan: clampNumber(settings.pan, -1, 1, PIECE_DEFAULTS.pan),
+    decay
+  };
+}
+
+/**
+ * Check a kit from the manifest and put its layers in velocity order
+ * Pieces are keyed by MIDI note: { chokeGroup, tune, gain, pan, decay, layers: [{ maxVelocity, samples: [file] }] }
+ * @param {Object} definition - Kit entry from the manifest
+ * @returns {Object|null} { id, name, folder, pieces }, or null if the kit has no usable pieces
+ */
+export function normalizeKitDefinition(definition) {
+  if (!definition || !definition.id || typeof definition.pieces !== 'object') return null;
+
+  const pieces = {};
+  Object.entries(definition.pieces || {}).forEach(([note, piece]) => {
+    const layers = (piece.layers || [])
+      .map(layer => ({
+        maxVelocity: Math.min(Math.max(Math.round(Number(layer.maxVelocity)) || 127, 1), 127),
+        samples: (layer.samples || []).filter(file => typeof file === 'string' && file !== '')
+      }))
+      .filter(layer => layer.samples.length > 0)
+      .sort((a, b) => a.maxVelocity - b.maxVelocity);
+    if (layers.length === 0) return;
+
+    // The loudest layer covers everything above it
+    layers[layers.length - 1].maxVelocity = 127;
+    pieces[note] = {
+      chokeGroup: piece.chokeGroup === undefined ? (DEFAULT_CHOKE_GROUPS[note] || null) : (piece.chokeGroup || null),
+      ...normalizePieceSettings(piece),
+      layers
+    };
+  });
+
+  if (Object.keys(pieces).length === 0) return null;
+  return {
+    id: definition.id,
+    name: definition.name || definition.id,
+    folder: definition.folder || definition.id,
+    pieces
+  };
+}
+
+/**
+ * A drum kit played from samples
+ * Velocity picks the layer; each hit on a layer takes the next of its samples in turn.
+ */
+export class SampleKit {
+  /**
+   * @param {Object} definition - From normalizeKitDefinition
+   * @param {Function} loadFile - fileName => Promise<ArrayBuffer> (where the kit's samples come from)
+   */
+  constructor(definition, loadFile) {
+    this.id = definition.id;
+    this.name = definition.name;
+    this.folder = definition.folder;
+    this.pieces = definition.pieces;
+    this.loadFile = loadFile;
+    this.isUser = false;          // Built in the kit builder (see userKits.js) rather than listed in the manifest
+
+    this.buffers = new Map();     // File name -> decoded AudioBuffer
+    this.roundRobin = new Map();  // 'note:layer' -> index of the next sample
+    this.loading = null;          // Promise while samples are being decoded
+    this.loaded = false;
+  }
+
+  /**
+   * Every sample file the kit uses
+   * @returns {string[]}
+   */
+  getFiles() {
+    const files = new Set();
+    Object.values(this.pieces).forEach(piece => {
+      piece.layers.forEach(layer => layer.samples.forEach(file => files.add(file)));
+    });
+    return [...files];
+  }
+
+  /**
+   * Fetch and decode the samples (once; later calls wait for the first)
+   * A sample that fails to load is skipped, and its piece falls back to the other samples or the synth.
+   * @param {BaseAudioContext} audioContext - Context to decode with
+   * @returns {Promise<number>} Samples decoded
+   */
+  load(audioContext) {
+    if (!this.loading) {
+      this.loading = Promise.all(this.getFiles().map(async file => {
+        try {
+          const data = await this.loadFile(file);
+          this.buffers.set(file, await audioContext.decodeAudioData(data));
+        } catch (error) {
+          console.warn(`[SampleKit] Failed to load ${file} for ${this.name}:`, error);
+        }
+      })).then(() => {
+        this.loaded = true;
+        return this.buffers.size;
+      });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Piece the kit plays for a note: the note itself, its General MIDI piece, then that piece's fallbacks
+   * (e.g. no ride sample -> closed hat, no pedal hat sample -> closed hat)
+   * @param {number} midiNote - Note played
+   * @returns {string|null} Key into pieces, or null if the kit has nothing for it
+   */
+  resolvePiece(midiNote) {
+    let note = this.pieces[midiNote] ? midiNote : (GM_DRUM_MAP[midiNote] ?? midiNote);
+    const visited = new Set();
+    while (note !== null && note !== undefined && !visited.has(note)) {
+      if (this.pieces[note]) return String(note);
+      visited.add(note);
+      note = SAMPLE_FALLBACKS[note] ?? (MIDI_NOTE_MAP[note] ? MIDI_NOTE_MAP[note].fallback : null);
+    }
+    return null;
+  }
+
+  /**
+   * Sample for a hit
+   * @param {number} midiNote - Note played
+   * @param {number} velocity - Velocity (1-127)
+   * @returns {{file: string, buffer: AudioBuffer|undefined, gain: number, tune: number, pan: number,
+   *   decay: number|null, chokeGroup: string|null}|null}
+   *   Null if the kit has nothing for the note; buffer is undefined until the file is loaded
+   */
+  pickSample(midiNote, velocity) {
+    const note = this.resolvePiece(midiNote);
+    if (note === null) return null;
+
+    const piece = this.pieces[note];
+    const layerIndex = piece.layers.findIndex(layer => velocity <= layer.maxVelocity);
+    const layer = piece.layers[layerIndex === -1 ? piece.layers.length - 1 : layerIndex];
+
+    const key = `${note}:${layer.maxVelocity}`;
+    const index = this.roundRobin.get(key) || 0;
+    this.roundRobin.set(key, (index + 1) % layer.samples.length);
+    const file = layer.samples[index];
+
+    return {
+      file,
+      buffer: this.buffers.get(file),
+      // Layers carry the change in timbre; within a layer the level still follows velocity
+      gain: Math.sqrt(Math.min(Math.max(velocity, 1), 127) / 127) * piece.gain,
+      tune: piece.tune,
+      pan: piece.pan,
+      decay: piece.decay,
+      chokeGroup: piece.chokeGroup
+    };
+  }
+}
+
+/**
+ * Sounds that cut each other off, e.g. open and closed hi-hat
+ * Each group keeps the last sound started in it; the next hit in the group stops it.
+ */
+export class ChokeGroups {
+  constructor() {
+    this.ringing = new Map();   // Group key -> { startTime, stop(time) }
+  }
+
+  /**
+   * A piece in a choke group was hit
+   * @param {string} group - Group key
+   * @param {number} time - When the new hit starts (context seconds)
+   * @param {Object|null} voice - The new sound: { startTime, stop(time) }
+   */
+  hit(group, time, voice) {
+    const ringing = this.ringing.get(group);
+    if (ringing && ringing.startTime <= time) {
+      ringing.stop(time);
+    }
+    this.ringing.set(group, voice);
+  }
+
+  clear() {
+    this.ringing.clear();
+  }
+}
+
+/**
+ * Choke group a note belongs to when the kit is synthesized
+ * @param {number} midiNote - Note played
+ * @returns {string|null}
+ */
+export function getSynthChokeGroup(midiNote) {
+  return DEFAULT_CHOKE_GROUPS[midiNote] || null;
+}
+
+/**
+ * Load the sample kit manifest
+ * Samples are fetched from public/kits/<folder>/ when a kit is first selected.
+ * @param {Function} fetchFn - fetch
+ * @returns {Promise<SampleKit[]>} Kits in manifest order (empty if there is no manifest)
+ */
+export async function loadKitManifest(fetchFn = fetch) {
+  try {
+    const response = await fetchFn('./kits/manifest.json');
+    if (!response.ok) {
+      throw new Error(`Failed to load kit manifest: ${response.status}`);
+    }
+    const manifest = await response.json();
+    return (manifest.kits || [])
+      .map(definition => {
+        const kit = normalizeKitDefinition(definition);
+        if (!kit) console.warn(`[SampleKit] Ignoring kit without samples: ${definition && definition.id}`);
+        return kit;
+      })
+      .filter(Boolean)
+      .map(kit => new SampleKit(kit, async file => {
+        const fileResponse = await fetchFn(`./kits/${encodeURIComponent(kit.folder)}/${encodeURIComponent(file)}`);
+        if (!fileResponse.ok) {
+          throw new Error(`HTTP ${fileResponse.status}`);
+        }
+        return fileResponse.arrayBuffer();
+      }));
+  } catch (error) {
+    console.warn('[SampleKit] No sample kits loaded:', error);
+    return [];
+  }
+}
@@ -21,6 +21,12 @@ export class ScoreManager {
     this.totalNotes = 0;
     this.hitNotes = 0;
 
+    this.resetDynamics();
+
+    // Combo bonus per consecutive hit (set by the difficulty)
+    this.comboMultiplier = GAME_CONFIG.COMBO_MULTIPLIER;
+    this.difficulty = null;
+
     // Callback for UI updates
     this.onScoreUpdate = null;
   }
@@ -36,7 +42,7 @@ export class ScoreManager {
 
     // Calculate score with combo multiplier
     const baseScore = judgment.score;
-    const comboMultiplier = 1 + (this.combo * GAME_CONFIG.COMBO_MULTIPLIER);
+    const comboMultiplier = 1 + (this.combo * this.comboMultiplier);
     const finalScore = Math.max(0, Math.floor(baseScore * comboMultiplier));
 
     this.totalScore += finalScore;
@@ -53,12 +59,70 @@ export class ScoreManager {
       this.combo = 0;
     }
 
+    if (judgment.dynamics) {
+      this.recordDynamics(judgment.dynamics);
+    }
+
     // Notify UI
     this.notifyScoreUpdate();
 
     console.log(`Judgment: ${judgment.judgment}, Score: +${finalScore}, Combo: ${this.combo}`);
   }
 
+  /**
+   * Score with a difficulty's combo bonus, and name it in the summary
+   * @param {Object} difficulty - From getDifficulty (difficulty.js)
+   */
+  setDifficulty(difficulty) {
+    this.comboMultiplier = difficulty.comboMultiplier;
+    this.difficulty = difficulty.name;
+  }
+
+  /**
+   * Record a dynamics judgment (velocity vs. the written note)
+   * Dynamics points are a flat bonus and don't affect the combo.
+   * @param {Object} dynamics - Result from TimingJudge.judgeDynamics
+   */
+  recordDynamics(dynamics) {
+    this.dynamicsCounts[dynamics.dynamics]++;
+    this.totalScore += dynamics.score;
+
+    if (dynamics.expected === 'GHOST') {
+      this.ghostNotes.total++;
+      if (dynamics.played === 'GHOST') this.ghostNotes.hit++;
+    } else if (dynamics.expected === 'ACCENT') {
+      this.accents.total++;
+      if (dynamics.played === 'ACCENT') this.accents.hit++;
+    }
+  }
+
+  /**
+   * Get dynamics accuracy percentage (CLOSE counts half)
+   * @returns {number|null} Accuracy (0-100), or null if no hits were judged on dynamics
+   */
+  getDynamicsAccuracy() {
+    const { MATCH, CLOSE, OFF } = this.dynamicsCounts;
+    const total = MATCH + CLOSE + OFF;
+    if (total === 0) return null;
+    return Math.round(((MATCH + CLOSE * 0.5) / total) * 100);
+  }
+
+  /**
+   * Get dynamics summary
+   * @returns {Object|null} Null if no hits were judged on dynamics
+   */
+  getDynamicsSummary() {
+    const accuracy = this.getDynamicsAccuracy();
+    if (accuracy === null) return null;
+
+    return {
+      accuracy,
+      counts: { ...this.dynamicsCounts },
+      ghostNotes: { ...this.ghostNotes },
+      accents: { ...this.accents }
+    };
+  }
+
   /**
    * Record a missed note
    */
@@ -108,7 +172,9 @@ export class ScoreManager {
       maxCombo: this.maxCombo,
       totalNotes: this.totalNotes,
       hitNotes: this.hitNotes,
-      judgments: { ...this.judgmentCounts }
+      judgments: { ...this.judgmentCounts },
+      dynamics: this.getDynamicsSummary(),
+      difficulty: this.difficulty
     };
   }
 
@@ -133,9 +199,26 @@ export class ScoreManager {
     this.totalNotes = 0;
     this.hitNotes = 0;
 
+    this.resetDynamics();
+
     this.notifyScoreUpdate();
   }
 
+  /**
+   * Clear dynamics tracking
+   */
+  resetDynamics() {
+    this.dynamicsCounts = {
+      MATCH: 0,
+      CLOSE: 0,
+      OFF: 0
+    };
+
+    // Written ghost notes/accents and how many were played in the same band
+    this.ghostNotes = { hit: 0, total: 0 };
+    this.accents = { hit: 0, total: 0 };
+  }
+
   /**
    * Notify UI of score changes
    */
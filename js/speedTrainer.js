@@ -0,0 +1,122 @@
+// Speed trainer - starts a pattern slow and raises the tempo as loops are played accurately
+
+export const SPEED_TRAINER_DEFAULTS = {
+  startPercent: 70,      // Starting tempo as a percentage of the pattern's default BPM
+  step: 5,               // BPM added after a good loop (and taken off after a poor one)
+  targetAccuracy: 90,    // Loop accuracy (%) needed to speed up
+  backoffAccuracy: 70,   // Loop accuracy (%) below which the tempo drops
+  goalBpm: null          // Tempo to stop at (null = the pattern's default BPM)
+};
+
+// Same tempo range as the BPM controls
+const MIN_BPM = 30;
+const MAX_BPM = 200;
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Make trainer settings usable (whole numbers, in range, back-off below target)
+ * @param {Object} options - Partial settings
+ * @returns {Object} Complete settings
+ */
+export function normalizeTrainerOptions(options = {}) {
+  const merged = { ...SPEED_TRAINER_DEFAULTS, ...options };
+  const number = (value, fallback) => (Number.isFinite(Number(value)) ? Math.round(Number(value)) : fallback);
+
+  const targetAccuracy = clamp(number(merged.targetAccuracy, SPEED_TRAINER_DEFAULTS.targetAccuracy), 1, 100);
+  return {
+    startPercent: clamp(number(merged.startPercent, SPEED_TRAINER_DEFAULTS.startPercent), 10, 100),
+    step: clamp(number(merged.step, SPEED_TRAINER_DEFAULTS.step), 1, 50),
+    targetAccuracy,
+    backoffAccuracy: clamp(number(merged.backoffAccuracy, SPEED_TRAINER_DEFAULTS.backoffAccuracy), 0, targetAccuracy),
+    goalBpm: merged.goalBpm === null || merged.goalBpm === ''
+      ? null
+      : clamp(number(merged.goalBpm, MAX_BPM), MIN_BPM, MAX_BPM)
+  };
+}
+
+export class SpeedTrainer {
+  /**
+   * @param {Object} options - Settings (see SPEED_TRAINER_DEFAULTS)
+   */
+  constructor(options = {}) {
+    this.options = normalizeTrainerOptions(options);
+    this.bpm = 0;
+    this.goalBpm = 0;
+    this.reachedGoal = false;
+    this.history = []; // { loop, bpm, accuracy, change } per loop played
+  }
+
+  /**
+   * Work out the starting tempo
+   * @param {number} defaultBpm - The pattern's default BPM
+   * @returns {number} BPM for the first loop
+   */
+  start(defaultBpm) {
+    this.goalBpm = this.options.goalBpm ?? defaultBpm;
+    this.bpm = clamp(Math.round(defaultBpm * this.options.startPercent / 100), MIN_BPM, this.goalBpm);
+    this.reachedGoal = false;
+    this.history = [];
+    return this.bpm;
+  }
+
+  /**
+   * Record a loop's accuracy and pick the tempo for the next one
+   * A good loop at the goal tempo completes the session.
+   * @param {number} accuracy - Loop accuracy (0-100)
+   * @returns {{bpm: number, change: string}} Next tempo; change is 'up', 'down', 'hold' or 'goal'
+   */
+  recordLoop(accuracy) {
+    const { step, targetAccuracy, backoffAccuracy } = this.options;
+    const played = this.bpm;
+    let change = 'hold';
+
+    if (accuracy >= targetAccuracy) {
+      if (played >= this.goalBpm) {
+        change = 'goal';
+        this.reachedGoal = true;
+      } else {
+        change = 'up';
+        this.bpm = Math.min(this.goalBpm, played + step);
+      }
+    } else if (accuracy < backoffAccuracy && played > MIN_BPM) {
+      change = 'down';
+      this.bpm = Math.max(MIN_BPM, played - step);
+    }
+
+    this.history.push({ loop: this.history.length + 1, bpm: played, accuracy, change });
+    return { bpm: this.bpm, change };
+  }
+
+  /**
+   * Fastest tempo a loop was played at
+   */
+  getPeakBpm() {
+    return this.history.reduce((peak, entry) => Math.max(peak, entry.bpm), 0);
+  }
+}
+
+/**
+ * Accuracy of the judgments made between two ScoreManager summaries
+ * Uses the same rule as ScoreManager.getAccuracy (Perfect, Good and OK count as hits).
+ * @param {Object} before - Summary at the start of the loop
+ * @param {Object} after - Summary at the end of the loop
+ * @returns {Object} Loop result: { accuracy, score, perfect, good, ok, miss, maxCombo }
+ */
+export function getLoopResult(before, after) {
+  const delta = key => after.judgments[key] - (before ? before.judgments[key] : 0);
+  const totalNotes = after.totalNotes - (before ? before.totalNotes : 0);
+  const hitNotes = after.hitNotes - (before ? before.hitNotes : 0);
+
+  return {
+    accuracy: totalNotes > 0 ? Math.round((hitNotes / totalNotes) * 1000) / 10 : 100,
+    score: after.totalScore - (before ? before.totalScore : 0),
+    perfect: delta('PERFECT'),
+    good: delta('GOOD'),
+    ok: delta('OK'),
+    miss: delta('MISS'),
+    maxCombo: after.maxCombo
+  };
+}
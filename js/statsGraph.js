@@ -17,6 +17,9 @@ export class StatsGraph {
         currentFill: 'rgba(0, 212, 170, 0.2)',
         historicalLine: '#00aaff',
         historicalFill: 'rgba(0, 170, 255, 0.15)',
+        dynamicsLine: '#b388ff',
+        fillsLine: '#ff8a80',
+        tempoLine: '#ffb74d',
         axis: '#606068',
         text: '#9898a0',
         highlight: '#ff3399'
@@ -28,6 +31,9 @@ export class StatsGraph {
         currentFill: 'rgba(0, 160, 128, 0.2)',
         historicalLine: '#0088cc',
         historicalFill: 'rgba(0, 136, 204, 0.15)',
+        dynamicsLine: '#7c4dff',
+        fillsLine: '#e53935',
+        tempoLine: '#e08600',
         axis: '#888890',
         text: '#555560',
         highlight: '#cc2277'
@@ -125,8 +131,30 @@ export class StatsGraph {
       this.drawCurrentSessionLine(graphData.currentSession, graphWidth, graphHeight);
     }
 
+    // Dynamics accuracy, fill drill accuracy and speed trainer tempo follow whichever accuracy line is in front
+    let hasDynamics = false;
+    let hasFills = false;
+    let hasTempo = false;
+    if (hasCurrentSession) {
+      const maxX = Math.max(graphData.currentSession.length, 4);
+      hasDynamics = this.drawDynamicsLine(graphData.currentSession, graphWidth, graphHeight,
+        (d) => d.x / maxX);
+      hasFills = this.drawFillsLine(graphData.currentSession, graphWidth, graphHeight,
+        (d) => d.x / maxX);
+      hasTempo = this.drawTempoLine(graphData.currentSession, graphWidth, graphHeight,
+        (d) => d.x / maxX, graphData.bpm);
+    } else if (options.showHistorical !== false) {
+      const count = graphData.historicalSessions.length;
+      hasDynamics = this.drawDynamicsLine(graphData.historicalSessions, graphWidth, graphHeight,
+        (d, i) => (i + 0.5) / count);
+      hasFills = this.drawFillsLine(graphData.historicalSessions, graphWidth, graphHeight,
+        (d, i) => (i + 0.5) / count);
+      hasTempo = this.drawTempoLine(graphData.historicalSessions, graphWidth, graphHeight,
+        (d, i) => (i + 0.5) / count, graphData.bpm);
+    }
+
     // Draw legend with BPM indicator
-    this.drawLegend(hasCurrentSession, hasHistorical, graphData.bpm);
+    this.drawLegend(hasCurrentSession, hasHistorical, graphData.bpm, hasDynamics, hasTempo, hasFills);
   }
 
   /**
@@ -284,10 +312,113 @@ export class StatsGraph {
     });
   }
 
+  /**
+   * Draw dynamics accuracy line (dotted, no fill)
+   * Points without dynamics data (keyboard input, dynamics off) are skipped.
+   * @param {Array} data - Graph points with a dynamics value
+   * @param {Function} xFraction - (point, index) => horizontal position 0-1
+   * @returns {boolean} True if anything was drawn
+   */
+  drawDynamicsLine(data, graphWidth, graphHeight, xFraction) {
+    return this.drawPercentLine(data, 'dynamics', this.colors.dynamicsLine, [2, 3], graphWidth, graphHeight, xFraction);
+  }
+
+  /**
+   * Draw fill drill accuracy on the fills (dashed, no fill)
+   * @param {Array} data - Graph points with a fills value
+   * @param {Function} xFraction - (point, index) => horizontal position 0-1
+   * @returns {boolean} True if anything was drawn
+   */
+  drawFillsLine(data, graphWidth, graphHeight, xFraction) {
+    return this.drawPercentLine(data, 'fills', this.colors.fillsLine, [6, 3], graphWidth, graphHeight, xFraction);
+  }
+
+  /**
+   * Draw a secondary percentage line with dots, skipping points without the value
+   * @param {Array} data - Graph points
+   * @param {string} field - Point field holding the percentage
+   * @param {string} color - Line color
+   * @param {Array<number>} dash - Line dash pattern
+   * @param {Function} xFraction - (point, index) => horizontal position 0-1
+   * @returns {boolean} True if anything was drawn
+   */
+  drawPercentLine(data, field, color, dash, graphWidth, graphHeight, xFraction) {
+    const points = data
+      .map((d, i) => ({ d, i }))
+      .filter(({ d }) => d[field] !== null && d[field] !== undefined)
+      .map(({ d, i }) => ({
+        x: this.padding.left + xFraction(d, i) * graphWidth,
+        y: this.padding.top + graphHeight - (d[field] / 100) * graphHeight
+      }));
+
+    if (points.length === 0) return false;
+
+    const ctx = this.ctx;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash(dash);
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    points.forEach(p => ctx.lineTo(p.x, p.y));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    points.forEach(p => {
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, 2.5, 0, Math.PI * 2);
+      ctx.fill();
+    });
+
+    return true;
+  }
+
+  /**
+   * Draw speed trainer tempo line (stepped, no fill)
+   * Tempo is plotted as a percentage of the goal tempo, so the top of the graph is the goal.
+   * @param {Array} data - Graph points with a tempo value
+   * @param {Function} xFraction - (point, index) => horizontal position 0-1
+   * @param {number} goalBpm - Tempo at the top of the graph
+   * @returns {boolean} True if anything was drawn
+   */
+  drawTempoLine(data, graphWidth, graphHeight, xFraction, goalBpm) {
+    if (!goalBpm) return false;
+
+    const points = data
+      .map((d, i) => ({ d, i }))
+      .filter(({ d }) => d.tempo !== null && d.tempo !== undefined)
+      .map(({ d, i }) => ({
+        bpm: d.tempo,
+        x: this.padding.left + xFraction(d, i) * graphWidth,
+        y: this.padding.top + graphHeight - Math.min(d.tempo / goalBpm, 1) * graphHeight
+      }));
+
+    if (points.length === 0) return false;
+
+    const ctx = this.ctx;
+    ctx.strokeStyle = this.colors.tempoLine;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(points[0].x, points[0].y);
+    points.slice(1).forEach((p, i) => {
+      ctx.lineTo(p.x, points[i].y);
+      ctx.lineTo(p.x, p.y);
+    });
+    ctx.stroke();
+
+    const last = points[points.length - 1];
+    ctx.fillStyle = this.colors.tempoLine;
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${last.bpm} BPM`, last.x - 4, last.y - 4);
+
+    return true;
+  }
+
   /**
    * Draw legend
    */
-  drawLegend(hasCurrentSession, hasHistorical, bpm = null) {
+  drawLegend(hasCurrentSession, hasHistorical, bpm = null, hasDynamics = false, hasTempo = false, hasFills = false) {
     const ctx = this.ctx;
     let x = this.canvas.width - this.padding.right - 10;
     const y = this.padding.top + 10;
@@ -326,6 +457,41 @@ export class StatsGraph {
       ctx.fillStyle = this.colors.text;
       ctx.fillText('History', x - 35, y + yOffset);
     }
+
+    if (hasDynamics) {
+      const yOffset = (hasCurrentSession ? 18 : 0) + (hasHistorical ? 18 : 0) + bpmOffset;
+      ctx.strokeStyle = this.colors.dynamicsLine;
+      ctx.setLineDash([2, 3]);
+      ctx.beginPath();
+      ctx.moveTo(x - 30, y + yOffset - 2);
+      ctx.lineTo(x - 10, y + yOffset - 2);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillStyle = this.colors.text;
+      ctx.fillText('Dynamics', x - 35, y + yOffset);
+    }
+
+    if (hasFills) {
+      const yOffset = (hasCurrentSession ? 18 : 0) + (hasHistorical ? 18 : 0) + (hasDynamics ? 18 : 0) + bpmOffset;
+      ctx.strokeStyle = this.colors.fillsLine;
+      ctx.setLineDash([6, 3]);
+      ctx.beginPath();
+      ctx.moveTo(x - 30, y + yOffset - 2);
+      ctx.lineTo(x - 10, y + yOffset - 2);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      ctx.fillStyle = this.colors.text;
+      ctx.fillText('Fills', x - 35, y + yOffset);
+    }
+
+    if (hasTempo) {
+      const yOffset = (hasCurrentSession ? 18 : 0) + (hasHistorical ? 18 : 0) + (hasDynamics ? 18 : 0) +
+        (hasFills ? 18 : 0) + bpmOffset;
+      ctx.fillStyle = this.colors.tempoLine;
+      ctx.fillRect(x - 30, y + yOffset - 3, 20, 2);
+      ctx.fillStyle = this.colors.text;
+      ctx.fillText('Tempo', x - 35, y + yOffset);
+    }
   }
 
   /**
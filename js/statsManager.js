@@ -40,22 +40,29 @@ export class StatsManager {
    * Generate a storage key for pattern+BPM combination
    * @param {string} patternId - Pattern ID
    * @param {number} bpm - BPM value
+   * @param {string} variant - Optional suffix for practice setups that change the chart (e.g. lane layout)
    * @returns {string} Combined key
    */
-  getPatternBpmKey(patternId, bpm) {
-    return `${patternId}_${bpm}`;
+  getPatternBpmKey(patternId, bpm, variant = '') {
+    return variant ? `${patternId}_${bpm}_${variant}` : `${patternId}_${bpm}`;
   }
 
   /**
    * Start a new practice session
    * @param {string} patternId - The pattern being practiced
    * @param {number} bpm - BPM setting
+   * @param {string} variant - Optional stats key suffix (see getPatternBpmKey)
+   * @param {Object|null} difficulty - Difficulty the session is judged at ({ level, name, windows })
+   * @param {Object|null} speedTrainer - Speed trainer tempos ({ startBpm, goalBpm }); bpm is the goal
    */
-  startSession(patternId, bpm) {
+  startSession(patternId, bpm, variant = '', difficulty = null, speedTrainer = null) {
     this.currentSession = {
       patternId,
       bpm,
-      patternBpmKey: this.getPatternBpmKey(patternId, bpm),
+      variant,
+      difficulty,
+      speedTrainer,
+      patternBpmKey: this.getPatternBpmKey(patternId, bpm, variant),
       startTime: Date.now(),
       loopResults: []  // Array of results per loop iteration
     };
@@ -66,6 +73,7 @@ export class StatsManager {
       this.stats.patterns[key] = {
         patternId,
         bpm,
+        variant,
         sessions: []
       };
     }
@@ -89,7 +97,12 @@ export class StatsManager {
       good: loopData.good || 0,
       ok: loopData.ok || 0,
       miss: loopData.miss || 0,
-      combo: loopData.maxCombo || 0
+      combo: loopData.maxCombo || 0,
+      dynamics: loopData.dynamics ?? null,
+      // Fill drills: accuracy on the beat and on the fills
+      grooveAccuracy: loopData.grooveAccuracy ?? null,
+      fillAccuracy: loopData.fillAccuracy ?? null,
+      bpm: loopData.bpm ?? this.currentSession.bpm
     };
 
     this.currentSession.loopResults.push(iterationResult);
@@ -116,12 +129,26 @@ export class StatsManager {
     const avgAccuracy = loopResults.reduce((sum, r) => sum + r.accuracy, 0) / loopResults.length;
     const totalScore = loopResults.reduce((sum, r) => sum + r.score, 0);
     const maxCombo = Math.max(...loopResults.map(r => r.combo));
+    const average = field => {
+      const results = loopResults.filter(r => r[field] !== null && r[field] !== undefined);
+      return results.length > 0
+        ? Math.round(results.reduce((sum, r) => sum + r[field], 0) / results.length * 10) / 10
+        : null;
+    };
+    const avgDynamics = average('dynamics');
 
     const sessionSummary = {
       date: this.currentSession.startTime,
       bpm: this.currentSession.bpm,
+      difficulty: this.currentSession.difficulty,
+      speedTrainer: this.currentSession.speedTrainer
+        ? { ...this.currentSession.speedTrainer, peakBpm: Math.max(...loopResults.map(r => r.bpm)) }
+        : null,
       totalLoops: loopResults.length,
       avgAccuracy: Math.round(avgAccuracy * 10) / 10,
+      avgDynamics,
+      avgGrooveAccuracy: average('grooveAccuracy'),
+      avgFillAccuracy: average('fillAccuracy'),
       totalScore,
       maxCombo,
       loopResults: loopResults
@@ -153,6 +180,8 @@ export class StatsManager {
     return {
       patternId: this.currentSession.patternId,
       bpm: this.currentSession.bpm,
+      variant: this.currentSession.variant,
+      speedTrainer: this.currentSession.speedTrainer,
       loopResults: this.currentSession.loopResults,
       isActive: true
     };
@@ -162,9 +191,10 @@ export class StatsManager {
    * Get all stats for a specific pattern+BPM combination (for historical graph)
    * @param {string} patternId - Pattern ID
    * @param {number} bpm - BPM value
+   * @param {string} variant - Optional stats key suffix
    */
-  getPatternStats(patternId, bpm) {
-    const key = this.getPatternBpmKey(patternId, bpm);
+  getPatternStats(patternId, bpm, variant = '') {
+    const key = this.getPatternBpmKey(patternId, bpm, variant);
     const patternStats = this.stats.patterns[key];
     if (!patternStats) return null;
 
@@ -193,11 +223,12 @@ export class StatsManager {
    * Get data formatted for line graph rendering
    * @param {string} patternId - Pattern ID
    * @param {number} bpm - BPM value for filtering
+   * @param {string} variant - Optional stats key suffix
    * @param {number} maxDataPoints - Maximum number of points to return
    */
-  getGraphData(patternId, bpm, maxDataPoints = 50) {
+  getGraphData(patternId, bpm, variant = '', maxDataPoints = 50) {
     const currentStats = this.getCurrentSessionStats();
-    const historicalStats = this.getPatternStats(patternId, bpm);
+    const historicalStats = this.getPatternStats(patternId, bpm, variant);
 
     const graphData = {
       currentSession: [],
@@ -205,13 +236,18 @@ export class StatsManager {
       bpm: bpm
     };
 
-    // Current session data (real-time) - only if matching pattern AND BPM
-    if (currentStats && currentStats.patternId === patternId && currentStats.bpm === bpm) {
+    // Current session data (real-time) - only if matching pattern, BPM AND variant
+    if (currentStats && currentStats.patternId === patternId && currentStats.bpm === bpm &&
+        currentStats.variant === variant) {
       graphData.currentSession = currentStats.loopResults.map((r, i) => ({
         x: i + 1,
         y: r.accuracy,
         label: `Loop ${r.loopNumber}`,
-        score: r.score
+        score: r.score,
+        dynamics: r.dynamics ?? null,
+        fills: r.fillAccuracy ?? null,
+        // Speed trainer sessions also chart the tempo of each loop
+        tempo: currentStats.speedTrainer ? r.bpm : null
       }));
     }
 
@@ -225,7 +261,10 @@ export class StatsManager {
         y: session.avgAccuracy,
         date: new Date(session.date).toLocaleDateString(),
         loops: session.totalLoops,
-        bpm: session.bpm
+        bpm: session.bpm,
+        dynamics: session.avgDynamics ?? null,
+        fills: session.avgFillAccuracy ?? null,
+        tempo: session.speedTrainer ? session.speedTrainer.peakBpm : null
       }));
     }
 
@@ -0,0 +1,319 @@
+// Step sequencer - grooves drawn on a grid of steps, saved as MIDI files for the pattern library
+
+import { Quantizer } from './quantizer.js';
+import { MidiWriter } from './midiWriter.js';
+import { MIN_SWING, MAX_SWING, swingNotes } from './grooveTransforms.js';
+
+export const STEP_TIME_SIGNATURES = ['4/4', '3/4', '5/4', '6/8', '7/8', '12/8'];
+
+export const MAX_STEP_BARS = 8;
+export const DEFAULT_STEP_VELOCITY = 100;
+
+const MAX_UNDO = 50;
+
+/**
+ * Steps in one bar of a grid
+ * @param {number[]} timeSignature - [numerator, denominator]
+ * @param {string} subdivision - Key of Quantizer.SUBDIVISIONS (steps per quarter note)
+ * @returns {number|null} Null when the subdivision doesn't divide the bar evenly (e.g. quarters in 7/8)
+ */
+export function getStepsPerBar(timeSignature, subdivision) {
+  const sub = Quantizer.SUBDIVISIONS[subdivision];
+  if (!sub) return null;
+
+  const [numerator, denominator] = timeSignature;
+  const steps = numerator * (4 / denominator) * sub.notesPerBeat;
+  return Number.isInteger(steps) ? steps : null;
+}
+
+/**
+ * @param {string} text - e.g. '6/8'
+ * @returns {number[]} [numerator, denominator]
+ */
+function parseSignature(text) {
+  return text.split('/').map(Number);
+}
+
+/**
+ * A drum groove on a step grid
+ * Cells hold a velocity per lane note and step (0 = no hit).
+ */
+export class StepSequence {
+  /**
+   * @param {Object} options - { bars, timeSignature ('4/4'), subdivision ('SIXTEENTH'), swing (50-75) }
+   */
+  constructor({ bars = 1, timeSignature = '4/4', subdivision = 'SIXTEENTH', swing = MIN_SWING } = {}) {
+    this.bars = Math.min(Math.max(Math.round(bars) || 1, 1), MAX_STEP_BARS);
+    this.timeSignature = STEP_TIME_SIGNATURES.includes(timeSignature) ? timeSignature : '4/4';
+    this.subdivision = getStepsPerBar(parseSignature(this.timeSignature), subdivision) ? subdivision : 'SIXTEENTH';
+    this.swing = MIN_SWING;
+    this.setSwing(swing);
+
+    this.cells = new Map();   // midiNote -> velocities, one per step
+    this.history = [];        // Snapshots for undo
+    this.clipboard = null;    // A copied bar
+  }
+
+  get stepsPerBeat() {
+    return Quantizer.SUBDIVISIONS[this.subdivision].notesPerBeat;
+  }
+
+  get stepsPerBar() {
+    return getStepsPerBar(parseSignature(this.timeSignature), this.subdivision);
+  }
+
+  get stepCount() {
+    return this.stepsPerBar * this.bars;
+  }
+
+  get canUndo() {
+    return this.history.length > 0;
+  }
+
+  // A bar was copied from a grid with the same steps per bar
+  get canPaste() {
+    return Boolean(this.clipboard) && this.clipboard.stepsPerBar === this.stepsPerBar;
+  }
+
+  /**
+   * @returns {number} Velocity at a step (0 if off)
+   */
+  getVelocity(midiNote, step) {
+    const row = this.cells.get(midiNote);
+    return row ? row[step] || 0 : 0;
+  }
+
+  /**
+   * Turn a step on at a velocity, or off with 0
+   */
+  setStep(midiNote, step, velocity) {
+    if (step < 0 || step >= this.stepCount) return;
+    if (!this.cells.has(midiNote)) {
+      this.cells.set(midiNote, new Array(this.stepCount).fill(0));
+    }
+    this.cells.get(midiNote)[step] = velocity > 0 ? Math.min(Math.round(velocity), 127) : 0;
+  }
+
+  /**
+   * Nudge the velocity of a step that is on
+   * @returns {boolean} True if the step was on
+   */
+  adjustVelocity(midiNote, step, delta) {
+    const velocity = this.getVelocity(midiNote, step);
+    if (velocity === 0) return false;
+    this.setStep(midiNote, step, Math.min(Math.max(velocity + delta, 1), 127));
+    return true;
+  }
+
+  /**
+   * Save the current grid so the next change can be undone
+   */
+  checkpoint() {
+    this.history.push(this.snapshot());
+    if (this.history.length > MAX_UNDO) this.history.shift();
+  }
+
+  /**
+   * Go back to the last checkpoint
+   * @returns {boolean} True if there was something to undo
+   */
+  undo() {
+    const previous = this.history.pop();
+    if (!previous) return false;
+    this.restore(previous);
+    return true;
+  }
+
+  snapshot() {
+    return {
+      bars: this.bars,
+      timeSignature: this.timeSignature,
+      subdivision: this.subdivision,
+      swing: this.swing,
+      cells: Array.from(this.cells, ([note, row]) => [note, [...row]])
+    };
+  }
+
+  restore(snapshot) {
+    this.bars = snapshot.bars;
+    this.timeSignature = snapshot.timeSignature;
+    this.subdivision = snapshot.subdivision;
+    this.swing = snapshot.swing;
+    this.cells = new Map(snapshot.cells.map(([note, row]) => [note, [...row]]));
+  }
+
+  /**
+   * Copy one bar (0-based) of every lane
+   */
+  copyBar(bar) {
+    const start = bar * this.stepsPerBar;
+    this.clipboard = {
+      stepsPerBar: this.stepsPerBar,
+      cells: Array.from(this.cells, ([note, row]) => [note, row.slice(start, start + this.stepsPerBar)])
+    };
+  }
+
+  /**
+   * Paste the copied bar over a bar (0-based)
+   * @returns {boolean} False if nothing was copied, or it was copied from a different grid
+   */
+  pasteBar(bar) {
+    if (!this.canPaste) return false;
+
+    this.clearBar(bar);
+    const start = bar * this.stepsPerBar;
+    this.clipboard.cells.forEach(([note, steps]) => {
+      steps.forEach((velocity, i) => {
+        if (velocity > 0) this.setStep(note, start + i, velocity);
+      });
+    });
+    return true;
+  }
+
+  /**
+   * Turn off every step in a bar (0-based)
+   */
+  clearBar(bar) {
+    const start = bar * this.stepsPerBar;
+    this.cells.forEach(row => row.fill(0, start, start + this.stepsPerBar));
+  }
+
+  /**
+   * Change the number of bars (new bars are empty)
+   */
+  setBars(bars) {
+    const count = Math.min(Math.max(Math.round(bars) || 1, 1), MAX_STEP_BARS);
+    this.regrid(() => {
+      this.bars = count;
+    });
+  }
+
+  /**
+   * Change the grid, moving each hit to the nearest new step
+   * @returns {boolean} False if the subdivision doesn't fit the time signature
+   */
+  setSubdivision(subdivision) {
+    if (!getStepsPerBar(parseSignature(this.timeSignature), subdivision)) return false;
+    this.regrid(() => {
+      this.subdivision = subdivision;
+    });
+    return true;
+  }
+
+  /**
+   * Change the meter; hits keep their place in the bar and are dropped past its new end
+   * @returns {boolean} False if the current subdivision doesn't fit the time signature
+   */
+  setTimeSignature(timeSignature) {
+    if (!STEP_TIME_SIGNATURES.includes(timeSignature)) return false;
+    if (!getStepsPerBar(parseSignature(timeSignature), this.subdivision)) return false;
+    this.regrid(() => {
+      this.timeSignature = timeSignature;
+    });
+    return true;
+  }
+
+  setSwing(swing) {
+    const value = Math.round(Number(swing));
+    this.swing = Number.isFinite(value) ? Math.min(Math.max(value, MIN_SWING), MAX_SWING) : MIN_SWING;
+  }
+
+  /**
+   * Apply a change to the grid layout, carrying hits over by their position in quarter notes
+   * @param {Function} change - Changes bars, subdivision or time signature
+   */
+  regrid(change) {
+    const old = {
+      stepsPerBar: this.stepsPerBar,
+      stepsPerBeat: this.stepsPerBeat
+    };
+    change();
+
+    const cells = new Map();
+    this.cells.forEach((row, note) => {
+      const newRow = new Array(this.stepCount).fill(0);
+      row.forEach((velocity, step) => {
+        if (velocity === 0) return;
+        const bar = Math.floor(step / old.stepsPerBar);
+        const withinBar = (step % old.stepsPerBar) / old.stepsPerBeat;   // Quarter notes into the bar
+        const newWithinBar = Math.round(withinBar * this.stepsPerBeat);
+        if (newWithinBar >= this.stepsPerBar || bar >= this.bars) return;
+        const newStep = bar * this.stepsPerBar + newWithinBar;
+        newRow[newStep] = Math.max(newRow[newStep], velocity);
+      });
+      cells.set(note, newRow);
+    });
+    this.cells = cells;
+  }
+
+  /**
+   * @param {number} bpm - Tempo
+   * @returns {number} Length of the groove (ms)
+   */
+  getDuration(bpm) {
+    return this.stepCount * this.getStepDuration(bpm);
+  }
+
+  getStepDuration(bpm) {
+    return 60000 / bpm / this.stepsPerBeat;
+  }
+
+  /**
+   * Notes of the groove with swing applied
+   * Swing delays every second step of straight grids; triplet grids are left as they are.
+   * @param {number} bpm - Tempo
+   * @returns {Array<{time: number, midiNote: number, velocity: number}>} Sorted by time
+   */
+  toNotes(bpm) {
+    const stepDuration = this.getStepDuration(bpm);
+
+    let notes = [];
+    this.cells.forEach((row, midiNote) => {
+      row.forEach((velocity, step) => {
+        if (velocity === 0) return;
+        notes.push({ time: step * stepDuration, midiNote, velocity });
+      });
+    });
+    if (this.stepsPerBeat % 2 === 0) {
+      notes = swingNotes(notes, bpm, this.swing, this.subdivision);
+    }
+    return notes.sort((a, b) => a.time - b.time || a.midiNote - b.midiNote);
+  }
+
+  /**
+   * Write the groove as a MIDI file
+   * Parse it with { barCount: this.bars } to keep trailing empty bars.
+   * @param {string} name - Pattern name
+   * @param {number} bpm - Tempo
+   * @returns {ArrayBuffer} MIDI file data
+   */
+  toMidi(name, bpm) {
+    const [numerator, denominator] = parseSignature(this.timeSignature);
+    return new MidiWriter().write({
+      name,
+      tempoMap: [{ tick: 0, time: 0, tempo: 60000000 / bpm }],
+      timeSignatures: [{ tick: 0, numerator, denominator }],
+      tracks: [{ name, notes: this.toNotes(bpm) }]
+    });
+  }
+
+  /**
+   * Build a grid from a pattern's notes, each snapped to the nearest step
+   * @param {Array<{time: number, midiNote: number, velocity: number}>} notes - One loop of the pattern
+   * @param {number} bpm - Tempo the note times are at
+   * @param {Object} options - Grid options (see constructor)
+   * @returns {StepSequence}
+   */
+  static fromNotes(notes, bpm, options = {}) {
+    const sequence = new StepSequence(options);
+    const stepDuration = sequence.getStepDuration(bpm);
+
+    notes.forEach(note => {
+      const step = Math.round(note.time / stepDuration);
+      if (step >= sequence.stepCount) return;
+      const velocity = Math.max(sequence.getVelocity(note.midiNote, step), note.velocity || DEFAULT_STEP_VELOCITY);
+      sequence.setStep(note.midiNote, step, velocity);
+    });
+    return sequence;
+  }
+}
@@ -5,6 +5,30 @@ import { registerTimingTests } from './timingTests.js';
 import { registerScoringTests } from './scoringTests.js';
 import { registerPatternTests } from './patternTests.js';
 import { registerQuantizerTests } from './quantizerTests.js';
+import { registerLaneLayoutTests } from './laneLayoutTests.js';
+import { registerMidiMappingTests } from './midiMappingTests.js';
+import { registerHiHatPedalTests } from './hiHatPedalTests.js';
+import { registerDynamicsTests } from './dynamicsTests.js';
+import { registerMidiParserTests } from './midiParserTests.js';
+import { registerMeterTests } from './meterTests.js';
+import { registerUserPatternTests } from './userPatternTests.js';
+import { registerMidiWriterTests } from './midiWriterTests.js';
+import { registerReplayTests } from './replayTests.js';
+import { registerLatencyTests } from './latencyTests.js';
+import { registerAudioClockTests } from './audioClockTests.js';
+import { registerDifficultyTests } from './difficultyTests.js';
+import { registerSpeedTrainerTests } from './speedTrainerTests.js';
+import { registerGapClickTests } from './gapClickTests.js';
+import { registerLoopRangeTests } from './loopRangeTests.js';
+import { registerArrangementTests } from './arrangementTests.js';
+import { registerFillDrillTests } from './fillDrillTests.js';
+import { registerStepSequencerTests } from './stepSequencerTests.js';
+import { registerGrooveTransformTests } from './grooveTransformTests.js';
+import { registerSampleKitTests } from './sampleKitTests.js';
+import { registerUserKitTests } from './userKitTests.js';
+import { registerMixerTests } from './mixerTests.js';
+import { registerWavWriterTests } from './wavWriterTests.js';
+import { registerMetronomeSettingsTests } from './metronomeSettingsTests.js';
 
 /**
  * Run all tests and display results
@@ -17,6 +41,30 @@ export async function runAllTests() {
   registerScoringTests(runner);
   registerPatternTests(runner);
   registerQuantizerTests(runner);
+  registerLaneLayoutTests(runner);
+  registerMidiMappingTests(runner);
+  registerHiHatPedalTests(runner);
+  registerDynamicsTests(runner);
+  registerMidiParserTests(runner);
+  registerMeterTests(runner);
+  registerUserPatternTests(runner);
+  registerMidiWriterTests(runner);
+  registerReplayTests(runner);
+  registerLatencyTests(runner);
+  registerAudioClockTests(runner);
+  registerDifficultyTests(runner);
+  registerSpeedTrainerTests(runner);
+  registerGapClickTests(runner);
+  registerLoopRangeTests(runner);
+  registerArrangementTests(runner);
+  registerFillDrillTests(runner);
+  registerStepSequencerTests(runner);
+  registerGrooveTransformTests(runner);
+  registerSampleKitTests(runner);
+  registerUserKitTests(runner);
+  registerMixerTests(runner);
+  registerWavWriterTests(runner);
+  registerMetronomeSettingsTests(runner);
 
   // Run tests
   const results = await runner.run();
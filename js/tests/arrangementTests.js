@@ -0,0 +1,155 @@
+// Song arrangement tests
+
+import { assert } from './testRunner.js';
+import { addUserPattern, removeUserPattern, createSongPattern, getFillsForBeat } from '../patterns.js';
+import {
+  normalizeArrangement,
+  getArrangementStatsKey,
+  getSectionResults,
+  ArrangementStore
+} from '../arrangements.js';
+import { buildMidiFile, tempoEvent, noteOnEvent, createFakeStore } from './midiFixtures.js';
+
+const TEST_STORAGE_KEY = 'groovelab_arrangements_test';
+
+// One 4/4 bar at 120 BPM (2000ms): a note on each beat
+function oneBarFile(midiNote) {
+  return buildMidiFile([
+    ...tempoEvent(0, 120),
+    ...noteOnEvent(0, midiNote),
+    ...noteOnEvent(480, midiNote),
+    ...noteOnEvent(480, midiNote),
+    ...noteOnEvent(480, midiNote),
+    // Fill out the bar
+    ...noteOnEvent(479, 42)
+  ]);
+}
+
+async function addOneBarPattern(name, midiNote, store) {
+  // User pattern IDs come from the clock
+  await new Promise(resolve => setTimeout(resolve, 2));
+  return addUserPattern({ name, category: '', bpm: 120, fileName: `${name}.mid`, data: oneBarFile(midiNote) }, store);
+}
+
+function judged(time, judgment) {
+  return { time, accuracy: { judgment, missed: judgment === 'MISS' } };
+}
+
+export function registerArrangementTests(runner) {
+  runner.test('Arrangements: sections are whole repeats of known patterns', () => {
+    const arrangement = normalizeArrangement({
+      name: '  ',
+      bpm: '95.4',
+      sections: [
+        { patternId: 'beat', repeats: 3.4 },
+        { patternId: 'gone', repeats: 1 },
+        { patternId: 'fill', repeats: 40 },
+        { patternId: 'beat', repeats: 0 }
+      ]
+    }, id => id !== 'gone');
+
+    assert.equal(arrangement.name, 'Untitled Song');
+    assert.equal(arrangement.bpm, 95);
+    assert.deepEqual(arrangement.sections, [
+      { patternId: 'beat', repeats: 3 },
+      { patternId: 'fill', repeats: 16 },
+      { patternId: 'beat', repeats: 1 }
+    ]);
+    assert.equal(normalizeArrangement({ sections: [] }).bpm, null);
+  });
+
+  runner.test('Arrangements: stats are kept per song layout', () => {
+    const key = getArrangementStatsKey({ sections: [{ patternId: 'a', repeats: 3 }, { patternId: 'b', repeats: 1 }] });
+    assert.equal(key, 'song_ax3+bx1');
+  });
+
+  runner.test('Arrangements: accuracy is counted per section through repeated passes', () => {
+    const sections = [
+      { name: 'Beat', startTime: 0, endTime: 6000 },
+      { name: 'Fill', startTime: 6000, endTime: 8000 }
+    ];
+    const notes = [
+      judged(0, 'PERFECT'), judged(3000, 'OK'), judged(5000, 'EARLY'),
+      judged(7000, 'MISS'),
+      judged(8500, 'GOOD'),             // Second pass, beat
+      judged(15000, 'PERFECT')          // Second pass, fill
+    ];
+
+    const results = getSectionResults(notes, sections, 8000);
+    assert.equal(results[0].total, 4);
+    assert.equal(results[0].hit, 3);
+    assert.equal(results[0].accuracy, 75);
+    assert.equal(results[1].accuracy, 50);
+    assert.equal(getSectionResults([], sections, 8000)[1].accuracy, null, 'Unplayed sections have no accuracy');
+  });
+
+  runner.test('ArrangementStore: songs are saved, replaced by name and deleted', () => {
+    localStorage.removeItem(TEST_STORAGE_KEY);
+    const store = new ArrangementStore(TEST_STORAGE_KEY);
+    const sections = [{ patternId: 'a', repeats: 2 }];
+
+    const id = store.save({ id: null, name: 'Verse', bpm: 90, sections });
+    store.save({ id: null, name: 'Chorus', bpm: 90, sections });
+    assert.deepEqual(store.list().map(s => s.name), ['Chorus', 'Verse']);
+
+    // Same name replaces rather than duplicates
+    assert.equal(store.save({ id: null, name: 'Verse', bpm: 100, sections }), id);
+    assert.equal(new ArrangementStore(TEST_STORAGE_KEY).get(id).bpm, 100, 'Saved to storage');
+
+    store.get(id).sections[0].repeats = 9;
+    assert.equal(store.get(id).sections[0].repeats, 2, 'get() returns a copy');
+
+    store.delete(id);
+    assert.deepEqual(store.list().map(s => s.name), ['Chorus']);
+    localStorage.removeItem(TEST_STORAGE_KEY);
+  });
+
+  runner.test('createSongPattern: sections follow each other in one chart', async () => {
+    const store = createFakeStore();
+    const beatId = await addOneBarPattern('Song Test Beat 1', 36, store);
+    const fillId = await addOneBarPattern('Song Test Beat 1 Fill 1', 38, store);
+
+    const song = createSongPattern([
+      { patternId: beatId, repeats: 3 },
+      { patternId: fillId, repeats: 1 }
+    ], 120, 2, 'Test Song');
+
+    assert.equal(song.name, 'Test Song');
+    assert.closeTo(song.singlePatternDuration, 8000, 1);
+    assert.closeTo(song.duration, 16000, 1);
+    assert.equal(song.bars.length, 4);
+    assert.closeTo(song.bars[3].time, 6000, 1);
+    assert.deepEqual(song.sections.map(s => [s.name, s.repeats, Math.round(s.startTime), Math.round(s.endTime)]), [
+      ['Song Test Beat 1', 3, 0, 6000],
+      ['Song Test Beat 1 Fill 1', 1, 6000, 8000]
+    ]);
+
+    const snares = song.notes.filter(n => n.midiNote === 38).map(n => Math.round(n.time));
+    assert.deepEqual(snares, [6000, 6500, 7000, 7500, 14000, 14500, 15000, 15500]);
+    assert.equal(new Set(song.notes.map(n => n.id)).size, song.notes.length, 'Note IDs are unique');
+
+    await removeUserPattern(fillId, store);
+    await removeUserPattern(beatId, store);
+  });
+
+  runner.test('getFillsForBeat: fills are found by name for a beat and its variations', async () => {
+    const store = createFakeStore();
+    const ids = [];
+    for (const name of [
+      'Fills Test Beat 1', 'Fills Test Beat 1A', 'Fills Test Beat 1 (Hat Variation)',
+      'Fills Test Beat 1 Fill 10', 'Fills Test Beat 1 Fill 2', 'Fills Test Beat 1 Filler', 'Fills Test Beat 2 Fill 1'
+    ]) {
+      ids.push(await addOneBarPattern(name, 36, store));
+    }
+
+    const names = id => getFillsForBeat(id).map(f => f.name);
+    assert.deepEqual(names(ids[0]), ['Fills Test Beat 1 Fill 2', 'Fills Test Beat 1 Fill 10'], 'Only fills are matched');
+    assert.deepEqual(names(ids[1]), ['Fills Test Beat 1 Fill 2', 'Fills Test Beat 1 Fill 10'], 'Variation shares fills');
+    assert.deepEqual(names(ids[2]), ['Fills Test Beat 1 Fill 2', 'Fills Test Beat 1 Fill 10'], 'Named variation shares fills');
+    assert.deepEqual(getFillsForBeat('missing'), []);
+
+    for (const id of ids) {
+      await removeUserPattern(id, store);
+    }
+  });
+}
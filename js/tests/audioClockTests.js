@@ -0,0 +1,74 @@
+// Audio clock, event timestamp and scheduled metronome tests
+
+import { assert } from './testRunner.js';
+import { GameState } from '../gameState.js';
+import { Metronome } from '../metronome.js';
+import { AudioManager } from '../audioManager.js';
+import { fakeCanvas } from './midiFixtures.js';
+
+/**
+ * One bar of 6/8 at 120 BPM (250ms eighth-note beats)
+ */
+function sixEightPattern() {
+  return {
+    bpm: 120,
+    bars: [{ time: 0, numerator: 6, denominator: 8, beats: [0, 250, 500, 750, 1000, 1250] }],
+    singlePatternDuration: 1500
+  };
+}
+
+export function registerAudioClockTests(runner) {
+  runner.test('GameState: game time follows the clock it is given', () => {
+    const gameState = new GameState({ notes: [], bpm: 120, singlePatternDuration: 2000 });
+    let clockTime = 10000;
+    gameState.clock = () => clockTime;
+    gameState.gameLoop = () => {}; // No animation frames in tests
+
+    gameState.start();
+    const leadIn = gameState.leadInTime;
+    assert.equal(gameState.getTimeAt(clockTime), -leadIn);
+
+    clockTime += leadIn + 250;
+    gameState.update(16);
+    assert.equal(gameState.currentTime, 250);
+    assert.equal(gameState.getClockTime(1000), 10000 + leadIn + 1000, 'Game time maps back to the clock for scheduling');
+  });
+
+  runner.test('GameState: hits are recorded at the time they happened', () => {
+    const gameState = new GameState({ notes: [], bpm: 120 });
+    gameState.currentTime = 520;
+    gameState.recordInput(38, 100, 0, null, 507.5);
+    assert.equal(gameState.performance[0].time, 507.5);
+  });
+
+  runner.test('AudioManager: event timestamps convert to the audio clock', () => {
+    const audio = new AudioManager();
+    audio.audioContext = { currentTime: 12 };
+
+    assert.closeTo(audio.toAudioTime(performance.now() - 8), 12000 - 8, 2);
+    // Timestamps from another clock are taken as "just now"
+    assert.closeTo(audio.toAudioTime(performance.now() + 60000), 12000, 2);
+  });
+
+  runner.test('Metronome: lists count-in and pattern beats to schedule', () => {
+    const metronome = new Metronome(120, fakeCanvas);
+    metronome.setPattern(sixEightPattern());
+
+    // Count-in is one 6/8 bar before the pattern
+    const beats = metronome.getBeatsBetween(-1500, 300);
+    assert.deepEqual(beats.map(b => b.time), [-1500, -1250, -1000, -750, -500, -250, 0, 250]);
+    assert.deepEqual(beats.map(b => b.beatNumber), [1, 2, 3, 4, 5, 6, 1, 2]);
+    assert.deepEqual(beats.map(b => b.accent), [2, 0, 0, 1, 0, 0, 2, 0]);
+  });
+
+  runner.test('Metronome: consecutive windows schedule each beat once across loops', () => {
+    const metronome = new Metronome(120, fakeCanvas);
+    metronome.setPattern(sixEightPattern());
+
+    const times = [];
+    for (let from = 1000; from < 2000; from += 100) {
+      metronome.getBeatsBetween(from, from + 100).forEach(b => times.push(b.time));
+    }
+    assert.deepEqual(times, [1000, 1250, 1500, 1750]);
+  });
+}
@@ -0,0 +1,114 @@
+// Difficulty preset tests
+
+import { assert } from './testRunner.js';
+import { TIMING_WINDOWS } from '../constants.js';
+import { TimingJudge } from '../timingJudge.js';
+import { ScoreManager } from '../scoreManager.js';
+import { GameState } from '../gameState.js';
+import { StatsManager } from '../statsManager.js';
+import {
+  getDifficulty,
+  getDifficultyLevels,
+  getDifficultyStatsKey,
+  normalizeWindows,
+  DifficultySettings
+} from '../difficulty.js';
+
+export function registerDifficultyTests(runner) {
+  runner.test('Difficulty: presets run from loosest to strictest', () => {
+    const levels = getDifficultyLevels().map(level => level.id);
+    assert.deepEqual(levels, ['beginner', 'standard', 'pro', 'studio', 'custom']);
+
+    const perfect = levels.slice(0, 4).map(id => getDifficulty(id).windows.PERFECT);
+    assert.deepEqual(perfect, [75, 50, 30, 15]);
+    assert.deepEqual(getDifficulty('standard').windows, TIMING_WINDOWS, 'Standard is the classic timing');
+  });
+
+  runner.test('Difficulty: unknown levels fall back to Standard', () => {
+    assert.equal(getDifficulty('impossible').level, 'standard');
+  });
+
+  runner.test('Difficulty: custom windows are kept in order and range', () => {
+    assert.deepEqual(
+      normalizeWindows({ PERFECT: 40, GOOD: 30, OK: 90.6, MISS: 900 }),
+      { PERFECT: 40, GOOD: 41, OK: 91, MISS: 500 }
+    );
+    assert.deepEqual(normalizeWindows({ PERFECT: 0 }).PERFECT, 5);
+    assert.deepEqual(normalizeWindows({ GOOD: 'x' }).GOOD, 100, 'Bad values use the Standard window');
+  });
+
+  runner.test('Difficulty: stats keys separate histories', () => {
+    assert.equal(getDifficultyStatsKey(getDifficulty('standard')), '', 'Standard keeps existing history');
+    assert.equal(getDifficultyStatsKey(getDifficulty('pro')), 'pro');
+    assert.equal(
+      getDifficultyStatsKey(getDifficulty('custom', { PERFECT: 20, GOOD: 40, OK: 80, MISS: 120 })),
+      'custom20-40-80-120'
+    );
+  });
+
+  runner.test('TimingJudge: judges with the difficulty windows', () => {
+    const judge = new TimingJudge();
+    assert.equal(judge.judgeHit(1000, 1020, true).judgment, 'PERFECT');
+
+    judge.setDifficulty(getDifficulty('studio'));
+    assert.equal(judge.judgeHit(1000, 1020, true).judgment, 'GOOD');
+    assert.equal(judge.judgeHit(1000, 1120, true).judgment, 'MISS');
+
+    judge.setDifficulty(getDifficulty('beginner'));
+    const late = judge.judgeHit(1000, 1200, true);
+    assert.equal(late.judgment, 'LATE');
+    assert.equal(late.score, 0, 'Beginner has no early/late penalty');
+  });
+
+  runner.test('ScoreManager: combo bonus and summary follow the difficulty', () => {
+    const scoreManager = new ScoreManager();
+    scoreManager.setDifficulty(getDifficulty('studio'));
+
+    scoreManager.recordJudgment({ judgment: 'PERFECT', score: 100 });
+    scoreManager.recordJudgment({ judgment: 'PERFECT', score: 100 });
+    assert.equal(scoreManager.totalScore, 100 + 120);
+    assert.equal(scoreManager.getSummary().difficulty, 'Studio');
+  });
+
+  runner.test('GameState: notes are missed after the difficulty hit window', () => {
+    const gameState = new GameState({ notes: [], bpm: 120 });
+    gameState.missWindow = getDifficulty('studio').windows.MISS;
+
+    const note = { time: 1000, midiNote: 38, judged: false };
+    gameState.activeNotes = [note];
+    gameState.currentTime = 1150;
+    gameState.checkMissedNotes();
+    assert.equal(note.judged, true);
+  });
+
+  runner.test('StatsManager: sessions record their difficulty', () => {
+    const statsManager = new StatsManager();
+    statsManager.storageKey = 'groovelab_stats_test';
+    statsManager.stats = { patterns: {} };
+
+    const { level, name, windows } = getDifficulty('pro');
+    statsManager.startSession('rock', 100, 'pro', { level, name, windows });
+    statsManager.recordLoopIteration({ accuracy: 90, score: 500 });
+    statsManager.endSession();
+
+    const sessions = statsManager.getPatternStats('rock', 100, 'pro').sessions;
+    assert.equal(sessions[0].difficulty.level, 'pro');
+    assert.equal(sessions[0].difficulty.windows.PERFECT, 30);
+    assert.equal(statsManager.getPatternStats('rock', 100), null, 'Standard history is untouched');
+
+    localStorage.removeItem('groovelab_stats_test');
+  });
+
+  runner.test('DifficultySettings: remembers level and custom windows', () => {
+    const key = 'groovelab_difficulty_test';
+    const settings = new DifficultySettings(key);
+    settings.setLevel('custom');
+    settings.setCustomWindows({ PERFECT: 25 });
+
+    const reloaded = new DifficultySettings(key);
+    assert.equal(reloaded.level, 'custom');
+    assert.deepEqual(reloaded.getDifficulty().windows, { PERFECT: 25, GOOD: 100, OK: 150, MISS: 200 });
+
+    localStorage.removeItem(key);
+  });
+}
@@ -0,0 +1,110 @@
+// Dynamics (velocity) judgment tests
+
+import { assert } from './testRunner.js';
+import { TimingJudge } from '../timingJudge.js';
+import { ScoreManager } from '../scoreManager.js';
+import { GameState } from '../gameState.js';
+
+export function registerDynamicsTests(runner) {
+  runner.test('TimingJudge: classifies velocities into bands', () => {
+    const judge = new TimingJudge();
+    assert.equal(judge.classifyVelocity(30), 'GHOST');
+    assert.equal(judge.classifyVelocity(80), 'NORMAL');
+    assert.equal(judge.classifyVelocity(120), 'ACCENT');
+  });
+
+  runner.test('TimingJudge: velocity within tolerance is a MATCH', () => {
+    const judge = new TimingJudge();
+    const result = judge.judgeDynamics(90, 100);
+    assert.equal(result.dynamics, 'MATCH');
+    assert.equal(result.velocityDiff, 10);
+    assert.greaterThan(result.score, 0);
+  });
+
+  runner.test('TimingJudge: velocity outside close tolerance is OFF', () => {
+    const judge = new TimingJudge();
+    assert.equal(judge.judgeDynamics(80, 85 + 30).dynamics, 'OFF');
+    assert.equal(judge.judgeDynamics(80, 100).dynamics, 'CLOSE');
+  });
+
+  runner.test('TimingJudge: ghost played in the ghost band is at least CLOSE', () => {
+    const judge = new TimingJudge();
+    judge.setDynamicsMode('strict');
+    const result = judge.judgeDynamics(20, 54);
+    assert.equal(result.expected, 'GHOST');
+    assert.equal(result.played, 'GHOST');
+    assert.equal(result.dynamics, 'CLOSE');
+  });
+
+  runner.test('TimingJudge: accent played as a normal hit is OFF', () => {
+    const judge = new TimingJudge();
+    const result = judge.judgeDynamics(127, 80);
+    assert.equal(result.expected, 'ACCENT');
+    assert.equal(result.played, 'NORMAL');
+    assert.equal(result.dynamics, 'OFF');
+  });
+
+  runner.test('TimingJudge: tolerance presets change the bands', () => {
+    const judge = new TimingJudge();
+    judge.setDynamicsMode('loose');
+    assert.equal(judge.judgeDynamics(80, 100).dynamics, 'MATCH');
+    judge.setDynamicsMode('strict');
+    assert.equal(judge.judgeDynamics(80, 100).dynamics, 'OFF');
+  });
+
+  runner.test('TimingJudge: dynamics can be switched off', () => {
+    const judge = new TimingJudge();
+    judge.setDynamicsMode('off');
+    assert.equal(judge.judgeDynamics(80, 80), null);
+    judge.setDynamicsMode('bogus');
+    assert.equal(judge.isDynamicsEnabled(), false, 'Unknown modes should be ignored');
+  });
+
+  runner.test('ScoreManager: dynamics add a bonus and track ghosts/accents', () => {
+    const judge = new TimingJudge();
+    const scoreManager = new ScoreManager();
+
+    const ghost = judge.judgeHit(0, 0, true);
+    ghost.dynamics = judge.judgeDynamics(30, 35);
+    scoreManager.recordJudgment(ghost);
+
+    const accent = judge.judgeHit(500, 500, true);
+    accent.dynamics = judge.judgeDynamics(120, 70);
+    scoreManager.recordJudgment(accent);
+
+    const summary = scoreManager.getSummary();
+    assert.equal(summary.dynamics.counts.MATCH, 1);
+    assert.equal(summary.dynamics.counts.OFF, 1);
+    assert.equal(summary.dynamics.accuracy, 50);
+    assert.deepEqual(summary.dynamics.ghostNotes, { hit: 1, total: 1 });
+    assert.deepEqual(summary.dynamics.accents, { hit: 0, total: 1 });
+    assert.greaterThan(summary.totalScore, 200, 'MATCH bonus should be added to the timing score');
+  });
+
+  runner.test('ScoreManager: no dynamics summary without judged hits', () => {
+    const scoreManager = new ScoreManager();
+    scoreManager.recordJudgment(new TimingJudge().judgeHit(0, 0, true));
+    assert.equal(scoreManager.getSummary().dynamics, null);
+
+    scoreManager.reset();
+    assert.equal(scoreManager.getDynamicsAccuracy(), null);
+  });
+
+  runner.test('GameState: averaged visualization keeps the most common dynamics', () => {
+    const notes = [0, 1000, 2000].map((time, i) => ({
+      time, midiNote: 38, velocity: 30, id: `n${i}`, hit: false, judged: false
+    }));
+    const gameState = new GameState({ notes, duration: 3000 });
+    const judge = new TimingJudge();
+
+    [35, 40, 110].forEach((velocity, i) => {
+      const judgment = judge.judgeHit(notes[i].time, notes[i].time, true);
+      judgment.dynamics = judge.judgeDynamics(30, velocity);
+      gameState.recordHit(notes[i], judgment);
+    });
+
+    const averaged = gameState.getAveragedNotesForVisualization(1000, 3);
+    assert.equal(averaged.length, 1);
+    assert.equal(averaged[0].accuracy.dynamics, 'MATCH');
+  });
+}
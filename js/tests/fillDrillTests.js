@@ -0,0 +1,84 @@
+// Fill drill tests
+
+import { assert } from './testRunner.js';
+import { StatsManager } from '../statsManager.js';
+import {
+  normalizeFillDrill,
+  pickFill,
+  buildDrillSections,
+  summarizeFillDrill
+} from '../fillDrill.js';
+
+const fills = [{ id: 'fill1', bars: 1 }, { id: 'fill2', bars: 1 }, { id: 'fill3', bars: 2 }];
+
+/**
+ * Stand-in for Math.random that returns the given values in turn
+ */
+function sequence(...values) {
+  let i = 0;
+  return () => values[i++ % values.length];
+}
+
+export function registerFillDrillTests(runner) {
+  runner.test('FillDrill: a fill comes every 4 or 8 bars', () => {
+    assert.deepEqual(normalizeFillDrill({ enabled: 1, everyBars: '8' }), { enabled: true, everyBars: 8 });
+    assert.equal(normalizeFillDrill({ everyBars: 5 }).everyBars, 4);
+  });
+
+  runner.test('FillDrill: the same fill is not picked twice in a row', () => {
+    assert.equal(pickFill(fills, null, () => 0).id, 'fill1');
+    assert.equal(pickFill(fills, 'fill1', () => 0).id, 'fill2');
+    assert.equal(pickFill(fills, null, () => 0.999).id, 'fill3');
+    assert.equal(pickFill([fills[0]], 'fill1', () => 0.5).id, 'fill1', 'Only one fill to choose');
+  });
+
+  runner.test('FillDrill: fills take the last bars of each phrase', () => {
+    const beat = { id: 'beat', bars: 1 };
+    const sections = buildDrillSections(beat, fills, 4, 2, { random: sequence(0, 0.999) });
+    assert.deepEqual(sections.map(s => [s.patternId, s.repeats, s.isFill]), [
+      ['beat', 3, false], ['fill1', 1, true],
+      ['beat', 2, false], ['fill3', 1, true]     // Two-bar fill
+    ]);
+  });
+
+  runner.test('FillDrill: a long beat is cut short before the fill', () => {
+    const beat = { id: 'beat', bars: 2 };
+    const sections = buildDrillSections(beat, fills, 8, 1, { random: () => 0, previousFillId: 'fill1' });
+    assert.deepEqual(sections, [
+      { patternId: 'beat', repeats: 3, range: null, isFill: false },
+      { patternId: 'beat', repeats: 1, range: { start: 1, end: 1 }, isFill: false },
+      { patternId: 'fill2', repeats: 1, range: null, isFill: true }
+    ]);
+  });
+
+  runner.test('FillDrill: groove and fill accuracy are kept apart', () => {
+    const results = summarizeFillDrill([
+      { isFill: false, total: 12, hit: 12 },
+      { isFill: true, total: 8, hit: 5 },
+      { isFill: false, total: 12, hit: 9 },
+      { isFill: true, total: 0, hit: 0 }
+    ]);
+    assert.deepEqual(results.groove, { total: 24, hit: 21, accuracy: 87.5 });
+    assert.equal(results.fill.accuracy, 62.5);
+    assert.equal(summarizeFillDrill([{ isFill: false, total: 4, hit: 4 }]).fill.accuracy, null);
+  });
+
+  runner.test('StatsManager: fill drill sessions log fill accuracy', () => {
+    const statsManager = new StatsManager();
+    statsManager.storageKey = 'groovelab_stats_test';
+    statsManager.stats = { patterns: {} };
+
+    statsManager.startSession('rock', 100, 'drill4');
+    statsManager.recordLoopIteration({ accuracy: 90, score: 400, grooveAccuracy: 95, fillAccuracy: 70 });
+    statsManager.recordLoopIteration({ accuracy: 80, score: 300, grooveAccuracy: 85, fillAccuracy: 65 });
+    assert.deepEqual(statsManager.getGraphData('rock', 100, 'drill4').currentSession.map(p => p.fills), [70, 65]);
+
+    statsManager.endSession();
+    const session = statsManager.getPatternStats('rock', 100, 'drill4').sessions[0];
+    assert.equal(session.avgGrooveAccuracy, 90);
+    assert.equal(session.avgFillAccuracy, 67.5);
+    assert.equal(statsManager.getGraphData('rock', 100, 'drill4').historicalSessions[0].fills, 67.5);
+
+    localStorage.removeItem('groovelab_stats_test');
+  });
+}
@@ -0,0 +1,99 @@
+// Gap click and drift analysis tests
+
+import { assert } from './testRunner.js';
+import {
+  normalizeGapClick,
+  getBarNumber,
+  getSilentBarPosition,
+  isClickSilent,
+  analyzeDrift
+} from '../gapClick.js';
+
+/**
+ * Two bars at 120 BPM: a 4/4 bar then a 3/4 bar (2000ms + 1500ms)
+ */
+function twoBarPattern() {
+  return {
+    bpm: 120,
+    bars: [
+      { time: 0, numerator: 4, denominator: 4 },
+      { time: 2000, numerator: 3, denominator: 4 }
+    ],
+    singlePatternDuration: 3500,
+    duration: 7000
+  };
+}
+
+/**
+ * A hit note with the given offset (negative = early)
+ */
+function hit(time, timeDiff) {
+  return { time, accuracy: { timeDiff, missed: false } };
+}
+
+const settings = { enabled: true, playBars: 2, muteBars: 2 };
+
+export function registerGapClickTests(runner) {
+  runner.test('GapClick: bars are counted through time signatures and loops', () => {
+    const pattern = twoBarPattern();
+    assert.equal(getBarNumber(0, pattern), 0);
+    assert.equal(getBarNumber(1999, pattern), 0);
+    assert.equal(getBarNumber(2000, pattern), 1);
+    assert.equal(getBarNumber(3500, pattern), 2, 'Second loop starts at bar 2');
+    assert.equal(getBarNumber(5600, pattern), 3);
+    assert.equal(getBarNumber(-500, pattern), -1, 'Count-in bars are negative');
+  });
+
+  runner.test('GapClick: patterns without bars count 4/4 bars', () => {
+    assert.equal(getBarNumber(4100, { bpm: 120, duration: 8000 }), 2);
+  });
+
+  runner.test('GapClick: click plays, then drops out, then comes back', () => {
+    const positions = [0, 1, 2, 3, 4, 5].map(bar => getSilentBarPosition(bar, settings));
+    assert.deepEqual(positions, [0, 0, 1, 2, 0, 0]);
+    assert.equal(getSilentBarPosition(-1, settings), 0, 'The count-in always clicks');
+    assert.equal(getSilentBarPosition(3, { ...settings, enabled: false }), 0);
+  });
+
+  runner.test('GapClick: silent beats follow the pattern bars', () => {
+    const pattern = twoBarPattern();
+    assert.equal(isClickSilent(3000, pattern, settings), false);
+    assert.equal(isClickSilent(4000, pattern, settings), true);
+    assert.equal(isClickSilent(7000, pattern, settings), false, 'Third loop starts a new cycle');
+  });
+
+  runner.test('GapClick: settings are whole bars, at least one of each', () => {
+    assert.deepEqual(normalizeGapClick({ enabled: 1, playBars: 0, muteBars: 3.6 }), { enabled: true, playBars: 1, muteBars: 4 });
+    assert.equal(normalizeGapClick({ muteBars: 'x' }).muteBars, 2);
+  });
+
+  runner.test('GapClick: drift shows rushing when the click is gone', () => {
+    const pattern = { bpm: 120, duration: 16000 };   // 4/4, 2000ms bars
+    const notes = [
+      hit(0, 4), hit(1000, -4), hit(2000, 2), hit(3000, 2),   // Click
+      hit(4000, -10), hit(5000, -14),                          // First silent bar
+      hit(6000, -24), hit(7000, -28),                          // Second silent bar
+      { time: 7500, accuracy: { timeDiff: null, missed: true } }
+    ];
+
+    const drift = analyzeDrift(notes, pattern, settings);
+    assert.equal(drift.clicked.hits, 4);
+    assert.equal(drift.clicked.offset, 1);
+    assert.equal(drift.silent.offset, -19);
+    assert.deepEqual(drift.bySilentBar, [-12, -26]);
+    assert.equal(drift.drift, -20);
+    assert.equal(drift.tendency, 'rushing');
+  });
+
+  runner.test('GapClick: drift is steady within a few ms and dragging when late', () => {
+    const pattern = { bpm: 120, duration: 16000 };
+    assert.equal(analyzeDrift([hit(0, 0), hit(4000, 3)], pattern, settings).tendency, 'steady');
+    assert.equal(analyzeDrift([hit(0, 0), hit(4000, 15)], pattern, settings).tendency, 'dragging');
+  });
+
+  runner.test('GapClick: no drift without silent-bar hits or with gap click off', () => {
+    const pattern = { bpm: 120, duration: 16000 };
+    assert.equal(analyzeDrift([hit(0, 0)], pattern, settings), null);
+    assert.equal(analyzeDrift([hit(4000, 10)], pattern, { ...settings, enabled: false }), null);
+  });
+}
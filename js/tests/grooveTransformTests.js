@@ -0,0 +1,94 @@
+// Groove transform tests (swing, lane shifts, humanize)
+
+import { assert } from './testRunner.js';
+import {
+  normalizeGrooveTransforms,
+  createSeededRandom,
+  swingNotes,
+  shiftLanes,
+  applyGrooveTransforms,
+  getGrooveStatsKey
+} from '../grooveTransforms.js';
+
+// Straight 8th-note hi-hats at 120 BPM (250ms apart) with a snare on beat 2
+function straightEighths() {
+  const notes = Array.from({ length: 8 }, (_, i) => ({ time: i * 250, midiNote: 42, velocity: 80 }));
+  notes.push({ time: 500, midiNote: 38, velocity: 100 });
+  return notes.sort((a, b) => a.time - b.time);
+}
+
+export function registerGrooveTransformTests(runner) {
+  runner.test('GrooveTransforms: settings are kept in range', () => {
+    const transforms = normalizeGrooveTransforms({
+      swing: { enabled: 1, amount: 90, grid: 'QUARTER' },
+      laneShift: { shifts: { 38: 200, 42: 0 } },
+      humanize: { timing: -5, seed: 'x' }
+    });
+    assert.deepEqual(transforms.swing, { enabled: true, amount: 75, grid: 'SIXTEENTH' });
+    assert.deepEqual(transforms.laneShift.shifts, { 38: 60 }, 'Zero shifts are dropped');
+    assert.equal(transforms.humanize.timing, 0);
+    assert.equal(transforms.humanize.seed, 1);
+  });
+
+  runner.test('GrooveTransforms: swing delays the off-beat 8ths only', () => {
+    const swung = swingNotes(straightEighths(), 120, 66, 'EIGHTH');
+    const hats = swung.filter(n => n.midiNote === 42).map(n => n.time);
+    // 66% of a 500ms beat puts the off-beat at 330ms
+    assert.closeTo(hats[1], 330, 0.01);
+    assert.equal(hats[2], 500, 'On-beat notes stay');
+    assert.equal(swung.find(n => n.midiNote === 38).time, 500);
+
+    const offGrid = swingNotes([{ time: 100, midiNote: 42 }], 120, 66, 'EIGHTH');
+    assert.equal(offGrid[0].time, 100, 'Notes between steps are left alone');
+  });
+
+  runner.test('GrooveTransforms: lanes shift on their own', () => {
+    const shifted = shiftLanes(straightEighths(), { 38: 20, 42: -10 });
+    assert.equal(shifted.find(n => n.midiNote === 38).time, 520, 'Laid-back snare');
+    assert.equal(shifted[0].time, 0, 'Never before the start');
+  });
+
+  runner.test('GrooveTransforms: humanize is the same for the same seed', () => {
+    const transforms = normalizeGrooveTransforms({ humanize: { enabled: true, timing: 10, velocity: 20, seed: 7 } });
+    const first = applyGrooveTransforms(straightEighths(), 120, transforms);
+    const again = applyGrooveTransforms(straightEighths(), 120, transforms);
+    assert.deepEqual(first, again);
+
+    first.forEach(note => {
+      assert.ok(Math.abs(note.time - note.originalTime) <= 10, 'Within the timing amount');
+      assert.ok(note.velocity >= 1 && note.velocity <= 127);
+    });
+
+    const other = applyGrooveTransforms(straightEighths(), 120, { ...transforms, humanize: { ...transforms.humanize, seed: 8 } });
+    assert.ok(other.some((note, i) => note.time !== first[i].time), 'Another seed gives another chart');
+
+    // Loops appended later in a run are shifted along the seed
+    const appended = applyGrooveTransforms(straightEighths(), 120, transforms, 8000);
+    assert.ok(appended.some((note, i) => note.time !== first[i].time), 'An appended block gets its own jitter');
+    assert.deepEqual(applyGrooveTransforms(straightEighths(), 120, transforms, 8000), appended);
+
+    const random = createSeededRandom(3);
+    const values = [random(), random()];
+    const replay = createSeededRandom(3);
+    assert.deepEqual([replay(), replay()], values);
+  });
+
+  runner.test('GrooveTransforms: nothing changes with every transform off', () => {
+    const notes = straightEighths();
+    assert.equal(applyGrooveTransforms(notes, 120, normalizeGrooveTransforms()), notes);
+    assert.equal(getGrooveStatsKey(normalizeGrooveTransforms()), '');
+    assert.equal(getGrooveStatsKey(normalizeGrooveTransforms({ swing: { enabled: true, amount: 50 } })), '', 'Straight swing');
+  });
+
+  runner.test('GrooveTransforms: stats keys name each transform', () => {
+    const transforms = normalizeGrooveTransforms({
+      swing: { enabled: true, amount: 62, grid: 'EIGHTH' },
+      laneShift: { enabled: true, shifts: { 42: -5, 38: 20 } },
+      humanize: { enabled: true, timing: 8, velocity: 0, seed: 3 }
+    });
+    assert.equal(getGrooveStatsKey(transforms), 'sw62e-ls38:20,42:-5-hu8-0-3');
+
+    const sorted = applyGrooveTransforms(straightEighths(), 120, transforms);
+    assert.ok(sorted.every((note, i) => i === 0 || note.time >= sorted[i - 1].time), 'Sorted by time');
+  });
+}
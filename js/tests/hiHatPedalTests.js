@@ -0,0 +1,101 @@
+// Hi-hat pedal (CC4) tracking tests
+
+import { assert } from './testRunner.js';
+import { HiHatPedal, classifyHiHat } from '../hiHatPedal.js';
+import { TimingJudge } from '../timingJudge.js';
+import { MidiParser } from '../midiParser.js';
+import { laneLayout } from '../laneLayout.js';
+import { addUserPattern, removeUserPattern, createPattern } from '../patterns.js';
+import { buildMidiFile, tempoEvent, noteOnEvent, createFakeStore } from './midiFixtures.js';
+
+export function registerHiHatPedalTests(runner) {
+  runner.test('classifyHiHat: maps pedal values to states', () => {
+    assert.equal(classifyHiHat(127), 'closed');
+    assert.equal(classifyHiHat(64), 'half');
+    assert.equal(classifyHiHat(0), 'open');
+  });
+
+  runner.test('HiHatPedal: hits pass through without pedal data', () => {
+    const pedal = new HiHatPedal();
+    const result = pedal.classifyHit('dev-1', 46);
+    assert.equal(result.midiNote, 46);
+    assert.equal(result.hiHatState, null);
+  });
+
+  runner.test('HiHatPedal: pedal position decides closed vs open', () => {
+    const pedal = new HiHatPedal();
+    pedal.update('dev-1', 120);
+    assert.equal(pedal.classifyHit('dev-1', 46).midiNote, 42, 'Closed pedal should give HH Closed');
+
+    pedal.update('dev-1', 5);
+    assert.equal(pedal.classifyHit('dev-1', 42).midiNote, 46, 'Open pedal should give HH Open');
+
+    pedal.update('dev-1', 60);
+    assert.equal(pedal.classifyHit('dev-1', 42).hiHatState, 'half');
+  });
+
+  runner.test('HiHatPedal: non hi-hat pieces are not classified', () => {
+    const pedal = new HiHatPedal();
+    pedal.update('dev-1', 0);
+    const result = pedal.classifyHit('dev-1', 38);
+    assert.equal(result.midiNote, 38);
+    assert.equal(result.hiHatState, null);
+  });
+
+  runner.test('TimingJudge: half-open hit matches either hi-hat note', () => {
+    const judge = new TimingJudge();
+    const notes = [{ time: 1000, midiNote: 42, judged: false }];
+    assert.equal(judge.findMatchingNote(46, 1000, notes), null, 'Open hit should not match closed note');
+    assert.equal(judge.findMatchingNote(46, 1000, notes, 'half'), notes[0], 'Half-open hit should match');
+  });
+
+  runner.test('TimingJudge: half-open note accepts closed or open hits', () => {
+    const judge = new TimingJudge();
+    const notes = [{ time: 1000, midiNote: 46, hiHatState: 'half', judged: false }];
+    assert.equal(judge.findMatchingNote(42, 1000, notes, 'closed'), notes[0]);
+  });
+
+  runner.test('MidiParser: CC4 classifies hi-hat notes in files', async () => {
+    const parser = new MidiParser();
+    const buffer = buildMidiFile([
+      0x00, 0xB9, 0x04, 0x7F,        // CC4 = 127 (closed)
+      0x00, 0x99, 46, 100,           // Open hi-hat note while pedal closed
+      0x83, 0x60, 0xB9, 0x04, 0x00,  // 480 ticks later: CC4 = 0 (open)
+      0x00, 0x99, 42, 100,           // Closed hi-hat note while pedal open
+      0x00, 0x99, 44, 80             // Pedal chick
+    ]);
+    const parsed = await parser.parse(buffer);
+
+    assert.equal(parsed.notes.length, 3);
+    assert.equal(parsed.notes[0].midiNote, 42, 'Closed pedal should make HH Closed');
+    assert.equal(parsed.notes[0].hiHatState, 'closed');
+    assert.equal(parsed.notes[1].midiNote, 46, 'Open pedal should make HH Open');
+    assert.equal(parsed.notes[2].midiNote, 44, 'Pedal chick keeps its own piece');
+  });
+
+  runner.test('createPattern: a hidden HH Pedal is played but not charted', async () => {
+    assert.ok(!laneLayout.isVisible(44), 'Default layout has no HH Pedal lane');
+
+    // One 4/4 bar at 120 BPM: closed hats on 1 and 3, pedal chicks on 2 and 4
+    const store = createFakeStore();
+    const id = await addUserPattern({
+      name: 'Pedal Chicks',
+      category: '',
+      bpm: 120,
+      fileName: 'pedal.mid',
+      data: buildMidiFile([
+        ...tempoEvent(0, 120),
+        ...noteOnEvent(0, 42),
+        ...noteOnEvent(480, 44),
+        ...noteOnEvent(480, 42),
+        ...noteOnEvent(480, 44)
+      ])
+    }, store);
+
+    const pattern = createPattern(id, 120, 2);
+    assert.ok(pattern.notes.every(note => note.midiNote !== 44), 'No pedal notes on the chart');
+    assert.deepEqual(pattern.unchartedNotes.map(note => note.midiNote), [44, 44, 44, 44]);
+    assert.deepEqual(pattern.unchartedNotes.map(note => note.time), [500, 1500, 2500, 3500]);
+    await removeUserPattern(id, store);
+  });
+}
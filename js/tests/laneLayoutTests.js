@@ -0,0 +1,144 @@
+// Lane layout and GM drum map tests
+
+import { assert } from './testRunner.js';
+import { MIDI_NOTE_MAP, GM_DRUM_MAP, DEFAULT_VISIBLE_LANES, KEYBOARD_MAP } from '../constants.js';
+import { LaneLayout, toKitPiece, laneLayout } from '../laneLayout.js';
+import { addUserPattern, removeUserPattern, createPattern } from '../patterns.js';
+import { buildMidiFile, tempoEvent, noteOnEvent, createFakeStore } from './midiFixtures.js';
+
+const TEST_STORAGE_KEY = 'groovelab_lanes_test';
+
+function createLayout(visibleLanes = DEFAULT_VISIBLE_LANES) {
+  const layout = new LaneLayout(TEST_STORAGE_KEY);
+  layout.visibleLanes = new Set(visibleLanes);
+  layout.laneInfo = layout.buildLaneInfo();
+  return layout;
+}
+
+export function registerLaneLayoutTests(runner) {
+  runner.test('GM_DRUM_MAP: every target is a kit piece', () => {
+    for (const [gmNote, piece] of Object.entries(GM_DRUM_MAP)) {
+      assert.ok(MIDI_NOTE_MAP[piece], `GM note ${gmNote} should map to a kit piece`);
+    }
+  });
+
+  runner.test('MIDI_NOTE_MAP: fallbacks point at kit pieces', () => {
+    for (const [note, info] of Object.entries(MIDI_NOTE_MAP)) {
+      if (info.fallback === null) continue;
+      assert.ok(MIDI_NOTE_MAP[info.fallback], `${info.name} fallback should be a kit piece`);
+      assert.ok(info.fallback !== parseInt(note), `${info.name} should not fall back to itself`);
+    }
+  });
+
+  runner.test('KEYBOARD_MAP: every key plays a kit piece', () => {
+    for (const [key, note] of Object.entries(KEYBOARD_MAP)) {
+      assert.ok(MIDI_NOTE_MAP[note], `${key} should play a kit piece`);
+    }
+  });
+
+  runner.test('toKitPiece: maps GM notes onto kit pieces', () => {
+    assert.equal(toKitPiece(35), 36, 'Acoustic Bass Drum should be Kick');
+    assert.equal(toKitPiece(51), 51, 'Ride should be Ride');
+    assert.equal(toKitPiece(59), 51, 'Ride Cymbal 2 should be Ride');
+    assert.equal(toKitPiece(37), 40, 'Side Stick should be Rimshot');
+    assert.equal(toKitPiece(81), null, 'Open Triangle is not a kit piece');
+  });
+
+  runner.test('LaneLayout: default layout is the classic six lanes', () => {
+    const layout = createLayout();
+    assert.equal(layout.getLaneCount(), 6);
+    assert.deepEqual(layout.getVisibleLanes(), [48, 50, 46, 42, 38, 36]);
+    assert.ok(layout.isDefault(), 'Should report default layout');
+    assert.equal(layout.getStatsKey(), '', 'Default layout should not change stats keys');
+  });
+
+  runner.test('LaneLayout: lanes are packed in display order', () => {
+    const layout = createLayout([36, 38, 51]);
+    assert.equal(layout.getLaneInfo(51).lane, 0, 'Ride should be the top lane');
+    assert.equal(layout.getLaneInfo(38).lane, 1, 'Snare should be below Ride');
+    assert.equal(layout.getLaneInfo(36).lane, 2, 'Kick should be the bottom lane');
+    assert.equal(layout.getLaneInfo(42), null, 'Hidden lane has no info');
+    assert.equal(layout.getNoteForLane(1), 38);
+  });
+
+  runner.test('LaneLayout: hidden pieces fold onto their fallback lane', () => {
+    const layout = createLayout();
+    assert.equal(layout.resolveNote(51), 42, 'Ride should fold onto HH Closed');
+    assert.equal(layout.resolveNote(52), 46, 'China should fold via Crash onto HH Open');
+    assert.equal(layout.resolveNote(43), 50, 'Floor Tom should fold onto Tom 2');
+    assert.equal(layout.resolveNote(40), 38, 'Rimshot should fold onto Snare');
+    assert.equal(layout.resolveNote(38), 38, 'Visible piece should resolve to itself');
+  });
+
+  runner.test('LaneLayout: notes with no visible fallback are dropped', () => {
+    const layout = createLayout([36, 42]);
+    assert.equal(layout.resolveNote(38), null, 'Snare has no fallback when hidden');
+    assert.equal(layout.resolveNote(51), 42, 'Ride still folds onto HH Closed');
+  });
+
+  runner.test('LaneLayout: hiding both toms moves them to the nearest lane', () => {
+    const layout = createLayout([46, 42, 38, 36]);
+    assert.equal(layout.resolveNote(48), 46, 'Tom 1 should go to the lane nearest the toms');
+    assert.equal(layout.resolveNote(50), 46);
+    assert.equal(layout.resolveNote(43), 46, 'Floor Tom should not be lost either');
+  });
+
+  runner.test('LaneLayout: hiding both hi-hats moves them and the cymbals to the nearest lane', () => {
+    const layout = createLayout([48, 50, 38, 36]);
+    assert.equal(layout.resolveNote(46), 38, 'HH Open is nearest the Snare');
+    assert.equal(layout.resolveNote(42), 38);
+    assert.equal(layout.resolveNote(49), 50, 'Crash is nearest Tom 2');
+    [52, 55, 51, 56].forEach(note => {
+      assert.ok(layout.resolveNote(note) !== null, `${MIDI_NOTE_MAP[note].name} should not be lost`);
+    });
+  });
+
+  runner.test('LaneLayout: pedal chicks only count in their own lane', () => {
+    const layout = createLayout();
+    assert.equal(layout.resolveNote(44), null, 'Hidden HH Pedal should not fold onto HH Closed');
+    layout.setLaneVisible(44, true);
+    assert.equal(layout.resolveNote(44), 44, 'Visible HH Pedal should be judged in its lane');
+  });
+
+  runner.test('LaneLayout: showing a lane stops folding', () => {
+    const layout = createLayout();
+    assert.ok(layout.setLaneVisible(51, true), 'Layout should change');
+    assert.equal(layout.resolveNote(51), 51, 'Ride should have its own lane');
+    assert.equal(layout.getLaneCount(), 7);
+    assert.ok(layout.getStatsKey().length > 0, 'Custom layout should have a stats key');
+  });
+
+  runner.test('createPattern: pieces folded onto one lane are judged once but all played', async () => {
+    assert.ok(!laneLayout.isVisible(51), 'Default layout has no Ride lane');
+
+    // Ride and closed hat together on beats 1 and 2, then the ride alone
+    const store = createFakeStore();
+    const id = await addUserPattern({
+      name: 'Ride And Hat',
+      category: '',
+      bpm: 120,
+      fileName: 'ride.mid',
+      data: buildMidiFile([
+        ...tempoEvent(0, 120),
+        ...noteOnEvent(0, 42, 100),
+        ...noteOnEvent(0, 51, 80),
+        ...noteOnEvent(480, 42, 100),
+        ...noteOnEvent(0, 51, 80),
+        ...noteOnEvent(480, 51, 80)
+      ])
+    }, store);
+
+    const pattern = createPattern(id, 120, 1);
+    assert.deepEqual(pattern.notes.map(note => [note.time, note.midiNote, note.sourceNote]),
+      [[0, 42, 42], [500, 42, 42], [1000, 42, 51]]);
+    assert.deepEqual(pattern.unchartedNotes.map(note => [note.time, note.midiNote, note.velocity]),
+      [[0, 51, 80], [500, 51, 80]], 'The folded ride is still in the backing track');
+    await removeUserPattern(id, store);
+  });
+
+  runner.test('LaneLayout: last visible lane cannot be hidden', () => {
+    const layout = createLayout([36]);
+    assert.ok(!layout.setLaneVisible(36, false), 'Should refuse to hide the last lane');
+    assert.equal(layout.getLaneCount(), 1);
+  });
+}
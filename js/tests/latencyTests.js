@@ -0,0 +1,140 @@
+// Latency calibration and compensation tests
+
+import { assert } from './testRunner.js';
+import { TimingJudge } from '../timingJudge.js';
+import { GameState } from '../gameState.js';
+import {
+  CALIBRATION,
+  computeTapOffset,
+  resolveOffsets,
+  CalibrationSession,
+  LatencySettings
+} from '../latencyCalibration.js';
+
+const clicks = Array.from({ length: 10 }, (_, i) => 1000 + i * CALIBRATION.INTERVAL);
+
+export function registerLatencyTests(runner) {
+  runner.test('Calibration: tap offset is the average delay after each click', () => {
+    const taps = clicks.map((click, i) => click + 30 + (i % 2 === 0 ? 4 : -4));
+    const result = computeTapOffset(clicks, taps);
+
+    assert.equal(result.offset, 30);
+    assert.equal(result.spread, 4);
+    assert.equal(result.taps, 10);
+  });
+
+  runner.test('Calibration: stray and double taps are left out', () => {
+    const taps = clicks.map(click => click + 20);
+    taps.push(clicks[3] + 150);  // Far from the rest
+    taps.push(clicks[5] + 24);   // Second tap on one click
+
+    const result = computeTapOffset(clicks, taps.sort((a, b) => a - b));
+    assert.equal(result.offset, 20);
+    assert.equal(result.taps, 10);
+  });
+
+  runner.test('Calibration: too few taps gives no result', () => {
+    const taps = clicks.slice(0, CALIBRATION.MIN_TAPS - 1).map(click => click + 25);
+    assert.equal(computeTapOffset(clicks, taps), null);
+    assert.equal(computeTapOffset([], []), null);
+  });
+
+  runner.test('Calibration: flash pass is input delay, click pass adds output delay', () => {
+    assert.deepEqual(resolveOffsets({ offset: 15 }, { offset: 55 }), { input: 15, output: 40 });
+    // Tapping ahead of the beat can't mean negative latency
+    assert.deepEqual(resolveOffsets({ offset: -10 }, { offset: 20 }), { input: 0, output: 20 });
+    assert.deepEqual(resolveOffsets({ offset: 400 }, { offset: 400 }), { input: CALIBRATION.MAX_OFFSET, output: 150 });
+  });
+
+  runner.test('Calibration: session ignores lead-in taps and finishes after the last click', () => {
+    const session = new CalibrationSession('audio');
+    const played = [];
+    let result;
+    session.onClick = (clickNumber, isLeadIn) => played.push(isLeadIn);
+    session.onComplete = r => { result = r; };
+
+    session.start(0);
+    clearInterval(session.timer); // Drive the clock by hand
+
+    let now = 0;
+    while (session.isRunning && now < 20000) {
+      now += 5;
+      session.tick(now);
+      // Tap 25ms after every click, including the lead-in
+      if (session.clickCount > 0 && now === session.nextClickTime - CALIBRATION.INTERVAL + 25) {
+        session.recordTap(now);
+      }
+    }
+
+    assert.equal(played.length, session.totalClicks);
+    assert.equal(played.filter(isLeadIn => isLeadIn).length, CALIBRATION.LEAD_IN);
+    assert.equal(session.tapTimes.length, CALIBRATION.CLICKS, 'Lead-in taps are not kept');
+    assert.equal(result.offset, 25);
+    assert.equal(session.timer, null);
+  });
+
+  runner.test('LatencySettings: offsets are kept per input device and per output', () => {
+    const key = 'groovelab_latency_test';
+    const settings = new LatencySettings();
+    settings.storageKey = key;
+    settings.data = settings.loadSettings();
+
+    settings.setInputOffset('pad-kit', 12.4);
+    settings.setOutputOffset('default', 35);
+
+    const reloaded = new LatencySettings();
+    reloaded.storageKey = key;
+    reloaded.data = reloaded.loadSettings();
+    assert.equal(reloaded.getInputOffset('pad-kit'), 12);
+    assert.equal(reloaded.getInputOffset('keyboard'), 0, 'Other devices are not affected');
+    assert.equal(reloaded.getOutputOffset('default'), 35);
+    assert.equal(reloaded.getOutputOffset('usb-interface'), 0);
+
+    localStorage.removeItem(key);
+  });
+
+  runner.test('TimingJudge: hits are judged after removing latency', () => {
+    const judge = new TimingJudge();
+    judge.setLatency(20, 30);
+    assert.equal(judge.getLatencyOffset(), 50);
+
+    const result = judge.judgeHit(1000, 1050, true);
+    assert.equal(result.judgment, 'PERFECT');
+    assert.equal(result.timeDiff, 0);
+
+    const early = judge.judgeHit(1000, 1000, true);
+    assert.equal(early.timeDiff, -50);
+  });
+
+  runner.test('TimingJudge: matches hits to the note they were played for', () => {
+    const judge = new TimingJudge();
+    const notes = [
+      { time: 1000, midiNote: 38, judged: false },
+      { time: 1125, midiNote: 38, judged: false }
+    ];
+
+    // Arriving 80ms late, the hit is nearer the second note unless latency is removed
+    assert.equal(judge.findMatchingNote(38, 1080, notes), notes[1]);
+    judge.reset();
+    judge.setLatency(40, 40);
+    assert.equal(judge.findMatchingNote(38, 1080, notes), notes[0]);
+  });
+
+  runner.test('GameState: recorded hits and misses account for latency', () => {
+    const gameState = new GameState({ notes: [], bpm: 120 });
+    gameState.latencyOffset = 40;
+    gameState.currentTime = 1040;
+    gameState.recordInput(36, 100, 0);
+    assert.equal(gameState.performance[0].time, 1000);
+
+    // A note isn't missed while its late-arriving hit could still come in
+    const note = { time: 1000, midiNote: 36, judged: false };
+    gameState.activeNotes = [note];
+    gameState.currentTime = 1180 + 40;
+    gameState.checkMissedNotes();
+    assert.equal(note.judged, false);
+    gameState.currentTime = 1260;
+    gameState.checkMissedNotes();
+    assert.equal(note.judged, true);
+  });
+}
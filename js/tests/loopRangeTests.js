@@ -0,0 +1,77 @@
+// A/B loop range tests
+
+import { assert } from './testRunner.js';
+import { addUserPattern, removeUserPattern, createPattern } from '../patterns.js';
+import {
+  normalizeLoopRange,
+  getRangeTimes,
+  getNearestBarLine,
+  moveRangeMarker,
+  getLoopRangeStatsKey
+} from '../loopRange.js';
+import { buildMidiFile, tempoEvent, noteOnEvent, createFakeStore } from './midiFixtures.js';
+
+// Four 4/4 bars at 120 BPM (2000ms each), kick on 1 and snare on 3 of every bar
+function fourBarFile() {
+  const events = [...tempoEvent(0, 120)];
+  for (let bar = 0; bar < 4; bar++) {
+    events.push(...noteOnEvent(bar === 0 ? 0 : 960, 36), ...noteOnEvent(960, 38));
+  }
+  // Fill out the last bar
+  events.push(...noteOnEvent(959, 42));
+  return buildMidiFile(events);
+}
+
+const bars = [0, 2000, 4000, 6000].map(time => ({ time }));
+
+export function registerLoopRangeTests(runner) {
+  runner.test('LoopRange: ranges are kept inside the pattern', () => {
+    assert.deepEqual(normalizeLoopRange({ start: 2, end: 3 }, 4), { start: 2, end: 3 });
+    assert.deepEqual(normalizeLoopRange({ start: 0, end: 9 }, 4), null, 'Whole pattern is no range');
+    assert.deepEqual(normalizeLoopRange({ start: 3, end: 1 }, 4), { start: 3, end: 3 });
+    assert.equal(normalizeLoopRange(null, 4), null);
+  });
+
+  runner.test('LoopRange: range times come from the bar lines', () => {
+    assert.deepEqual(getRangeTimes(bars, 8000, { start: 2, end: 3 }), { startTime: 2000, endTime: 6000 });
+    assert.deepEqual(getRangeTimes(bars, 8000, { start: 4, end: 4 }), { startTime: 6000, endTime: 8000 });
+  });
+
+  runner.test('LoopRange: markers snap to bar lines and keep one bar', () => {
+    assert.equal(getNearestBarLine(2700, bars, 8000), 1);
+    assert.equal(getNearestBarLine(7900, bars, 8000), 4, 'End of the last bar');
+
+    assert.deepEqual(moveRangeMarker(null, 'start', 1, 4), { start: 2, end: 4 });
+    assert.deepEqual(moveRangeMarker({ start: 2, end: 4 }, 'end', 3, 4), { start: 2, end: 3 });
+    assert.deepEqual(moveRangeMarker({ start: 2, end: 3 }, 'end', 0, 4), { start: 2, end: 2 });
+    assert.deepEqual(moveRangeMarker({ start: 2, end: 3 }, 'start', 4, 4), { start: 3, end: 3 });
+  });
+
+  runner.test('LoopRange: each range has its own stats key', () => {
+    assert.equal(getLoopRangeStatsKey(null), '');
+    assert.equal(getLoopRangeStatsKey({ start: 5, end: 8 }), 'bars5-8');
+  });
+
+  runner.test('createPattern: a bar range loops on its own from time 0', async () => {
+    const store = createFakeStore();
+    const id = await addUserPattern({ name: 'Four Bars', category: '', bpm: 120, fileName: 'four.mid', data: fourBarFile() }, store);
+
+    const pattern = createPattern(id, 120, 2, { start: 2, end: 3 });
+    assert.deepEqual(pattern.loopRange, { start: 2, end: 3 });
+    assert.closeTo(pattern.singlePatternDuration, 4000, 1);
+    assert.closeTo(pattern.duration, 8000, 1);
+    assert.deepEqual(pattern.bars.map(bar => Math.round(bar.time)), [0, 2000]);
+    assert.deepEqual(pattern.notes.map(n => Math.round(n.time)), [0, 1000, 2000, 3000, 4000, 5000, 6000, 7000]);
+
+    // Tempo still scales the range
+    const slower = createPattern(id, 60, 1, { start: 4, end: 4 });
+    assert.closeTo(slower.singlePatternDuration, 4000, 1);
+    assert.equal(slower.bars[0].beats[0], 0);
+
+    const whole = createPattern(id, 120, 1, { start: 1, end: 4 });
+    assert.equal(whole.loopRange, null);
+    assert.closeTo(whole.singlePatternDuration, 8000, 1);
+
+    await removeUserPattern(id, store);
+  });
+}
@@ -0,0 +1,96 @@
+// Time signature, beat grouping and count-in tests
+
+import { assert } from './testRunner.js';
+import { parseTimeSignature, getBeatGroups, getAccentLevels, getOpeningPulse } from '../meter.js';
+import { Metronome } from '../metronome.js';
+import { MidiParser } from '../midiParser.js';
+import { buildMidiFile, timeSignatureEvent, noteOnEvent, fakeCanvas } from './midiFixtures.js';
+
+/**
+ * Build a one-bar pattern at 120 BPM quarter notes (500ms per beat unit of a quarter)
+ */
+function oneBarPattern(numerator, denominator, beatGroups = null) {
+  const beatDuration = 500 * 4 / denominator;
+  return {
+    bpm: 120,
+    beatGroups,
+    bars: [{
+      time: 0,
+      numerator,
+      denominator,
+      beats: Array.from({ length: numerator }, (_, i) => i * beatDuration)
+    }],
+    singlePatternDuration: numerator * beatDuration
+  };
+}
+
+export function registerMeterTests(runner) {
+  runner.test('Meter: parses manifest time signatures', () => {
+    assert.deepEqual(parseTimeSignature('7/8'), [7, 8]);
+    assert.deepEqual(parseTimeSignature([6, 8]), [6, 8]);
+    assert.equal(parseTimeSignature('5/6'), null, 'Denominator must be a power of two');
+    assert.equal(parseTimeSignature('x'), null);
+  });
+
+  runner.test('Meter: groups compound and odd meters', () => {
+    assert.deepEqual(getBeatGroups(4, 4), [1, 1, 1, 1]);
+    assert.deepEqual(getBeatGroups(6, 8), [3, 3]);
+    assert.deepEqual(getBeatGroups(12, 8), [3, 3, 3, 3]);
+    assert.deepEqual(getBeatGroups(7, 8), [2, 2, 3]);
+    assert.deepEqual(getBeatGroups(5, 8), [2, 3]);
+  });
+
+  runner.test('Meter: accents the downbeat and group starts', () => {
+    assert.deepEqual(getAccentLevels(4, 4), [2, 0, 0, 0]);
+    assert.deepEqual(getAccentLevels(6, 8), [2, 0, 0, 1, 0, 0]);
+    assert.deepEqual(getAccentLevels(7, 8), [2, 0, 1, 0, 1, 0, 0]);
+  });
+
+  runner.test('Meter: custom grouping overrides the default', () => {
+    assert.deepEqual(getAccentLevels(7, 8, [3, 2, 2]), [2, 0, 0, 1, 0, 1, 0]);
+    assert.deepEqual(getAccentLevels(7, 8, [3, 3]), [2, 0, 1, 0, 1, 0, 0], 'Grouping that does not fit should be ignored');
+  });
+
+  runner.test('Meter: count-in pulse follows the opening bar', () => {
+    const sixEight = getOpeningPulse(oneBarPattern(6, 8));
+    assert.equal(sixEight.beatsPerBar, 6);
+    assert.closeTo(sixEight.beatDuration, 250, 0.001);
+
+    const fallback = getOpeningPulse({ bpm: 100 });
+    assert.equal(fallback.beatsPerBar, 4);
+    assert.closeTo(fallback.beatDuration, 600, 0.001);
+  });
+
+  runner.test('Metronome: 6/8 accents beats 1 and 4', () => {
+    const metronome = new Metronome(120, fakeCanvas);
+    metronome.setPattern(oneBarPattern(6, 8));
+
+    assert.equal(metronome.update(0).accent, 2);
+    assert.equal(metronome.update(250).accent, 0);
+    assert.equal(metronome.update(750).accent, 1, 'Beat 4 starts the second group');
+    assert.equal(metronome.update(750).beatNumber, 4);
+  });
+
+  runner.test('Metronome: count-in uses the opening meter', () => {
+    const metronome = new Metronome(120, fakeCanvas);
+    metronome.setPattern(oneBarPattern(3, 4));
+
+    // One 3/4 bar of count-in before time 0
+    assert.equal(metronome.update(-1500).beatNumber, 1);
+    assert.equal(metronome.update(-1500).accent, 2);
+    assert.equal(metronome.update(-400).beatNumber, 3);
+  });
+
+  runner.test('MidiParser: manifest time signature overrides the file', async () => {
+    const parser = new MidiParser();
+    const parsed = await parser.parse(buildMidiFile([
+      ...timeSignatureEvent(0, 4, 4),
+      ...noteOnEvent(0, 36),
+      ...noteOnEvent(2160, 38)   // Beat 5.5 - past a 4/4 bar
+    ]), { timeSignature: [5, 4] });
+
+    assert.deepEqual(parsed.timeSignature, [5, 4]);
+    assert.equal(parsed.bars.length, 1, 'Beat 5.5 still fits in one 5/4 bar');
+    assert.equal(parsed.bars[0].beats.length, 5);
+  });
+}
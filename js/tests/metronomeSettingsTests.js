@@ -0,0 +1,127 @@
+// Metronome settings tests (subdivisions, accent patterns, count-in, saved settings)
+
+import { assert } from './testRunner.js';
+import { Metronome } from '../metronome.js';
+import { GameState } from '../gameState.js';
+import {
+  MetronomeSettings,
+  normalizeMetronomeSettings,
+  nextAccentLevel,
+  ACCENT_OFF
+} from '../metronomeSettings.js';
+import { fakeCanvas } from './midiFixtures.js';
+
+const TEST_STORAGE_KEY = 'groovelab_metronome_test';
+
+/**
+ * One bar of 4/4 at 120 BPM (500ms beats)
+ */
+function fourFourPattern() {
+  return {
+    bpm: 120,
+    notes: [],
+    bars: [{ time: 0, numerator: 4, denominator: 4, beats: [0, 500, 1000, 1500] }],
+    singlePatternDuration: 2000
+  };
+}
+
+export function registerMetronomeSettingsTests(runner) {
+  runner.test('MetronomeSettings: unknown choices fall back to the defaults', () => {
+    const settings = normalizeMetronomeSettings({ subdivision: 'quintuplet', sound: 'gong', countInBars: 3, accents: [] });
+    assert.equal(settings.subdivision, 'quarter');
+    assert.equal(settings.sound, 'beep');
+    assert.equal(settings.countInBars, 1);
+    assert.equal(settings.accents, null, 'An empty pattern follows the meter');
+
+    assert.deepEqual(normalizeMetronomeSettings({ accents: [5, -4, '1', 'x'] }).accents, [2, -1, 1, 0]);
+    assert.equal(normalizeMetronomeSettings({ countInBars: '0' }).countInBars, 0);
+  });
+
+  runner.test('MetronomeSettings: accents cycle strong, medium, normal, off', () => {
+    assert.equal(nextAccentLevel(2), 1);
+    assert.equal(nextAccentLevel(1), 0);
+    assert.equal(nextAccentLevel(0), ACCENT_OFF);
+    assert.equal(nextAccentLevel(ACCENT_OFF), 2);
+  });
+
+  runner.test('MetronomeSettings: settings are saved', () => {
+    localStorage.removeItem(TEST_STORAGE_KEY);
+    const settings = new MetronomeSettings(TEST_STORAGE_KEY);
+    settings.setSettings({ subdivision: 'triplet', sound: 'cowbell', countInBars: 2, visualPulse: true });
+
+    const reloaded = new MetronomeSettings(TEST_STORAGE_KEY);
+    assert.equal(reloaded.getSettings().sound, 'cowbell');
+    assert.equal(reloaded.getSettings().visualPulse, true);
+    assert.equal(reloaded.clicksPerBeat, 3);
+    assert.equal(reloaded.countInBars, 2);
+    localStorage.removeItem(TEST_STORAGE_KEY);
+  });
+
+  runner.test('Metronome: subdivisions split each beat', () => {
+    const metronome = new Metronome(120, fakeCanvas);
+    metronome.setPattern(fourFourPattern());
+    metronome.setClick({ clicksPerBeat: 4 });
+
+    const clicks = metronome.getBeatsBetween(0, 1000);
+    assert.deepEqual(clicks.map(c => c.time), [0, 125, 250, 375, 500, 625, 750, 875]);
+    assert.deepEqual(clicks.map(c => c.tick), [0, 1, 2, 3, 0, 1, 2, 3]);
+    assert.deepEqual(clicks.map(c => c.accent), [2, 0, 0, 0, 0, 0, 0, 0]);
+    assert.equal(clicks[5].beatNumber, 2);
+
+    // Triplets in the count-in too
+    metronome.setClick({ clicksPerBeat: 3 });
+    const countIn = metronome.getBeatsBetween(-500, 0);
+    assert.equal(countIn.length, 3);
+    assert.closeTo(countIn[1].time, -500 + 500 / 3, 0.001);
+  });
+
+  runner.test('Metronome: consecutive windows schedule each subdivision once', () => {
+    const metronome = new Metronome(120, fakeCanvas);
+    metronome.setPattern(fourFourPattern());
+    metronome.setClick({ clicksPerBeat: 2 });
+
+    const times = [];
+    for (let from = -2000; from < 2500; from += 100) {
+      metronome.getBeatsBetween(from, from + 100).forEach(c => times.push(c.time));
+    }
+    assert.equal(times.length, 18, '4 count-in beats and 5 pattern beats, 2 clicks each');
+    assert.equal(new Set(times).size, times.length);
+  });
+
+  runner.test('Metronome: a custom accent pattern replaces the meter', () => {
+    const metronome = new Metronome(120, fakeCanvas);
+    metronome.setPattern(fourFourPattern());
+    metronome.setClick({ accents: [0, 2, ACCENT_OFF, 2] });
+
+    const beats = metronome.getBeatsBetween(0, 2000);
+    assert.deepEqual(beats.map(b => b.beatNumber), [1, 2, 4], 'Beat 3 is silent');
+    assert.deepEqual(beats.map(b => b.accent), [0, 2, 2]);
+    assert.deepEqual(metronome.getBarAccents(), [0, 2, ACCENT_OFF, 2]);
+    assert.equal(metronome.update(500).accent, 2);
+
+    // A silent beat keeps its subdivisions
+    metronome.setClick({ clicksPerBeat: 2 });
+    assert.deepEqual(metronome.getBeatsBetween(1000, 1500).map(c => c.time), [1250]);
+
+    metronome.setClick({ accents: null });
+    assert.deepEqual(metronome.getBarAccents(), [2, 0, 0, 0]);
+  });
+
+  runner.test('GameState: count-in length follows the setting', () => {
+    const pattern = fourFourPattern();
+    const noCountIn = new GameState(pattern);
+    noCountIn.countInBars = 0;
+    noCountIn.clock = () => 0;
+    noCountIn.gameLoop = () => {};
+    noCountIn.start();
+    assert.equal(noCountIn.leadInTime, 0);
+
+    const twoBars = new GameState(pattern);
+    twoBars.countInBars = 2;
+    twoBars.clock = () => 0;
+    twoBars.gameLoop = () => {};
+    twoBars.start();
+    assert.equal(twoBars.countInBeats, 8);
+    assert.equal(twoBars.leadInTime, 4000);
+  });
+}
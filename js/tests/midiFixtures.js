@@ -0,0 +1,101 @@
+// Shared test helpers: small Standard MIDI Files, an in-memory user store and a canvas stand-in
+
+/**
+ * Encode a number as a MIDI variable-length quantity
+ * @param {number} value - Non-negative integer
+ * @returns {number[]} Bytes
+ */
+export function vlq(value) {
+  const bytes = [value & 0x7F];
+  value >>= 7;
+  while (value > 0) {
+    bytes.unshift((value & 0x7F) | 0x80);
+    value >>= 7;
+  }
+  return bytes;
+}
+
+/**
+ * Tempo meta event
+ * @param {number} delta - Delta time in ticks
+ * @param {number} bpm - Quarter notes per minute
+ */
+export function tempoEvent(delta, bpm) {
+  const tempo = Math.round(60000000 / bpm);
+  return [...vlq(delta), 0xFF, 0x51, 0x03, (tempo >> 16) & 0xFF, (tempo >> 8) & 0xFF, tempo & 0xFF];
+}
+
+/**
+ * Time signature meta event
+ * @param {number} delta - Delta time in ticks
+ * @param {number} numerator - Beats per bar
+ * @param {number} denominator - Beat unit (4 = quarter, 8 = eighth)
+ */
+export function timeSignatureEvent(delta, numerator, denominator) {
+  return [...vlq(delta), 0xFF, 0x58, 0x04, numerator, Math.log2(denominator), 24, 8];
+}
+
+/**
+ * Track name meta event
+ * @param {number} delta - Delta time in ticks
+ * @param {string} name - Track name (ASCII)
+ */
+export function trackNameEvent(delta, name) {
+  return [...vlq(delta), 0xFF, 0x03, ...vlq(name.length), ...Array.from(name, c => c.charCodeAt(0))];
+}
+
+/**
+ * Note-on event
+ * @param {number} delta - Delta time in ticks
+ * @param {number} note - MIDI note
+ * @param {number} velocity - Velocity 1-127
+ * @param {number} channel - MIDI channel 0-15 (default 9, drums)
+ */
+export function noteOnEvent(delta, note, velocity = 100, channel = 9) {
+  return [...vlq(delta), 0x90 | channel, note, velocity];
+}
+
+/**
+ * Build an SMF from raw track event bytes
+ * @param {number[]|number[][]} tracks - One track's events, or an array of tracks (delta-time + event bytes, without end-of-track)
+ * @param {number} ticksPerQuarter - Resolution (default 480)
+ * @returns {ArrayBuffer}
+ */
+export function buildMidiFile(tracks, ticksPerQuarter = 480) {
+  const trackList = Array.isArray(tracks[0]) ? tracks : [tracks];
+  const format = trackList.length > 1 ? 1 : 0;
+
+  const bytes = [
+    0x4D, 0x54, 0x68, 0x64, 0, 0, 0, 6,
+    0, format, 0, trackList.length, (ticksPerQuarter >> 8) & 0xFF, ticksPerQuarter & 0xFF
+  ];
+
+  trackList.forEach(events => {
+    const track = [...events, 0x00, 0xFF, 0x2F, 0x00];
+    bytes.push(
+      0x4D, 0x54, 0x72, 0x6B,
+      (track.length >> 24) & 0xFF, (track.length >> 16) & 0xFF, (track.length >> 8) & 0xFF, track.length & 0xFF,
+      ...track
+    );
+  });
+
+  return new Uint8Array(bytes).buffer;
+}
+
+/**
+ * In-memory stand-in for an IndexedDB user store (patterns or kits)
+ * @param {Array<{id: string}>} records - Records already saved
+ * @returns {Object} Store with getAll, put and delete, and its data Map for checking saves
+ */
+export function createFakeStore(records = []) {
+  const data = new Map(records.map(r => [r.id, r]));
+  return {
+    data,
+    async getAll() { return Array.from(data.values()); },
+    async put(record) { data.set(record.id, record); },
+    async delete(id) { data.delete(id); }
+  };
+}
+
+// Minimal canvas stand-in for the metronome
+export const fakeCanvas = { width: 0, height: 0, getContext: () => ({ clearRect() {} }) };
@@ -0,0 +1,86 @@
+// MIDI mapping profile tests
+
+import { assert } from './testRunner.js';
+import { MIDI_NOTE_MAP } from '../constants.js';
+import { MidiMappingManager, BUILTIN_PROFILES } from '../midiMappings.js';
+
+function createManager() {
+  const manager = new MidiMappingManager();
+  manager.storageKey = 'groovelab_midi_mappings_test';
+  manager.data = { profiles: {}, devices: {} };
+  return manager;
+}
+
+export function registerMidiMappingTests(runner) {
+  runner.test('BUILTIN_PROFILES: every mapping targets a kit piece', () => {
+    for (const [id, profile] of Object.entries(BUILTIN_PROFILES)) {
+      for (const [note, piece] of Object.entries(profile.map)) {
+        assert.ok(MIDI_NOTE_MAP[piece], `${id} note ${note} should map to a kit piece`);
+      }
+    }
+  });
+
+  runner.test('MidiMappingManager: unassigned devices use General MIDI', () => {
+    const manager = createManager();
+    assert.equal(manager.getDeviceProfileId('dev-1'), 'general-midi');
+    assert.equal(manager.mapNote('dev-1', 26), 26, 'GM should pass notes through');
+  });
+
+  runner.test('MidiMappingManager: device profile remaps notes', () => {
+    const manager = createManager();
+    manager.setDeviceProfile('dev-1', 'roland-td17');
+    assert.equal(manager.mapNote('dev-1', 26), 46, 'TD-17 HH open edge should be HH Open');
+    assert.equal(manager.mapNote('dev-1', 45), 50, 'TD-17 Tom 2 should be Tom 2');
+    assert.equal(manager.mapNote('dev-2', 26), 26, 'Other devices are unaffected');
+    assert.equal(manager.mapNote(undefined, 26), 26, 'Keyboard input is unaffected');
+  });
+
+  runner.test('MidiMappingManager: auto-assigns profile from device name', () => {
+    const manager = createManager();
+    manager.autoAssignDevices([
+      { id: 'a', name: 'TD-17', manufacturer: 'Roland' },
+      { id: 'b', name: 'Generic USB MIDI', manufacturer: '' }
+    ]);
+    assert.equal(manager.getDeviceProfileId('a'), 'roland-td17');
+    assert.equal(manager.getDeviceProfileId('b'), 'general-midi');
+  });
+
+  runner.test('MidiMappingManager: auto-assign keeps existing choice', () => {
+    const manager = createManager();
+    manager.setDeviceProfile('a', 'general-midi');
+    manager.autoAssignDevices([{ id: 'a', name: 'TD-17', manufacturer: 'Roland' }]);
+    assert.equal(manager.getDeviceProfileId('a'), 'general-midi');
+  });
+
+  runner.test('MidiMappingManager: learn copies built-in profile and assigns pad', () => {
+    const manager = createManager();
+    manager.setDeviceProfile('dev-1', 'alesis-nitro');
+    manager.startLearn(49);
+    assert.ok(manager.isLearning(), 'Should be waiting for a pad');
+
+    const consumed = manager.learnNote('dev-1', 77);
+    assert.ok(consumed, 'Learn should consume the hit');
+    assert.ok(!manager.isLearning(), 'Learn mode should end');
+
+    const profileId = manager.getDeviceProfileId('dev-1');
+    assert.ok(!BUILTIN_PROFILES[profileId], 'Device should now use a custom profile');
+    assert.equal(manager.mapNote('dev-1', 77), 49, 'Learned pad should play Crash');
+    assert.equal(manager.mapNote('dev-1', 45), 50, 'Copied assignments should be kept');
+    assert.equal(Object.keys(BUILTIN_PROFILES['alesis-nitro'].map).includes('77'), false,
+      'Built-in profile should be untouched');
+  });
+
+  runner.test('MidiMappingManager: hits are not consumed outside learn mode', () => {
+    const manager = createManager();
+    assert.ok(!manager.learnNote('dev-1', 38), 'Should not consume without learn target');
+  });
+
+  runner.test('MidiMappingManager: deleting profile returns device to General MIDI', () => {
+    const manager = createManager();
+    manager.startLearn(38);
+    manager.learnNote('dev-1', 60);
+    manager.deleteProfile(manager.getDeviceProfileId('dev-1'));
+    assert.equal(manager.getDeviceProfileId('dev-1'), 'general-midi');
+    assert.equal(manager.mapNote('dev-1', 60), 60);
+  });
+}
@@ -0,0 +1,229 @@
+// MIDI parser tempo map and time signature tests
+
+import { assert } from './testRunner.js';
+import { MidiParser, findDrumSource } from '../midiParser.js';
+import { Metronome } from '../metronome.js';
+import {
+  buildMidiFile,
+  tempoEvent,
+  timeSignatureEvent,
+  trackNameEvent,
+  noteOnEvent,
+  fakeCanvas
+} from './midiFixtures.js';
+
+/**
+ * Full-song style file: conductor track, a bass part on channel 1 whose notes
+ * fall in the kit range, and drums on channel 10
+ */
+function songFile() {
+  return buildMidiFile([
+    [...trackNameEvent(0, 'Song'), ...tempoEvent(0, 120)],
+    [...trackNameEvent(0, 'Bass'), ...noteOnEvent(0, 36, 90, 0), ...noteOnEvent(480, 40, 90, 0), ...noteOnEvent(480, 72, 90, 0)],
+    [...trackNameEvent(0, 'Drums'), ...noteOnEvent(0, 36), ...noteOnEvent(480, 38), ...noteOnEvent(480, 36), ...noteOnEvent(480, 38)]
+  ]);
+}
+
+export function registerMidiParserTests(runner) {
+  runner.test('MidiParser: single tempo converts ticks to ms', async () => {
+    const parser = new MidiParser();
+    const parsed = await parser.parse(buildMidiFile([
+      ...tempoEvent(0, 120),
+      ...noteOnEvent(0, 36),
+      ...noteOnEvent(480, 38)
+    ]));
+
+    assert.equal(parsed.bpm, 120);
+    assert.closeTo(parsed.notes[1].time, 500, 0.01);
+    assert.deepEqual(parsed.timeSignature, [4, 4], 'Files without 0x58 should be 4/4');
+  });
+
+  runner.test('MidiParser: tempo changes apply only from their position', async () => {
+    const parser = new MidiParser();
+    const parsed = await parser.parse(buildMidiFile([
+      ...tempoEvent(0, 120),
+      ...noteOnEvent(0, 36),
+      ...tempoEvent(960, 60),   // Two beats at 120, then 60 BPM
+      ...noteOnEvent(0, 38),
+      ...noteOnEvent(480, 36)
+    ]));
+
+    assert.equal(parsed.bpm, 120, 'BPM should be the opening tempo');
+    assert.closeTo(parsed.notes[1].time, 1000, 0.01);
+    assert.closeTo(parsed.notes[2].time, 2000, 0.01, 'Beat after the change should last 1000ms');
+    assert.equal(parsed.tempoMap.length, 2);
+  });
+
+  runner.test('MidiParser: tempo track applies to notes on other tracks', async () => {
+    const parser = new MidiParser();
+    const parsed = await parser.parse(buildMidiFile([
+      [...tempoEvent(0, 100), ...tempoEvent(480, 50)],
+      [...noteOnEvent(960, 38)]
+    ]));
+
+    // One beat at 100 BPM (600ms) + one beat at 50 BPM (1200ms)
+    assert.closeTo(parsed.notes[0].time, 1800, 0.01);
+  });
+
+  runner.test('MidiParser: msToTicks inverts ticksToMs across segments', async () => {
+    const parser = new MidiParser();
+    await parser.parse(buildMidiFile([
+      ...tempoEvent(0, 90),
+      ...tempoEvent(1000, 140),
+      ...noteOnEvent(2000, 36)
+    ]));
+
+    [0, 480, 1000, 1500, 2000].forEach(tick => {
+      assert.closeTo(parser.msToTicks(parser.ticksToMs(tick)), tick, 0.001);
+    });
+  });
+
+  runner.test('MidiParser: reads time signature and lays out 3/4 bars', async () => {
+    const parser = new MidiParser();
+    const parsed = await parser.parse(buildMidiFile([
+      ...tempoEvent(0, 120),
+      ...timeSignatureEvent(0, 3, 4),
+      ...noteOnEvent(0, 36),
+      ...noteOnEvent(1440 * 2 - 480, 38)   // Last beat of bar 2
+    ]));
+
+    assert.deepEqual(parsed.timeSignature, [3, 4]);
+    assert.equal(parsed.bars.length, 2);
+    assert.equal(parsed.bars[0].beats.length, 3);
+    assert.closeTo(parsed.bars[1].time, 1500, 0.01);
+    assert.closeTo(parsed.duration, 3000, 0.01);
+  });
+
+  runner.test('MidiParser: 7/8 counts eighth-note beats', async () => {
+    const parser = new MidiParser();
+    const parsed = await parser.parse(buildMidiFile([
+      ...tempoEvent(0, 120),
+      ...timeSignatureEvent(0, 7, 8),
+      ...noteOnEvent(0, 36)
+    ]));
+
+    assert.deepEqual(parsed.timeSignature, [7, 8]);
+    assert.equal(parsed.bars[0].beats.length, 7);
+    assert.closeTo(parsed.duration, 1750, 0.01, '7 eighths at 120 BPM');
+  });
+
+  runner.test('MidiParser: meter change mid-file starts a new bar layout', async () => {
+    const parser = new MidiParser();
+    const parsed = await parser.parse(buildMidiFile([
+      ...timeSignatureEvent(0, 4, 4),
+      ...noteOnEvent(0, 36),
+      ...timeSignatureEvent(1920, 6, 8),
+      ...noteOnEvent(0, 38)
+    ]));
+
+    assert.equal(parsed.bars.length, 2);
+    assert.equal(parsed.bars[1].numerator, 6);
+    assert.equal(parsed.bars[1].beats.length, 6);
+    assert.equal(parsed.timeSignatures.length, 2);
+  });
+
+  runner.test('MidiParser: ritardando spreads later beats apart', async () => {
+    const parser = new MidiParser();
+    const parsed = await parser.parse(buildMidiFile([
+      ...tempoEvent(0, 120),
+      ...noteOnEvent(0, 36),
+      ...tempoEvent(960, 100),
+      ...tempoEvent(480, 80),
+      ...noteOnEvent(0, 38)      // Beat 4, played at 80 BPM
+    ]));
+
+    const beats = parsed.bars[0].beats;
+    assert.closeTo(beats[1] - beats[0], 500, 0.01);
+    assert.closeTo(beats[3] - beats[2], 600, 0.01);
+    assert.closeTo(parsed.duration, 500 + 500 + 600 + 750, 0.01);
+  });
+
+  runner.test('Metronome: follows pattern bars in 3/4', () => {
+    const metronome = new Metronome(120, fakeCanvas);
+    const bars = [0, 1500].map(time => ({
+      time, numerator: 3, denominator: 4, beats: [time, time + 500, time + 1000]
+    }));
+    metronome.setPattern({ bpm: 120, bars, singlePatternDuration: 3000 });
+
+    assert.equal(metronome.update(0).beatNumber, 1);
+    assert.equal(metronome.update(1200).beatNumber, 3);
+    assert.equal(metronome.update(1600).beatNumber, 1, 'Bar 2 should start on beat 1');
+    assert.equal(metronome.update(3100).beatNumber, 1, 'Next loop should start on beat 1');
+    assert.equal(metronome.update(1200).beatsInBar, 3);
+  });
+
+  runner.test('Metronome: uneven beats report phase within the beat', () => {
+    const metronome = new Metronome(120, fakeCanvas);
+    metronome.setPattern({
+      bpm: 120,
+      bars: [{ time: 0, numerator: 2, denominator: 4, beats: [0, 500] }],
+      singlePatternDuration: 1500   // Second beat slowed to 1000ms
+    });
+
+    const beat = metronome.update(1000);
+    assert.equal(beat.beatNumber, 2);
+    assert.closeTo(beat.phase, 0.5, 0.001);
+  });
+
+  runner.test('MidiParser: reports track names and per-channel note counts', async () => {
+    const parsed = await new MidiParser().parse(songFile());
+
+    assert.equal(parsed.tracks.length, 3);
+    assert.equal(parsed.tracks[1].name, 'Bass');
+    assert.deepEqual(parsed.tracks[1].channels, [{ channel: 1, noteCount: 3, drumNoteCount: 2 }],
+      'Note 72 is outside the kit and only counted in noteCount');
+    assert.equal(parsed.tracks[2].name, 'Drums');
+    assert.equal(parsed.tracks[2].channels[0].channel, 10);
+    assert.equal(parsed.notes.length, 6, 'Without a selection every track is kept');
+  });
+
+  runner.test('MidiParser: drum source defaults to channel 10', async () => {
+    const parsed = await new MidiParser().parse(songFile());
+    const source = findDrumSource(parsed.tracks);
+    assert.deepEqual(source, { track: 2, channel: 10 });
+
+    const drums = await new MidiParser().parse(songFile(), source);
+    assert.equal(drums.notes.length, 4);
+    assert.ok(drums.notes.every(note => note.channel === 10 && note.track === 2));
+  });
+
+  runner.test('MidiParser: without channel 10 the busiest kit channel is the drum source', () => {
+    const tracks = [
+      { index: 0, name: '', noteCount: 5, channels: [{ channel: 1, noteCount: 5, drumNoteCount: 1 }] },
+      { index: 1, name: '', noteCount: 8, channels: [{ channel: 3, noteCount: 8, drumNoteCount: 8 }] }
+    ];
+    assert.deepEqual(findDrumSource(tracks), { track: 1, channel: 3 });
+    assert.equal(findDrumSource([]), null);
+  });
+
+  runner.test('MidiParser: bar range starts the pattern at the chosen bar', async () => {
+    // Four 4/4 bars with a kick on each downbeat; bar 3 onwards is at 60 BPM
+    const parsed = await new MidiParser().parse(buildMidiFile([
+      ...tempoEvent(0, 120),
+      ...noteOnEvent(0, 36),
+      ...noteOnEvent(1920, 36),
+      ...tempoEvent(1920, 60),
+      ...noteOnEvent(0, 36),
+      ...noteOnEvent(960, 38),
+      ...noteOnEvent(960, 36)
+    ]), { barRange: { start: 3, end: 4 } });
+
+    assert.equal(parsed.sourceBars, 4);
+    assert.equal(parsed.bars.length, 2);
+    assert.equal(parsed.bpm, 60, 'Tempo in effect at bar 3 becomes the opening tempo');
+    assert.deepEqual(parsed.notes.map(n => n.time), [0, 2000, 4000]);
+    assert.closeTo(parsed.duration, 8000, 0.01);
+  });
+
+  runner.test('MidiParser: bar range keeps empty bars at the end', async () => {
+    const parsed = await new MidiParser().parse(buildMidiFile([
+      ...tempoEvent(0, 120),
+      ...noteOnEvent(1920, 36),    // Bar 2
+      ...noteOnEvent(3840, 36)     // Bar 4
+    ]), { barRange: { start: 2, end: 3 } });
+
+    assert.equal(parsed.notes.length, 1);
+    assert.equal(parsed.bars.length, 2);
+    assert.closeTo(parsed.duration, 4000, 0.01);
+  });
+}
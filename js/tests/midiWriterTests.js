@@ -0,0 +1,148 @@
+// MIDI file export tests (written files are read back with MidiParser)
+
+import { assert } from './testRunner.js';
+import { MidiParser } from '../midiParser.js';
+import { MidiWriter, exportPatternMidi, exportPerformanceMidi } from '../midiWriter.js';
+import { laneLayout } from '../laneLayout.js';
+import { addUserPattern, removeUserPattern, createPattern } from '../patterns.js';
+import { buildMidiFile, tempoEvent, noteOnEvent, createFakeStore } from './midiFixtures.js';
+
+/**
+ * Pattern in the createPattern shape: bars of evenly spaced beats
+ * @param {number} bpm - Quarter-note tempo
+ * @param {number} numerator - Beats per bar
+ * @param {number} denominator - Beat unit
+ * @param {number} barCount - Bars per loop
+ * @param {Array} notes - { time, midiNote, velocity }
+ */
+function makePattern(bpm, numerator, denominator, barCount, notes) {
+  const beatDuration = (60000 / bpm) * 4 / denominator;
+  const barDuration = beatDuration * numerator;
+  return {
+    name: 'Test Groove',
+    bpm,
+    bars: Array.from({ length: barCount }, (_, bar) => ({
+      time: bar * barDuration,
+      numerator,
+      denominator,
+      beats: Array.from({ length: numerator }, (_, beat) => bar * barDuration + beat * beatDuration)
+    })),
+    singlePatternDuration: barDuration * barCount,
+    loopCount: 1,
+    notes
+  };
+}
+
+export function registerMidiWriterTests(runner) {
+  runner.test('MidiWriter: pattern round-trips through the parser', async () => {
+    const pattern = makePattern(96, 4, 4, 1, [
+      { time: 0, midiNote: 36, velocity: 110 },
+      { time: 625, midiNote: 38, velocity: 40 },
+      { time: 1250, midiNote: 42, velocity: 90 }
+    ]);
+
+    const parsed = await new MidiParser().parse(exportPatternMidi(pattern));
+    assert.equal(parsed.bpm, 96);
+    assert.deepEqual(parsed.timeSignature, [4, 4]);
+    assert.equal(parsed.bars.length, 1);
+    assert.deepEqual(parsed.notes.map(n => n.midiNote), [36, 38, 42]);
+    assert.deepEqual(parsed.notes.map(n => n.velocity), [110, 40, 90]);
+    parsed.notes.forEach((note, i) => assert.closeTo(note.time, pattern.notes[i].time, 1));
+    assert.equal(parsed.tracks[1].channels[0].channel, 10, 'Notes go on the drum channel');
+  });
+
+  runner.test('MidiWriter: exports written pieces, not folded lanes, and one loop', async () => {
+    const pattern = makePattern(120, 4, 4, 1, [
+      { time: 0, midiNote: 42, sourceNote: 51, velocity: 100 },
+      { time: 2000, midiNote: 36, velocity: 100 }   // Second loop
+    ]);
+    pattern.loopCount = 2;
+
+    const parsed = await new MidiParser().parse(exportPatternMidi(pattern));
+    assert.equal(parsed.notes.length, 1);
+    assert.equal(parsed.notes[0].midiNote, 51, 'Ride folded onto the HH Closed lane is written as Ride');
+  });
+
+  runner.test('MidiWriter: pieces left off the chart are still exported', async () => {
+    assert.ok(!laneLayout.isVisible(44) && !laneLayout.isVisible(51), 'Default layout has no HH Pedal or Ride lane');
+
+    // Ride and closed hat together on beat 1, a pedal chick on beat 2
+    const store = createFakeStore();
+    const id = await addUserPattern({
+      name: 'Export Folded',
+      category: '',
+      bpm: 120,
+      fileName: 'folded.mid',
+      data: buildMidiFile([
+        ...tempoEvent(0, 120),
+        ...noteOnEvent(0, 42, 100),
+        ...noteOnEvent(0, 51, 80),
+        ...noteOnEvent(480, 44, 60),
+        ...noteOnEvent(1439, 36, 100)
+      ])
+    }, store);
+
+    const pattern = createPattern(id, 120, 1);
+    const parsed = await new MidiParser().parse(exportPatternMidi(pattern));
+    assert.deepEqual(parsed.notes.map(n => [n.midiNote, n.velocity]).sort((a, b) => a[0] - b[0]),
+      [[36, 100], [42, 100], [44, 60], [51, 80]]);
+    assert.closeTo(parsed.notes.find(n => n.midiNote === 44).time, 500, 1);
+
+    const performance = await new MidiParser().parse(exportPerformanceMidi(pattern, [], { countInBars: 0 }));
+    assert.equal(performance.notes.length, 4, 'The reference track has every piece too');
+    await removeUserPattern(id, store);
+  });
+
+  runner.test('MidiWriter: uneven beats become tempo changes', async () => {
+    const pattern = makePattern(120, 4, 4, 1, [
+      { time: 0, midiNote: 36, velocity: 100 },
+      { time: 1500, midiNote: 38, velocity: 100 }
+    ]);
+    // Slow the last beat to 80 BPM
+    pattern.singlePatternDuration = 1500 + 750;
+
+    const parsed = await new MidiParser().parse(exportPatternMidi(pattern));
+    assert.equal(parsed.tempoMap.length, 2);
+    assert.closeTo(parsed.tempoMap[1].bpm, 80, 0.01);
+    assert.closeTo(parsed.notes[1].time, 1500, 1);
+    assert.closeTo(parsed.duration, 2250, 1);
+  });
+
+  runner.test('MidiWriter: keeps odd meters', async () => {
+    const pattern = makePattern(120, 7, 8, 2, [{ time: 0, midiNote: 36, velocity: 100 }]);
+
+    const parsed = await new MidiParser().parse(exportPatternMidi(pattern));
+    assert.deepEqual(parsed.timeSignature, [7, 8]);
+    assert.equal(parsed.bars.length, 1, 'Bars run through the last note');
+    assert.equal(parsed.bars[0].beats.length, 7);
+  });
+
+  runner.test('MidiWriter: performance is a separate track after a count-in bar', async () => {
+    const pattern = makePattern(120, 4, 4, 1, [
+      { time: 0, midiNote: 36, velocity: 100 },
+      { time: 1000, midiNote: 38, velocity: 100 }
+    ]);
+    const hits = [
+      { time: -20, midiNote: 36, velocity: 97 },    // Early on the first note
+      { time: 1012, midiNote: 38, velocity: 64 },
+      { time: 2005, midiNote: 36, velocity: 120 }   // Second loop
+    ];
+
+    const data = exportPerformanceMidi(pattern, hits, { loops: 2, countInBars: 1 });
+    const whole = await new MidiParser().parse(data);
+    assert.equal(whole.tracks.length, 3, 'Conductor, pattern and performance tracks');
+    assert.equal(whole.tracks[2].name, 'Performance');
+    assert.equal(whole.tracks[1].noteCount, 4, 'Pattern repeated for both loops');
+
+    const take = await new MidiParser().parse(data, { track: 2 });
+    assert.deepEqual(take.notes.map(n => n.velocity), [97, 64, 120]);
+    hits.forEach((hit, i) => assert.closeTo(take.notes[i].time, hit.time + 2000, 1));
+  });
+
+  runner.test('MidiWriter: long delta times use multi-byte lengths', async () => {
+    const writer = new MidiWriter();
+    const bytes = writer.encodeTrack([{ tick: 200000, bytes: [0x90 | 9, 36, 100] }]);
+    // 200000 = 0x0C 0x1A 0x40 as a variable-length quantity
+    assert.deepEqual(bytes.slice(0, 3), [0x8C, 0x9A, 0x40]);
+  });
+}
@@ -0,0 +1,81 @@
+// Mixer tests (channel settings, mute and solo, saved settings)
+
+import { assert } from './testRunner.js';
+import { MixerSettings, normalizeChannel, getChannelDefaults } from '../mixer.js';
+
+const TEST_STORAGE_KEY = 'groovelab_mixer_test';
+
+function createMixer() {
+  localStorage.removeItem(TEST_STORAGE_KEY);
+  return new MixerSettings(TEST_STORAGE_KEY);
+}
+
+export function registerMixerTests(runner) {
+  runner.test('Mixer: the track plays on the left and the player on the right', () => {
+    const mixer = createMixer();
+    assert.equal(mixer.getChannel('track', 38).pan, -1);
+    assert.equal(mixer.getChannel('user', 38).pan, 1);
+    assert.equal(mixer.getLevel('user', 38), 1);
+    assert.deepEqual(getChannelDefaults('user'), { volume: 1, pan: 1, mute: false, solo: false, send: 1 });
+  });
+
+  runner.test('Mixer: channel settings are kept in range', () => {
+    const channel = normalizeChannel('track', { volume: 4, pan: -3, send: 'x', mute: 1 });
+    assert.deepEqual(channel, { volume: 1.5, pan: -1, mute: true, solo: false, send: 1 });
+
+    const mixer = createMixer();
+    mixer.setChannel('user', 36, { volume: 0.5 });
+    mixer.setChannel('user', 36, { pan: 0 });
+    assert.equal(mixer.getChannel('user', 36).volume, 0.5, 'Other settings are kept');
+    assert.equal(mixer.getChannel('user', 36).pan, 0);
+    localStorage.removeItem(TEST_STORAGE_KEY);
+  });
+
+  runner.test('Mixer: a soloed channel silences the others', () => {
+    const mixer = createMixer();
+    mixer.setChannel('track', 38, { solo: true });
+    assert.ok(mixer.hasSolo());
+    assert.ok(mixer.isAudible('track', 38));
+    assert.ok(!mixer.isAudible('track', 36));
+    assert.equal(mixer.getLevel('user', 38), 0, 'The other side is silenced too');
+
+    mixer.setChannel('track', 38, { mute: true });
+    assert.ok(!mixer.isAudible('track', 38), 'Mute beats solo');
+
+    mixer.setChannel('track', 38, { solo: false, mute: false });
+    assert.ok(!mixer.hasSolo());
+    assert.ok(mixer.isAudible('user', 36));
+    localStorage.removeItem(TEST_STORAGE_KEY);
+  });
+
+  runner.test('Mixer: a lane is muted when both of its channels are', () => {
+    const mixer = createMixer();
+    mixer.setChannel('track', 42, { mute: true });
+    assert.ok(!mixer.isLaneMuted(42), 'The player is still heard');
+    assert.deepEqual(mixer.getMutedLanes('track'), [42]);
+
+    mixer.setLaneMuted(46, true);
+    assert.ok(mixer.isLaneMuted(46));
+    assert.deepEqual(mixer.getMutedLanes('user'), [46]);
+
+    mixer.setLaneMuted(46, false);
+    assert.ok(!mixer.isLaneMuted(46));
+    assert.ok(mixer.isAudible('track', 46));
+    localStorage.removeItem(TEST_STORAGE_KEY);
+  });
+
+  runner.test('Mixer: settings are saved', () => {
+    const mixer = createMixer();
+    mixer.setChannel('user', 38, { volume: 0.8, send: 0.2 });
+    mixer.setLaneMuted(49, true);
+
+    const reloaded = new MixerSettings(TEST_STORAGE_KEY);
+    assert.equal(reloaded.getChannel('user', 38).volume, 0.8);
+    assert.equal(reloaded.getChannel('user', 38).send, 0.2);
+    assert.ok(reloaded.isLaneMuted(49));
+
+    reloaded.reset();
+    assert.ok(!new MixerSettings(TEST_STORAGE_KEY).isLaneMuted(49));
+    localStorage.removeItem(TEST_STORAGE_KEY);
+  });
+}
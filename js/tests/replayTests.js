@@ -0,0 +1,100 @@
+// Performance recording and replay tests
+
+import { assert } from './testRunner.js';
+import { GameState } from '../gameState.js';
+import { ReplayPlayer } from '../replayPlayer.js';
+
+function makeReplay() {
+  const replay = new ReplayPlayer({
+    pattern: { singlePatternDuration: 2000, loopCount: 1, bars: [] },
+    notes: [
+      { time: 0, midiNote: 36, velocity: 100 },
+      { time: 1000, midiNote: 38, velocity: 100 }
+    ],
+    performance: [
+      { time: 1012, midiNote: 38, velocity: 70 },
+      { time: -15, midiNote: 36, velocity: 110 }
+    ],
+    startTime: -2000,
+    endTime: 2500
+  });
+
+  const sounded = { hits: [], notes: [], ended: false };
+  replay.onHit = hit => sounded.hits.push(hit.time);
+  replay.onPatternNote = note => sounded.notes.push(note.time);
+  replay.onEnd = () => { sounded.ended = true; };
+  return { replay, sounded };
+}
+
+export function registerReplayTests(runner) {
+  runner.test('GameState: records every input with time, velocity and timestamp', () => {
+    const gameState = new GameState({ notes: [], bpm: 120 });
+    gameState.currentTime = -20;
+    gameState.recordInput(36, 110, 5000.5);
+    gameState.currentTime = 480;
+    gameState.recordInput(46, 64, 5500.5, 'open');
+
+    assert.deepEqual(gameState.performance, [
+      { time: -20, timestamp: 5000.5, midiNote: 36, velocity: 110 },
+      { time: 480, timestamp: 5500.5, midiNote: 46, velocity: 64, hiHatState: 'open' }
+    ]);
+
+    gameState.reset();
+    assert.equal(gameState.performance.length, 0, 'A new attempt starts a new recording');
+  });
+
+  runner.test('Replay: sounds recorded hits in time order, once each', () => {
+    const { replay, sounded } = makeReplay();
+
+    replay.advanceTo(0);
+    assert.deepEqual(sounded.hits, [-15], 'Early hit in the count-in plays before the first note');
+    replay.advanceTo(500);
+    replay.advanceTo(1100);
+    assert.deepEqual(sounded.hits, [-15, 1012]);
+    assert.equal(sounded.notes.length, 0, 'Pattern sounds are off by default');
+  });
+
+  runner.test('Replay: pattern audio plays the reference notes', () => {
+    const { replay, sounded } = makeReplay();
+    replay.playPattern = true;
+
+    replay.advanceTo(1500);
+    assert.deepEqual(sounded.notes, [0, 1000]);
+  });
+
+  runner.test('Replay: scrubbing jumps without sounding skipped hits', () => {
+    const { replay, sounded } = makeReplay();
+
+    replay.seek(500);
+    replay.advanceTo(1100);
+    assert.deepEqual(sounded.hits, [1012]);
+
+    // Back to the start replays everything again
+    replay.seek(-5000);
+    assert.equal(replay.currentTime, -2000, 'Seek is clamped to the recording');
+    replay.advanceTo(1100);
+    assert.deepEqual(sounded.hits, [1012, -15, 1012]);
+  });
+
+  runner.test('Replay: stops at the end of the recording', () => {
+    const { replay, sounded } = makeReplay();
+
+    replay.advanceTo(9999);
+    assert.equal(replay.currentTime, 2500);
+    assert.ok(sounded.ended);
+    assert.equal(replay.isPlaying, false);
+  });
+
+  runner.test('Replay: built from a finished attempt covers count-in to last hit', () => {
+    const gameState = new GameState({ notes: [], bpm: 120 });
+    gameState.leadInTime = 2000;
+    gameState.currentTime = 1800;
+    gameState.recordInput(38, 90, 0);
+    gameState.currentTime = 2100;
+
+    const replay = ReplayPlayer.fromGameState(gameState);
+    assert.equal(replay.startTime, -2000);
+    assert.equal(replay.endTime, 2600);
+    assert.equal(replay.performance.length, 1);
+  });
+}
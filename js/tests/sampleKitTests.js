@@ -0,0 +1,144 @@
+// Sample kit tests (velocity layers, round-robin, fallbacks, hi-hat choke)
+
+import { assert } from './testRunner.js';
+import {
+  normalizeKitDefinition,
+  SampleKit,
+  ChokeGroups,
+  getSynthChokeGroup,
+  loadKitManifest
+} from '../sampleKits.js';
+
+const KIT = {
+  id: 'studio',
+  name: 'Studio',
+  pieces: {
+    36: { layers: [{ maxVelocity: 127, samples: ['kick.wav'] }] },
+    38: {
+      layers: [
+        { maxVelocity: 127, samples: ['snare_hard1.wav', 'snare_hard2.wav'] },
+        { maxVelocity: 60, samples: ['snare_soft1.wav', 'snare_soft2.wav', 'snare_soft3.wav'] }
+      ]
+    },
+    42: { layers: [{ maxVelocity: 100, samples: ['hh_closed.wav'] }] },
+    46: { layers: [{ samples: ['hh_open.wav'] }] },
+    49: { layers: [{ samples: [] }] }
+  }
+};
+
+function makeKit() {
+  return new SampleKit(normalizeKitDefinition(KIT), async file => file);
+}
+
+// Stand-in for a playing sound
+function voice(startTime, stops) {
+  return { startTime, stop: time => stops.push({ startTime, time }) };
+}
+
+export function registerSampleKitTests(runner) {
+  runner.test('SampleKit: manifest kits are checked', () => {
+    const kit = normalizeKitDefinition(KIT);
+    assert.deepEqual(Object.keys(kit.pieces).sort(), ['36', '38', '42', '46'], 'Pieces without samples are dropped');
+    assert.deepEqual(kit.pieces[38].layers.map(l => l.maxVelocity), [60, 127], 'Layers in velocity order');
+    assert.equal(kit.pieces[42].layers[0].maxVelocity, 127, 'The loudest layer covers the top');
+    assert.equal(kit.pieces[46].chokeGroup, 'hihat', 'Hi-hats choke by default');
+    assert.equal(kit.pieces[36].chokeGroup, null);
+    assert.equal(kit.folder, 'studio');
+
+    assert.equal(normalizeKitDefinition({ id: 'empty', pieces: {} }), null);
+    assert.equal(normalizeKitDefinition({ pieces: KIT.pieces }), null, 'Needs an ID');
+  });
+
+  runner.test('SampleKit: velocity picks the layer and samples take turns', () => {
+    const kit = makeKit();
+    const soft = [1, 2, 3, 4].map(() => kit.pickSample(38, 40).file);
+    assert.deepEqual(soft, ['snare_soft1.wav', 'snare_soft2.wav', 'snare_soft3.wav', 'snare_soft1.wav']);
+
+    assert.equal(kit.pickSample(38, 61).file, 'snare_hard1.wav');
+    assert.equal(kit.pickSample(38, 127).file, 'snare_hard2.wav', 'Each layer has its own turn');
+    assert.equal(kit.pickSample(38, 41).file, 'snare_soft2.wav');
+
+    const quiet = kit.pickSample(36, 32);
+    const loud = kit.pickSample(36, 127);
+    assert.ok(quiet.gain < loud.gain);
+    assert.equal(loud.gain, 1);
+  });
+
+  runner.test('SampleKit: missing pieces use their fallbacks', () => {
+    const kit = makeKit();
+    assert.equal(kit.pickSample(44, 100).file, 'hh_closed.wav', 'Pedal hat -> closed hat');
+    assert.equal(kit.pickSample(35, 100).file, 'kick.wav', 'General MIDI acoustic bass drum');
+    assert.equal(kit.pickSample(40, 100).file.startsWith('snare'), true, 'Rimshot -> snare');
+    assert.equal(kit.pickSample(49, 100).file, 'hh_open.wav', 'Crash -> open hat');
+    assert.equal(kit.pickSample(48, 100), null, 'No tom in the kit (the synth plays it)');
+  });
+
+  runner.test('SampleKit: samples are loaded once and failures are skipped', async () => {
+    let loads = 0;
+    const kit = new SampleKit(normalizeKitDefinition(KIT), async file => {
+      loads++;
+      if (file === 'hh_open.wav') throw new Error('404');
+      return file;
+    });
+    const context = { decodeAudioData: async data => ({ decoded: data }) };
+
+    assert.equal(kit.pickSample(36, 100).buffer, undefined, 'Not loaded yet');
+    const [count] = await Promise.all([kit.load(context), kit.load(context)]);
+    assert.equal(count, 7);
+    assert.equal(loads, 8);
+    assert.ok(kit.loaded);
+    assert.deepEqual(kit.pickSample(36, 100).buffer, { decoded: 'kick.wav' });
+    assert.equal(kit.pickSample(46, 100).buffer, undefined);
+  });
+
+  runner.test('SampleKit: a closed hat chokes a ringing open hat', () => {
+    const groups = new ChokeGroups();
+    const stops = [];
+
+    groups.hit('left:hihat', 1.0, voice(1.0, stops));
+    groups.hit('right:hihat', 1.1, voice(1.1, stops));
+    groups.hit('left:hihat', 1.5, voice(1.5, stops));
+    assert.deepEqual(stops, [{ startTime: 1.0, time: 1.5 }], 'Only its own group is cut');
+
+    groups.hit('left:hihat', 1.2, voice(1.2, stops));
+    assert.equal(stops.length, 1, 'A sound starting later is not stopped early');
+
+    assert.equal(getSynthChokeGroup(46), 'hihat');
+    assert.equal(getSynthChokeGroup(38), null);
+  });
+
+  runner.test('SampleKit: kits come from the manifest', async () => {
+    const requests = [];
+    const fetchFn = async url => {
+      requests.push(url);
+      if (url === './kits/manifest.json') {
+        return { ok: true, json: async () => ({ kits: [{ ...KIT, folder: 'Studio Kit' }, { id: 'broken' }] }) };
+      }
+      return { ok: true, arrayBuffer: async () => url };
+    };
+
+    const kits = await loadKitManifest(fetchFn);
+    assert.deepEqual(kits.map(k => k.id), ['studio']);
+    assert.equal(requests[0], './kits/manifest.json');
+    assert.equal(await kits[0].loadFile('kick.wav'), './kits/Studio%20Kit/kick.wav');
+
+    const missing = await loadKitManifest(async () => ({ ok: false, status: 404 }));
+    assert.deepEqual(missing, []);
+  });
+
+  runner.test('SampleKit: the Starter Kit ships with velocity layers, round-robin and a hat choke', async () => {
+    const kit = (await loadKitManifest()).find(k => k.id === 'starter');
+    assert.ok(kit, 'Listed in public/kits/manifest.json');
+
+    assert.deepEqual([1, 2, 3].map(() => kit.pickSample(38, 40).file), ['snare_soft_1.wav', 'snare_soft_2.wav', 'snare_soft_3.wav']);
+    assert.equal(kit.pickSample(38, 120).file, 'snare_hard_1.wav');
+    assert.equal(kit.pickSample(46, 100).chokeGroup, 'hihat');
+    assert.equal(kit.pickSample(44, 100).chokeGroup, 'hihat');
+
+    // Every sample is there and is a WAV file
+    for (const file of kit.getFiles()) {
+      const header = new Uint8Array(await kit.loadFile(file), 0, 4);
+      assert.equal(String.fromCharCode(...header), 'RIFF', file);
+    }
+  });
+}
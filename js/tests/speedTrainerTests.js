@@ -0,0 +1,89 @@
+// Speed trainer tests
+
+import { assert } from './testRunner.js';
+import { ScoreManager } from '../scoreManager.js';
+import { StatsManager } from '../statsManager.js';
+import { SpeedTrainer, normalizeTrainerOptions, getLoopResult } from '../speedTrainer.js';
+
+export function registerSpeedTrainerTests(runner) {
+  runner.test('SpeedTrainer: starts at a percentage of the default tempo', () => {
+    const trainer = new SpeedTrainer({ startPercent: 70 });
+    assert.equal(trainer.start(120), 84);
+    assert.equal(trainer.goalBpm, 120, 'Goal defaults to the pattern tempo');
+
+    const slow = new SpeedTrainer({ startPercent: 10 });
+    assert.equal(slow.start(120), 30, 'Never starts below the slowest tempo');
+  });
+
+  runner.test('SpeedTrainer: speeds up after accurate loops and stops at the goal', () => {
+    const trainer = new SpeedTrainer({ startPercent: 90, step: 5, targetAccuracy: 90 });
+    trainer.start(100);
+
+    assert.deepEqual(trainer.recordLoop(95), { bpm: 95, change: 'up' });
+    assert.deepEqual(trainer.recordLoop(92), { bpm: 100, change: 'up' });
+    assert.deepEqual(trainer.recordLoop(96), { bpm: 100, change: 'goal' });
+    assert.equal(trainer.reachedGoal, true);
+    assert.equal(trainer.getPeakBpm(), 100);
+    assert.deepEqual(trainer.history.map(h => h.bpm), [90, 95, 100]);
+  });
+
+  runner.test('SpeedTrainer: holds on middling loops and backs off after poor ones', () => {
+    const trainer = new SpeedTrainer({ startPercent: 80, step: 4, targetAccuracy: 90, backoffAccuracy: 70 });
+    trainer.start(100);
+
+    assert.deepEqual(trainer.recordLoop(80), { bpm: 80, change: 'hold' });
+    assert.deepEqual(trainer.recordLoop(50), { bpm: 76, change: 'down' });
+    assert.equal(trainer.reachedGoal, false);
+  });
+
+  runner.test('SpeedTrainer: steps never pass the goal tempo', () => {
+    const trainer = new SpeedTrainer({ startPercent: 50, step: 50, goalBpm: 90 });
+    trainer.start(100);
+    assert.deepEqual(trainer.recordLoop(100), { bpm: 90, change: 'up' });
+  });
+
+  runner.test('SpeedTrainer: settings are kept in range', () => {
+    const options = normalizeTrainerOptions({ startPercent: 150, step: 0, targetAccuracy: 80, backoffAccuracy: 95, goalBpm: 400 });
+    assert.deepEqual(options, { startPercent: 100, step: 1, targetAccuracy: 80, backoffAccuracy: 80, goalBpm: 200 });
+    assert.equal(normalizeTrainerOptions({ goalBpm: '' }).goalBpm, null);
+    assert.equal(normalizeTrainerOptions({ step: 'x' }).step, 5, 'Bad values use the default');
+  });
+
+  runner.test('SpeedTrainer: loop accuracy only counts the judgments of that loop', () => {
+    const scoreManager = new ScoreManager();
+    for (let i = 0; i < 4; i++) scoreManager.recordJudgment({ judgment: 'PERFECT', score: 100 });
+    const first = getLoopResult(null, scoreManager.getSummary());
+    assert.equal(first.accuracy, 100);
+    assert.equal(first.perfect, 4);
+
+    const before = scoreManager.getSummary();
+    scoreManager.recordJudgment({ judgment: 'GOOD', score: 50 });
+    scoreManager.recordMiss();
+    const second = getLoopResult(before, scoreManager.getSummary());
+    assert.equal(second.accuracy, 50);
+    assert.equal(second.good, 1);
+    assert.equal(second.miss, 1);
+    assert.equal(second.perfect, 0);
+  });
+
+  runner.test('StatsManager: speed trainer sessions log the tempo of each loop', () => {
+    const statsManager = new StatsManager();
+    statsManager.storageKey = 'groovelab_stats_test';
+    statsManager.stats = { patterns: {} };
+
+    statsManager.startSession('rock', 120, 'speed', null, { startBpm: 84, goalBpm: 120 });
+    statsManager.recordLoopIteration({ accuracy: 95, score: 400, bpm: 84 });
+    statsManager.recordLoopIteration({ accuracy: 60, score: 200, bpm: 89 });
+
+    const graph = statsManager.getGraphData('rock', 120, 'speed');
+    assert.deepEqual(graph.currentSession.map(p => p.tempo), [84, 89]);
+
+    statsManager.endSession();
+    const session = statsManager.getPatternStats('rock', 120, 'speed').sessions[0];
+    assert.deepEqual(session.loopResults.map(r => r.bpm), [84, 89]);
+    assert.equal(session.speedTrainer.peakBpm, 89);
+    assert.equal(statsManager.getGraphData('rock', 120, 'speed').historicalSessions[0].tempo, 89);
+
+    localStorage.removeItem('groovelab_stats_test');
+  });
+}
@@ -0,0 +1,142 @@
+// Step sequencer tests
+
+import { assert } from './testRunner.js';
+import { MidiParser } from '../midiParser.js';
+import { StepSequence, getStepsPerBar } from '../stepSequencer.js';
+
+export function registerStepSequencerTests(runner) {
+  runner.test('StepSequencer: steps per bar follow the meter and subdivision', () => {
+    assert.equal(getStepsPerBar([4, 4], 'SIXTEENTH'), 16);
+    assert.equal(getStepsPerBar([6, 8], 'EIGHTH'), 6);
+    assert.equal(getStepsPerBar([3, 4], 'EIGHTH_TRIPLET'), 9);
+    assert.equal(getStepsPerBar([7, 8], 'QUARTER'), null, 'Quarters do not fit 7/8');
+    assert.equal(getStepsPerBar([4, 4], 'WHOLE'), null);
+  });
+
+  runner.test('StepSequencer: steps toggle with a velocity', () => {
+    const sequence = new StepSequence({ bars: 2 });
+    assert.equal(sequence.stepCount, 32);
+
+    sequence.setStep(36, 0, 100);
+    sequence.setStep(38, 4, 300);
+    sequence.setStep(38, 40, 100);    // Past the end
+    assert.equal(sequence.getVelocity(36, 0), 100);
+    assert.equal(sequence.getVelocity(38, 4), 127, 'Clamped');
+    assert.equal(sequence.toNotes(120).length, 2);
+
+    assert.ok(sequence.adjustVelocity(36, 0, -200));
+    assert.equal(sequence.getVelocity(36, 0), 1, 'Nudging never turns a step off');
+    assert.ok(!sequence.adjustVelocity(36, 1, 10), 'Step is off');
+
+    sequence.setStep(36, 0, 0);
+    assert.equal(sequence.getVelocity(36, 0), 0);
+  });
+
+  runner.test('StepSequencer: undo goes back one checkpoint at a time', () => {
+    const sequence = new StepSequence();
+    assert.ok(!sequence.canUndo);
+
+    sequence.checkpoint();
+    sequence.setStep(36, 0, 100);
+    sequence.checkpoint();
+    sequence.setStep(42, 2, 80);
+    sequence.setStep(42, 6, 80);
+    sequence.checkpoint();
+    sequence.setBars(2);
+
+    assert.ok(sequence.undo());
+    assert.equal(sequence.bars, 1);
+    assert.ok(sequence.undo());
+    assert.equal(sequence.getVelocity(42, 2), 0, 'The whole stroke is undone');
+    assert.equal(sequence.getVelocity(36, 0), 100);
+    assert.ok(sequence.undo());
+    assert.equal(sequence.toNotes(120).length, 0);
+    assert.ok(!sequence.undo());
+  });
+
+  runner.test('StepSequencer: bars copy and paste', () => {
+    const sequence = new StepSequence({ bars: 2 });
+    sequence.setStep(36, 0, 100);
+    sequence.setStep(38, 4, 90);
+    sequence.setStep(42, 18, 70);     // Already in bar 2, replaced by the paste
+
+    sequence.copyBar(0);
+    assert.ok(sequence.pasteBar(1));
+    assert.equal(sequence.getVelocity(36, 16), 100);
+    assert.equal(sequence.getVelocity(38, 20), 90);
+    assert.equal(sequence.getVelocity(42, 18), 0);
+
+    sequence.clearBar(0);
+    assert.equal(sequence.getVelocity(36, 0), 0);
+    assert.equal(sequence.getVelocity(36, 16), 100, 'Other bars are left alone');
+
+    sequence.setSubdivision('EIGHTH');
+    assert.ok(!sequence.canPaste, 'Copied from a 16th grid');
+    assert.ok(!sequence.pasteBar(0));
+  });
+
+  runner.test('StepSequencer: changing the grid keeps hits in place', () => {
+    const sequence = new StepSequence();
+    sequence.setStep(36, 0, 100);
+    sequence.setStep(38, 8, 100);     // Beat 3
+    sequence.setStep(42, 1, 60);      // Second 16th, between 8ths
+
+    sequence.setSubdivision('EIGHTH');
+    assert.equal(sequence.stepCount, 8);
+    assert.equal(sequence.getVelocity(36, 0), 100);
+    assert.equal(sequence.getVelocity(38, 4), 100);
+
+    sequence.setTimeSignature('3/4');
+    assert.equal(sequence.stepCount, 6);
+    assert.equal(sequence.getVelocity(38, 4), 100);
+
+    sequence.setTimeSignature('6/8');
+    assert.equal(sequence.stepCount, 6);
+    assert.ok(!new StepSequence({ timeSignature: '7/8', subdivision: 'EIGHTH' }).setSubdivision('QUARTER'));
+  });
+
+  runner.test('StepSequencer: swing delays every second step', () => {
+    const sequence = new StepSequence({ subdivision: 'EIGHTH', swing: 75 });
+    sequence.setStep(42, 0, 100);
+    sequence.setStep(42, 1, 100);
+    sequence.setStep(42, 2, 100);
+
+    // 120 BPM: 8ths are 250ms, 75% swing moves the off-beat half a step later
+    assert.deepEqual(sequence.toNotes(120).map(n => n.time), [0, 375, 500]);
+
+    sequence.setSwing(90);
+    assert.equal(sequence.swing, 75, 'Clamped');
+
+    const triplets = new StepSequence({ subdivision: 'EIGHTH_TRIPLET', swing: 66 });
+    triplets.setStep(42, 1, 100);
+    assert.closeTo(triplets.toNotes(120)[0].time, 500 / 3, 0.001, 'Triplet grids are not swung');
+  });
+
+  runner.test('StepSequencer: grids are built from pattern notes', () => {
+    const sequence = StepSequence.fromNotes([
+      { time: 0, midiNote: 36, velocity: 110 },
+      { time: 495, midiNote: 38 },           // Slightly early beat 2
+      { time: 5000, midiNote: 36, velocity: 90 }  // Past the end
+    ], 120, { bars: 1, subdivision: 'EIGHTH' });
+
+    assert.equal(sequence.getVelocity(36, 0), 110);
+    assert.equal(sequence.getVelocity(38, 2), 100, 'Default velocity');
+    assert.equal(sequence.toNotes(120).length, 2);
+  });
+
+  runner.test('StepSequencer: saved grooves keep their empty bars', async () => {
+    const sequence = new StepSequence({ bars: 4, timeSignature: '3/4', subdivision: 'EIGHTH' });
+    sequence.setStep(36, 0, 120);
+    sequence.setStep(38, 2, 64);
+
+    const data = sequence.toMidi('Waltz', 90);
+    const parsed = await new MidiParser().parse(data, { barCount: 4 });
+    assert.equal(parsed.bpm, 90);
+    assert.deepEqual(parsed.timeSignature, [3, 4]);
+    assert.equal(parsed.bars.length, 4);
+    assert.deepEqual(parsed.notes.map(n => [n.midiNote, n.velocity]), [[36, 120], [38, 64]]);
+
+    const trimmed = await new MidiParser().parse(data);
+    assert.equal(trimmed.bars.length, 1, 'Without barCount the file ends after its last note');
+  });
+}
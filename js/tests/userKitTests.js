@@ -0,0 +1,113 @@
+// User kit tests (kit builder saves, per-piece settings, shared kit files)
+
+import { assert } from './testRunner.js';
+import { normalizePieceSettings } from '../sampleKits.js';
+import {
+  createUserSampleKit,
+  loadUserKits,
+  saveUserKit,
+  deleteUserKit,
+  createKitBundle,
+  readKitBundle
+} from '../userKits.js';
+import { createFakeStore } from './midiFixtures.js';
+
+function sampleData(...bytes) {
+  return new Uint8Array(bytes).buffer;
+}
+
+function draftKit() {
+  return {
+    name: '  Garage Kit ',
+    pieces: {
+      36: { fileName: 'kick.wav', data: sampleData(1, 2, 3), tune: -2, gain: 1.5 },
+      38: { fileName: 'snare.wav', data: sampleData(4, 5), pan: -0.5, decay: 0.4 },
+      42: { fileName: 'empty.wav' }    // Sample taken off the lane
+    }
+  };
+}
+
+export function registerUserKitTests(runner) {
+  runner.test('User kits: piece settings are kept in range', () => {
+    assert.deepEqual(normalizePieceSettings(), { tune: 0, gain: 1, pan: 0, decay: null });
+    assert.deepEqual(
+      normalizePieceSettings({ tune: 30.4, gain: -1, pan: 3, decay: 0 }),
+      { tune: 24, gain: 0, pan: 1, decay: 0.05 }
+    );
+    assert.equal(normalizePieceSettings({ tune: 'x', decay: '' }).tune, 0);
+    assert.equal(normalizePieceSettings({ decay: '' }).decay, null, 'Blank decay plays the whole sample');
+  });
+
+  runner.test('User kits: saving keeps the lanes that have samples', async () => {
+    const store = createFakeStore();
+    const record = await saveUserKit(draftKit(), store);
+
+    assert.ok(record.id.startsWith('userkit_'));
+    assert.equal(record.name, 'Garage Kit');
+    assert.deepEqual(Object.keys(record.pieces).sort(), ['36', '38']);
+    assert.equal(record.pieces[36].tune, -2);
+    assert.equal(record.pieces[38].decay, 0.4);
+    assert.equal(store.data.get(record.id), record);
+
+    const again = await saveUserKit({ ...record, name: 'Garage Kit 2' }, store);
+    assert.equal(again.id, record.id, 'Saving an opened kit replaces it');
+    assert.equal(again.createdAt, record.createdAt);
+    assert.equal(store.data.size, 1);
+
+    await deleteUserKit(record.id, store);
+    assert.deepEqual(await loadUserKits(store), []);
+  });
+
+  runner.test('User kits: a kit needs a name and a sample', async () => {
+    const store = createFakeStore();
+    await assert.asyncThrows(() => saveUserKit({ ...draftKit(), name: ' ' }, store), 'Blank name');
+    await assert.asyncThrows(() => saveUserKit({ name: 'Empty', pieces: { 36: { fileName: 'a.wav' } } }, store), 'No samples');
+    assert.equal(store.data.size, 0);
+  });
+
+  runner.test('User kits: saved kits play their settings', async () => {
+    const record = await saveUserKit(draftKit(), createFakeStore());
+    const kit = createUserSampleKit(record);
+    assert.ok(kit.isUser);
+    assert.deepEqual(kit.getFiles().sort(), ['36', '38']);
+
+    const kick = kit.pickSample(36, 127);
+    assert.equal(kick.gain, 1.5, 'Piece gain on top of velocity');
+    assert.equal(kick.tune, -2);
+    const snare = kit.pickSample(38, 127);
+    assert.equal(snare.pan, -0.5);
+    assert.equal(snare.decay, 0.4);
+    assert.equal(kit.pickSample(42, 100), null, 'Lanes without a sample are synthesized');
+
+    // Decoding takes the buffer it is given; the saved sample must survive
+    const loaded = await kit.loadFile('36');
+    assert.ok(loaded !== record.pieces[36].data, 'Decodes a copy');
+    assert.deepEqual([...new Uint8Array(loaded)], [1, 2, 3]);
+
+    assert.equal(createUserSampleKit({ id: 'userkit_1', name: 'None', pieces: {} }), null);
+  });
+
+  runner.test('User kits: kits are shared as one file', async () => {
+    const record = await saveUserKit(draftKit(), createFakeStore());
+    const text = createKitBundle(record);
+    assert.equal(JSON.parse(text).format, 'groovelab-kit');
+
+    const kit = readKitBundle(text);
+    assert.equal(kit.id, undefined, 'Imported as a new kit');
+    assert.equal(kit.name, 'Garage Kit');
+    assert.deepEqual([...new Uint8Array(kit.pieces[36].data)], [1, 2, 3]);
+    assert.deepEqual([...new Uint8Array(kit.pieces[38].data)], [4, 5]);
+    assert.equal(kit.pieces[38].pan, -0.5);
+    assert.equal(kit.pieces[36].fileName, 'kick.wav');
+
+    // Large samples are encoded in chunks
+    const large = new Uint8Array(100000).map((_, i) => i % 251);
+    const roundTrip = readKitBundle(createKitBundle({ name: 'Big', pieces: { 49: { data: large.buffer } } }));
+    assert.deepEqual(new Uint8Array(roundTrip.pieces[49].data), large);
+
+    assert.throws(() => readKitBundle('not json'));
+    assert.throws(() => readKitBundle(JSON.stringify({ format: 'other', pieces: {} })), 'Another kind of file');
+    assert.throws(() => readKitBundle(JSON.stringify({ format: 'groovelab-kit', version: 2, pieces: {} })), 'Newer format');
+    assert.throws(() => readKitBundle(JSON.stringify({ format: 'groovelab-kit', version: 1, pieces: {} })), 'No samples');
+  });
+}
@@ -0,0 +1,138 @@
+// Imported (user) pattern tests
+
+import { assert } from './testRunner.js';
+import {
+  addUserPattern,
+  loadUserPatterns,
+  removeUserPattern,
+  createPattern,
+  getAvailablePatterns,
+  PATTERNS
+} from '../patterns.js';
+import { buildMidiFile, tempoEvent, noteOnEvent, createFakeStore } from './midiFixtures.js';
+
+// One bar of quarter notes at 100 BPM
+function oneBarFile() {
+  return buildMidiFile([
+    ...tempoEvent(0, 100),
+    ...noteOnEvent(0, 36),
+    ...noteOnEvent(480, 38),
+    ...noteOnEvent(480, 36),
+    ...noteOnEvent(480, 38)
+  ]);
+}
+
+export function registerUserPatternTests(runner) {
+  runner.test('User patterns: import saves the file and adds it to the library', async () => {
+    const store = createFakeStore();
+    const id = await addUserPattern({
+      name: 'Teacher Groove ',
+      category: 'Lessons',
+      bpm: 80,
+      fileName: 'groove.mid',
+      data: oneBarFile()
+    }, store);
+
+    const saved = store.data.get(id);
+    assert.ok(saved, 'Record should be stored');
+    assert.equal(saved.name, 'Teacher Groove');
+    assert.equal(saved.bpm, 80);
+
+    const listed = getAvailablePatterns().find(p => p.id === id);
+    assert.ok(listed, 'Pattern should appear in the dropdown list');
+    assert.equal(listed.category, 'Lessons');
+    assert.ok(listed.isUser);
+    assert.equal(PATTERNS[id].defaultBPM, 80);
+
+    await removeUserPattern(id, store);
+  });
+
+  runner.test('User patterns: chosen BPM rescales the file tempo', async () => {
+    const store = createFakeStore();
+    const id = await addUserPattern({
+      name: 'Slow',
+      category: '',
+      bpm: 50,
+      fileName: 'slow.mid',
+      data: oneBarFile()
+    }, store);
+
+    // 100 BPM file played at 50 BPM: one 4/4 bar takes 4.8s
+    const pattern = createPattern(id, 50, 1);
+    assert.closeTo(pattern.singlePatternDuration, 4800, 1);
+    assert.equal(getAvailablePatterns().find(p => p.id === id).category, 'My Patterns',
+      'Blank category falls back to My Patterns');
+
+    await removeUserPattern(id, store);
+  });
+
+  runner.test('User patterns: files without drum notes are rejected and not saved', async () => {
+    const store = createFakeStore();
+    let error = null;
+    try {
+      await addUserPattern({
+        name: 'Empty',
+        category: 'Lessons',
+        bpm: 100,
+        fileName: 'empty.mid',
+        data: buildMidiFile([...tempoEvent(0, 100)])
+      }, store);
+    } catch (e) {
+      error = e;
+    }
+
+    assert.ok(error, 'Import should fail');
+    assert.equal(store.data.size, 0);
+  });
+
+  runner.test('User patterns: stored patterns load and can be removed', async () => {
+    const store = createFakeStore([{
+      id: 'user_test_load',
+      name: 'Saved Groove',
+      category: 'Lessons',
+      bpm: 90,
+      fileName: 'saved.mid',
+      data: oneBarFile(),
+      createdAt: 0
+    }]);
+
+    await loadUserPatterns(store);
+    assert.equal(PATTERNS.user_test_load.name, 'Saved Groove');
+
+    assert.ok(await removeUserPattern('user_test_load', store));
+    assert.equal(PATTERNS.user_test_load, undefined);
+    assert.equal(store.data.size, 0);
+  });
+
+  runner.test('User patterns: saved track and bar selection is applied on load', async () => {
+    const song = buildMidiFile([
+      [...tempoEvent(0, 100), ...noteOnEvent(0, 40, 90, 0), ...noteOnEvent(1920, 40, 90, 0)],
+      [...noteOnEvent(0, 36), ...noteOnEvent(1920, 38), ...noteOnEvent(480, 38)]
+    ]);
+    const store = createFakeStore([{
+      id: 'user_test_selection',
+      name: 'Bar Two',
+      category: 'Lessons',
+      bpm: 100,
+      fileName: 'song.mid',
+      data: song,
+      parseOptions: { track: 1, channel: 10, barRange: { start: 2, end: 2 } },
+      createdAt: 0
+    }]);
+
+    await loadUserPatterns(store);
+    const pattern = createPattern('user_test_selection', 100, 1);
+    assert.deepEqual(pattern.notes.map(n => n.midiNote), [38, 38], 'Only bar 2 of the drum track');
+
+    await removeUserPattern('user_test_selection', store);
+  });
+
+  runner.test('User patterns: library patterns cannot be removed', async () => {
+    const store = createFakeStore();
+    const libraryPattern = getAvailablePatterns().find(p => !p.isUser);
+    if (!libraryPattern) return;
+
+    assert.equal(await removeUserPattern(libraryPattern.id, store), false);
+    assert.ok(PATTERNS[libraryPattern.id]);
+  });
+}
@@ -0,0 +1,42 @@
+// WAV writer tests
+
+import { assert } from './testRunner.js';
+import { encodeWav } from '../wavWriter.js';
+
+// Stand-in for a rendered AudioBuffer
+function fakeBuffer(channels, sampleRate = 44100) {
+  return {
+    numberOfChannels: channels.length,
+    sampleRate,
+    length: channels[0].length,
+    getChannelData: c => Float32Array.from(channels[c])
+  };
+}
+
+function readString(view, offset, length) {
+  return String.fromCharCode(...Array.from({ length }, (_, i) => view.getUint8(offset + i)));
+}
+
+export function registerWavWriterTests(runner) {
+  runner.test('WavWriter: header describes 16-bit PCM', () => {
+    const view = new DataView(encodeWav(fakeBuffer([[0, 0, 0], [0, 0, 0]], 48000)));
+
+    assert.equal(readString(view, 0, 4), 'RIFF');
+    assert.equal(readString(view, 8, 4), 'WAVE');
+    assert.equal(readString(view, 12, 4), 'fmt ');
+    assert.equal(view.getUint16(20, true), 1, 'PCM');
+    assert.equal(view.getUint16(22, true), 2, 'Stereo');
+    assert.equal(view.getUint32(24, true), 48000);
+    assert.equal(view.getUint32(28, true), 48000 * 4, 'Bytes per second');
+    assert.equal(view.getUint16(34, true), 16);
+    assert.equal(readString(view, 36, 4), 'data');
+    assert.equal(view.getUint32(40, true), 12, '3 frames of 2 channels');
+    assert.equal(view.getUint32(4, true), view.byteLength - 8);
+  });
+
+  runner.test('WavWriter: channels are interleaved and clipped', () => {
+    const view = new DataView(encodeWav(fakeBuffer([[1, -1, 0.5], [0, 2, -3]])));
+    const samples = Array.from({ length: 6 }, (_, i) => view.getInt16(44 + i * 2, true));
+    assert.deepEqual(samples, [32767, 0, -32768, 32767, 16383, -32768]);
+  });
+}
@@ -1,23 +1,130 @@
 // Timing accuracy evaluation
 
-import { TIMING_WINDOWS, TIMING_SCORES } from './constants.js';
+import {
+  TIMING_WINDOWS,
+  TIMING_SCORES,
+  DYNAMICS_BANDS,
+  DYNAMICS_TOLERANCES,
+  DYNAMICS_SCORES
+} from './constants.js';
+import { isHiHatNote } from './hiHatPedal.js';
 
 export class TimingJudge {
   constructor() {
     this.windows = TIMING_WINDOWS;
     this.scores = TIMING_SCORES;
     this.lastHitTime = {}; // Track last hit time per MIDI note to prevent double hits
+
+    // Dynamics judging ('off' disables it)
+    this.dynamicsMode = 'normal';
+    this.dynamicsTolerance = DYNAMICS_TOLERANCES.normal;
+
+    // Latency compensation in ms (see latencyCalibration.js)
+    this.inputOffset = 0;   // Pad strike to hit arriving
+    this.outputOffset = 0;  // Sound played to sound heard
+  }
+
+  /**
+   * Judge with a difficulty's timing windows and scores
+   * @param {Object} difficulty - From getDifficulty (difficulty.js)
+   */
+  setDifficulty(difficulty) {
+    this.windows = { ...difficulty.windows };
+    this.scores = { ...difficulty.scores };
+  }
+
+  /**
+   * Set the latency the player's hits are corrected for
+   * @param {number} inputOffset - Input device delay (ms)
+   * @param {number} outputOffset - Audio output delay (ms)
+   */
+  setLatency(inputOffset, outputOffset) {
+    this.inputOffset = inputOffset;
+    this.outputOffset = outputOffset;
+  }
+
+  /**
+   * Total ms a hit arrives late when played in time with what the player hears
+   */
+  getLatencyOffset() {
+    return this.inputOffset + this.outputOffset;
+  }
+
+  /**
+   * Set the velocity tolerance used for dynamics judgments
+   * @param {string} mode - 'off', or a key of DYNAMICS_TOLERANCES
+   */
+  setDynamicsMode(mode) {
+    if (mode !== 'off' && !DYNAMICS_TOLERANCES[mode]) return;
+    this.dynamicsMode = mode;
+    this.dynamicsTolerance = DYNAMICS_TOLERANCES[mode] || null;
+  }
+
+  /**
+   * Check whether hits are judged on dynamics
+   */
+  isDynamicsEnabled() {
+    return this.dynamicsMode !== 'off';
+  }
+
+  /**
+   * Classify a velocity into a dynamics band
+   * @param {number} velocity - MIDI velocity 1-127
+   * @returns {string} 'GHOST', 'NORMAL' or 'ACCENT'
+   */
+  classifyVelocity(velocity) {
+    if (velocity <= DYNAMICS_BANDS.GHOST_MAX) return 'GHOST';
+    if (velocity >= DYNAMICS_BANDS.ACCENT_MIN) return 'ACCENT';
+    return 'NORMAL';
+  }
+
+  /**
+   * Judge how closely a hit's velocity matched the written note
+   * Ghosts and accents are about contrast, so landing in the right band
+   * earns at least CLOSE even when the raw velocity is outside tolerance.
+   * @param {number} noteVelocity - Velocity written in the pattern
+   * @param {number} hitVelocity - Velocity played
+   * @returns {Object|null} Dynamics judgment, or null if dynamics are off
+   */
+  judgeDynamics(noteVelocity, hitVelocity) {
+    if (!this.isDynamicsEnabled()) return null;
+
+    const velocityDiff = hitVelocity - noteVelocity;
+    const absDiff = Math.abs(velocityDiff);
+    const expected = this.classifyVelocity(noteVelocity);
+    const played = this.classifyVelocity(hitVelocity);
+
+    let dynamics;
+    if (absDiff <= this.dynamicsTolerance.MATCH) {
+      dynamics = 'MATCH';
+    } else if (absDiff <= this.dynamicsTolerance.CLOSE) {
+      dynamics = 'CLOSE';
+    } else {
+      dynamics = 'OFF';
+    }
+
+    if (dynamics === 'OFF' && expected !== 'NORMAL' && expected === played) {
+      dynamics = 'CLOSE';
+    }
+
+    return {
+      dynamics,
+      score: DYNAMICS_SCORES[dynamics],
+      expected,
+      played,
+      velocityDiff
+    };
   }
 
   /**
    * Judge the accuracy of a hit
    * @param {number} noteTime - Expected time of note
-   * @param {number} hitTime - Actual time of hit
+   * @param {number} hitTime - Actual time of hit (before latency compensation)
    * @param {boolean} isCorrectNote - Whether correct note was hit
    * @returns {Object} Judgment object
    */
   judgeHit(noteTime, hitTime, isCorrectNote) {
-    const timeDiff = hitTime - noteTime;
+    const timeDiff = hitTime - this.getLatencyOffset() - noteTime;
     const absTimeDiff = Math.abs(timeDiff);
 
     // Wrong note always scores poorly
@@ -59,11 +166,12 @@ export class TimingJudge {
   /**
    * Find the best matching note for a MIDI input
    * @param {number} midiNote - MIDI note number
-   * @param {number} hitTime - Time of hit
+   * @param {number} hitTime - Time of hit (before latency compensation)
    * @param {Array} activeNotes - Currently active notes
+   * @param {string|null} hiHatState - Pedal state for hi-hat hits ('closed', 'half', 'open')
    * @returns {Object|null} Best matching note or null
    */
-  findMatchingNote(midiNote, hitTime, activeNotes) {
+  findMatchingNote(midiNote, hitTime, activeNotes, hiHatState = null) {
     let bestMatch = null;
     let bestTimeDiff = Infinity;
 
@@ -77,9 +185,10 @@ export class TimingJudge {
     }
 
     // Find closest matching note within hit window
+    const playedTime = hitTime - this.getLatencyOffset();
     for (const note of activeNotes) {
-      if (note.midiNote === midiNote && !note.judged) {
-        const timeDiff = Math.abs(hitTime - note.time);
+      if (this.isMatchingNote(note, midiNote, hiHatState) && !note.judged) {
+        const timeDiff = Math.abs(playedTime - note.time);
 
         // Within hit window and closer than previous best
         if (timeDiff <= this.windows.MISS && timeDiff < bestTimeDiff) {
@@ -97,6 +206,21 @@ export class TimingJudge {
     return bestMatch;
   }
 
+  /**
+   * Check whether a hit can be judged against a note
+   * A half-open hi-hat sits between closed and open, so it matches either,
+   * as does any hi-hat hit against a note written half-open.
+   * @param {Object} note - Pattern note
+   * @param {number} midiNote - Lane note of the hit
+   * @param {string|null} hiHatState - Pedal state of the hit
+   * @returns {boolean}
+   */
+  isMatchingNote(note, midiNote, hiHatState) {
+    if (note.midiNote === midiNote) return true;
+    if (!isHiHatNote(note.midiNote) || !isHiHatNote(midiNote)) return false;
+    return hiHatState === 'half' || note.hiHatState === 'half';
+  }
+
   /**
    * Reset the double-hit prevention tracking
    */
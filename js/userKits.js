@@ -0,0 +1,169 @@
+// User kits - sample kits built from the player's own recordings (one sample per lane),
+// saved in IndexedDB and shared as a single bundle file
+
+import { normalizeKitDefinition, normalizePieceSettings, SampleKit } from './sampleKits.js';
+import { userKitStore } from './userStorage.js';
+
+export const KIT_BUNDLE_FORMAT = 'groovelab-kit';
+export const KIT_BUNDLE_EXTENSION = '.groovelab-kit.json';
+const KIT_BUNDLE_VERSION = 1;
+
+/**
+ * Sample kit that plays a saved user kit
+ * Each piece has one sample, keyed by its note.
+ * @param {Object} record - Record from the user kit store
+ * @returns {SampleKit|null} Null if the kit has no samples
+ */
+export function createUserSampleKit(record) {
+  const pieces = {};
+  Object.entries(record.pieces || {}).forEach(([note, piece]) => {
+    if (!piece.data) return;
+    pieces[note] = {
+      ...normalizePieceSettings(piece),
+      layers: [{ maxVelocity: 127, samples: [note] }]
+    };
+  });
+
+  const definition = normalizeKitDefinition({ id: record.id, name: record.name, pieces });
+  if (!definition) return null;
+
+  // decodeAudioData takes the buffer it is given, so each load decodes a copy
+  const kit = new SampleKit(definition, async note => record.pieces[note].data.slice(0));
+  kit.isUser = true;
+  return kit;
+}
+
+/**
+ * Load kits the user saved in earlier sessions
+ * @param {UserStore} store - Where user kits are kept
+ * @returns {Promise<Array>} Records, oldest first
+ */
+export async function loadUserKits(store = userKitStore) {
+  try {
+    const records = await store.getAll();
+    return records.sort((a, b) => a.createdAt - b.createdAt);
+  } catch (error) {
+    console.error('Failed to load saved kits:', error);
+    return [];
+  }
+}
+
+/**
+ * Save a kit from the kit builder
+ * @param {Object} kit - { id (to replace a saved kit), name, pieces: { [note]: { fileName, data, tune, gain, pan, decay } } }
+ * @param {UserStore} store - Where user kits are kept
+ * @returns {Promise<Object>} The saved record
+ */
+export async function saveUserKit(kit, store = userKitStore) {
+  const name = (kit.name || '').trim();
+  if (!name) {
+    throw new Error('Give the kit a name');
+  }
+
+  const pieces = {};
+  Object.entries(kit.pieces || {}).forEach(([note, piece]) => {
+    if (!piece.data) return;
+    pieces[note] = {
+      fileName: piece.fileName || `${note}.wav`,
+      data: piece.data,
+      ...normalizePieceSettings(piece)
+    };
+  });
+  if (Object.keys(pieces).length === 0) {
+    throw new Error('Drop a sample on at least one lane');
+  }
+
+  const record = {
+    id: kit.id || `userkit_${Date.now()}`,
+    name,
+    pieces,
+    createdAt: kit.createdAt || Date.now()
+  };
+  await store.put(record);
+  return record;
+}
+
+/**
+ * Delete a saved kit
+ * @param {string} kitId - Kit ID
+ * @param {UserStore} store - Where user kits are kept
+ */
+export async function deleteUserKit(kitId, store = userKitStore) {
+  await store.delete(kitId);
+}
+
+function toBase64(data) {
+  const bytes = new Uint8Array(data);
+  let binary = '';
+  // In chunks: String.fromCharCode takes a limited number of arguments
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+/**
+ * Pack a kit and its samples into one file for sharing
+ * @param {Object} kit - Record from the user kit store (or a kit builder draft)
+ * @returns {string} Bundle JSON
+ */
+export function createKitBundle(kit) {
+  const pieces = {};
+  Object.entries(kit.pieces || {}).forEach(([note, piece]) => {
+    if (!piece.data) return;
+    pieces[note] = {
+      fileName: piece.fileName,
+      ...normalizePieceSettings(piece),
+      data: toBase64(piece.data)
+    };
+  });
+  return JSON.stringify({ format: KIT_BUNDLE_FORMAT, version: KIT_BUNDLE_VERSION, name: kit.name, pieces });
+}
+
+/**
+ * Unpack a shared kit
+ * @param {string} text - Bundle JSON
+ * @returns {Object} { name, pieces } ready for saveUserKit (no ID, so it is saved as a new kit)
+ */
+export function readKitBundle(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Not a GrooveLab kit file');
+  }
+  if (!bundle || bundle.format !== KIT_BUNDLE_FORMAT || typeof bundle.pieces !== 'object') {
+    throw new Error('Not a GrooveLab kit file');
+  }
+  if (bundle.version > KIT_BUNDLE_VERSION) {
+    throw new Error('This kit file was made by a newer version of GrooveLab');
+  }
+
+  const pieces = {};
+  Object.entries(bundle.pieces).forEach(([note, piece]) => {
+    if (!piece || typeof piece.data !== 'string') return;
+    try {
+      pieces[note] = {
+        fileName: piece.fileName || `${note}.wav`,
+        data: fromBase64(piece.data),
+        ...normalizePieceSettings(piece)
+      };
+    } catch (error) {
+      console.warn(`[UserKits] Skipping a damaged sample for note ${note}`);
+    }
+  });
+  if (Object.keys(pieces).length === 0) {
+    throw new Error('The kit file has no samples');
+  }
+
+  return { name: String(bundle.name || 'Imported kit'), pieces };
+}
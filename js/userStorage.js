@@ -0,0 +1,106 @@
+// User content storage - imported patterns and other binary data kept in IndexedDB
+// (localStorage is too small for MIDI files and samples)
+
+const DB_NAME = 'groovelab';
+const DB_VERSION = 2;
+
+// Object stores, all keyed by 'id'
+const STORE_NAMES = ['userPatterns', 'userKits'];
+
+let dbPromise = null;
+
+/**
+ * Open (and create/upgrade) the shared database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        STORE_NAMES.forEach(name => {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, { keyPath: 'id' });
+          }
+        });
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+export class UserStore {
+  /**
+   * @param {string} storeName - Object store name (see STORE_NAMES)
+   */
+  constructor(storeName) {
+    this.storeName = storeName;
+  }
+
+  /**
+   * Check whether IndexedDB exists in this environment
+   */
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Run a request in a transaction and resolve when the transaction completes
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - (objectStore) => IDBRequest
+   */
+  async run(mode, operation) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Get every record
+   * @returns {Promise<Array>} Records (empty if IndexedDB is unavailable)
+   */
+  async getAll() {
+    if (!this.isAvailable()) return [];
+    return this.run('readonly', store => store.getAll());
+  }
+
+  /**
+   * Add or replace a record
+   * @param {Object} record - Record with an id
+   */
+  async put(record) {
+    if (!this.isAvailable()) {
+      throw new Error('Saving requires IndexedDB, which this browser does not provide');
+    }
+    await this.run('readwrite', store => store.put(record));
+  }
+
+  /**
+   * Delete a record
+   * @param {string} id - Record ID
+   */
+  async delete(id) {
+    if (!this.isAvailable()) return;
+    await this.run('readwrite', store => store.delete(id));
+  }
+}
+
+// Imported MIDI patterns: { id, name, category, bpm, fileName, data: ArrayBuffer, parseOptions, createdAt }
+// parseOptions holds the track, channel and bar range picked on import
+export const userPatternStore = new UserStore('userPatterns');
+
+// Kits from the kit builder: { id, name, pieces: { [note]: { fileName, data: ArrayBuffer, tune, gain, pan, decay } }, createdAt }
+export const userKitStore = new UserStore('userKits');
@@ -0,0 +1,54 @@
+// WAV writer - turn rendered audio into a 16-bit PCM .wav file
+
+const BYTES_PER_SAMPLE = 2;
+const HEADER_SIZE = 44;
+
+function writeString(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
+
+/**
+ * Encode audio as a WAV file
+ * Samples outside -1..1 are clipped.
+ * @param {AudioBuffer} audioBuffer - Rendered audio (anything with numberOfChannels, sampleRate, length and getChannelData)
+ * @returns {ArrayBuffer} WAV file data
+ */
+export function encodeWav(audioBuffer) {
+  const { numberOfChannels, sampleRate, length } = audioBuffer;
+  const blockAlign = numberOfChannels * BYTES_PER_SAMPLE;
+  const dataSize = length * blockAlign;
+
+  const data = new ArrayBuffer(HEADER_SIZE + dataSize);
+  const view = new DataView(data);
+
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(view, 8, 'WAVE');
+
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);                          // Format chunk size
+  view.setUint16(20, 1, true);                           // PCM
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);     // Bytes per second
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, BYTES_PER_SAMPLE * 8, true);        // Bits per sample
+
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  // Channels are interleaved frame by frame
+  const channels = Array.from({ length: numberOfChannels }, (_, c) => audioBuffer.getChannelData(c));
+  let offset = HEADER_SIZE;
+  for (let i = 0; i < length; i++) {
+    for (let c = 0; c < numberOfChannels; c++) {
+      const sample = Math.max(-1, Math.min(1, channels[c][i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+      offset += BYTES_PER_SAMPLE;
+    }
+  }
+
+  return data;
+}
@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+// Render the Starter Kit - a small sampled kit synthesized from scratch, so it can ship with GrooveLab
+// under the project's own license. Writes the WAV files to public/kits/starter/ and the kit's entry
+// in public/kits/manifest.json (other kits in the manifest are kept).
+//
+// Usage: node scripts/renderStarterKit.js
+
+import { mkdirSync, readFileSync, writeFileSync, existsSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { encodeWav } from '../js/wavWriter.js';
+import { createSeededRandom } from '../js/grooveTransforms.js';
+
+const SAMPLE_RATE = 44100;
+const KITS_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'public', 'kits');
+const FOLDER = 'starter';
+
+// Peak level of each velocity layer (the player's velocity still scales the level within a layer)
+const LAYER_PEAKS = { soft: 0.6, hard: 0.9 };
+
+/**
+ * One-pole lowpass filter
+ * @param {number} cutoff - Hz
+ * @returns {Function} Sample in, filtered sample out
+ */
+function lowpass(cutoff) {
+  const a = 1 - Math.exp(-2 * Math.PI * cutoff / SAMPLE_RATE);
+  let y = 0;
+  return x => (y += a * (x - y));
+}
+
+/**
+ * One-pole highpass filter
+ * @param {number} cutoff - Hz
+ * @returns {Function} Sample in, filtered sample out
+ */
+function highpass(cutoff) {
+  const low = lowpass(cutoff);
+  return x => x - low(x);
+}
+
+/**
+ * Render a sound sample by sample, then fade out its tail and set its peak level
+ * @param {number} duration - Seconds
+ * @param {number} peak - Peak level (0-1)
+ * @param {Function} sampleAt - (t seconds, i sample index) => sample
+ * @returns {Float32Array}
+ */
+function render(duration, peak, sampleAt) {
+  const length = Math.round(duration * SAMPLE_RATE);
+  const data = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    data[i] = sampleAt(i / SAMPLE_RATE, i);
+  }
+
+  // A short fade so the sample never ends on a click
+  const fade = Math.min(length, Math.round(0.01 * SAMPLE_RATE));
+  for (let i = 0; i < fade; i++) {
+    data[length - 1 - i] *= i / fade;
+  }
+
+  const max = data.reduce((m, s) => Math.max(m, Math.abs(s)), 0);
+  if (max > 0) {
+    for (let i = 0; i < length; i++) data[i] *= peak / max;
+  }
+  return data;
+}
+
+// Inharmonic partials of a metal plate (the 808 hi-hat oscillators, scaled up)
+const METAL_PARTIALS = [205.3, 304.4, 369.6, 522.7, 540, 800].map(f => f * 1.7);
+
+function metal(t, detune) {
+  return METAL_PARTIALS.reduce((sum, f) => sum + Math.sign(Math.sin(2 * Math.PI * f * detune * t)), 0) / METAL_PARTIALS.length;
+}
+
+// Each voice: (layer, random) => Float32Array; random varies the round-robin takes
+const VOICES = {
+  kick(layer, random) {
+    const hard = layer === 'hard';
+    const detune = 1 + (random() - 0.5) * 0.03;
+    const click = lowpass(hard ? 6000 : 2500);
+    let phase = 0;
+    return render(0.45, LAYER_PEAKS[layer], t => {
+      const freq = (48 + (hard ? 130 : 90) * Math.exp(-t / 0.035)) * detune;
+      phase += 2 * Math.PI * freq / SAMPLE_RATE;
+      const body = Math.sin(phase) * Math.exp(-t / 0.28);
+      const attack = t < 0.004 ? click(random() * 2 - 1) * (hard ? 0.6 : 0.2) : 0;
+      return body + attack;
+    });
+  },
+
+  snare(layer, random) {
+    const hard = layer === 'hard';
+    const detune = 1 + (random() - 0.5) * 0.04;
+    const bright = lowpass(hard ? 9000 : 4500);
+    const wires = highpass(1200);
+    return render(0.35, LAYER_PEAKS[layer], t => {
+      const tone = (Math.sin(2 * Math.PI * 185 * detune * t) + 0.5 * Math.sin(2 * Math.PI * 330 * detune * t)) *
+        Math.exp(-t / 0.05);
+      const noise = wires(bright(random() * 2 - 1)) * Math.exp(-t / (hard ? 0.12 : 0.09));
+      return tone * (hard ? 0.6 : 0.8) + noise * (hard ? 1.4 : 1);
+    });
+  },
+
+  hat(decay, duration) {
+    return (layer, random) => {
+      const hard = layer === 'hard';
+      const detune = 1 + (random() - 0.5) * 0.01;
+      const air = highpass(hard ? 6500 : 8000);
+      const sheen = highpass(7000);
+      const soften = lowpass(hard ? 16000 : 9000);
+      return render(duration, LAYER_PEAKS[layer], t => {
+        const env = Math.exp(-t / (hard ? decay : decay * 0.8));
+        return soften(air(sheen(metal(t, detune) + 0.5 * (random() * 2 - 1)))) * env;
+      });
+    };
+  },
+
+  tom(pitch) {
+    return (layer, random) => {
+      const hard = layer === 'hard';
+      const detune = 1 + (random() - 0.5) * 0.03;
+      const stick = lowpass(hard ? 5000 : 2000);
+      let phase = 0;
+      return render(0.5, LAYER_PEAKS[layer], t => {
+        const freq = pitch * detune * (1 + (hard ? 0.6 : 0.35) * Math.exp(-t / 0.04));
+        phase += 2 * Math.PI * freq / SAMPLE_RATE;
+        const body = Math.sin(phase) * Math.exp(-t / 0.22);
+        const attack = stick(random() * 2 - 1) * Math.exp(-t / 0.008) * (hard ? 0.5 : 0.2);
+        return body + attack;
+      });
+    };
+  },
+
+  crash(layer, random) {
+    const partials = Array.from({ length: 24 }, () => 300 + random() * 8000);
+    const wash = highpass(3000);
+    return render(1.6, LAYER_PEAKS[layer], t => {
+      const ring = partials.reduce((sum, f) => sum + Math.sin(2 * Math.PI * f * t), 0) / partials.length;
+      return (ring * 0.6 + wash(random() * 2 - 1) * 0.8) * Math.exp(-t / 0.55) * Math.min(1, t / 0.002);
+    });
+  },
+
+  ride(layer, random) {
+    const hard = layer === 'hard';
+    const bell = [520, 1240, 2890, 4410].map(f => f * (1 + (random() - 0.5) * 0.01));
+    const wash = highpass(5000);
+    return render(1.0, LAYER_PEAKS[layer], t => {
+      const ping = bell.reduce((sum, f, i) => sum + Math.sin(2 * Math.PI * f * t) / (i + 1), 0) * Math.exp(-t / 0.3);
+      const shimmer = wash(random() * 2 - 1) * Math.exp(-t / (hard ? 0.7 : 0.5)) * (hard ? 0.5 : 0.3);
+      return ping * 0.6 + shimmer;
+    });
+  }
+};
+
+// Pieces by MIDI note: file prefix, voice, and the number of round-robin takes in each velocity layer
+const PIECES = {
+  36: { name: 'kick', voice: VOICES.kick, layers: { soft: 2, hard: 2 } },
+  38: { name: 'snare', voice: VOICES.snare, layers: { soft: 3, hard: 3 } },
+  42: { name: 'hh_closed', voice: VOICES.hat(0.03, 0.15), layers: { soft: 2, hard: 2 } },
+  44: { name: 'hh_pedal', voice: VOICES.hat(0.02, 0.12), layers: { hard: 2 } },
+  46: { name: 'hh_open', voice: VOICES.hat(0.3, 0.8), layers: { hard: 2 } },
+  48: { name: 'tom_1', voice: VOICES.tom(165), layers: { soft: 1, hard: 2 } },
+  50: { name: 'tom_2', voice: VOICES.tom(200), layers: { soft: 1, hard: 2 } },
+  43: { name: 'tom_floor', voice: VOICES.tom(105), layers: { soft: 1, hard: 2 } },
+  49: { name: 'crash', voice: VOICES.crash, layers: { hard: 1 } },
+  51: { name: 'ride', voice: VOICES.ride, layers: { soft: 1, hard: 1 } }
+};
+
+// Velocities each layer covers (a piece with one layer covers them all)
+const LAYER_MAX_VELOCITY = { soft: 70, hard: 127 };
+
+function renderKit() {
+  const folder = join(KITS_DIR, FOLDER);
+  mkdirSync(folder, { recursive: true });
+
+  const pieces = {};
+  Object.entries(PIECES).forEach(([note, piece], pieceIndex) => {
+    const layers = Object.entries(piece.layers).map(([layer, takes], layerIndex) => {
+      const samples = [];
+      for (let take = 1; take <= takes; take++) {
+        // Seeded, so rendering again gives the same files
+        const random = createSeededRandom(1000 * (pieceIndex + 1) + 100 * layerIndex + take);
+        const data = piece.voice(layer, random);
+        const file = `${piece.name}_${layer}_${take}.wav`;
+        const wav = encodeWav({ numberOfChannels: 1, sampleRate: SAMPLE_RATE, length: data.length, getChannelData: () => data });
+        writeFileSync(join(folder, file), Buffer.from(wav));
+        samples.push(file);
+      }
+      return { maxVelocity: LAYER_MAX_VELOCITY[layer], samples };
+    });
+    pieces[note] = { layers };
+  });
+
+  return { id: FOLDER, name: 'Starter Kit', folder: FOLDER, pieces };
+}
+
+const manifestPath = join(KITS_DIR, 'manifest.json');
+const manifest = existsSync(manifestPath)
+  ? JSON.parse(readFileSync(manifestPath, 'utf8'))
+  : { version: '1.0', kits: [] };
+
+const kit = renderKit();
+const others = (manifest.kits || []).filter(k => k.id !== kit.id);
+manifest.kits = [kit, ...others];
+writeFileSync(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+
+console.log(`Rendered ${kit.name} to public/kits/${FOLDER}/`);
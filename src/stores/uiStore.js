@@ -22,9 +22,21 @@ const DEFAULTS = {
   metronomeVolume: 50,
   drumsVolume: 70,
   kit: 'rock',
+  // Kits to choose from (sample and user kits are added once they load)
+  kits: [
+    { id: 'rock', name: 'Classic Rock', sampled: false, isUser: false },
+    { id: 'funk', name: 'Soul/Funk', sampled: false, isUser: false },
+    { id: 'tr808', name: 'TR-808', sampled: false, isUser: false },
+    { id: 'tr909', name: 'TR-909', sampled: false, isUser: false }
+  ],
   tone: 50,
   reverb: 0,
   debounce: 30,
+  dynamicsMode: 'normal',
+  difficulty: {
+    level: 'standard',
+    customWindows: { PERFECT: 50, GOOD: 100, OK: 150, MISS: 200 }
+  },
 
   score: 0,
   combo: 0,
@@ -35,6 +47,15 @@ const DEFAULTS = {
   midiDevices: [],
   selectedDevice: null,
   isKeyboardMode: true,
+  midiMapping: {
+    deviceId: null,
+    profileId: 'general-midi',
+    profileName: 'General MIDI',
+    isCustom: false,
+    profiles: [],
+    assignments: [],
+    learnTarget: null
+  },
 
   theme: 'dark',
 
@@ -51,13 +72,175 @@ const DEFAULTS = {
   finalScore: 0,
   finalGrade: '-',
   finalCombo: 0,
+  finalDynamics: null,
+  finalDrift: null,     // Timing with and without the click (gap click runs)
+  finalSections: null,  // Accuracy per section (songs and fill drills)
+  finalFillDrill: null, // Groove and fill accuracy (fill drills)
 
   // Infinite loop
   isInfiniteLoop: false,
   infiniteLoopIteration: 0,
 
   // Quantize toggle
-  isQuantized: false
+  isQuantized: false,
+
+  // Gap click: the metronome plays for some bars, then goes silent for some
+  gapClick: {
+    enabled: false,
+    playBars: 2,
+    muteBars: 2
+  },
+
+  // Metronome: click subdivisions, accents and sound, count-in length and the visual pulse
+  metronomeSettings: {
+    subdivision: 'quarter',
+    sound: 'beep',
+    accents: null,        // null follows the time signature
+    countInBars: 1,
+    visualPulse: false,
+    beatAccents: [2, 0, 0, 0]   // Accents in use for the pattern's bar
+  },
+
+  // Fill drill: a random fill for the beat every few bars
+  fillDrill: {
+    enabled: false,
+    everyBars: 4,
+    available: false    // The selected pattern has fills
+  },
+
+  // Lanes left out of the backing track (still played and judged)
+  backingMutedLanes: [],
+
+  // Backing track and click being rendered to a WAV file
+  audioExport: {
+    busy: false
+  },
+
+  // Mixer: a channel strip per visible lane for the track and for the player
+  mixer: {
+    open: false,
+    hasSolo: false,
+    lanes: []    // { midiNote, name, track, user }, each side { volume, pan, mute, solo, send, audible }
+  },
+
+  // Bars being looped ({ start, end }, 1-based), null for the whole pattern
+  loopRange: null,
+
+  // Swing, lane shifts and humanize applied to the chart
+  grooveTransforms: {
+    swing: { enabled: false, amount: 58, grid: 'SIXTEENTH' },  // amount: 50 = straight
+    laneShift: { enabled: false, shifts: {} },                  // ms per lane note, positive = later
+    humanize: { enabled: false, timing: 10, velocity: 10, seed: 1 }
+  },
+
+  // Song editor and the song being played
+  song: {
+    open: false,
+    active: false,      // Playing a song instead of the selected pattern
+    name: '',           // Name of the song being played
+    draft: null,        // Song shown in the editor: { id, name, bpm, sections: [{ patternId, repeats }] }
+    revision: 0,        // Changes when the editor is sent a different song
+    saved: [],          // Saved songs: { id, name }
+    fillsByBeat: {},    // Fills for each beat: { patternId: [{ id, name }] }
+    error: null
+  },
+
+  // Step editor (grooves drawn on the lanes)
+  stepEditor: {
+    open: false,
+    bars: 1,
+    timeSignature: '4/4',
+    subdivision: 'SIXTEENTH',  // Key of Quantizer.SUBDIVISIONS
+    swing: 50,                 // 50 = straight
+    velocity: 100,             // Velocity new steps get
+    selectedBar: 0,            // Bar copy, paste and clear work on (0-based)
+    canUndo: false,
+    canPaste: false,
+    subdivisions: [],          // { key, name, allowed } (allowed if it fits the time signature)
+    timeSignatures: [],
+    name: '',
+    category: 'My Patterns',
+    bpm: 120,
+    error: null,
+    busy: false
+  },
+
+  // Kit builder: the player's own samples on the lanes
+  kitBuilder: {
+    open: false,
+    id: null,          // Saved kit being edited (null = not saved yet)
+    name: '',
+    lanes: [],         // { midiNote, name, fileName, tune, gain, pan, decay } (fileName null = no sample)
+    savedKits: [],     // { id, name }
+    error: null,
+    busy: false
+  },
+
+  // Speed trainer settings and progress
+  speedTrainer: {
+    enabled: false,
+    startPercent: 70,     // Starting tempo as a percentage of the pattern's default BPM
+    step: 5,              // BPM added or taken off between loops
+    targetAccuracy: 90,   // Loop accuracy needed to speed up
+    backoffAccuracy: 70,  // Loop accuracy below which the tempo drops
+    goalBpm: null,        // Tempo to stop at (null = pattern default)
+    active: false,        // A trainer session is running
+    bpm: 0,               // Tempo of the next loop
+    loop: 0,              // Loops played so far
+    lastAccuracy: null,
+    lastChange: null      // 'up', 'down', 'hold' or 'goal'
+  },
+
+  // Drum lanes (all kit pieces with visibility, populated from LaneLayout)
+  lanePieces: [],
+
+  // Replay of the last attempt
+  replay: {
+    active: false,
+    playing: false,
+    time: 0,
+    start: 0,
+    end: 0,
+    withPattern: false  // Also play the pattern's own sounds
+  },
+
+  // Latency offsets for the selected input and audio output (ms)
+  latency: {
+    input: 0,
+    output: 0
+  },
+
+  // Latency calibration panel
+  calibration: {
+    open: false,
+    step: 'audio',      // 'audio' (tap to clicks), 'visual' (tap to flashes) or 'done'
+    running: false,
+    click: 0,           // Clicks so far in the current pass
+    isLeadIn: true,     // Taps don't count yet
+    audio: null,        // Pass results: { offset, spread, taps }
+    visual: null,
+    offsets: null,      // Resolved { input, output }
+    error: null
+  },
+
+  // MIDI file import panel
+  patternImport: {
+    open: false,
+    ready: false,       // File parsed and can be imported
+    fileName: '',
+    name: '',
+    category: 'My Patterns',
+    bpm: 120,
+    sources: [],        // Track/channel choices: { value: 'all' | 'track:channel', label }
+    source: 'all',
+    barCount: 0,
+    barStart: 1,
+    barEnd: 1,
+    noteCount: 0,
+    timeSignature: '4/4',
+    error: null,
+    busy: false
+  }
 };
 
 // Create individual writable stores for each piece of state
@@ -73,9 +256,12 @@ export const gamePhase = writable(DEFAULTS.gamePhase);
 export const metronomeVolume = writable(DEFAULTS.metronomeVolume);
 export const drumsVolume = writable(DEFAULTS.drumsVolume);
 export const kit = writable(DEFAULTS.kit);
+export const kits = writable(DEFAULTS.kits);
 export const tone = writable(DEFAULTS.tone);
 export const reverb = writable(DEFAULTS.reverb);
 export const debounce = writable(DEFAULTS.debounce);
+export const dynamicsMode = writable(DEFAULTS.dynamicsMode);
+export const difficulty = writable(DEFAULTS.difficulty);
 
 // Score (updated periodically during gameplay, not per-frame)
 export const score = writable(DEFAULTS.score);
@@ -88,6 +274,7 @@ export const judgments = writable(DEFAULTS.judgments);
 export const midiDevices = writable(DEFAULTS.midiDevices);
 export const selectedDevice = writable(DEFAULTS.selectedDevice);
 export const isKeyboardMode = writable(DEFAULTS.isKeyboardMode);
+export const midiMapping = writable(DEFAULTS.midiMapping);
 
 // Theme
 export const theme = writable(DEFAULTS.theme);
@@ -105,6 +292,10 @@ export const showCompletion = writable(DEFAULTS.showCompletion);
 export const finalScore = writable(DEFAULTS.finalScore);
 export const finalGrade = writable(DEFAULTS.finalGrade);
 export const finalCombo = writable(DEFAULTS.finalCombo);
+export const finalDynamics = writable(DEFAULTS.finalDynamics);
+export const finalDrift = writable(DEFAULTS.finalDrift);
+export const finalSections = writable(DEFAULTS.finalSections);
+export const finalFillDrill = writable(DEFAULTS.finalFillDrill);
 
 // Infinite loop tracking
 export const isInfiniteLoop = writable(DEFAULTS.isInfiniteLoop);
@@ -113,6 +304,45 @@ export const infiniteLoopIteration = writable(DEFAULTS.infiniteLoopIteration);
 // Quantize toggle
 export const isQuantized = writable(DEFAULTS.isQuantized);
 
+// Speed trainer
+export const speedTrainer = writable(DEFAULTS.speedTrainer);
+
+// Gap click, metronome settings and backing track lanes
+export const gapClick = writable(DEFAULTS.gapClick);
+export const metronomeSettings = writable(DEFAULTS.metronomeSettings);
+export const backingMutedLanes = writable(DEFAULTS.backingMutedLanes);
+export const mixer = writable(DEFAULTS.mixer);
+export const audioExport = writable(DEFAULTS.audioExport);
+
+// A/B loop range
+export const loopRange = writable(DEFAULTS.loopRange);
+
+// Groove transforms
+export const grooveTransforms = writable(DEFAULTS.grooveTransforms);
+
+// Fill drill
+export const fillDrill = writable(DEFAULTS.fillDrill);
+
+// Songs
+export const song = writable(DEFAULTS.song);
+
+// Step editor
+export const stepEditor = writable(DEFAULTS.stepEditor);
+export const kitBuilder = writable(DEFAULTS.kitBuilder);
+
+// Drum lanes
+export const lanePieces = writable(DEFAULTS.lanePieces);
+
+// Replay
+export const replay = writable(DEFAULTS.replay);
+
+// Latency
+export const latency = writable(DEFAULTS.latency);
+export const calibration = writable(DEFAULTS.calibration);
+
+// MIDI file import
+export const patternImport = writable(DEFAULTS.patternImport);
+
 // Debounce stats (filtered inputs count)
 export const debounceFiltered = writable(0);
 
@@ -131,9 +361,9 @@ export const canChangeSettings = derived(gamePhase, $phase =>
 
 // Button label based on game phase and infinite loop mode
 export const gameButtonLabel = derived(
-  [gamePhase, isInfiniteLoop],
-  ([$phase, $infinite]) => {
-    if ($phase === 'playing' && $infinite) {
+  [gamePhase, isInfiniteLoop, speedTrainer],
+  ([$phase, $infinite, $trainer]) => {
+    if ($phase === 'playing' && ($infinite || $trainer.active)) {
       return { icon: '&#9632;', text: 'Stop' };
     }
     const labels = {
@@ -257,6 +487,27 @@ export function setDebounce(ms) {
   }
 }
 
+export function setDynamicsMode(mode) {
+  dynamicsMode.set(mode);
+  if (gameEngine && gameEngine.timingJudge) {
+    gameEngine.timingJudge.setDynamicsMode(mode);
+  }
+}
+
+export function setDifficulty(level) {
+  if (!get(canChangeSettings)) return;
+  if (gameEngine) {
+    gameEngine.setDifficulty(level);
+  }
+}
+
+export function setCustomDifficultyWindows(windows) {
+  if (!get(canChangeSettings)) return;
+  if (gameEngine) {
+    gameEngine.setCustomDifficultyWindows(windows);
+  }
+}
+
 export function selectMidiDevice(deviceId) {
   selectedDevice.set(deviceId);
   const isKeyboard = deviceId === 'keyboard' || deviceId === 'none';
@@ -270,6 +521,36 @@ export function selectMidiDevice(deviceId) {
   }
 }
 
+export function setMidiProfile(profileId) {
+  if (gameEngine) {
+    gameEngine.setMidiProfile(profileId);
+  }
+}
+
+export function startMappingLearn(pieceNote) {
+  if (gameEngine) {
+    gameEngine.startMappingLearn(pieceNote);
+  }
+}
+
+export function cancelMappingLearn() {
+  if (gameEngine) {
+    gameEngine.cancelMappingLearn();
+  }
+}
+
+export function clearMappingAssignment(midiNote) {
+  if (gameEngine) {
+    gameEngine.clearMappingAssignment(midiNote);
+  }
+}
+
+export function deleteMidiProfile() {
+  if (gameEngine && confirm('Delete this mapping profile?')) {
+    gameEngine.deleteMidiProfile();
+  }
+}
+
 export function toggleTheme() {
   theme.update(t => t === 'dark' ? 'light' : 'dark');
   // Theme manager handles the actual theme application
@@ -292,11 +573,360 @@ export function resetQuantize() {
   }
 }
 
+export function setSpeedTrainerEnabled(enabled) {
+  if (!get(canChangeSettings)) return;
+  if (gameEngine) {
+    gameEngine.setSpeedTrainerEnabled(enabled);
+  }
+}
+
+export function setSpeedTrainerOptions(options) {
+  if (!get(canChangeSettings)) return;
+  if (gameEngine) {
+    gameEngine.setSpeedTrainerOptions(options);
+  }
+}
+
+export function setLoopRange(range) {
+  if (!get(canChangeSettings)) return;
+  if (gameEngine) {
+    gameEngine.setLoopRange(range);
+    // A new range rebuilds the chart, which drops quantization
+    isQuantized.set(gameEngine.isQuantized);
+  }
+}
+
+export function setGrooveTransforms(options) {
+  if (!get(canChangeSettings)) return;
+  if (gameEngine) {
+    gameEngine.setGrooveTransforms(options);
+    isQuantized.set(gameEngine.isQuantized);
+  }
+}
+
+export function setFillDrill(options) {
+  if (!get(canChangeSettings)) return;
+  if (gameEngine) {
+    gameEngine.setFillDrill(options);
+    isQuantized.set(gameEngine.isQuantized);
+  }
+}
+
+export function openSongEditor() {
+  if (!get(canChangeSettings)) return;
+  if (gameEngine) {
+    gameEngine.openSongEditor();
+  }
+}
+
+export function closeSongEditor() {
+  song.update(current => ({ ...current, open: false, error: null }));
+}
+
+export function saveSong(draft) {
+  if (gameEngine) {
+    gameEngine.saveSong(draft);
+  }
+}
+
+export function loadSong(id) {
+  if (gameEngine) {
+    gameEngine.loadSong(id);
+  }
+}
+
+export function deleteSong(id) {
+  if (gameEngine) {
+    gameEngine.deleteSong(id);
+  }
+}
+
+export function playSong(draft) {
+  if (!get(canChangeSettings)) return;
+  if (gameEngine) {
+    gameEngine.playSong(draft);
+    isQuantized.set(gameEngine.isQuantized);
+  }
+}
+
+export function exitSong() {
+  if (!get(canChangeSettings)) return;
+  if (gameEngine) {
+    gameEngine.exitSong();
+    isQuantized.set(gameEngine.isQuantized);
+  }
+}
+
+export function openStepEditor(fromCurrent) {
+  if (!get(canChangeSettings)) return;
+  if (gameEngine) {
+    gameEngine.openStepEditor(fromCurrent);
+  }
+}
+
+export function closeStepEditor() {
+  if (gameEngine) {
+    gameEngine.closeStepEditor();
+  }
+}
+
+export function setStepEditorOptions(options) {
+  if (gameEngine) {
+    gameEngine.setStepEditorOptions(options);
+  }
+}
+
+export function stepEditorAction(action) {
+  if (gameEngine) {
+    gameEngine.stepEditorAction(action);
+  }
+}
+
+export async function saveStepPattern(details) {
+  if (gameEngine) {
+    await gameEngine.saveStepPattern(details);
+    isQuantized.set(gameEngine.isQuantized);
+  }
+}
+
+export function openKitBuilder(kitId = null) {
+  if (!get(canChangeSettings)) return;
+  if (gameEngine) {
+    gameEngine.openKitBuilder(kitId);
+  }
+}
+
+export function closeKitBuilder() {
+  if (gameEngine) {
+    gameEngine.closeKitBuilder();
+  }
+}
+
+export function setKitSample(midiNote, file) {
+  if (gameEngine) {
+    gameEngine.setKitSample(midiNote, file);
+  }
+}
+
+export function setKitPiece(midiNote, settings) {
+  if (gameEngine) {
+    gameEngine.setKitPiece(midiNote, settings);
+  }
+}
+
+export function removeKitSample(midiNote) {
+  if (gameEngine) {
+    gameEngine.removeKitSample(midiNote);
+  }
+}
+
+export function previewKitPiece(midiNote) {
+  if (gameEngine) {
+    gameEngine.previewKitPiece(midiNote);
+  }
+}
+
+export async function saveKit(name) {
+  if (gameEngine) {
+    await gameEngine.saveKit(name);
+  }
+}
+
+export async function deleteKit() {
+  if (gameEngine && confirm('Delete this kit and its samples?')) {
+    await gameEngine.deleteKit();
+  }
+}
+
+export function exportKit(name) {
+  if (gameEngine) {
+    gameEngine.exportKit(name);
+  }
+}
+
+export function importKitBundle(file) {
+  if (gameEngine) {
+    gameEngine.importKitBundle(file);
+  }
+}
+
+export function setGapClick(options) {
+  if (!get(canChangeSettings)) return;
+  if (gameEngine) {
+    gameEngine.setGapClick(options);
+  }
+}
+
+export function setMetronomeSettings(options) {
+  if (gameEngine) {
+    gameEngine.setMetronomeSettings(options);
+  }
+}
+
+export function cycleMetronomeAccent(beatIndex) {
+  if (gameEngine) {
+    gameEngine.cycleMetronomeAccent(beatIndex);
+  }
+}
+
+export function setBackingLaneMuted(midiNote, muted) {
+  if (gameEngine) {
+    gameEngine.setBackingLaneMuted(midiNote, muted);
+  }
+}
+
+export function toggleMixer() {
+  mixer.update(current => ({ ...current, open: !current.open }));
+}
+
+export function closeMixer() {
+  mixer.update(current => ({ ...current, open: false }));
+}
+
+export function setMixerChannel(side, midiNote, settings) {
+  if (gameEngine) {
+    gameEngine.setMixerChannel(side, midiNote, settings);
+  }
+}
+
+export function resetMixer() {
+  if (gameEngine && confirm('Reset every mixer channel?')) {
+    gameEngine.resetMixer();
+  }
+}
+
 // Legacy function for backwards compatibility
 export function quantizePattern() {
   toggleQuantize();
 }
 
+export function setLaneVisible(midiNote, visible) {
+  if (!get(canChangeSettings)) return;
+  if (gameEngine) {
+    lanePieces.set(gameEngine.setLaneVisible(midiNote, visible));
+    // Changing lanes rebuilds the chart, which drops quantization
+    isQuantized.set(gameEngine.isQuantized);
+  }
+}
+
+export function importPatternFile(file) {
+  if (!get(canChangeSettings)) return;
+  if (gameEngine) {
+    gameEngine.previewPatternImport(file);
+  }
+}
+
+export function selectImportPart(selection) {
+  if (gameEngine) {
+    gameEngine.selectImportPart(selection);
+  }
+}
+
+export async function confirmPatternImport(details) {
+  if (gameEngine) {
+    await gameEngine.confirmPatternImport(details);
+    isQuantized.set(gameEngine.isQuantized);
+  }
+}
+
+export function cancelPatternImport() {
+  if (gameEngine) {
+    gameEngine.cancelPatternImport();
+  }
+}
+
+export async function removeUserPattern(patternId) {
+  if (!get(canChangeSettings)) return;
+  if (gameEngine && confirm('Remove this imported pattern? Its practice history is kept.')) {
+    await gameEngine.removeUserPattern(patternId);
+    isQuantized.set(gameEngine.isQuantized);
+  }
+}
+
+export function exportPatternMidi() {
+  if (gameEngine) {
+    gameEngine.exportPattern();
+  }
+}
+
+export function exportPatternAudio() {
+  if (!get(canChangeSettings) || get(audioExport).busy) return;
+  if (gameEngine) {
+    gameEngine.exportAudio();
+  }
+}
+
+export function exportPerformanceMidi() {
+  if (gameEngine) {
+    gameEngine.exportPerformance();
+  }
+}
+
+export function startReplay() {
+  if (gameEngine) {
+    gameEngine.startReplay();
+  }
+}
+
+export function toggleReplayPlayback() {
+  if (!gameEngine) return;
+  if (get(replay).playing) {
+    gameEngine.pauseReplay();
+  } else {
+    gameEngine.playReplay();
+  }
+}
+
+export function seekReplay(time) {
+  if (gameEngine) {
+    gameEngine.seekReplay(time);
+  }
+}
+
+export function setReplayPatternAudio(enabled) {
+  if (gameEngine) {
+    gameEngine.setReplayPatternAudio(enabled);
+  }
+}
+
+export function stopReplay() {
+  if (gameEngine) {
+    gameEngine.stopReplay();
+  }
+}
+
+export function openCalibration() {
+  if (!get(canChangeSettings)) return;
+  calibration.set({ ...DEFAULTS.calibration, open: true });
+}
+
+export function startCalibrationPass(mode) {
+  if (gameEngine) {
+    gameEngine.runCalibrationPass(mode);
+  }
+}
+
+export function saveCalibration() {
+  if (gameEngine) {
+    gameEngine.saveCalibration();
+  }
+  calibration.set(DEFAULTS.calibration);
+}
+
+export function closeCalibration() {
+  if (gameEngine) {
+    gameEngine.cancelCalibration();
+  }
+  calibration.set(DEFAULTS.calibration);
+}
+
+export function setLatencyOffsets(offsets) {
+  if (!get(canChangeSettings)) return;
+  if (gameEngine) {
+    gameEngine.setLatencyOffsets(offsets);
+  }
+}
+
 export function clearStats() {
   if (gameEngine && gameEngine.statsManager) {
     if (confirm('Clear all progress history for all patterns?')) {
@@ -330,11 +960,17 @@ export function updateGamePhase(phase) {
 
 /**
  * Update completion panel
+ * @param {Object} summary - From StatsManager.endSession
+ * @param {Object} details - { drift, sections, fillDrill } when the run had them
  */
-export function showCompletionPanel(summary) {
+export function showCompletionPanel(summary, details = {}) {
   finalScore.set(summary.totalScore);
   finalGrade.set(summary.grade);
   finalCombo.set(summary.maxCombo);
+  finalDynamics.set(summary.dynamics || null);
+  finalDrift.set(details.drift || null);
+  finalSections.set(details.sections || null);
+  finalFillDrill.set(details.fillDrill || null);
   showCompletion.set(true);
 }
 
@@ -349,6 +985,13 @@ export function updateMidiDevices(devices) {
   midiDevices.set(devices);
 }
 
+/**
+ * Update MIDI mapping profile state for the selected device
+ */
+export function updateMidiMapping(state) {
+  midiMapping.set(state);
+}
+
 /**
  * Update patterns from MIDI library
  */
@@ -357,6 +1000,135 @@ export function updatePatterns(patternList, categories) {
   patternCategories.set(categories);
 }
 
+/**
+ * Update replay position and playback state
+ */
+export function updateReplay(state) {
+  replay.update(current => ({ ...current, ...state }));
+}
+
+/**
+ * Update the chosen difficulty
+ */
+export function updateDifficulty(state) {
+  difficulty.set(state);
+}
+
+/**
+ * Update speed trainer settings or progress
+ */
+export function updateSpeedTrainer(state) {
+  speedTrainer.update(current => ({ ...current, ...state }));
+}
+
+/**
+ * Update the bars being looped
+ */
+export function updateLoopRange(range) {
+  loopRange.set(range);
+}
+
+/**
+ * Update the kits that can be selected
+ */
+export function updateKits(kitList) {
+  kits.set(kitList);
+}
+
+/**
+ * Update the groove transforms in use
+ */
+export function updateGrooveTransforms(transforms) {
+  grooveTransforms.set(transforms);
+}
+
+/**
+ * Update fill drill settings or whether the pattern has fills
+ */
+export function updateFillDrill(state) {
+  fillDrill.update(current => ({ ...current, ...state }));
+}
+
+/**
+ * Update the song editor or the song being played
+ */
+export function updateSong(state) {
+  song.update(current => ({ ...current, ...state }));
+}
+
+/**
+ * Update the step editor
+ */
+export function updateStepEditor(state) {
+  stepEditor.update(current => ({ ...current, ...state }));
+}
+
+/**
+ * Update the kit builder
+ */
+export function updateKitBuilder(state) {
+  kitBuilder.update(current => ({ ...current, ...state }));
+}
+
+/**
+ * Update gap click settings
+ */
+export function updateGapClick(settings) {
+  gapClick.set(settings);
+}
+
+/**
+ * Update metronome settings
+ */
+export function updateMetronomeSettings(settings) {
+  metronomeSettings.update(state => ({ ...state, ...settings }));
+}
+
+/**
+ * Update the lanes left out of the backing track
+ */
+export function updateBackingMutedLanes(lanes) {
+  backingMutedLanes.set(lanes);
+}
+
+/**
+ * Update the WAV export state
+ */
+export function updateAudioExport(state) {
+  audioExport.set(state);
+}
+
+/**
+ * Update the mixer channels
+ */
+export function updateMixer(state) {
+  mixer.update(current => ({ ...current, ...state }));
+}
+
+/**
+ * Update the offsets in use
+ */
+export function updateLatency(offsets) {
+  latency.set(offsets);
+}
+
+/**
+ * Update the calibration panel
+ */
+export function updateCalibration(state) {
+  calibration.update(current => ({ ...current, ...state }));
+}
+
+/**
+ * Update the import panel (fields not given are reset to defaults when it opens)
+ */
+export function updatePatternImport(state) {
+  patternImport.update(current => {
+    const base = state.open && !current.open ? DEFAULTS.patternImport : current;
+    return { ...base, ...state };
+  });
+}
+
 /**
  * Update current pattern info
  */
@@ -364,6 +1136,13 @@ export function updateCurrentPatternInfo(info) {
   currentPatternInfo.set(info);
 }
 
+/**
+ * Update drum lane list
+ */
+export function updateLanePieces(pieces) {
+  lanePieces.set(pieces);
+}
+
 /**
  * Update stats info text
  */